@@ -0,0 +1,149 @@
+/**
+ * AutopilotInput - Scripted driver for headless simulations
+ * Responsibility: Produce player input without a keyboard
+ * Flees nearby police, steers around buildings and wanders otherwise
+ * Exposes the same getInput() shape as InputManager
+ */
+
+import { distance2D } from "../utils/helpers.js";
+
+const THREAT_RADIUS = 60; // Police closer than this are avoided
+const BOOST_RADIUS = 20; // Boost when police get this close
+const PROBE_DISTANCE = 12; // How far ahead to look for buildings
+const PROBE_ANGLE = 0.6; // Side probe angle (radians)
+const DECISION_INTERVAL = 6; // Steps between steering decisions
+const STEER_DEADZONE = 0.1; // Heading error ignored (radians)
+const HANDBRAKE_ANGLE = 1.2; // Heading error that calls for a handbrake turn
+const HANDBRAKE_MIN_SPEED = 15; // Too slow to slide below this
+
+export class AutopilotInput {
+  /**
+   * @param {Object} game - Game instance (player, enemies and city are read live)
+   * @param {SeededRandom} rng - Random stream for wandering
+   */
+  constructor(game, rng) {
+    this.game = game;
+    this.rng = rng;
+    this.stepsUntilDecision = 0;
+    this.targetHeading = null;
+    this.wanderOffset = 0;
+  }
+
+  /**
+   * Get input for the next physics step
+   */
+  getInput() {
+    const player = this.game.player;
+    const input = {
+      forward: true,
+      backward: false,
+      left: false,
+      right: false,
+      boost: false,
+      handbrake: false,
+    };
+    if (!player) return input;
+
+    if (this.stepsUntilDecision <= 0) {
+      this.targetHeading = this._chooseHeading(player);
+      this.stepsUntilDecision = DECISION_INTERVAL;
+    }
+    this.stepsUntilDecision--;
+
+    // Steer towards the chosen heading (left increases rotation)
+    let error = this.targetHeading - player.rotation;
+    while (error > Math.PI) error -= Math.PI * 2;
+    while (error < -Math.PI) error += Math.PI * 2;
+    input.left = error > STEER_DEADZONE;
+    input.right = error < -STEER_DEADZONE;
+    input.handbrake =
+      Math.abs(error) > HANDBRAKE_ANGLE &&
+      player.getSpeed() > HANDBRAKE_MIN_SPEED;
+
+    const nearest = this._getNearestPoliceDistance(player);
+    // A started boost is held until the meter runs dry
+    input.boost =
+      player.boostActive || (nearest < BOOST_RADIUS && player.canBoost());
+
+    return input;
+  }
+
+  /**
+   * Pick a heading: away from police, then nudged clear of buildings
+   * @private
+   */
+  _chooseHeading(player) {
+    let heading = player.rotation;
+
+    // Flee from the average position of nearby police
+    let awayX = 0;
+    let awayZ = 0;
+    for (const enemy of this.game.enemies) {
+      const dx = player.position.x - enemy.position.x;
+      const dz = player.position.z - enemy.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance > 0.01 && distance < THREAT_RADIUS) {
+        awayX += dx / distance;
+        awayZ += dz / distance;
+      }
+    }
+
+    if (awayX !== 0 || awayZ !== 0) {
+      heading = Math.atan2(awayX, awayZ);
+    } else {
+      // Wander - occasionally pick a new gentle curve
+      if (this.rng.chance(0.05)) {
+        this.wanderOffset = this.rng.range(-0.8, 0.8);
+      }
+      heading += this.wanderOffset * 0.2;
+    }
+
+    // Steer around buildings ahead
+    if (this._isBlocked(player, heading)) {
+      const left = heading + PROBE_ANGLE;
+      const right = heading - PROBE_ANGLE;
+      if (!this._isBlocked(player, left)) {
+        heading = left;
+      } else if (!this._isBlocked(player, right)) {
+        heading = right;
+      } else {
+        heading += Math.PI / 2;
+      }
+    }
+
+    return heading;
+  }
+
+  /**
+   * Check for a building along a heading
+   * @private
+   */
+  _isBlocked(player, heading) {
+    const city = this.game.city;
+    if (!city) return false;
+
+    const x = player.position.x + Math.sin(heading) * PROBE_DISTANCE;
+    const z = player.position.z + Math.cos(heading) * PROBE_DISTANCE;
+    return city.checkBuildingCollision(x, z, 3);
+  }
+
+  /**
+   * Distance to the closest police car
+   * @private
+   */
+  _getNearestPoliceDistance(player) {
+    let nearest = Infinity;
+    for (const enemy of this.game.enemies) {
+      nearest = Math.min(
+        nearest,
+        distance2D(
+          player.position.x,
+          player.position.z,
+          enemy.position.x,
+          enemy.position.z
+        )
+      );
+    }
+    return nearest;
+  }
+}
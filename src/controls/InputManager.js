@@ -15,6 +15,7 @@ export class InputManager {
       left: false,
       right: false,
       boost: false,
+      handbrake: false,
       pause: false,
     };
 
@@ -66,6 +67,9 @@ export class InputManager {
     if (INPUT_KEYS.BOOST.includes(key)) {
       this.keys.boost = true;
     }
+    if (INPUT_KEYS.HANDBRAKE.includes(key)) {
+      this.keys.handbrake = true;
+    }
     if (INPUT_KEYS.PAUSE.includes(key)) {
       this.keys.pause = true;
     }
@@ -94,6 +98,9 @@ export class InputManager {
     if (INPUT_KEYS.BOOST.includes(key)) {
       this.keys.boost = false;
     }
+    if (INPUT_KEYS.HANDBRAKE.includes(key)) {
+      this.keys.handbrake = false;
+    }
     if (INPUT_KEYS.PAUSE.includes(key)) {
       this.keys.pause = false;
     }
@@ -110,6 +117,7 @@ export class InputManager {
       INPUT_KEYS.LEFT.includes(key) ||
       INPUT_KEYS.RIGHT.includes(key) ||
       INPUT_KEYS.BOOST.includes(key) ||
+      INPUT_KEYS.HANDBRAKE.includes(key) ||
       INPUT_KEYS.PAUSE.includes(key)
     );
   }
@@ -140,6 +148,7 @@ export class InputManager {
       left: false,
       right: false,
       boost: false,
+      handbrake: false,
       pause: false,
     };
     this.lastPauseState = false;
@@ -0,0 +1,47 @@
+/**
+ * InputRecorder - Records player input for replays
+ * Responsibility: Store the input applied on every fixed physics step
+ * Together with the run seed, vehicle, upgrades and settings this
+ * reproduces the run
+ */
+
+import { createReplay, encodeInput } from "../utils/replayFormat.js";
+
+export class InputRecorder {
+  constructor(seed, vehicle = null, upgrades = null, redLightHeat = true) {
+    this.seed = seed;
+    this.vehicle = vehicle; // Player vehicle ID
+    this.upgrades = upgrades; // Upgrade ID -> level
+    this.redLightHeat = redLightHeat; // Running reds raises heat
+    this.frames = [];
+  }
+
+  /**
+   * Record the input used for one physics step
+   */
+  record(input) {
+    this.frames.push(encodeInput(input));
+  }
+
+  /**
+   * Get number of recorded steps
+   */
+  getFrameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * Build a serializable replay of everything recorded so far
+   * @param {Object} stats - Optional end-of-run statistics to embed
+   */
+  getReplay(stats = null) {
+    return createReplay(
+      this.seed,
+      this.frames,
+      stats,
+      this.vehicle,
+      this.upgrades,
+      this.redLightHeat
+    );
+  }
+}
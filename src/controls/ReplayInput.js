@@ -0,0 +1,50 @@
+/**
+ * ReplayInput - Plays back recorded input
+ * Responsibility: Feed recorded input to the player one physics step at a time
+ * Exposes the same getInput() shape as InputManager
+ */
+
+import { decodeInput } from "../utils/replayFormat.js";
+
+export class ReplayInput {
+  /**
+   * @param {Object} replay - Parsed replay ({ seed, frames, stats })
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.frames = replay.frames;
+    this.frameIndex = 0;
+  }
+
+  /**
+   * Get input for the next physics step
+   * Returns neutral input once the recording has run out
+   */
+  getInput() {
+    const mask =
+      this.frameIndex < this.frames.length ? this.frames[this.frameIndex] : 0;
+    this.frameIndex++;
+    return decodeInput(mask);
+  }
+
+  /**
+   * Get number of steps played so far
+   */
+  getFrameIndex() {
+    return this.frameIndex;
+  }
+
+  /**
+   * Get total number of recorded steps
+   */
+  getFrameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * Check if every recorded step has been played
+   */
+  isFinished() {
+    return this.frameIndex >= this.frames.length;
+  }
+}
@@ -13,6 +13,12 @@ export class GameLoop {
     this.lastTime = 0;
     this.deltaTime = 0;
     this.accumulatedTime = 0;
+    this.frameRequest = null;
+
+    // Replay playback controls
+    this.timeScale = 1; // Simulated seconds per real second
+    this.pendingSteps = 0; // Extra fixed steps queued by fastForward()
+    this.maxStepsPerFrame = 240; // Fast-forward budget per rendered frame
 
     // Systems to update each frame (registered by main game)
     this.updateCallbacks = [];
@@ -57,6 +63,8 @@ export class GameLoop {
 
     this.isRunning = true;
     this.isPaused = false;
+    this.accumulatedTime = 0;
+    this.pendingSteps = 0;
     this.lastTime = performance.now();
     this.lastFpsUpdate = this.lastTime;
 
@@ -86,6 +94,44 @@ export class GameLoop {
   stop() {
     this.isRunning = false;
     this.isPaused = false;
+    this.pendingSteps = 0;
+
+    // Cancel the queued frame so a quick restart can't run two loops
+    if (this.frameRequest !== null) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+  }
+
+  /**
+   * Set playback speed (used by replays)
+   * @param {number} scale - Speed multiplier, clamped to 0.25x - 4x
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.min(Math.max(scale, 0.25), 4);
+  }
+
+  /**
+   * Get current playback speed
+   */
+  getTimeScale() {
+    return this.timeScale;
+  }
+
+  /**
+   * Run extra fixed steps as fast as possible (used for replay seeking)
+   * Steps are spread over frames and also run while paused
+   * @param {number} steps - Number of fixed steps to simulate
+   */
+  fastForward(steps) {
+    this.pendingSteps += Math.max(0, Math.floor(steps));
+  }
+
+  /**
+   * Get number of fast-forward steps still queued
+   */
+  getPendingSteps() {
+    return this.pendingSteps;
   }
 
   /**
@@ -105,16 +151,20 @@ export class GameLoop {
     // Update FPS counter
     this._updateFPS(currentTime);
 
-    // Only update game logic if not paused
-    if (!this.isPaused) {
-      this._update(this.deltaTime);
+    // Only update game logic if not paused (seeking runs regardless)
+    if (this.pendingSteps > 0) {
+      this._fastForwardSteps();
+    } else if (!this.isPaused) {
+      this._update(this.deltaTime * this.timeScale);
     }
 
     // Always render (even when paused)
     this._render();
 
-    // Continue loop
-    requestAnimationFrame(() => this._loop());
+    // Continue loop (stop() may have been called during update)
+    if (this.isRunning) {
+      this.frameRequest = requestAnimationFrame(() => this._loop());
+    }
   }
 
   /**
@@ -128,20 +178,40 @@ export class GameLoop {
     const fixedDelta = GAME_CONFIG.PHYSICS_STEP;
 
     // Process physics in fixed steps
-    while (this.accumulatedTime >= fixedDelta) {
-      // Call all update callbacks
-      for (const callback of this.updateCallbacks) {
-        try {
-          callback(fixedDelta);
-        } catch (error) {
-          console.error("Error in update callback:", error);
-        }
-      }
-
+    while (this.accumulatedTime >= fixedDelta && this.isRunning) {
+      this._step(fixedDelta);
       this.accumulatedTime -= fixedDelta;
     }
   }
 
+  /**
+   * Run queued fast-forward steps within this frame's budget
+   * @private
+   */
+  _fastForwardSteps() {
+    const steps = Math.min(this.pendingSteps, this.maxStepsPerFrame);
+    this.pendingSteps -= steps;
+    this.accumulatedTime = 0;
+
+    for (let i = 0; i < steps && this.isRunning; i++) {
+      this._step(GAME_CONFIG.PHYSICS_STEP);
+    }
+  }
+
+  /**
+   * Call all update callbacks for one fixed step
+   * @private
+   */
+  _step(fixedDelta) {
+    for (const callback of this.updateCallbacks) {
+      try {
+        callback(fixedDelta);
+      } catch (error) {
+        console.error("Error in update callback:", error);
+      }
+    }
+  }
+
   /**
    * Render the current frame
    * @private
@@ -0,0 +1,43 @@
+/**
+ * Districts - Neighbourhood types the streamed city is divided into
+ * Each block of WORLD_CONFIG.DISTRICT_SIZE tiles square is one district,
+ * picked by weight from the world seed; the district sets how crowded its
+ * sidewalks are
+ */
+
+/**
+ * PEDESTRIANS is the number of walkers kept on the sidewalks of each tile
+ * (before PEDESTRIAN_CONFIG.DENSITY_MULTIPLIER)
+ */
+export const DISTRICTS = {
+  DOWNTOWN: {
+    ID: "downtown",
+    NAME: "Downtown",
+    PEDESTRIANS: 14,
+  },
+  COMMERCIAL: {
+    ID: "commercial",
+    NAME: "Shopping District",
+    PEDESTRIANS: 10,
+  },
+  RESIDENTIAL: {
+    ID: "residential",
+    NAME: "Residential",
+    PEDESTRIANS: 5,
+  },
+  INDUSTRIAL: {
+    ID: "industrial",
+    NAME: "Industrial Park",
+    PEDESTRIANS: 2,
+  },
+};
+
+/**
+ * Relative chance of each district type
+ */
+export const DISTRICT_WEIGHTS = {
+  DOWNTOWN: 0.2,
+  COMMERCIAL: 0.3,
+  RESIDENTIAL: 0.35,
+  INDUSTRIAL: 0.15,
+};
@@ -0,0 +1,93 @@
+/**
+ * Player Vehicles - Roster of cars to pick in the garage
+ * Each vehicle overrides the PLAYER_CONFIG baseline with its own model,
+ * size, speeds, acceleration, handling, boost and durability
+ */
+
+import { COLORS } from "../utils/constants.js";
+
+/**
+ * Stats (any PLAYER_CONFIG key can be overridden):
+ * - top speed: AUTO_FORWARD_SPEED (cruise) and MAX_SPEED (boost base)
+ * - acceleration: ACCELERATION
+ * - handling: ROTATION_SPEED and GRIP_FACTOR
+ * - boost: BOOST_CAPACITY (seconds of nitro) and BOOST_REFILL_FACTOR
+ * - durability: MAX_HEALTH
+ *
+ * MODEL_PATH null uses the box mesh in COLOR; MODEL_ROTATION turns the model
+ * to face the car's heading
+ */
+export const PLAYER_VEHICLES = {
+  COUPE: {
+    ID: "coupe",
+    NAME: "Street Coupe",
+    DESCRIPTION: "Does everything well - the baseline",
+    MODEL_PATH: "/model/player_car/playercar1.glb",
+    MODEL_SCALE: 2.3,
+    MODEL_ROTATION: Math.PI, // Model faces +Z
+    COLOR: COLORS.PLAYER_CAR,
+    // Speeds, handling, boost and durability are the PLAYER_CONFIG baseline
+  },
+  MUSCLE: {
+    ID: "muscle",
+    NAME: "Muscle Car",
+    DESCRIPTION: "Flies down the straights, wide in the corners",
+    MODEL_PATH: null,
+    COLOR: 0x2255ff,
+    LENGTH: 3.9,
+    AUTO_FORWARD_SPEED: 24,
+    MAX_SPEED: 31,
+    ACCELERATION: 0.7,
+    ROTATION_SPEED: 0.085,
+    GRIP_FACTOR: 0.5,
+    BOOST_CAPACITY: 2.5,
+    MAX_HEALTH: 115,
+  },
+  HATCH: {
+    ID: "hatch",
+    NAME: "Hot Hatch",
+    DESCRIPTION: "Quick off the line and darts through traffic, but fragile",
+    MODEL_PATH: null,
+    COLOR: 0xffcc00,
+    LENGTH: 3.2,
+    AUTO_FORWARD_SPEED: 21,
+    MAX_SPEED: 26,
+    ACCELERATION: 1.1,
+    ROTATION_SPEED: 0.12,
+    GRIP_FACTOR: 0.3,
+    BOOST_CAPACITY: 1.6,
+    BOOST_REFILL_FACTOR: 1.3, // Small tank, quick to top up
+    MAX_HEALTH: 75,
+  },
+  VAN: {
+    ID: "van",
+    NAME: "Getaway Van",
+    DESCRIPTION: "Shrugs off crashes and carries a big boost, slow to react",
+    MODEL_PATH: null,
+    COLOR: 0xdddddd,
+    WIDTH: 2.3,
+    HEIGHT: 1.8,
+    LENGTH: 4.3,
+    AUTO_FORWARD_SPEED: 19,
+    MAX_SPEED: 24,
+    ACCELERATION: 0.6,
+    ROTATION_SPEED: 0.075,
+    GRIP_FACTOR: 0.55,
+    BOOST_CAPACITY: 3,
+    BOOST_REFILL_FACTOR: 0.8,
+    MAX_HEALTH: 180,
+  },
+};
+
+export const DEFAULT_VEHICLE_ID = PLAYER_VEHICLES.COUPE.ID;
+
+/**
+ * Look up a vehicle by ID - unknown IDs get the default car
+ * @param {string} id - Vehicle ID (see PLAYER_VEHICLES)
+ */
+export function getPlayerVehicle(id) {
+  return (
+    Object.values(PLAYER_VEHICLES).find((vehicle) => vehicle.ID === id) ??
+    PLAYER_VEHICLES.COUPE
+  );
+}
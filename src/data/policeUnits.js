@@ -0,0 +1,96 @@
+/**
+ * Police Units - Roster of police vehicle types
+ * Each unit overrides the ENEMY_CONFIG baseline with its own model, size,
+ * speeds, mass, grip, health, takedown bonus and pursuit strategy; spawn
+ * tables pick units per star
+ */
+
+import { COLORS } from "../utils/constants.js";
+
+/**
+ * Pursuit strategies (STRATEGY):
+ * - "mixed": blocks ahead or flanks, chosen per car (classic patrol mix)
+ * - "intercept": aims at the player's path ahead to cut them off
+ * - "flank": comes alongside to push the player off line
+ * - "ram": drives straight at the player and keeps charging when close
+ * - "block": gets far ahead on the player's route to plug the road
+ *
+ * MODEL_PATH null uses the box mesh in COLOR
+ */
+export const POLICE_UNITS = {
+  PATROL: {
+    ID: "patrol",
+    NAME: "Patrol Cruiser",
+    MODEL_PATH: "/model/police_car/policecar1.glb",
+    MODEL_SCALE: 0.035,
+    COLOR: COLORS.ENEMY_CAR,
+    STRATEGY: "mixed",
+    // Speeds, size, mass, grip and health are the ENEMY_CONFIG baseline
+  },
+  INTERCEPTOR: {
+    ID: "interceptor",
+    NAME: "Interceptor",
+    MODEL_PATH: "/model/police_car/policecar1.glb",
+    MODEL_SCALE: 0.033,
+    COLOR: 0x0a0a2a,
+    STRATEGY: "intercept",
+    INITIAL_SPEED: 22,
+    CATCH_UP_SPEED: 30,
+    MAX_SPEED: 38, // Only a boost gets away
+    ROTATION_SPEED: 0.08,
+    AGGRESSION_FACTOR: 0.02,
+    MASS: 1.3, // Light - easy to shove aside
+    GRIP_FACTOR: 0.4, // Corners flat
+    MAX_HEALTH: 80,
+    TAKEDOWN_BONUS: 600,
+  },
+  HEAVY_SUV: {
+    ID: "heavy_suv",
+    NAME: "Heavy SUV",
+    MODEL_PATH: null,
+    COLOR: 0x1c1c1c,
+    STRATEGY: "ram",
+    WIDTH: 2.6,
+    HEIGHT: 1.8,
+    LENGTH: 4.8,
+    INITIAL_SPEED: 17,
+    CATCH_UP_SPEED: 22,
+    MAX_SPEED: 30,
+    ROTATION_SPEED: 0.045,
+    AGGRESSION_FACTOR: 0.06,
+    MASS: 2.8,
+    GRIP_FACTOR: 0.6, // Heavy - slides wide
+    MAX_HEALTH: 160,
+    TAKEDOWN_BONUS: 800,
+  },
+  SWAT_VAN: {
+    ID: "swat_van",
+    NAME: "SWAT Van",
+    MODEL_PATH: null,
+    COLOR: 0x1a1f2e,
+    STRATEGY: "block",
+    WIDTH: 2.8,
+    HEIGHT: 2.4,
+    LENGTH: 5.6,
+    INITIAL_SPEED: 15,
+    CATCH_UP_SPEED: 20,
+    MAX_SPEED: 26,
+    ROTATION_SPEED: 0.04,
+    AGGRESSION_FACTOR: 0.04,
+    MASS: 4, // Armored - barely moves when rammed
+    GRIP_FACTOR: 0.65,
+    MAX_HEALTH: 250,
+    TAKEDOWN_BONUS: 1200,
+  },
+};
+
+/**
+ * Relative spawn weights per wanted level (index 0 = 1 star)
+ */
+export const POLICE_SPAWN_TABLES = [
+  { PATROL: 1 },
+  { PATROL: 0.8, INTERCEPTOR: 0.2 },
+  { PATROL: 0.55, INTERCEPTOR: 0.25, HEAVY_SUV: 0.2 },
+  { PATROL: 0.4, INTERCEPTOR: 0.25, HEAVY_SUV: 0.25, SWAT_VAN: 0.1 },
+  { PATROL: 0.25, INTERCEPTOR: 0.3, HEAVY_SUV: 0.25, SWAT_VAN: 0.2 },
+];
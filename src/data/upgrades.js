@@ -0,0 +1,80 @@
+/**
+ * Upgrades - Car upgrades bought with cash between runs
+ * Each level scales PlayerCar stats on top of the chosen vehicle
+ */
+
+/**
+ * EFFECTS maps a stat to its change per level as a fraction of the
+ * vehicle's value (0.05 = +5% per level, negative lowers the stat)
+ * COSTS holds the price of each level - its length is the max level
+ */
+export const UPGRADES = {
+  ENGINE: {
+    ID: "engine",
+    NAME: "Engine",
+    DESCRIPTION: "Higher top speed and acceleration",
+    COSTS: [400, 800, 1500, 2500, 4000],
+    EFFECTS: { AUTO_FORWARD_SPEED: 0.03, MAX_SPEED: 0.04, ACCELERATION: 0.08 },
+  },
+  TIRES: {
+    ID: "tires",
+    NAME: "Tires",
+    DESCRIPTION: "Sharper steering and less sliding",
+    COSTS: [300, 600, 1200, 2000, 3200],
+    EFFECTS: { ROTATION_SPEED: 0.05, GRIP_FACTOR: -0.08 },
+  },
+  ARMOR: {
+    ID: "armor",
+    NAME: "Armor",
+    DESCRIPTION: "More health before the car is wrecked",
+    COSTS: [350, 700, 1300, 2200, 3500],
+    EFFECTS: { MAX_HEALTH: 0.12 },
+  },
+  BOOST_CAPACITY: {
+    ID: "boost_capacity",
+    NAME: "Boost Capacity",
+    DESCRIPTION: "Bigger nitro tank",
+    COSTS: [300, 600, 1100, 1800, 3000],
+    EFFECTS: { BOOST_CAPACITY: 0.12 },
+  },
+  BOOST_RECHARGE: {
+    ID: "boost_recharge",
+    NAME: "Boost Recharge",
+    DESCRIPTION: "Nitro refills faster",
+    COSTS: [300, 600, 1100, 1800, 3000],
+    EFFECTS: { BOOST_REFILL_FACTOR: 0.1 },
+  },
+};
+
+/**
+ * Highest level an upgrade can reach
+ */
+export function getMaxLevel(upgrade) {
+  return upgrade.COSTS.length;
+}
+
+/**
+ * Price of the next level, or null when the upgrade is maxed out
+ * @param {Object} upgrade - Entry of UPGRADES
+ * @param {number} level - Level owned now
+ */
+export function getUpgradeCost(upgrade, level) {
+  return level < getMaxLevel(upgrade) ? upgrade.COSTS[level] : null;
+}
+
+/**
+ * Apply upgrade levels to a car config
+ * @param {Object} config - Merged PLAYER_CONFIG + vehicle stats
+ * @param {Object} levels - Upgrade ID -> level owned (missing = 0)
+ * @returns {Object} - New config with upgraded stats
+ */
+export function applyUpgrades(config, levels = {}) {
+  const upgraded = { ...config };
+  Object.values(UPGRADES).forEach((upgrade) => {
+    const level = levels[upgrade.ID] || 0;
+    Object.entries(upgrade.EFFECTS).forEach(([stat, perLevel]) => {
+      upgraded[stat] *= 1 + perLevel * level;
+    });
+  });
+  return upgraded;
+}
@@ -4,9 +4,11 @@
  * Coordinates initialization, game loop, and lifecycle management
  */
 
+import * as THREE from "three";
 import { GameEngine } from "./core/GameEngine.js";
 import { GameLoop } from "./core/GameLoop.js";
 import { PlayerCar } from "./objects/PlayerCar.js";
+import { DEFAULT_VEHICLE_ID, getPlayerVehicle } from "./data/playerVehicles.js";
 import { EnemyChaser } from "./objects/EnemyChaser.js";
 import { City } from "./objects/City.js";
 import { Desert } from "./objects/Desert.js";
@@ -18,20 +20,53 @@ import { EffectsSystem } from "./systems/EffectsSystem.js";
 import { SoundSystem } from "./systems/SoundSystem.js";
 import { WantedSystem } from "./systems/WantedSystem.js";
 import { SkidMarkSystem } from "./systems/SkidMarkSystem.js";
+import { PickupSystem } from "./systems/PickupSystem.js";
+import { PedestrianSystem } from "./systems/PedestrianSystem.js";
+import { ProgressionSystem } from "./systems/ProgressionSystem.js";
 import { InputManager } from "./controls/InputManager.js";
+import { InputRecorder } from "./controls/InputRecorder.js";
+import { ReplayInput } from "./controls/ReplayInput.js";
 import { CameraController } from "./controls/CameraController.js";
 import { HUD } from "./ui/HUD.js";
 import { MenuSystem } from "./ui/MenuSystem.js";
-import { ENEMY_CONFIG, WANTED_CONFIG } from "./utils/constants.js";
+import { ReplayControls } from "./ui/ReplayControls.js";
+import {
+  BOOST_CONFIG,
+  ENEMY_CONFIG,
+  GAME_CONFIG,
+  WANTED_CONFIG,
+} from "./utils/constants.js";
+import { HAS_DOM, isHeadless, setHeadless } from "./utils/runtime.js";
+import {
+  SeededRandom,
+  createRunSeed,
+  parseSeed,
+} from "./utils/seededRandom.js";
+import {
+  createReplay,
+  downloadReplay,
+  parseReplay,
+  readReplayFile,
+} from "./utils/replayFormat.js";
+import { downloadSave, readSaveFile } from "./utils/saveFormat.js";
 
 /**
  * Main Game class - orchestrates all game systems
  */
 class Game {
-  constructor() {
+  /**
+   * @param {Object} options - Pass { headless: true } to simulate without
+   *   renderer, DOM or audio (always headless under Node)
+   */
+  constructor(options = {}) {
+    // Headless mode - stepped manually via step(), nothing is drawn
+    setHeadless(options.headless || isHeadless());
+    this.headless = isHeadless();
+
     // Core systems
     this.engine = null;
     this.gameLoop = null;
+    this.scene = null;
 
     // Game objects
     this.player = null;
@@ -48,18 +83,39 @@ class Game {
     this.soundSystem = null;
     this.wantedSystem = null;
     this.skidMarkSystem = null;
+    this.pickupSystem = null;
+    this.pedestrianSystem = null;
 
     // Controls
     this.inputManager = null;
     this.cameraController = null;
 
+    // Replays - live runs are recorded, replays feed recorded input instead
+    this.inputRecorder = null;
+    this.replayInput = null;
+    this.inputSource = null; // Replay or scripted driver (null = keyboard)
+    this.lastReplay = null; // Parsed replay of the last run (or imported file)
+
     // UI
     this.hud = null;
     this.menuSystem = null;
+    this.replayControls = null;
 
     // Game state
     this.isPlaying = false;
     this.isInitialized = false;
+    this.endReason = null; // "caught", "boxed-in", "wrecked" or "replay-end"
+    this.lastStats = null;
+    this.stepCount = 0;
+    this.vehicleId = DEFAULT_VEHICLE_ID; // Car picked in the garage
+    this.redLightHeat = true; // Menu setting: running reds raises heat
+    this.runRedLightHeat = true; // Setting the current run started with
+    this.progression = null; // Cash and upgrades (browser only)
+
+    // Run seed - reproduces city layout, traffic and police behavior
+    this.fixedSeed = null; // Seed forced via ?seed= URL parameter
+    this.runSeed = null;
+    this.rng = null;
   }
 
   /**
@@ -68,6 +124,13 @@ class Game {
   async init() {
     console.log("🎮 Initializing Chase Escape...");
 
+    // Headless runs only need a scene graph to hold the world
+    if (this.headless) {
+      this.scene = new THREE.Scene();
+      this.isInitialized = true;
+      return;
+    }
+
     // Initialize core engine
     const canvas = document.getElementById("gameCanvas");
     if (!canvas) {
@@ -77,19 +140,55 @@ class Game {
 
     this.engine = new GameEngine(canvas);
     this.gameLoop = new GameLoop();
+    this.scene = this.engine.getScene();
+
+    // Cash, upgrades and the garage pick survive between sessions
+    this.progression = new ProgressionSystem(this._getStorage());
+    this.vehicleId = getPlayerVehicle(this.progression.getVehicle()).ID;
+    this.redLightHeat = this.progression.getRedLightHeat();
 
     // Initialize UI
     this.hud = new HUD();
     this.menuSystem = new MenuSystem();
+    this.menuSystem.setSelectedVehicle(this.vehicleId);
+    this.menuSystem.setProgression(this.progression);
+    this.menuSystem.setRedLightHeat(this.redLightHeat);
 
     // Setup menu callbacks
     this.menuSystem.setOnStartGame(() => this.startGame());
     this.menuSystem.setOnResumeGame(() => this.resumeGame());
     this.menuSystem.setOnRestartGame(() => this.restartGame());
+    this.menuSystem.setOnWatchReplay(() => this.watchReplay(this.lastReplay));
+    this.menuSystem.setOnExportReplay(() => this.exportReplay());
+    this.menuSystem.setOnImportReplay((file) => this.importReplay(file));
+    this.menuSystem.setOnSelectVehicle((id) => this.selectVehicle(id));
+    this.menuSystem.setOnPurchaseUpgrade((id) => this.purchaseUpgrade(id));
+    this.menuSystem.setOnExportSave(() => this.exportSave());
+    this.menuSystem.setOnImportSave((file) => this.importSave(file));
+    this.menuSystem.setOnToggleRedLightHeat(() =>
+      this.setRedLightHeat(!this.redLightHeat)
+    );
+
+    // Replay playback bar
+    this.replayControls = new ReplayControls();
+    this.replayControls.setOnTogglePause(() => this.toggleReplayPause());
+    this.replayControls.setOnSeek((frame) => this.seekReplay(frame));
+    this.replayControls.setOnSpeedChange((speed) =>
+      this.gameLoop.setTimeScale(speed)
+    );
+    this.replayControls.setOnExit(() => this.gameOver());
 
     // Initialize input
     this.inputManager = new InputManager();
 
+    // A seed in the URL (?seed=1234) replays the same world every run
+    this.fixedSeed = parseSeed(
+      new URLSearchParams(window.location.search).get("seed")
+    );
+    if (this.fixedSeed !== null) {
+      console.log(`🎲 Using seed from URL: ${this.fixedSeed}`);
+    }
+
     // Show main menu
     this.menuSystem.showMainMenu();
     this.hud.hide();
@@ -100,9 +199,24 @@ class Game {
 
   /**
    * Start a new game
+   * @param {Object} options - Pass { replay } to play back a recorded run,
+   *   { inputSource } to drive the player with any object exposing getInput()
+   *   { seed } to force the run seed, { vehicle } to drive another car,
+   *   { upgrades } to override the bought upgrade levels and
+   *   { redLightHeat } to override the red light heat setting
    */
-  startGame() {
-    console.log("🚀 === STARTING NEW GAME ===");
+  startGame(options = {}) {
+    const {
+      replay = null,
+      inputSource = null,
+      seed = null,
+      vehicle = null,
+      upgrades = null,
+      redLightHeat = null,
+    } = options;
+    console.log(
+      replay ? "🎬 === STARTING REPLAY ===" : "🚀 === STARTING NEW GAME ==="
+    );
 
     // Clear any existing game objects
     console.log("🧹 Cleanup phase...");
@@ -115,30 +229,69 @@ class Game {
     }
 
     // Get scene reference
-    const scene = this.engine.getScene();
+    const scene = this.scene;
     console.log(`🎬 Scene ready, children count: ${scene.children.length}`);
 
+    // Seed every random stream for this run (replays reuse the recorded seed)
+    this.runSeed = replay
+      ? replay.seed
+      : (seed ?? this.fixedSeed ?? createRunSeed());
+    this.rng = new SeededRandom(this.runSeed);
+    console.log(`🎲 Run seed: ${this.runSeed}`);
+
+    // Replays drive the recorded car (older files predate the garage)
+    const vehicleDef = getPlayerVehicle(
+      replay ? replay.vehicle : (vehicle ?? this.vehicleId)
+    );
+    const upgradeLevels = replay
+      ? replay.upgrades
+      : (upgrades ?? this.progression?.getUpgradeLevels() ?? null);
+    this.runRedLightHeat = replay
+      ? replay.redLightHeat
+      : (redLightHeat ?? this.redLightHeat);
+
+    // Record live input, or feed the recorded input back
+    this.replayInput = replay ? new ReplayInput(replay) : null;
+    this.inputSource = this.replayInput || inputSource;
+    this.inputRecorder = replay
+      ? null
+      : new InputRecorder(
+          this.runSeed,
+          vehicleDef.ID,
+          upgradeLevels,
+          this.runRedLightHeat
+        );
+    this.endReason = null;
+    this.lastStats = null;
+    this.stepCount = 0;
+
     // Create game objects
-    console.log("🚗 Creating player car...");
-    this.player = new PlayerCar(scene);
+    console.log(`🚗 Creating player car (${vehicleDef.NAME})...`);
+    this.player = new PlayerCar(scene, vehicleDef, upgradeLevels);
     console.log(
       `✅ Player created at (${this.player.position.x}, ${this.player.position.z})`
     );
 
     console.log("🏙️ Creating city...");
-    this.city = new City(scene);
+    this.city = new City(scene, this.rng.fork("city"));
     console.log("✅ City created");
 
     // OPTIMIZED: Desert disabled for performance
     // this.desert = new Desert(scene);
 
     console.log("🚕 Creating traffic manager...");
-    this.trafficManager = new TrafficManager(scene, this.city); // Pass city reference for collision
+    this.trafficManager = new TrafficManager(
+      scene,
+      this.city, // Roads to spawn on and buildings to avoid
+      this.rng.fork("traffic"),
+      this.player // Traffic follows the player around the city
+    );
     console.log("✅ Traffic manager created");
 
     // Create multiple enemy police cars
     console.log("🚓 Creating enemy police cars...");
     this.enemies = [];
+    const policeRng = this.rng.fork("police");
     const enemySpawnPositions = [
       { x: -30, z: 40 },
       { x: 30, z: 40 },
@@ -147,15 +300,16 @@ class Game {
 
     for (let i = 0; i < ENEMY_CONFIG.INITIAL_COUNT; i++) {
       const spawnPos = enemySpawnPositions[i] || {
-        x: Math.random() * 60 - 30,
-        z: 40 + Math.random() * 20,
+        x: policeRng.range(-30, 30),
+        z: policeRng.range(40, 60),
       };
       const enemy = new EnemyChaser(
         scene,
         this.player,
         spawnPos,
         this.city,
-        this.enemies
+        this.enemies,
+        policeRng
       );
       this.enemies.push(enemy);
       console.log(
@@ -181,9 +335,11 @@ class Game {
 
     // Pass skid mark system to player and enemies
     this.player.setSkidMarkSystem(this.skidMarkSystem);
-    this.enemies.forEach((enemy) =>
-      enemy.setSkidMarkSystem(this.skidMarkSystem)
-    );
+    this.player.setEffectsSystem(this.effectsSystem); // Sparks from flat tires
+    this.enemies.forEach((enemy) => {
+      enemy.setSkidMarkSystem(this.skidMarkSystem);
+      enemy.setEffectsSystem(this.effectsSystem); // Damage smoke
+    });
 
     // Create wanted system for dynamic police spawning
     this.wantedSystem = new WantedSystem(
@@ -193,29 +349,70 @@ class Game {
       WANTED_CONFIG,
       this.city, // Pass city reference for building collision
       this.skidMarkSystem, // Pass skid mark system to wanted system
-      this.soundSystem // Pass sound system for police siren
+      this.soundSystem, // Pass sound system for police siren
+      this.rng.fork("wanted"),
+      this.effectsSystem // Damage smoke for spawned police
     );
-    console.log("✅ All game systems created");
 
-    // Setup camera controller
-    console.log("🎥 Setting up camera...");
-    this.cameraController = new CameraController(
-      this.engine.getCamera(),
-      this.player
+    // Repair kits and nitro canisters on the road ahead
+    this.pickupSystem = new PickupSystem(scene, this.player, this.city);
+
+    // Pedestrians scatter from the chase; traffic stops for them
+    this.pedestrianSystem = new PedestrianSystem(
+      scene,
+      this.player,
+      this.city,
+      this.enemies, // Same array the wanted system adds police to
+      this.trafficManager,
+      this.rng.fork("pedestrians")
     );
-    this.cameraController.reset();
-    console.log("✅ Camera ready");
+    this.trafficManager.setPedestrianSystem(this.pedestrianSystem);
+    // Traffic pulls over for sirens, including units the wanted system adds
+    this.trafficManager.setPoliceUnits(this.enemies);
+    console.log("✅ All game systems created");
 
     // Setup collision callbacks
     this.collisionSystem.setOnPlayerHitEnemy(() => {
       this._handlePlayerCaught();
     });
 
+    // Crimes witnessed by the collision system raise the wanted level
+    this.collisionSystem.setOnOffense((type) => {
+      if (type === "RUN_RED_LIGHT" && !this.runRedLightHeat) return;
+      this.wantedSystem.reportOffense(type);
+    });
+
+    // Threading through traffic tops up the nitro meter
+    this.collisionSystem.setOnNearMiss(() => {
+      this.player.refillBoost(BOOST_CONFIG.NEAR_MISS_REFILL);
+    });
+
+    // Wrecking a police car earns its takedown bonus
+    this.wantedSystem.setOnTakedown((police) => {
+      this.scoreSystem.addTakedownBonus(police.getTakedownBonus?.());
+    });
+
     // Setup difficulty increase callback
     this.difficultyManager.setOnDifficultyIncrease((level) => {
       console.log(`⬆️ Difficulty increased to level ${level}`);
     });
 
+    // Headless runs are stepped by the caller - no camera, loop or UI
+    if (this.headless) {
+      this.isPlaying = true;
+      console.log("✅ === HEADLESS GAME STARTED ===");
+      return;
+    }
+
+    // Setup camera controller
+    console.log("🎥 Setting up camera...");
+    this.cameraController = new CameraController(
+      this.engine.getCamera(),
+      this.player
+    );
+    this.cameraController.reset();
+    console.log("✅ Camera ready");
+
     // Register update callbacks with game loop
     console.log("🔄 Registering game loop callbacks...");
     this.gameLoop.clearCallbacks();
@@ -228,8 +425,14 @@ class Game {
     this.gameLoop.start();
     this.isPlaying = true;
 
-    // Show HUD
+    // Show HUD (and playback bar for replays)
     this.hud.show();
+    if (replay) {
+      this.replayControls.show();
+    } else {
+      this.gameLoop.setTimeScale(1);
+      this.replayControls.hide();
+    }
 
     console.log("✅ === GAME STARTED SUCCESSFULLY ===");
     console.log(`Scene objects: ${scene.children.length}`);
@@ -245,6 +448,7 @@ class Game {
     if (!this.isPlaying) return;
 
     // Stop player and end the run immediately
+    this.endReason = "caught";
     this.player.die();
     this.gameOver();
   }
@@ -254,14 +458,25 @@ class Game {
    * @private
    */
   _update(deltaTime) {
-    // Check for pause input
-    if (this.inputManager.getPausePressed()) {
-      this.pauseGame();
-      return;
+    let input;
+    if (this.inputSource) {
+      // Replays and scripted drivers ignore the keyboard
+      input = this.inputSource.getInput();
+    } else {
+      // Check for pause input
+      if (this.inputManager.getPausePressed()) {
+        this.pauseGame();
+        return;
+      }
+
+      input = this.inputManager.getInput();
     }
+    if (this.inputRecorder) {
+      this.inputRecorder.record(input);
+    }
+    this.stepCount++;
 
     // Update input state
-    const input = this.inputManager.getInput();
     this.player.setInput(input);
 
     // Update game objects
@@ -270,6 +485,7 @@ class Game {
     // Keep world tiling aligned to player for endless effect
     if (this.city) {
       this.city.update(this.player.getPosition());
+      this.city.updateSignals(deltaTime);
     }
 
     // Update all enemies
@@ -287,25 +503,59 @@ class Game {
     this.effectsSystem.update(deltaTime);
     this.wantedSystem.update(deltaTime); // Update wanted system for dynamic police spawning
     this.skidMarkSystem.update(deltaTime); // Update skid marks for fading
+    this.pickupSystem.update(deltaTime);
+    this.pedestrianSystem.update(deltaTime);
 
-    // Update camera
-    this.cameraController.update(deltaTime);
+    if (!this.headless) {
+      // Update camera
+      this.cameraController.update(deltaTime);
 
-    // Update HUD
-    this._updateHUD();
+      // Update HUD
+      this._updateHUD();
+    }
 
     // Check for game over
     if (!this.player.isAlive) {
+      this.endReason =
+        this.endReason || (this.player.isTrapped ? "boxed-in" : "wrecked");
+      this.gameOver();
+    } else if (this.replayInput && this.replayInput.isFinished()) {
+      // Recording ran out without a crash - end playback
+      this.endReason = "replay-end";
       this.gameOver();
     }
   }
 
+  /**
+   * Advance a headless run by fixed physics steps
+   * Stops early when the run ends
+   * @param {number} steps - Number of steps to simulate
+   * @returns {number} - Number of steps actually simulated
+   */
+  step(steps = 1) {
+    let simulated = 0;
+    while (simulated < steps && this.isPlaying) {
+      this._update(GAME_CONFIG.PHYSICS_STEP);
+      simulated++;
+    }
+    return simulated;
+  }
+
   /**
    * Render function - called every frame
    * @private
    */
   _render() {
     this.engine.render();
+
+    if (this.replayInput && this.isPlaying) {
+      this.replayControls.update(
+        this.replayInput.getFrameIndex() + this.gameLoop.getPendingSteps(),
+        this.replayInput.getFrameCount(),
+        this.gameLoop.getPaused(),
+        this.gameLoop.getTimeScale()
+      );
+    }
   }
 
   /**
@@ -315,11 +565,37 @@ class Game {
   _updateHUD() {
     this.hud.update({
       score: this.scoreSystem.getTotalScore(),
+      boost: this.player.getBoostPercent(),
       boostReady: this.player.canBoost(),
+      boostActive: this.player.boostActive,
+      health: this.player.getHealthPercent(),
       wantedLevel: this.wantedSystem.getWantedLevel(), // Pass wanted level to HUD
+      wantedSearching: this.wantedSystem.getIsSearching(),
+      evadeProgress: this.wantedSystem.getEvadeProgress(),
+      punctured: this.player.isPunctured,
+      punctureTime: this.player.punctureTimer,
+      helicopter: this._getHelicopterMarker(),
     });
   }
 
+  /**
+   * Screen position of the police helicopter for the HUD threat marker
+   * @private
+   * @returns {{x: number, y: number, contact: boolean}|null}
+   */
+  _getHelicopterMarker() {
+    const helicopter = this.wantedSystem.getHelicopter();
+    if (!helicopter) return null;
+
+    const { x, y, z } = helicopter.getPosition();
+    const screen = new THREE.Vector3(x, y, z).project(this.engine.getCamera());
+    return {
+      x: screen.x,
+      y: screen.y,
+      contact: helicopter.hasVisualContact(),
+    };
+  }
+
   /**
    * Pause the game
    */
@@ -336,6 +612,7 @@ class Game {
         enemy.pauseSiren();
       }
     });
+    this.wantedSystem.getHelicopter()?.pauseRotor();
 
     console.log("⏸️ Game paused");
   }
@@ -354,6 +631,7 @@ class Game {
         enemy.resumeSiren();
       }
     });
+    this.wantedSystem.getHelicopter()?.resumeRotor();
 
     console.log("▶️ Game resumed");
   }
@@ -368,7 +646,9 @@ class Game {
     if (!this.isPlaying) return;
 
     this.isPlaying = false;
-    this.gameLoop.stop();
+    if (this.gameLoop) {
+      this.gameLoop.stop();
+    }
 
     // Stop all police sirens when game over
     this.enemies.forEach((enemy) => {
@@ -376,15 +656,203 @@ class Game {
         enemy.pauseSiren();
       }
     });
+    this.wantedSystem.getHelicopter()?.pauseRotor();
 
     // Get final statistics
-    const stats = this.scoreSystem.getStatistics();
+    const stats = {
+      ...this.scoreSystem.getStatistics(),
+      seed: this.runSeed,
+    };
+    // Live runs pay out cash for upgrades
+    if (this.progression && !this.replayInput) {
+      stats.cashEarned = this.progression.awardCash(stats.totalScore);
+      this.menuSystem.refreshProgression();
+    }
+    this.lastStats = stats;
+
+    // Keep the finished run so it can be watched or exported
+    if (this.inputRecorder) {
+      this.lastReplay = parseReplay(this.inputRecorder.getReplay(stats));
+    }
+
+    if (this.headless) return;
+
+    this.replayControls.hide();
 
     // Show game over menu with stats
-    this.menuSystem.showGameOverMenu(stats);
+    this.menuSystem.showGameOverMenu(stats, this.lastReplay !== null);
     this.hud.hide();
   }
 
+  /**
+   * Play back a recorded run from the start
+   * @param {Object} replay - Parsed replay ({ seed, vehicle, frames, stats })
+   */
+  watchReplay(replay) {
+    if (!replay) return;
+
+    this.menuSystem.hideGameOverMenu();
+    this.gameLoop.stop();
+    this.gameLoop.setTimeScale(1);
+    this.isPlaying = false;
+    this.startGame({ replay });
+  }
+
+  /**
+   * Pause or resume replay playback
+   */
+  toggleReplayPause() {
+    if (!this.replayInput || !this.isPlaying) return;
+
+    const resuming = this.gameLoop.getPaused();
+    if (resuming) {
+      this.gameLoop.resume();
+    } else {
+      this.gameLoop.pause();
+    }
+
+    // Sirens and the rotor follow playback like in the pause menu
+    this.enemies.forEach((enemy) => {
+      const toggleSiren = resuming ? enemy.resumeSiren : enemy.pauseSiren;
+      if (toggleSiren) toggleSiren.call(enemy);
+    });
+    const helicopter = this.wantedSystem.getHelicopter();
+    if (resuming) {
+      helicopter?.resumeRotor();
+    } else {
+      helicopter?.pauseRotor();
+    }
+  }
+
+  /**
+   * Jump replay playback to a physics step
+   * The simulation can't run backwards, so seeking back rebuilds the run from
+   * its seed and fast-forwards to the target step
+   * @param {number} frame - Target step index
+   */
+  seekReplay(frame) {
+    if (!this.replayInput || !this.isPlaying) return;
+
+    const target = Math.min(
+      Math.max(0, Math.floor(frame)),
+      this.replayInput.getFrameCount()
+    );
+    const current =
+      this.replayInput.getFrameIndex() + this.gameLoop.getPendingSteps();
+
+    if (target >= current) {
+      this.gameLoop.fastForward(target - current);
+      return;
+    }
+
+    const wasPaused = this.gameLoop.getPaused();
+    this.gameLoop.stop();
+    this.isPlaying = false;
+    this.startGame({ replay: this.replayInput.replay });
+    if (wasPaused) this.gameLoop.pause();
+    this.gameLoop.fastForward(target);
+  }
+
+  /**
+   * Download the last run's replay as JSON
+   */
+  exportReplay() {
+    if (!this.lastReplay) return;
+
+    const { seed, frames, stats, vehicle, upgrades, redLightHeat } =
+      this.lastReplay;
+    downloadReplay(
+      createReplay(seed, frames, stats, vehicle, upgrades, redLightHeat)
+    );
+  }
+
+  /**
+   * Pick the car for the next runs (from the garage)
+   * @param {string} id - Vehicle ID (see PLAYER_VEHICLES)
+   */
+  selectVehicle(id) {
+    const vehicle = getPlayerVehicle(id);
+    this.vehicleId = vehicle.ID;
+    this.menuSystem.setSelectedVehicle(vehicle.ID);
+    this.progression.setVehicle(vehicle.ID);
+    console.log(`🚗 Selected vehicle: ${vehicle.NAME}`);
+  }
+
+  /**
+   * Turn heat for running red lights on or off for the next runs
+   */
+  setRedLightHeat(enabled) {
+    this.redLightHeat = enabled;
+    this.menuSystem.setRedLightHeat(enabled);
+    this.progression.setRedLightHeat(enabled);
+    console.log(`🚦 Red light heat ${enabled ? "on" : "off"}`);
+  }
+
+  /**
+   * Buy the next level of an upgrade (from the garage)
+   * @param {string} id - Upgrade ID (see UPGRADES)
+   */
+  purchaseUpgrade(id) {
+    if (this.progression.purchaseUpgrade(id)) {
+      this.menuSystem.refreshProgression();
+    }
+  }
+
+  /**
+   * Download the progression save as JSON
+   */
+  exportSave() {
+    downloadSave(this.progression.exportSave());
+  }
+
+  /**
+   * Load a save file, replacing the current progress
+   * @param {File} file - JSON file picked by the user
+   */
+  async importSave(file) {
+    try {
+      this.progression.importSave(await readSaveFile(file));
+      console.log(`💾 Imported save: $${this.progression.getCash()}`);
+      this.selectVehicle(this.progression.getVehicle());
+      this.setRedLightHeat(this.progression.getRedLightHeat());
+      this.menuSystem.refreshProgression();
+    } catch (error) {
+      console.error("❌ Failed to import save:", error);
+      this.menuSystem.showSaveError(error.message);
+    }
+  }
+
+  /**
+   * Browser storage for the save, if the page is allowed to use it
+   * @private
+   */
+  _getStorage() {
+    try {
+      return window.localStorage;
+    } catch (error) {
+      console.warn("⚠️ localStorage unavailable, progress won't be saved");
+      return null;
+    }
+  }
+
+  /**
+   * Load a replay file and start playing it
+   * @param {File} file - JSON file picked by the user
+   */
+  async importReplay(file) {
+    try {
+      const replay = await readReplayFile(file);
+      console.log(
+        `📼 Imported replay: seed ${replay.seed}, ${replay.frames.length} steps`
+      );
+      this.lastReplay = replay;
+      this.watchReplay(replay);
+    } catch (error) {
+      console.error("❌ Failed to import replay:", error);
+      this.menuSystem.showReplayError(error.message);
+    }
+  }
+
   /**
    * Restart the game
    */
@@ -428,6 +896,14 @@ class Game {
       console.log("Clearing wanted system");
       this.wantedSystem = null;
     }
+    if (this.pickupSystem) {
+      console.log("Clearing pickup system");
+      this.pickupSystem = null;
+    }
+    if (this.pedestrianSystem) {
+      console.log("Clearing pedestrian system");
+      this.pedestrianSystem = null;
+    }
     if (this.cameraController) {
       console.log("Clearing camera controller");
       this.cameraController = null;
@@ -505,6 +981,33 @@ class Game {
       console.error("Error disposing skid mark system:", error);
     }
 
+    try {
+      if (this.wantedSystem) {
+        console.log("Disposing wanted system...");
+        this.wantedSystem.dispose();
+      }
+    } catch (error) {
+      console.error("Error disposing wanted system:", error);
+    }
+
+    try {
+      if (this.pickupSystem) {
+        console.log("Disposing pickup system...");
+        this.pickupSystem.dispose();
+      }
+    } catch (error) {
+      console.error("Error disposing pickup system:", error);
+    }
+
+    try {
+      if (this.pedestrianSystem) {
+        console.log("Disposing pedestrian system...");
+        this.pedestrianSystem.dispose();
+      }
+    } catch (error) {
+      console.error("Error disposing pedestrian system:", error);
+    }
+
     console.log("✅ All game objects cleaned up");
   }
 
@@ -521,6 +1024,7 @@ class Game {
     if (this.inputManager) this.inputManager.dispose();
     if (this.hud) this.hud.dispose();
     if (this.menuSystem) this.menuSystem.dispose();
+    if (this.replayControls) this.replayControls.dispose();
     if (this.engine) this.engine.dispose();
 
     console.log("✅ Game cleaned up");
@@ -529,15 +1033,18 @@ class Game {
 
 /**
  * Initialize and start the game when DOM is ready
+ * (skipped when imported by headless simulations)
  */
-window.addEventListener("DOMContentLoaded", async () => {
-  console.log("🎮 Chase Escape - Loading...");
+if (HAS_DOM) {
+  window.addEventListener("DOMContentLoaded", async () => {
+    console.log("🎮 Chase Escape - Loading...");
 
-  const game = new Game();
-  await game.init();
+    const game = new Game();
+    await game.init();
 
-  // Make game instance globally accessible for debugging
-  window.game = game;
-});
+    // Make game instance globally accessible for debugging
+    window.game = game;
+  });
+}
 
 export default Game;
@@ -5,30 +5,60 @@
  */
 
 import * as THREE from "three";
-import { WORLD_CONFIG, COLORS, ROAD_CONFIG } from "../utils/constants.js";
-import { random, randomInt } from "../utils/helpers.js";
+import {
+  WORLD_CONFIG,
+  COLORS,
+  ROAD_CONFIG,
+  COLLISION_CONFIG,
+} from "../utils/constants.js";
+import { DISTRICTS, DISTRICT_WEIGHTS } from "../data/districts.js";
+import { SeededRandom, createRunSeed } from "../utils/seededRandom.js";
+import { SpatialHash } from "../utils/spatialHash.js";
+import { segmentIntersectsRect2D } from "../utils/helpers.js";
+import { isHeadless } from "../utils/runtime.js";
 import { CityObstacles } from "./CityObstacles.js";
+import { RoadGraph } from "./RoadGraph.js";
 import { StreetFurniture } from "./StreetFurniture.js";
+import { TrafficSignalController } from "./TrafficSignals.js";
 
 export class City {
-  constructor(scene) {
+  constructor(scene, rng = null) {
     this.scene = scene;
+    // World generator - each tile forks its own stream from this seed
+    this.rng = rng || new SeededRandom(createRunSeed());
     this.buildings = [];
+    // Grid index over building footprints - kept in sync with this.buildings
+    this.buildingGrid = new SpatialHash(COLLISION_CONFIG.BUILDING_CELL_SIZE);
     this.tiles = new Map(); // Use Map for efficient tile lookup by grid coordinates
     this.tileSize = WORLD_CONFIG.SIZE;
+    this.roadGraph = new RoadGraph(this.tileSize); // Intersections of loaded tiles
     this.cityObstacles = new CityObstacles(scene);
     this.streetFurniture = new StreetFurniture(scene);
+    // Signal phases of every crossroads, shown on the loaded traffic lights
+    this.signals = new TrafficSignalController(this.rng, this.streetFurniture);
     this.visibleRadius = 2; // Reduced from 3 - fewer tiles loaded (2x2 = 4 tiles)
     this.lastPlayerGrid = { x: 0, z: 0 }; // Track last player grid position
 
-    // Async loading system for smooth performance
+    // Incremental loading system for smooth performance
+    // Work is budgeted per update step (not wall-clock time) so streaming is
+    // identical between a run and its replay
     this.loadQueue = []; // Tiles waiting to load
     this.loadingTiles = new Set(); // Currently loading tiles
-    this.maxLoadTimePerFrame = 4; // Reduced from 6 - less work per frame
+    this.buildingJobs = []; // Tiles still streaming in their buildings
+    this.unloadQueue = []; // Tiles waiting to be removed
+    this.tilesToKeep = new Set(); // Tiles inside the visible radius
+    this.tilesPerUpdate = 1; // New tiles created per update step
+    this.tilesUnloadedPerUpdate = 1; // Distant tiles removed per update step
+    this.gridChangeCount = 0; // Drives periodic street furniture cleanup
     this.buildingsPerChunk = 2; // Reduced from 3 - smaller chunks
 
     // Shared materials (reused across all objects to reduce texture/material count)
-    this._initSharedMaterials();
+    // Headless runs have no canvas to paint textures on
+    if (isHeadless()) {
+      this._initFlatMaterials();
+    } else {
+      this._initSharedMaterials();
+    }
 
     // Create initial 3x3 grid around spawn point (dynamic loading will handle the rest)
     this._initializeInitialTiles();
@@ -180,6 +210,30 @@ export class City {
     this._createBuildingTextures();
   }
 
+  /**
+   * Untextured stand-ins for the shared materials (headless mode)
+   * Buildings keep the same structure so collisions behave identically
+   * @private
+   */
+  _initFlatMaterials() {
+    const flat = new THREE.MeshBasicMaterial({ color: 0x808080 });
+
+    this.buildingColors = [0x808080];
+    this.groundMaterial = flat;
+    this.roadMaterial = flat;
+    this.stripeMaterial = flat;
+    this.rooftopMaterial = flat;
+    this.buildingTextures = {
+      office: flat,
+      residential: flat,
+      shop: flat,
+      modern: flat,
+      brick: flat,
+      metal: flat,
+      concretePanel: flat,
+    };
+  }
+
   /**
    * Create reusable building facade textures with windows
    * @private
@@ -475,6 +529,16 @@ export class City {
     return `${gridX},${gridZ}`;
   }
 
+  /**
+   * Get the random stream for a tile.
+   * Derived from the world seed and grid coordinates only, so a tile looks
+   * the same no matter when or how often it is streamed in.
+   * @private
+   */
+  _getTileRng(gridX, gridZ) {
+    return this.rng.fork("tile", gridX, gridZ);
+  }
+
   /**
    * Create and add a tile to the scene (sync version for initial load)
    * @private
@@ -513,6 +577,7 @@ export class City {
       gridX,
       gridZ,
       origin,
+      rng: this._getTileRng(gridX, gridZ),
       ground: null,
       roads: [],
       buildings: [],
@@ -522,6 +587,7 @@ export class City {
     // Fast: Create ground and roads immediately
     tile.ground = this._createGround(origin);
     tile.roads = this._createRoadPatches(origin);
+    this.roadGraph.addIntersection(gridX, gridZ);
 
     // Slow: Load buildings incrementally
     this._loadBuildingsAsync(tile);
@@ -531,55 +597,68 @@ export class City {
   }
 
   /**
-   * Load buildings incrementally using exact zone logic
+   * Queue buildings for incremental loading using exact zone logic
    * @private
    */
   _loadBuildingsAsync(tile) {
-    const buildingData = this._getBuildingDataForTile(tile.origin);
-    let loaded = 0;
+    this.buildingJobs.push({
+      tile,
+      key: this._getTileKey(tile.gridX, tile.gridZ),
+      data: this._getBuildingDataForTile(tile.origin, tile.rng),
+      loaded: 0,
+    });
+  }
 
-    const loadChunk = () => {
-      const end = Math.min(
-        loaded + this.buildingsPerChunk,
-        buildingData.length
-      );
+  /**
+   * Load the next chunk of buildings for every tile still streaming in
+   * @private
+   */
+  _processBuildingJobs() {
+    for (let j = this.buildingJobs.length - 1; j >= 0; j--) {
+      const job = this.buildingJobs[j];
+      const { tile, data } = job;
+
+      // Tile was unloaded before it finished streaming in
+      if (this.tiles.get(job.key) !== tile) {
+        this.buildingJobs.splice(j, 1);
+        continue;
+      }
+
+      const end = Math.min(job.loaded + this.buildingsPerChunk, data.length);
 
-      for (let i = loaded; i < end; i++) {
-        const data = buildingData[i];
+      for (let i = job.loaded; i < end; i++) {
         const building = this._createBuildingByType(
-          data.type,
-          data.width,
-          data.height,
-          data.depth
+          data[i].type,
+          data[i].width,
+          data[i].height,
+          data[i].depth
         );
-        building.position.set(data.x, data.height / 2, data.z);
+        building.position.set(data[i].x, data[i].height / 2, data[i].z);
 
         tile.buildings.push(building);
-        this.buildings.push(building);
+        this._registerBuilding(building);
         this.scene.add(building);
       }
 
-      loaded = end;
+      job.loaded = end;
 
-      if (loaded < buildingData.length) {
-        requestAnimationFrame(loadChunk);
-      } else {
+      if (job.loaded >= data.length) {
         // Buildings complete, add props
         tile.props = this._createUrbanProps(tile.origin, tile);
 
         // Add street furniture to ALL tiles so it's visible
-        this._addMinimalStreetFurniture(tile.origin);
-      }
-    };
+        this._addMinimalStreetFurniture(tile.origin, tile.rng);
 
-    requestAnimationFrame(loadChunk);
+        this.buildingJobs.splice(j, 1);
+      }
+    }
   }
 
   /**
    * Get building data using EXACT zone logic from _createBuildingsForTile
    * @private
    */
-  _getBuildingDataForTile(origin) {
+  _getBuildingDataForTile(origin, rng) {
     const data = [];
     const roadWidth = 16;
     const roadBuffer = 5;
@@ -620,22 +699,22 @@ export class City {
           const actualX = origin.x + x;
           const actualZ = origin.z + z;
 
-          const buildingType = randomInt(0, 6);
-          const sizeVariation = randomInt(0, 2);
+          const buildingType = rng.int(0, 6);
+          const sizeVariation = rng.int(0, 2);
 
           let width, height, depth;
 
           if (sizeVariation === 0) {
-            width = randomInt(8, 12);
-            height = random(12, 22);
+            width = rng.int(8, 12);
+            height = rng.range(12, 22);
           } else if (sizeVariation === 1) {
-            width = randomInt(12, 16);
-            height = random(20, 35);
+            width = rng.int(12, 16);
+            height = rng.range(20, 35);
           } else {
-            width = randomInt(16, 22);
-            height = random(28, 40);
+            width = rng.int(16, 22);
+            height = rng.range(28, 40);
           }
-          depth = randomInt(8, 16);
+          depth = rng.int(8, 16);
 
           data.push({
             x: actualX,
@@ -726,11 +805,12 @@ export class City {
         }
       });
 
-      // Remove from global buildings array
+      // Remove from global buildings array and the grid index
       const idx = this.buildings.indexOf(building);
       if (idx > -1) {
         this.buildings.splice(idx, 1);
       }
+      this.buildingGrid.remove(building);
     });
 
     // Remove props (streetlights, cars, benches, trees)
@@ -752,6 +832,8 @@ export class City {
       });
     }
 
+    this.roadGraph.removeIntersection(gridX, gridZ);
+    this.signals.removeIntersection(gridX, gridZ);
     this.tiles.delete(key);
   }
 
@@ -765,6 +847,7 @@ export class City {
       gridX,
       gridZ,
       origin,
+      rng: this._getTileRng(gridX, gridZ),
       ground: null,
       roads: [],
       buildings: [],
@@ -773,12 +856,13 @@ export class City {
 
     tile.ground = this._createGround(origin);
     tile.roads = this._createRoadPatches(origin);
-    tile.buildings = this._createBuildingsForTile(origin);
+    this.roadGraph.addIntersection(gridX, gridZ);
+    tile.buildings = this._createBuildingsForTile(origin, tile.rng);
     tile.props = this._createUrbanProps(origin, tile); // Add urban elements
     // Rivers removed
 
     // Add street furniture to ALL tiles so it's visible
-    this._addMinimalStreetFurniture(origin);
+    this._addMinimalStreetFurniture(origin, tile.rng);
 
     return tile;
   }
@@ -901,7 +985,7 @@ export class City {
     return roads;
   }
 
-  _createBuildingsForTile(origin) {
+  _createBuildingsForTile(origin, rng) {
     const config = WORLD_CONFIG;
     const buildings = [];
     const roadWidth = 16;
@@ -949,25 +1033,25 @@ export class City {
           const actualZ = origin.z + z;
 
           // Randomize building type and size with more variety
-          const buildingType = randomInt(0, 6); // 0-6: office, residential, shop, modern, brick, metal, concrete
-          const sizeVariation = randomInt(0, 2); // 0: small, 1: medium, 2: large
+          const buildingType = rng.int(0, 6); // 0-6: office, residential, shop, modern, brick, metal, concrete
+          const sizeVariation = rng.int(0, 2); // 0: small, 1: medium, 2: large
 
           let width, height, depth, building;
 
           if (sizeVariation === 0) {
             // Small buildings
-            width = randomInt(8, 12);
-            height = random(12, 22);
+            width = rng.int(8, 12);
+            height = rng.range(12, 22);
           } else if (sizeVariation === 1) {
             // Medium buildings
-            width = randomInt(12, 16);
-            height = random(20, 35);
+            width = rng.int(12, 16);
+            height = rng.range(20, 35);
           } else {
             // Large buildings
-            width = randomInt(16, 22);
-            height = random(28, 40);
+            width = rng.int(16, 22);
+            height = rng.range(28, 40);
           }
-          depth = randomInt(8, 16);
+          depth = rng.int(8, 16);
 
           // Create building based on type with more variety
           if (buildingType === 0) {
@@ -989,7 +1073,7 @@ export class City {
           building.position.set(actualX, height / 2, actualZ);
 
           buildings.push(building);
-          this.buildings.push(building);
+          this._registerBuilding(building);
           this.scene.add(building);
         }
       }
@@ -1258,8 +1342,7 @@ export class City {
     const building = new THREE.Group();
 
     // Pick random color for this building
-    const buildingColor =
-      this.buildingColors[randomInt(0, this.buildingColors.length - 1)];
+    const buildingColor = this.rng.pick(this.buildingColors);
     const baseMaterial = new THREE.MeshLambertMaterial({
       color: buildingColor,
     });
@@ -1411,13 +1494,53 @@ export class City {
     return building;
   }
 
+  /**
+   * Track a building for collision queries
+   * @private
+   */
+  _registerBuilding(building) {
+    this.buildings.push(building);
+    this.buildingGrid.insertCentered(
+      building,
+      building.position.x,
+      building.position.z,
+      building.geometry.parameters.width / 2,
+      building.geometry.parameters.depth / 2
+    );
+  }
+
   /**
    * Get all buildings for collision detection
+   * Prefer getBuildingsNear/getBuildingsInBox for per-frame checks
    */
   getBuildings() {
     return this.buildings;
   }
 
+  /**
+   * Get buildings whose footprint may lie within radius of a point
+   * Candidates only - callers still run their exact overlap test
+   * @param {Array} out - Optional array to reuse for the results
+   */
+  getBuildingsNear(x, z, radius, out = []) {
+    return this.buildingGrid.queryRadius(x, z, radius, out);
+  }
+
+  /**
+   * Get buildings whose footprint may overlap an XZ box
+   * @param {Array} out - Optional array to reuse for the results
+   */
+  getBuildingsInBox(minX, minZ, maxX, maxZ, out = []) {
+    return this.buildingGrid.query(minX, minZ, maxX, maxZ, out);
+  }
+
+  /**
+   * Get the road network for route planning
+   */
+  getRoadGraph() {
+    return this.roadGraph;
+  }
+
   /**
    * Get city obstacles for collision detection
    */
@@ -1425,11 +1548,74 @@ export class City {
     return this.cityObstacles.getObstacles();
   }
 
+  /**
+   * Knock down a destructible city obstacle (sign, light, bench, hydrant)
+   * @returns {boolean} - Whether the obstacle was destroyed
+   */
+  destroyCityObstacle(obstacle) {
+    return this.cityObstacles.destroyObstacle(obstacle);
+  }
+
+  /**
+   * Place a solid traffic barrier (used for police roadblocks)
+   * @param {number} rotation - Y rotation; the barrier runs along local X
+   */
+  createBarrier(position, length, rotation = 0) {
+    return this.cityObstacles.createBarrier(position, length, rotation);
+  }
+
+  /**
+   * Remove any city obstacle, e.g. a roadblock barrier being cleared
+   */
+  removeCityObstacle(obstacle) {
+    return this.cityObstacles.removeObstacle(obstacle);
+  }
+
+  /**
+   * Advance the traffic signal cycle and relight the traffic lights
+   * @param {number} deltaTime - Time since last step in seconds
+   */
+  updateSignals(deltaTime) {
+    this.signals.update(deltaTime);
+  }
+
+  /**
+   * Signal shown to traffic crossing an intersection along an axis
+   * @param {string} axis - "x" for east-west travel, "z" for north-south
+   * @returns {string} - "green", "yellow" or "red"
+   */
+  getSignalState(gridX, gridZ, axis) {
+    return this.signals.getState(gridX, gridZ, axis);
+  }
+
+  /**
+   * District a tile belongs to - blocks of DISTRICT_SIZE tiles share one
+   * Picked from the world seed alone, so it doesn't depend on streaming
+   * @returns {Object} - Entry of DISTRICTS
+   */
+  getDistrict(gridX, gridZ) {
+    const size = WORLD_CONFIG.DISTRICT_SIZE;
+    const rng = this.rng.fork(
+      "district",
+      Math.floor(gridX / size),
+      Math.floor(gridZ / size)
+    );
+
+    const types = Object.keys(DISTRICT_WEIGHTS);
+    const total = types.reduce((sum, type) => sum + DISTRICT_WEIGHTS[type], 0);
+    let roll = rng.next() * total;
+    for (const type of types) {
+      roll -= DISTRICT_WEIGHTS[type];
+      if (roll <= 0) return DISTRICTS[type];
+    }
+    return DISTRICTS[types[types.length - 1]];
+  }
+
   /**
    * Check if position collides with any building
    */
   checkBuildingCollision(x, z, radius = 2) {
-    for (const building of this.buildings) {
+    for (const building of this.getBuildingsNear(x, z, radius)) {
       const bx = building.position.x;
       const bz = building.position.z;
       const halfWidth = building.geometry.parameters.width / 2 + radius;
@@ -1447,12 +1633,47 @@ export class City {
     return false;
   }
 
+  /**
+   * Check whether any building blocks the straight line between two points
+   */
+  hasLineOfSight(from, to) {
+    const buildings = this.getBuildingsInBox(
+      Math.min(from.x, to.x),
+      Math.min(from.z, to.z),
+      Math.max(from.x, to.x),
+      Math.max(from.z, to.z)
+    );
+
+    for (const building of buildings) {
+      const halfWidth = building.geometry.parameters.width / 2;
+      const halfDepth = building.geometry.parameters.depth / 2;
+
+      if (
+        segmentIntersectsRect2D(
+          from.x,
+          from.z,
+          to.x,
+          to.z,
+          building.position.x - halfWidth,
+          building.position.z - halfDepth,
+          building.position.x + halfWidth,
+          building.position.z + halfDepth
+        )
+      ) {
+        return false;
+      }
+    }
+    return true;
+  }
+
   update(playerPosition) {
     const currentGridX = Math.round(playerPosition.x / this.tileSize);
     const currentGridZ = Math.round(playerPosition.z / this.tileSize);
 
-    // Always process load queue
+    // Always process streaming queues
     this._processLoadQueue();
+    this._processBuildingJobs();
+    this._processUnloadQueue();
 
     // Only update tiles if player has moved to a new grid cell
     if (
@@ -1467,6 +1688,7 @@ export class City {
 
     // Queue tiles by distance (load closest first)
     const tilesToKeep = new Set();
+    this.tilesToKeep = tilesToKeep;
     const newTiles = [];
 
     for (let distance = 0; distance <= this.visibleRadius; distance++) {
@@ -1490,62 +1712,58 @@ export class City {
     // Add to queue
     this.loadQueue.push(...newTiles);
 
-    // Async cleanup of distant tiles
-    const tilesToRemove = [];
+    // Incremental cleanup of distant tiles
     for (const [key, tile] of this.tiles.entries()) {
       if (!tilesToKeep.has(key)) {
-        tilesToRemove.push({ gridX: tile.gridX, gridZ: tile.gridZ });
+        this.unloadQueue.push({ gridX: tile.gridX, gridZ: tile.gridZ });
       }
     }
 
-    if (tilesToRemove.length > 0) {
-      this._asyncCleanup(tilesToRemove);
-    }
-
-    // Cleanup distant street furniture (only every ~50 frames for performance)
-    if (Math.random() > 0.98) {
+    // Cleanup distant street furniture (only every few grid changes for performance)
+    this.gridChangeCount++;
+    if (this.gridChangeCount % 4 === 0) {
       this.streetFurniture.cleanup(playerPosition.x, playerPosition.z, 300);
     }
   }
 
   /**
-   * Process load queue with time-slicing
+   * Process load queue with a fixed tile budget per update
    * @private
    */
   _processLoadQueue() {
-    if (this.loadQueue.length === 0) return;
-
-    const startTime = performance.now();
-    while (
-      this.loadQueue.length > 0 &&
-      performance.now() - startTime < this.maxLoadTimePerFrame
-    ) {
+    let created = 0;
+    while (this.loadQueue.length > 0 && created < this.tilesPerUpdate) {
       const tile = this.loadQueue.shift();
+      const key = this._getTileKey(tile.gridX, tile.gridZ);
+
+      // Player moved away before the tile was created - skip it
+      if (!this.tilesToKeep.has(key)) {
+        this.loadingTiles.delete(key);
+        continue;
+      }
+
       this._createTileAsync(tile.gridX, tile.gridZ);
+      created++;
     }
   }
 
   /**
-   * Async cleanup in idle time
+   * Remove distant tiles a few at a time
    * @private
    */
-  _asyncCleanup(tilesToRemove) {
-    const cleanup = () => {
-      const start = performance.now();
-      let i = 0;
-      while (i < tilesToRemove.length && performance.now() - start < 3) {
-        this._removeTile(tilesToRemove[i].gridX, tilesToRemove[i].gridZ);
-        i++;
-      }
-      if (i < tilesToRemove.length) {
-        setTimeout(() => this._asyncCleanup(tilesToRemove.slice(i)), 50);
-      }
-    };
+  _processUnloadQueue() {
+    let removed = 0;
+    while (
+      this.unloadQueue.length > 0 &&
+      removed < this.tilesUnloadedPerUpdate
+    ) {
+      const { gridX, gridZ } = this.unloadQueue.shift();
 
-    if (typeof requestIdleCallback !== "undefined") {
-      requestIdleCallback(cleanup, { timeout: 100 });
-    } else {
-      setTimeout(cleanup, 16);
+      // Player came back before the tile was removed - keep it
+      if (this.tilesToKeep.has(this._getTileKey(gridX, gridZ))) continue;
+
+      this._removeTile(gridX, gridZ);
+      removed++;
     }
   }
 
@@ -1557,16 +1775,19 @@ export class City {
     const props = [];
     const roadWidth = 16;
     const roadBuffer = 5;
+    const rng = tile.rng;
 
     // Reduced props - only add occasionally for performance
-    if (Math.random() > 0.7) {
+    if (rng.next() > 0.7) {
       // Only 30% of tiles get lights
       props.push(...this._createStreetlights(origin, roadWidth));
     }
 
     // Minimal furniture - only 20% of tiles
-    if (Math.random() > 0.8) {
-      props.push(...this._createUrbanFurniture(origin, roadWidth, roadBuffer));
+    if (rng.next() > 0.8) {
+      props.push(
+        ...this._createUrbanFurniture(origin, roadWidth, roadBuffer, rng)
+      );
     }
 
     return props;
@@ -1630,7 +1851,7 @@ export class City {
    * Create urban furniture (benches, trees, signs)
    * @private
    */
-  _createUrbanFurniture(origin, roadWidth, roadBuffer) {
+  _createUrbanFurniture(origin, roadWidth, roadBuffer, rng) {
     const furniture = [];
 
     // Add trees in building zones
@@ -1654,7 +1875,7 @@ export class City {
     ];
 
     treePositions.forEach((pos) => {
-      if (Math.random() > 0.5) {
+      if (rng.next() > 0.5) {
         furniture.push(this._createTree(pos.x, pos.z));
       }
     });
@@ -1668,7 +1889,7 @@ export class City {
     ];
 
     benchPositions.forEach((pos) => {
-      if (Math.random() > 0.6) {
+      if (rng.next() > 0.6) {
         furniture.push(this._createBench(pos.x, pos.z, pos.rotation));
       }
     });
@@ -1766,7 +1987,7 @@ export class City {
    * Add minimal street furniture to intersection (very sparse)
    * @private
    */
-  _addMinimalStreetFurniture(origin) {
+  _addMinimalStreetFurniture(origin, rng) {
     const roadWidth = ROAD_CONFIG.SEGMENT_WIDTH;
     const offset = roadWidth / 2 + 2.5;
 
@@ -1777,12 +1998,17 @@ export class City {
       roadWidth
     );
 
-    // Add realistic traffic lights at intersection
-    this.streetFurniture.createIntersectionTrafficLights(
+    // Add realistic traffic lights at intersection, cycled by the signals
+    const trafficLights = this.streetFurniture.createIntersectionTrafficLights(
       origin.x,
       origin.z,
       roadWidth
     );
+    this.signals.addIntersection(
+      Math.round(origin.x / this.tileSize),
+      Math.round(origin.z / this.tileSize),
+      trafficLights
+    );
 
     // Add ALL 4 crosswalks (complete intersection coverage)
     // North crosswalk
@@ -1818,7 +2044,7 @@ export class City {
     );
 
     // More visible signs (70% chance)
-    if (Math.random() > 0.3) {
+    if (rng.next() > 0.3) {
       const signOffset = roadWidth / 2 + 1.2;
       this.streetFurniture.createTrafficSign(
         origin.x + signOffset,
@@ -1828,7 +2054,7 @@ export class City {
     }
 
     // Add bus stops occasionally
-    if (Math.random() > 0.6) {
+    if (rng.next() > 0.6) {
       this.streetFurniture.createBusStop(
         origin.x + roadWidth / 2 + 3,
         origin.z + 10
@@ -1877,7 +2103,14 @@ export class City {
       this.streetFurniture.dispose();
     }
 
-    // Clear the tiles Map
+    // Clear the tiles Map, grid index and streaming queues
+    this.buildingGrid.clear();
+    this.roadGraph.clear();
+    this.signals.clear();
     this.tiles.clear();
+    this.loadQueue = [];
+    this.loadingTiles.clear();
+    this.buildingJobs = [];
+    this.unloadQueue = [];
   }
 }
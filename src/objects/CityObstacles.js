@@ -108,6 +108,7 @@ export class CityObstacles {
     const obstacle = {
       mesh: group,
       type: "traffic_sign",
+      destructible: true, // Flattened when hit at speed
       bounds: {
         min: { x: position.x - 0.6, z: position.z - 0.6, y: 0 },
         max: { x: position.x + 0.6, z: position.z + 0.6, y: 4 },
@@ -152,6 +153,7 @@ export class CityObstacles {
     const obstacle = {
       mesh: group,
       type: "street_light",
+      destructible: true, // Flattened when hit at speed
       bounds: {
         min: { x: position.x - 0.5, z: position.z - 0.5, y: 0 },
         max: { x: position.x + 0.5, z: position.z + 0.5, y: 7 },
@@ -206,6 +208,7 @@ export class CityObstacles {
     const obstacle = {
       mesh: group,
       type: "bench",
+      destructible: true, // Flattened when hit at speed
       bounds: {
         min: { x: position.x - 1, z: position.z - 0.3, y: 0 },
         max: { x: position.x + 1, z: position.z + 0.3, y: 1 },
@@ -222,14 +225,15 @@ export class CityObstacles {
   createBarrier(position, length = 3, rotation = 0) {
     const group = new THREE.Group();
 
-    // Barrier segments
-    const segmentCount = Math.floor(length / 1.5);
+    // Barrier segments, centered on the position
+    const segmentCount = Math.max(1, Math.floor(length / 1.5));
+    const startX = -(segmentCount * 1.5) / 2 + 0.75;
     for (let i = 0; i < segmentCount; i++) {
       const barrierGeometry = new THREE.BoxGeometry(1.5, 0.8, 0.2);
       const barrierMaterial =
         i % 2 === 0 ? this.barrierOrangeMaterial : this.barrierWhiteMaterial;
       const barrier = new THREE.Mesh(barrierGeometry, barrierMaterial);
-      barrier.position.set(i * 1.5 - length / 2, 0.5, 0);
+      barrier.position.set(startX + i * 1.5, 0.5, 0);
       barrier.castShadow = true;
       group.add(barrier);
     }
@@ -238,12 +242,18 @@ export class CityObstacles {
     group.rotation.y = rotation;
     this.scene.add(group);
 
+    // Axis-aligned bounds of the rotated barrier
+    const cos = Math.abs(Math.cos(rotation));
+    const sin = Math.abs(Math.sin(rotation));
+    const halfX = (cos * length) / 2 + sin * 0.2;
+    const halfZ = (sin * length) / 2 + cos * 0.2;
+
     const obstacle = {
       mesh: group,
       type: "barrier",
       bounds: {
-        min: { x: position.x - length / 2, z: position.z - 0.2, y: 0 },
-        max: { x: position.x + length / 2, z: position.z + 0.2, y: 1 },
+        min: { x: position.x - halfX, z: position.z - halfZ, y: 0 },
+        max: { x: position.x + halfX, z: position.z + halfZ, y: 1 },
       },
     };
 
@@ -296,6 +306,7 @@ export class CityObstacles {
     const obstacle = {
       mesh: group,
       type: "fire_hydrant",
+      destructible: true, // Flattened when hit at speed
       bounds: {
         min: { x: position.x - 0.4, z: position.z - 0.4, y: 0 },
         max: { x: position.x + 0.4, z: position.z + 0.4, y: 1.2 },
@@ -306,6 +317,34 @@ export class CityObstacles {
     return obstacle;
   }
 
+  /**
+   * Knock down a destructible obstacle and stop colliding with it
+   * @returns {boolean} - Whether the obstacle was removed
+   */
+  destroyObstacle(obstacle) {
+    if (!obstacle.destructible) return false;
+    return this.removeObstacle(obstacle);
+  }
+
+  /**
+   * Remove an obstacle from the scene and from collision checks
+   * Materials are shared between obstacles, so only geometry is disposed
+   * @returns {boolean} - Whether the obstacle was present
+   */
+  removeObstacle(obstacle) {
+    const idx = this.obstacles.indexOf(obstacle);
+    if (idx === -1) return false;
+
+    this.obstacles.splice(idx, 1);
+    if (obstacle.mesh) {
+      this.scene.remove(obstacle.mesh);
+      obstacle.mesh.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+      });
+    }
+    return true;
+  }
+
   /**
    * Get all obstacles
    */
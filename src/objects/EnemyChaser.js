@@ -5,9 +5,66 @@
  */
 
 import * as THREE from "three";
-import { ENEMY_CONFIG, COLORS } from "../utils/constants.js";
+import {
+  DISPATCH_CONFIG,
+  DRIFT_CONFIG,
+  ENEMY_CONFIG,
+  POLICE_AI_CONFIG,
+  COLORS,
+} from "../utils/constants.js";
+import { POLICE_UNITS } from "../data/policeUnits.js";
 import { lerp, clamp, distance2D } from "../utils/helpers.js";
 import { modelLoader } from "../utils/modelLoader.js";
+import { isHeadless } from "../utils/runtime.js";
+import { SeededRandom, createRunSeed } from "../utils/seededRandom.js";
+import { applySlip, isDrifting } from "../utils/vehiclePhysics.js";
+
+/**
+ * Police AI states
+ * - patrol: cruise around home until the player comes into view
+ * - respond: drive the roads towards the player
+ * - pursue: chase using the unit's strategy
+ * - flank: pull alongside the player
+ * - pit: turn into the player's rear quarter to spin them out
+ * - box_in: take a slot around a slow player to pin them
+ * - search: check the last known area (driven by the WantedSystem)
+ * - return: head home after being stood down
+ */
+export const POLICE_STATES = {
+  PATROL: "patrol",
+  RESPOND: "respond",
+  PURSUE: "pursue",
+  FLANK: "flank",
+  PIT: "pit",
+  BOX_IN: "box_in",
+  SEARCH: "search",
+  RETURN: "return",
+};
+
+/**
+ * Squad roles handed out by the PoliceDispatcher
+ * - chaser: plain pursuit
+ * - left_flank / right_flank: the only units that flank and PIT, each on
+ *   its own side
+ * - cutoff: races to the next intersection ahead of the player and holds it
+ * - rear_guard: trails the player to close the box from behind
+ */
+export const POLICE_ROLES = {
+  CHASER: "chaser",
+  FLANK_LEFT: "left_flank",
+  FLANK_RIGHT: "right_flank",
+  CUTOFF: "cutoff",
+  REAR_GUARD: "rear_guard",
+};
+
+// Preferred box-in slot per role (0 ahead, 1 left, 2 right, 3 behind)
+const ROLE_BOX_IN_SLOTS = {
+  [POLICE_ROLES.CUTOFF]: 0,
+  [POLICE_ROLES.FLANK_LEFT]: 1,
+  [POLICE_ROLES.FLANK_RIGHT]: 2,
+  [POLICE_ROLES.REAR_GUARD]: 3,
+  [POLICE_ROLES.CHASER]: 3,
+};
 
 export class EnemyChaser {
   constructor(
@@ -15,23 +72,30 @@ export class EnemyChaser {
     playerRef,
     spawnOffset = { x: 0, z: 30 },
     cityRef = null,
-    enemiesRef = null
+    enemiesRef = null,
+    rng = null,
+    unit = POLICE_UNITS.PATROL
   ) {
     this.scene = scene;
     this.playerRef = playerRef;
     this.cityRef = cityRef;
     this.enemiesRef = enemiesRef; // Optional reference to all police for cooperation
+    this.rng = rng || new SeededRandom(createRunSeed()); // Police behavior stream
+
+    // Unit type - its stats override the ENEMY_CONFIG baseline
+    this.unit = unit;
+    this.config = { ...ENEMY_CONFIG, ...unit };
 
     // Physics state (omnidirectional)
     this.position = { x: spawnOffset.x, y: 0, z: spawnOffset.z };
     this.velocity = { x: 0, z: 0 };
     this.rotation = 0;
-    this.speed = ENEMY_CONFIG.INITIAL_SPEED;
+    this.speed = this.config.INITIAL_SPEED;
     this.targetRotation = 0;
 
     // AI state
     this.distanceToPlayer = 0;
-    this.aggressionLevel = ENEMY_CONFIG.AGGRESSION_FACTOR;
+    this.aggressionLevel = this.config.AGGRESSION_FACTOR;
 
     // Three.js mesh
     this.mesh = null;
@@ -41,19 +105,44 @@ export class EnemyChaser {
     // Behavior state
     this.pursuitOffset = {
       // Give each police a unique lateral offset relative to player's heading
-      x: (Math.random() - 0.5) * 10,
-      z: (Math.random() - 0.5) * 4,
+      x: (this.rng.next() - 0.5) * 10,
+      z: (this.rng.next() - 0.5) * 4,
     };
-    this.blockTimer = 0; // Active cutoff maneuver time
+    this.state = POLICE_STATES.RESPOND; // Dispatched towards the player
+    this.stateTime = 0; // Seconds in the current state
+    this.flankSide = this.pursuitOffset.x < 0 ? -1 : 1; // 1 = player's right
+    this.pitCooldown = 0; // Seconds before another PIT attempt
+    this.homePosition = { x: spawnOffset.x, z: spawnOffset.z };
+    this.role = null; // Squad role from the dispatcher (null = freelance)
+    this.cutoffPoint = null; // Intersection to hold as the cutoff unit
+    this.route = null; // Planned road route ({ waypoints }) while far away
+    this.routeIndex = 0; // Next waypoint on the route
+    this.replanTimer = 0; // Time until the route is planned again
+    this.searchArea = null; // { x, z, radius } while the player is hidden
+    this.searchPoint = null; // Current point being checked in the search area
+    this.searchPointTimer = 0;
+    this.parked = false; // Stationary as part of a roadblock
     this.skidMarkSystem = null; // Skid mark system reference
     this.skidMarkTimer = 0; // Timer to control skid mark frequency
     this.previousSpeed = 0; // Track previous speed for acceleration/braking detection
+    this.effectsSystem = null; // Smoke once badly damaged
+
+    // Damage - wrecked at zero health
+    this.health = this.config.MAX_HEALTH;
+    this.wrecked = false;
+    this.damageCooldown = 0;
+    this.smokeTimer = 0;
+    this.lateralSpeed = 0; // Slide left over from turning (slip model)
+    this.driftSmokeTimer = 0;
 
     // Siren audio
     this.sirenAudio = null;
-    this._initSirenAudio();
 
-    this._loadAndCreateMesh();
+    // Headless simulations have no audio and nothing to draw
+    if (!isHeadless()) {
+      this._initSirenAudio();
+      this._loadAndCreateMesh();
+    }
   }
 
   /**
@@ -76,11 +165,15 @@ export class EnemyChaser {
    * @private
    */
   async _loadAndCreateMesh() {
+    // Units without a model of their own use the box mesh
+    if (!this.config.MODEL_PATH) {
+      this._createFallbackMesh();
+      return;
+    }
+
     try {
-      const config = ENEMY_CONFIG;
-      const model = await modelLoader.loadModel(
-        "/model/police_car/policecar1.glb"
-      );
+      const config = this.config;
+      const model = await modelLoader.loadModel(config.MODEL_PATH);
 
       this.mesh = new THREE.Group();
 
@@ -94,7 +187,7 @@ export class EnemyChaser {
 
       // Scale and position the model
       // Use a smaller uniform scale so the police car matches road proportions
-      model.scale.set(0.035, 0.035, 0.035);
+      model.scale.setScalar(config.MODEL_SCALE);
       // Rotate model to face forward
 
       // Center the model so it sits properly on the road
@@ -108,13 +201,13 @@ export class EnemyChaser {
         lightGeometry,
         new THREE.MeshBasicMaterial({ color: 0xff0000 })
       );
-      redLight.position.set(-0.4, ENEMY_CONFIG.HEIGHT * 0.9, -0.3);
+      redLight.position.set(-0.4, this.config.HEIGHT * 0.9, -0.3);
 
       const blueLight = new THREE.Mesh(
         lightGeometry,
         new THREE.MeshBasicMaterial({ color: 0x0000ff })
       );
-      blueLight.position.set(0.4, ENEMY_CONFIG.HEIGHT * 0.9, -0.3);
+      blueLight.position.set(0.4, this.config.HEIGHT * 0.9, -0.3);
 
       this.lights = [redLight, blueLight];
       this.mesh.add(redLight);
@@ -130,7 +223,7 @@ export class EnemyChaser {
   }
 
   _createFallbackMesh() {
-    const config = ENEMY_CONFIG;
+    const config = this.config;
 
     const bodyGeometry = new THREE.BoxGeometry(
       config.WIDTH,
@@ -138,7 +231,7 @@ export class EnemyChaser {
       config.LENGTH
     );
     const bodyMaterial = new THREE.MeshLambertMaterial({
-      color: COLORS.ENEMY_CAR,
+      color: config.COLOR ?? COLORS.ENEMY_CAR,
     });
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.castShadow = true;
@@ -187,9 +280,8 @@ export class EnemyChaser {
    * @param {number} deltaTime - Time since last frame in seconds
    */
   update(deltaTime) {
-    if (!this.modelLoaded || !this.mesh) return;
+    // AI keeps running while the model loads (keeps replays deterministic)
 
-    if (this.blockTimer > 0) this.blockTimer -= deltaTime;
     const playerPos = this.playerRef.getPosition();
 
     // Calculate distance to player
@@ -200,8 +292,22 @@ export class EnemyChaser {
       playerPos.z
     );
 
-    // Update AI behavior
-    this._updatePursuitAI(playerPos, deltaTime);
+    // Wrecks just sit there smoking
+    if (this.wrecked) {
+      this._updateSmoke(deltaTime);
+      this._updateMesh();
+      return;
+    }
+
+    this.damageCooldown = Math.max(0, this.damageCooldown - deltaTime);
+
+    // Update AI behavior for the current state
+    if (this.parked) {
+      this.speed = 0; // Hold the roadblock
+    } else {
+      this._updateState(deltaTime);
+      this._updateStateBehavior(playerPos, deltaTime);
+    }
 
     // Update position
     this._updatePosition(deltaTime);
@@ -214,9 +320,11 @@ export class EnemyChaser {
 
     // Update mesh
     this._updateMesh();
+    this._updateSmoke(deltaTime);
+    this._updateDriftSmoke(deltaTime);
 
     // Create skid marks if conditions are met
-    if (this.skidMarkSystem && this.modelLoaded) {
+    if (this.skidMarkSystem) {
       this.skidMarkTimer += deltaTime;
       // Create marks every 0.05 seconds (20 times per second)
       if (this.skidMarkTimer >= 0.05) {
@@ -239,13 +347,16 @@ export class EnemyChaser {
         // 3. Sharp turns during aggressive pursuit
         const isSharpTurn = steering > 0.35 && currentSpeed > 12;
 
-        if (isAccelerating || isBraking || isSharpTurn) {
+        // 4. Sliding wide through a corner
+        const isSliding = isDrifting(this.lateralSpeed);
+
+        if (isAccelerating || isBraking || isSharpTurn || isSliding) {
           this.skidMarkSystem.addCarSkidMarks(
             this.position,
             this.rotation,
             currentSpeed,
             steering,
-            isBraking || isAccelerating,
+            isBraking || isAccelerating || isSliding,
             isSharpTurn
           );
         }
@@ -256,12 +367,428 @@ export class EnemyChaser {
     }
   }
 
+  /**
+   * State transitions - distance to the player, player speed and how many
+   * units are already on them decide the next tactic
+   * @private
+   */
+  _updateState(deltaTime) {
+    const ai = POLICE_AI_CONFIG;
+    this.stateTime += deltaTime;
+    if (this.pitCooldown > 0) this.pitCooldown -= deltaTime;
+
+    const dist = this.distanceToPlayer;
+
+    switch (this.state) {
+      case POLICE_STATES.PATROL:
+        if (dist < ai.DETECTION_RANGE) this._setState(POLICE_STATES.PURSUE);
+        break;
+      case POLICE_STATES.RETURN:
+        if (dist < ai.DETECTION_RANGE) {
+          this._setState(POLICE_STATES.PURSUE);
+        } else if (
+          distance2D(
+            this.position.x,
+            this.position.z,
+            this.homePosition.x,
+            this.homePosition.z
+          ) < this.config.WAYPOINT_RADIUS
+        ) {
+          this._setState(POLICE_STATES.PATROL);
+        }
+        break;
+      case POLICE_STATES.RESPOND:
+        if (dist < ai.ENGAGE_RANGE) this._setState(POLICE_STATES.PURSUE);
+        break;
+      case POLICE_STATES.SEARCH:
+        break; // The WantedSystem ends the search
+      default:
+        this._updateEngagedState(dist, this.playerRef.getSpeed());
+    }
+  }
+
+  /**
+   * Transitions between the close-range tactics
+   * @private
+   */
+  _updateEngagedState(dist, playerSpeed) {
+    const ai = POLICE_AI_CONFIG;
+
+    if (dist > ai.DISENGAGE_RANGE) {
+      this._setState(POLICE_STATES.RESPOND);
+      return;
+    }
+
+    // A slow player with enough units around gets pinned
+    const canBoxIn =
+      dist < ai.BOX_IN_RADIUS &&
+      playerSpeed < ai.BOX_IN_MAX_PLAYER_SPEED &&
+      this._countUnitsNearPlayer(ai.BOX_IN_RADIUS) >= ai.BOX_IN_MIN_UNITS;
+
+    switch (this.state) {
+      case POLICE_STATES.PURSUE:
+        if (canBoxIn) {
+          this._setState(POLICE_STATES.BOX_IN);
+        } else if (this._canFlank(dist, playerSpeed)) {
+          this._setState(POLICE_STATES.FLANK);
+        }
+        break;
+      case POLICE_STATES.FLANK:
+        if (
+          this.stateTime > ai.FLANK_TIMEOUT ||
+          dist > ai.FLANK_RANGE * 1.5 ||
+          playerSpeed < ai.FLANK_MIN_PLAYER_SPEED
+        ) {
+          this._setState(POLICE_STATES.PURSUE);
+        } else if (
+          playerSpeed >= ai.PIT_MIN_PLAYER_SPEED &&
+          this._isInPitZone()
+        ) {
+          this._setState(POLICE_STATES.PIT);
+        }
+        break;
+      case POLICE_STATES.PIT:
+        if (this.stateTime > ai.PIT_TIMEOUT) {
+          this.pitCooldown = ai.PIT_COOLDOWN;
+          this._setState(POLICE_STATES.PURSUE);
+        }
+        break;
+      case POLICE_STATES.BOX_IN:
+        if (!canBoxIn) this._setState(POLICE_STATES.PURSUE);
+        break;
+    }
+  }
+
+  /**
+   * Peel off to flank a fast player while other units keep chasing
+   * @private
+   */
+  _canFlank(dist, playerSpeed) {
+    const ai = POLICE_AI_CONFIG;
+    const strategy = this._getStrategy().strategy;
+
+    if (dist > ai.FLANK_RANGE || playerSpeed < ai.FLANK_MIN_PLAYER_SPEED) {
+      return false;
+    }
+    if (this.pitCooldown > 0) return false;
+
+    // Dispatched units leave flanking to the flank roles
+    if (this.role) {
+      return (
+        this.role === POLICE_ROLES.FLANK_LEFT ||
+        this.role === POLICE_ROLES.FLANK_RIGHT
+      );
+    }
+    if (strategy === "block") return false;
+
+    const flankers = this._getOtherPolice().filter((other) => {
+      const state = other.getState?.();
+      return state === POLICE_STATES.FLANK || state === POLICE_STATES.PIT;
+    }).length;
+    if (flankers >= ai.MAX_FLANKERS) return false;
+
+    return (
+      strategy === "flank" ||
+      this._countUnitsNearPlayer(ai.FLANK_RANGE) >= ai.FLANK_MIN_UNITS
+    );
+  }
+
+  /**
+   * Alongside the player on the flank side, level with their rear wheels
+   * @private
+   */
+  _isInPitZone() {
+    const ai = POLICE_AI_CONFIG;
+    const { longitudinal, lateral } = this._getOffsetFromPlayer();
+
+    return (
+      longitudinal <= ai.PIT_ZONE_FRONT &&
+      longitudinal >= -ai.PIT_ZONE_REAR &&
+      lateral * this.flankSide > 0 &&
+      Math.abs(lateral) < ai.FLANK_OFFSET + 2
+    );
+  }
+
+  /**
+   * Drive the current state's behavior
+   * @private
+   */
+  _updateStateBehavior(playerPos, deltaTime) {
+    const config = this.config;
+
+    // The cutoff unit heads for its intersection instead of the player
+    const chasing =
+      this.state === POLICE_STATES.RESPOND ||
+      this.state === POLICE_STATES.PURSUE;
+    if (chasing && this.role === POLICE_ROLES.CUTOFF && this.cutoffPoint) {
+      this._updateCutoffAI(deltaTime);
+      return;
+    }
+
+    switch (this.state) {
+      case POLICE_STATES.PATROL:
+        this._cruiseArea(
+          {
+            x: this.homePosition.x,
+            z: this.homePosition.z,
+            radius: POLICE_AI_CONFIG.PATROL_RADIUS,
+          },
+          deltaTime
+        );
+        break;
+      case POLICE_STATES.SEARCH:
+        this._cruiseArea(this.searchArea, deltaTime);
+        break;
+      case POLICE_STATES.RESPOND:
+        this._steerTowards(this._followRoute(playerPos, deltaTime));
+        this.speed = lerp(this.speed, config.CATCH_UP_SPEED, 0.05);
+        break;
+      case POLICE_STATES.RETURN:
+        this._steerTowards(this._followRoute(this.homePosition, deltaTime));
+        this.speed = lerp(this.speed, config.INITIAL_SPEED, 0.05);
+        break;
+      case POLICE_STATES.FLANK:
+        this._updateFlankAI(playerPos);
+        break;
+      case POLICE_STATES.PIT:
+        this._updatePitAI(playerPos);
+        break;
+      case POLICE_STATES.BOX_IN:
+        this._updateBoxInAI(playerPos);
+        break;
+      default:
+        if (this.role === POLICE_ROLES.REAR_GUARD) {
+          this._updateRearGuardAI(playerPos, deltaTime);
+        } else {
+          this._updatePursuitAI(playerPos, deltaTime);
+        }
+    }
+  }
+
+  /**
+   * Hold a slot alongside the player, level with the PIT zone
+   * @private
+   */
+  _updateFlankAI(playerPos) {
+    const ai = POLICE_AI_CONFIG;
+    const heading = this._getPlayerHeading();
+    const lateral = ai.FLANK_OFFSET * this.flankSide;
+    const behind = (ai.PIT_ZONE_REAR - ai.PIT_ZONE_FRONT) / 2;
+    const slot = {
+      x: playerPos.x - heading.z * lateral - heading.x * behind,
+      z: playerPos.z + heading.x * lateral - heading.z * behind,
+    };
+
+    this._trackSlot(slot, heading);
+  }
+
+  /**
+   * Trail the player on their line to close the box from behind
+   * @private
+   */
+  _updateRearGuardAI(playerPos, deltaTime) {
+    const heading = this._getPlayerHeading();
+    const behind = DISPATCH_CONFIG.REAR_GUARD_DISTANCE;
+    const slot = {
+      x: playerPos.x - heading.x * behind,
+      z: playerPos.z - heading.z * behind,
+    };
+
+    // Still catching up - take the roads
+    if (
+      distance2D(this.position.x, this.position.z, slot.x, slot.z) >
+      this.config.ROUTE_DIRECT_RANGE
+    ) {
+      this._steerTowards(this._followRoute(slot, deltaTime));
+      this.speed = lerp(this.speed, this.config.CATCH_UP_SPEED, 0.05);
+      return;
+    }
+    this._trackSlot(slot, heading);
+  }
+
+  /**
+   * Race to the intersection ahead of the player and hold it
+   * @private
+   */
+  _updateCutoffAI(deltaTime) {
+    const point = this.cutoffPoint;
+    const distToPoint = distance2D(
+      this.position.x,
+      this.position.z,
+      point.x,
+      point.z
+    );
+
+    if (distToPoint > DISPATCH_CONFIG.CUTOFF_HOLD_RADIUS) {
+      this._steerTowards(this._followRoute(point, deltaTime));
+    }
+
+    // Full speed until close, then ease to a stop in the junction
+    this.speed = clamp(distToPoint * 1.5, 0, this.config.CATCH_UP_SPEED);
+  }
+
+  /**
+   * Keep station on a slot that moves with the player
+   * @private
+   */
+  _trackSlot(slot, heading) {
+    // Aim a little past the slot so the car runs parallel to the player
+    this._steerTowards({
+      x: slot.x + heading.x * 6,
+      z: slot.z + heading.z * 6,
+    });
+
+    // Close the gap along the player's direction, then match their speed
+    const gap =
+      (slot.x - this.position.x) * heading.x +
+      (slot.z - this.position.z) * heading.z;
+    this.speed = clamp(
+      this.playerRef.getSpeed() + clamp(gap * 0.5, -5, 8),
+      0,
+      this.config.MAX_SPEED
+    );
+  }
+
+  /**
+   * Turn into the player's rear quarter a little faster than them
+   * @private
+   */
+  _updatePitAI(playerPos) {
+    const ai = POLICE_AI_CONFIG;
+    const heading = this._getPlayerHeading();
+    const pvx = this.playerRef.velocity?.x ?? 0;
+    const pvz = this.playerRef.velocity?.z ?? 0;
+    const side = this.flankSide;
+
+    this._steerTowards({
+      x: playerPos.x - heading.z * side - heading.x * 1.5 + pvx * 0.1,
+      z: playerPos.z + heading.x * side - heading.z * 1.5 + pvz * 0.1,
+    });
+    this.speed = clamp(
+      this.playerRef.getSpeed() + ai.PIT_SPEED_BONUS,
+      0,
+      this.config.MAX_SPEED
+    );
+  }
+
+  /**
+   * Take a slot ahead, beside or behind the player and stop there
+   * Each unit takes the slot its role prefers, or the next free one in
+   * roster order
+   * @private
+   */
+  _updateBoxInAI(playerPos) {
+    const heading = this._getPlayerHeading();
+    const slots = [
+      heading,
+      { x: heading.z, z: -heading.x }, // Left
+      { x: -heading.z, z: heading.x }, // Right
+      { x: -heading.x, z: -heading.z },
+    ];
+    const boxers = (this.enemiesRef || [this]).filter(
+      (police) => police.getState?.() === POLICE_STATES.BOX_IN
+    );
+    const slot = slots[this._getBoxInSlot(boxers, slots.length)];
+    const target = {
+      x: playerPos.x + slot.x * POLICE_AI_CONFIG.BOX_IN_DISTANCE,
+      z: playerPos.z + slot.z * POLICE_AI_CONFIG.BOX_IN_DISTANCE,
+    };
+
+    const distToSlot = distance2D(
+      this.position.x,
+      this.position.z,
+      target.x,
+      target.z
+    );
+    if (distToSlot > 1) this._steerTowards(target);
+
+    // Ease into the slot and hold it
+    this.speed = clamp(distToSlot * 1.5, 0, this.config.CATCH_UP_SPEED);
+  }
+
+  /**
+   * @private
+   */
+  _getBoxInSlot(boxers, slotCount) {
+    const taken = [];
+    for (let i = 0; i < boxers.length; i++) {
+      let slot = ROLE_BOX_IN_SLOTS[boxers[i].getRole?.()] ?? i % slotCount;
+      while (taken.includes(slot) && taken.length < slotCount) {
+        slot = (slot + 1) % slotCount;
+      }
+      taken.push(slot);
+      if (boxers[i] === this) return slot;
+    }
+    return 0;
+  }
+
+  /**
+   * @private
+   */
+  _setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.stateTime = 0;
+    this.route = null;
+  }
+
+  /**
+   * Player's direction of travel (facing when stopped)
+   * @private
+   */
+  _getPlayerHeading() {
+    if (this.playerRef.getHeading) return this.playerRef.getHeading();
+    const rotation = this.playerRef.rotation ?? 0;
+    return { x: Math.sin(rotation), z: Math.cos(rotation) };
+  }
+
+  /**
+   * This car's position in the player's frame
+   * @returns {{longitudinal: number, lateral: number}} - lateral > 0 is the
+   * player's right
+   * @private
+   */
+  _getOffsetFromPlayer() {
+    const playerPos = this.playerRef.getPosition();
+    const heading = this._getPlayerHeading();
+    const dx = this.position.x - playerPos.x;
+    const dz = this.position.z - playerPos.z;
+    return {
+      longitudinal: dx * heading.x + dz * heading.z,
+      lateral: -dx * heading.z + dz * heading.x,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getOtherPolice() {
+    return (this.enemiesRef || []).filter((other) => other !== this);
+  }
+
+  /**
+   * Engaged, unparked units (this one included) within range of the player
+   * @private
+   */
+  _countUnitsNearPlayer(radius) {
+    const playerPos = this.playerRef.getPosition();
+    const units = this.enemiesRef?.includes(this)
+      ? this.enemiesRef
+      : [this, ...(this.enemiesRef || [])];
+
+    return units.filter((police) => {
+      if (police.isParked?.() || police.isEngaged?.() === false) return false;
+      const pos = police.getPosition?.() ?? police.position;
+      return distance2D(pos.x, pos.z, playerPos.x, playerPos.z) < radius;
+    }).length;
+  }
+
   /**
    * Update pursuit AI logic (omnidirectional)
    * @private
    */
   _updatePursuitAI(playerPos, deltaTime) {
-    const config = ENEMY_CONFIG;
+    const config = this.config;
 
     // Get player's velocity
     const pvx = this.playerRef.velocity?.x ?? 0;
@@ -292,32 +819,29 @@ export class EnemyChaser {
       z: dz / (distToPlayer || 1),
     };
 
-    // Each police has a unique interceptor strategy:
-    // Some try to get ahead, some try to flank
-    const strategyVariant = (this.pursuitOffset.x + 10) / 20; // 0 to 1
+    // Each unit type prefers a strategy; the pursuit offset varies it per car
+    const { strategy, side } = this._getStrategy();
 
     let target = { ...intercept };
 
-    if (strategyVariant < 0.33) {
-      // Strategy 1: Head-on blocker - aim directly at player's path ahead
+    if (strategy === "intercept") {
+      // Head-on blocker - aim directly at player's path ahead
       const blockDistance = 12;
       target.x = playerPos.x + toPlayer.x * blockDistance;
       target.z = playerPos.z + toPlayer.z * blockDistance;
-    } else if (strategyVariant < 0.66) {
-      // Strategy 2: Left flank - intercept from the side
-      const perpX = -pvz / (playerSpeed || 1);
-      const perpZ = pvx / (playerSpeed || 1);
-      const flankDistance = 10;
-      target.x = intercept.x + perpX * flankDistance;
-      target.z = intercept.z + perpZ * flankDistance;
-    } else {
-      // Strategy 3: Right flank - intercept from opposite side
-      const perpX = pvz / (playerSpeed || 1);
-      const perpZ = -pvx / (playerSpeed || 1);
+    } else if (strategy === "flank") {
+      // Intercept from the side (side 1 = player's left)
+      const perpX = (-pvz / (playerSpeed || 1)) * side;
+      const perpZ = (pvx / (playerSpeed || 1)) * side;
       const flankDistance = 10;
       target.x = intercept.x + perpX * flankDistance;
       target.z = intercept.z + perpZ * flankDistance;
+    } else if (strategy === "block" && playerSpeed > 1) {
+      // Plug the road well ahead of the player
+      target.x = playerPos.x + (pvx / playerSpeed) * config.BLOCK_DISTANCE;
+      target.z = playerPos.z + (pvz / playerSpeed) * config.BLOCK_DISTANCE;
     }
+    // "ram" drives straight for the interception point
 
     // Aggressive pursuit: if close enough, get even more aggressive
     if (distToPlayer < 15) {
@@ -328,6 +852,9 @@ export class EnemyChaser {
       };
     }
 
+    // Far from the target: drive the road network instead of the blocks
+    target = this._followRoute(target, deltaTime);
+
     // Separation: steer away from nearby police to avoid stacking
     if (this.enemiesRef && Array.isArray(this.enemiesRef)) {
       let sepX = 0,
@@ -350,21 +877,15 @@ export class EnemyChaser {
       target.z += sepZ * sepWeight;
     }
 
-    // Compute desired angle towards target
-    const targetDx = target.x - this.position.x;
-    const targetDz = target.z - this.position.z;
-    this.targetRotation = Math.atan2(targetDx, targetDz);
-
-    // Smoothly rotate towards target
-    let rotDiff = this.targetRotation - this.rotation;
-    while (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
-    while (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
-    this.rotation += rotDiff * config.ROTATION_SPEED;
+    this._steerTowards(target);
 
     // Dynamic speed: be much more aggressive
     if (distToPlayer > config.MAX_DISTANCE - 10) {
       // Far away - chase at max speed
       this.speed = config.CATCH_UP_SPEED;
+    } else if (distToPlayer < 8 && strategy === "ram") {
+      // Rammers keep charging through the hit
+      this.speed = lerp(this.speed, config.MAX_SPEED, 0.05);
     } else if (distToPlayer < 8) {
       // Very close - maintain speed to corner the player
       this.speed = Math.max(
@@ -385,14 +906,241 @@ export class EnemyChaser {
     this.speed = clamp(this.speed, config.INITIAL_SPEED, config.MAX_SPEED);
   }
 
+  /**
+   * Pursuit strategy for this car - the unit's preference, with "mixed"
+   * units split between blocking and flanking by their pursuit offset
+   * @returns {{strategy: string, side: number}} - side picks the flank
+   * @private
+   */
+  _getStrategy() {
+    const variant = (this.pursuitOffset.x + 10) / 20; // 0 to 1
+
+    if (this.config.STRATEGY === "mixed") {
+      if (variant < 0.33) return { strategy: "intercept", side: 1 };
+      return { strategy: "flank", side: variant < 0.66 ? 1 : -1 };
+    }
+    return { strategy: this.config.STRATEGY, side: variant < 0.5 ? 1 : -1 };
+  }
+
+  /**
+   * Smoothly rotate towards a target point
+   * @private
+   */
+  _steerTowards(target) {
+    const targetDx = target.x - this.position.x;
+    const targetDz = target.z - this.position.z;
+    this.targetRotation = Math.atan2(targetDx, targetDz);
+
+    let rotDiff = this.targetRotation - this.rotation;
+    while (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
+    while (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
+    this.rotation += rotDiff * this.config.ROTATION_SPEED;
+  }
+
+  /**
+   * Start searching an area instead of homing on the player
+   * @param {{x: number, z: number}} center - Player's last known position
+   * @param {number} radius - Search radius
+   */
+  startSearch(center, radius) {
+    this.searchArea = { x: center.x, z: center.z, radius };
+    this.searchPoint = null;
+    this.route = null;
+    this._setState(POLICE_STATES.SEARCH);
+  }
+
+  /**
+   * Stop searching and respond to the player again
+   */
+  stopSearch() {
+    this.searchArea = null;
+    this.searchPoint = null;
+    this.route = null;
+    if (this.state === POLICE_STATES.SEARCH) {
+      this._setState(POLICE_STATES.RESPOND);
+    }
+  }
+
+  isSearching() {
+    return this.searchArea !== null;
+  }
+
+  /**
+   * Stand down and drive back to the spawn point, then patrol around it
+   */
+  returnToPatrol() {
+    this.searchArea = null;
+    this.searchPoint = null;
+    this._setState(POLICE_STATES.RETURN);
+  }
+
+  /**
+   * PIT contact made - back off and chase until the cooldown ends
+   */
+  onPitContact() {
+    this.pitCooldown = POLICE_AI_CONFIG.PIT_COOLDOWN;
+    this._setState(POLICE_STATES.PURSUE);
+  }
+
+  /**
+   * Take a squad role from the dispatcher
+   * @param {string|null} role - One of POLICE_ROLES, null to freelance
+   * @param {{x: number, z: number}|null} cutoffPoint - Intersection to hold
+   *   as the cutoff unit
+   */
+  setRole(role, cutoffPoint = null) {
+    this.role = role;
+    this.cutoffPoint = cutoffPoint;
+    if (role === POLICE_ROLES.FLANK_LEFT) this.flankSide = -1;
+    if (role === POLICE_ROLES.FLANK_RIGHT) this.flankSide = 1;
+  }
+
+  getRole() {
+    return this.role;
+  }
+
+  isPitting() {
+    return !this.wrecked && this.state === POLICE_STATES.PIT;
+  }
+
+  /**
+   * Whether the unit is after the player (not wrecked, patrolling or
+   * heading home)
+   */
+  isEngaged() {
+    return (
+      !this.wrecked &&
+      this.state !== POLICE_STATES.PATROL &&
+      this.state !== POLICE_STATES.RETURN
+    );
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Park across the road as part of a roadblock
+   * @param {number} rotation - Heading to park at
+   */
+  park(rotation) {
+    this.parked = true;
+    this.rotation = rotation;
+    this.targetRotation = rotation;
+    this.speed = 0;
+    this.velocity.x = 0;
+    this.velocity.z = 0;
+    this._updateMesh();
+  }
+
+  /**
+   * Leave the roadblock and join the pursuit
+   */
+  unpark() {
+    this.parked = false;
+  }
+
+  isParked() {
+    return this.parked;
+  }
+
+  /**
+   * Search and patrol pattern: cruise between random points inside an area
+   * @param {{x: number, z: number, radius: number}} area - Area to cruise
+   * @private
+   */
+  _cruiseArea(area, deltaTime) {
+    const config = this.config;
+
+    this.searchPointTimer -= deltaTime;
+    const reached =
+      this.searchPoint &&
+      distance2D(
+        this.position.x,
+        this.position.z,
+        this.searchPoint.x,
+        this.searchPoint.z
+      ) < config.WAYPOINT_RADIUS;
+
+    if (!this.searchPoint || reached || this.searchPointTimer <= 0) {
+      // Uniform over the disc
+      const angle = this.rng.range(0, Math.PI * 2);
+      const distance = area.radius * Math.sqrt(this.rng.next());
+      this.searchPoint = {
+        x: area.x + Math.sin(angle) * distance,
+        z: area.z + Math.cos(angle) * distance,
+      };
+      this.searchPointTimer = config.SEARCH_POINT_TIMEOUT;
+      this.route = null;
+    }
+
+    this._steerTowards(this._followRoute(this.searchPoint, deltaTime));
+
+    // Cruise rather than chase
+    this.speed = lerp(
+      this.speed,
+      config.INITIAL_SPEED * config.SEARCH_SPEED_FACTOR,
+      0.05
+    );
+  }
+
+  /**
+   * Route towards a distant target along the roads
+   * Replans periodically so the route tracks the moving player
+   * @returns {{x: number, z: number}} - Next waypoint, or the target itself
+   * @private
+   */
+  _followRoute(target, deltaTime) {
+    const config = this.config;
+    const roadGraph = this.cityRef?.getRoadGraph?.();
+    const distToTarget = distance2D(
+      this.position.x,
+      this.position.z,
+      target.x,
+      target.z
+    );
+
+    if (!roadGraph || distToTarget < config.ROUTE_DIRECT_RANGE) {
+      this.route = null;
+      return target;
+    }
+
+    this.replanTimer -= deltaTime;
+    if (!this.route || this.replanTimer <= 0) {
+      this.route = roadGraph.findPath(this.position, target);
+      this.routeIndex = 0;
+      this.replanTimer = config.ROUTE_REPLAN_INTERVAL;
+    }
+
+    // Off the loaded network - fall back to direct pursuit
+    if (!this.route) return target;
+
+    const waypoints = this.route.waypoints;
+    while (
+      this.routeIndex < waypoints.length - 1 &&
+      distance2D(
+        this.position.x,
+        this.position.z,
+        waypoints[this.routeIndex].x,
+        waypoints[this.routeIndex].z
+      ) < config.WAYPOINT_RADIUS
+    ) {
+      this.routeIndex++;
+    }
+
+    // Last leg heads for the live target, not where it was at planning time
+    if (this.routeIndex >= waypoints.length - 1) return target;
+    return waypoints[this.routeIndex];
+  }
+
   /**
    * Update position based on AI decisions
    * @private
    */
   _updatePosition(deltaTime) {
-    // Calculate velocity
-    this.velocity.x = Math.sin(this.rotation) * this.speed;
-    this.velocity.z = Math.cos(this.rotation) * this.speed;
+    // Calculate velocity - same slip model as the player, so hard turns
+    // slide the car wide
+    this.lateralSpeed = applySlip(this, this.config.GRIP_FACTOR, deltaTime);
 
     // Store old position for collision resolution
     const oldX = this.position.x;
@@ -414,9 +1162,14 @@ export class EnemyChaser {
    * @private
    */
   _checkBuildingCollisions(oldX, oldZ) {
-    const buildings = this.cityRef.getBuildings();
     const policeBox = this.getBoundingBox();
     const policeRadius = 2.0;
+    const buildings = this.cityRef.getBuildingsInBox(
+      policeBox.min.x - policeRadius,
+      policeBox.min.z - policeRadius,
+      policeBox.max.x + policeRadius,
+      policeBox.max.z + policeRadius
+    );
 
     for (const building of buildings) {
       const halfWidth = building.geometry.parameters.width / 2 + policeRadius;
@@ -443,6 +1196,7 @@ export class EnemyChaser {
         policeBox.max.z > buildingBox.min.z
       ) {
         // Collision detected - SMOOTH STOP AND REROUTE
+        const impactSpeed = this.speed;
 
         // 1. Stop immediately to prevent penetration
         this.position.x = oldX;
@@ -453,7 +1207,7 @@ export class EnemyChaser {
         // 2. Reduce speed smoothly (decelerate, don't stop instantly)
         this.speed = Math.max(
           this.speed * 0.3,
-          ENEMY_CONFIG.INITIAL_SPEED * 0.5
+          this.config.INITIAL_SPEED * 0.5
         );
 
         // 3. Calculate smart reroute direction
@@ -513,18 +1267,24 @@ export class EnemyChaser {
         this.position.x += Math.sin(this.rotation) * clearanceDistance;
         this.position.z += Math.cos(this.rotation) * clearanceDistance;
 
+        // 5. Hard crashes damage the car
+        this.takeDamage(
+          Math.max(0, impactSpeed - this.config.BUILDING_DAMAGE_MIN_SPEED) *
+            this.config.BUILDING_DAMAGE_FACTOR
+        );
+
         break; // Handle one collision at a time
       }
     }
   }
 
-  /**
   /**
    * Flash police lights
    * @private
    */
   _updateLights(deltaTime) {
     this.lightBlinkTime += deltaTime;
+    if (this.lights.length < 2) return; // Mesh not loaded yet
     const blinkSpeed = 3; // Blinks per second
 
     if (Math.floor(this.lightBlinkTime * blinkSpeed) % 2 === 0) {
@@ -602,7 +1362,118 @@ export class EnemyChaser {
    */
   scaleDifficulty(difficultyMultiplier) {
     this.aggressionLevel =
-      ENEMY_CONFIG.AGGRESSION_FACTOR * (1 + difficultyMultiplier * 0.5);
+      this.config.AGGRESSION_FACTOR * (1 + difficultyMultiplier * 0.5);
+  }
+
+  /**
+   * Collision mass relative to other vehicles
+   */
+  getMass() {
+    return this.wrecked ? this.config.WRECK_MASS : this.config.MASS;
+  }
+
+  /**
+   * Lose health - wrecked at zero; hits inside the cooldown are ignored
+   * @param {number} amount - Health to lose
+   */
+  takeDamage(amount) {
+    if (this.wrecked || amount <= 0 || this.damageCooldown > 0) return;
+
+    this.damageCooldown = this.config.DAMAGE_COOLDOWN;
+    this.health = Math.max(0, this.health - amount);
+    if (this.health === 0) this._wreck();
+  }
+
+  /**
+   * Stop for good: sirens off, lights dark - the wreck stays as an obstacle
+   * @private
+   */
+  _wreck() {
+    this.wrecked = true;
+    this.parked = false;
+    this.speed = 0;
+    this.velocity.x = 0;
+    this.velocity.z = 0;
+    this.role = null;
+    this.cutoffPoint = null;
+
+    if (this.sirenAudio) {
+      this.sirenAudio.pause();
+      this.sirenAudio = null;
+    }
+    this.lights.forEach((light) => light.material.color.setHex(0x000000));
+
+    console.log(`💥 ${this.config.NAME ?? "Police car"} wrecked`);
+  }
+
+  /**
+   * Smoke from the engine once badly damaged - twice as thick when wrecked
+   * @private
+   */
+  _updateSmoke(deltaTime) {
+    if (!this.effectsSystem || this.health >= this.config.SMOKE_HEALTH) {
+      return;
+    }
+
+    this.smokeTimer -= deltaTime;
+    if (this.smokeTimer > 0) return;
+
+    const interval = this.config.SMOKE_INTERVAL;
+    this.smokeTimer = this.wrecked ? interval / 2 : interval;
+    const forwardX = Math.sin(this.rotation);
+    const forwardZ = Math.cos(this.rotation);
+    const hood = (this.config.LENGTH / 2) * 0.6;
+    this.effectsSystem.createSmokeTrail(
+      new THREE.Vector3(
+        this.position.x + forwardX * hood,
+        this.config.HEIGHT * 0.5,
+        this.position.z + forwardZ * hood
+      )
+    );
+  }
+
+  /**
+   * Tire smoke from the rear wheels while sliding
+   * @private
+   */
+  _updateDriftSmoke(deltaTime) {
+    this.driftSmokeTimer -= deltaTime;
+    if (
+      !this.effectsSystem ||
+      !isDrifting(this.lateralSpeed) ||
+      this.driftSmokeTimer > 0
+    ) {
+      return;
+    }
+
+    this.driftSmokeTimer = DRIFT_CONFIG.SMOKE_INTERVAL;
+    this.effectsSystem.createTireSmoke(
+      this.position,
+      this.rotation,
+      this.config.LENGTH / 2
+    );
+  }
+
+  isWrecked() {
+    return this.wrecked;
+  }
+
+  getHealth() {
+    return this.health;
+  }
+
+  /**
+   * Score for wrecking this unit
+   */
+  getTakedownBonus() {
+    return this.config.TAKEDOWN_BONUS;
+  }
+
+  /**
+   * Unit type definition (see POLICE_UNITS)
+   */
+  getUnit() {
+    return this.unit;
   }
 
   /**
@@ -613,14 +1484,14 @@ export class EnemyChaser {
     const padding = 0.5; // Extra padding for safety
     return {
       min: {
-        x: this.position.x - (ENEMY_CONFIG.WIDTH / 2 + padding),
+        x: this.position.x - (this.config.WIDTH / 2 + padding),
         y: 0,
-        z: this.position.z - (ENEMY_CONFIG.LENGTH / 2 + padding),
+        z: this.position.z - (this.config.LENGTH / 2 + padding),
       },
       max: {
-        x: this.position.x + (ENEMY_CONFIG.WIDTH / 2 + padding),
-        y: ENEMY_CONFIG.HEIGHT,
-        z: this.position.z + (ENEMY_CONFIG.LENGTH / 2 + padding),
+        x: this.position.x + (this.config.WIDTH / 2 + padding),
+        y: this.config.HEIGHT,
+        z: this.position.z + (this.config.LENGTH / 2 + padding),
       },
     };
   }
@@ -639,6 +1510,13 @@ export class EnemyChaser {
     this.skidMarkSystem = system;
   }
 
+  /**
+   * Set effects system reference (damage smoke)
+   */
+  setEffectsSystem(system) {
+    this.effectsSystem = system;
+  }
+
   /**
    * Get distance to player
    */
@@ -1,12 +1,34 @@
 ﻿// New PlayerCar with omnidirectional movement and 3D model
 import * as THREE from "three";
-import { PLAYER_CONFIG, COLORS } from "../utils/constants.js";
+import {
+  PLAYER_CONFIG,
+  DRIFT_CONFIG,
+  BOOST_CONFIG,
+} from "../utils/constants.js";
 import { clamp } from "../utils/helpers.js";
 import { modelLoader } from "../utils/modelLoader.js";
+import { isHeadless } from "../utils/runtime.js";
+import { PLAYER_VEHICLES } from "../data/playerVehicles.js";
+import { applyUpgrades } from "../data/upgrades.js";
+import {
+  applySlip,
+  getSlipAngle,
+  isDrifting,
+} from "../utils/vehiclePhysics.js";
 
 export class PlayerCar {
-  constructor(scene) {
+  constructor(scene, vehicle = PLAYER_VEHICLES.COUPE, upgrades = null) {
     this.scene = scene;
+
+    // Vehicle from the garage - its stats override the PLAYER_CONFIG baseline
+    // and bought upgrades scale them further
+    this.vehicle = vehicle;
+    this.upgrades = upgrades || {};
+    this.config = applyUpgrades(
+      { ...PLAYER_CONFIG, ...vehicle },
+      this.upgrades
+    );
+
     this.position = { x: 0, y: 0, z: 0 };
     this.velocity = { x: 0, z: 0 };
     this.rotation = Math.PI; // Start facing forward (negative Z direction) - Math.PI = 180 degrees
@@ -14,14 +36,16 @@ export class PlayerCar {
     this.targetSpeed = 0; // Target speed to accelerate towards
     this.isAlive = true;
     this.boostActive = false;
-    this.boostCooldownRemaining = 0;
-    this.boostTimeRemaining = 0;
+    // Nitro meter in seconds of boost - drains while boosting, refills from
+    // driving well (drifts, near misses) and nitro pickups
+    this.boostMeter = this.config.BOOST_CAPACITY;
     this.input = {
       forward: false,
       backward: false,
       left: false,
       right: false,
       boost: false,
+      handbrake: false,
     };
     this.distanceTraveled = 0;
     this.mesh = null;
@@ -29,6 +53,7 @@ export class PlayerCar {
     this.isFalling = false;
     this.fallSpeed = 0;
     this.skidMarkSystem = null; // Skid mark system reference
+    this.effectsSystem = null; // Sparks from punctured tires
     this.skidMarkTimer = 0; // Timer to control skid mark frequency
     this.previousSpeed = 0; // Track previous speed for acceleration/braking detection
     // Building collision crash state (physics-based crash system)
@@ -38,15 +63,37 @@ export class PlayerCar {
     this.crashReverseDirection = { x: 0, z: 0 };
     // Trapped state (completely cornered with no escape)
     this.isTrapped = false;
-    this._loadAndCreateMesh();
+    // Punctured tires (spike strips) - slower, sluggish steering
+    this.isPunctured = false;
+    this.punctureTimer = 0; // Time left until the tires recover
+    this.sparkTimer = 0;
+    // Spun out by a police PIT maneuver - no control until it ends
+    this.spinRate = 0; // Radians/s
+    this.spinTimer = 0;
+    // Crash damage - smokes, sparks and loses top speed; wrecked at zero
+    this.health = this.config.MAX_HEALTH;
+    this.damageCooldown = 0; // Seconds until the next hit counts
+    this.damageEffectTimer = 0;
+    // Slip-angle drift model - sideways speed left over from turns
+    this.lateralSpeed = 0; // Positive slides to the car's left
+    this.driftSmokeTimer = 0;
+
+    // Headless simulations have nothing to draw
+    if (!isHeadless()) {
+      this._loadAndCreateMesh();
+    }
   }
 
   async _loadAndCreateMesh() {
+    // Vehicles without a model of their own use the box mesh
+    if (!this.config.MODEL_PATH) {
+      this._createFallbackMesh();
+      return;
+    }
+
     try {
       // Load the 3D model
-      const model = await modelLoader.loadModel(
-        "/model/player_car/playercar1.glb"
-      );
+      const model = await modelLoader.loadModel(this.config.MODEL_PATH);
 
       this.mesh = new THREE.Group();
 
@@ -58,17 +105,13 @@ export class PlayerCar {
         }
       });
 
-      // Scale and position the model appropriately
-      // Increased scale for better visibility and proportions
-      model.scale.set(2.3, 2.3, 2.3);
-      // Rotate model to face forward (negative Z direction)
-      // Most GLB models face +Z by default, so rotate 180 degrees
-      model.rotation.y = Math.PI;
+      // Scale and turn the model to face the car's heading
+      model.scale.setScalar(this.config.MODEL_SCALE);
+      model.rotation.y = this.config.MODEL_ROTATION;
 
       this.mesh.add(model);
 
       // Position car with base at ground level
-      const config = PLAYER_CONFIG;
       this.mesh.position.set(this.position.x, 0.2, this.position.z);
       this.mesh.rotation.y = this.rotation;
 
@@ -82,14 +125,14 @@ export class PlayerCar {
   }
 
   _createFallbackMesh() {
-    const config = PLAYER_CONFIG;
+    const config = this.config;
     const bodyGeometry = new THREE.BoxGeometry(
       config.WIDTH,
       config.HEIGHT,
       config.LENGTH
     );
     const bodyMaterial = new THREE.MeshLambertMaterial({
-      color: COLORS.PLAYER_CAR,
+      color: this.config.COLOR,
     });
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.castShadow = true;
@@ -111,18 +154,17 @@ export class PlayerCar {
     this.mesh.add(body);
     this.mesh.add(cabin);
 
-    const config2 = PLAYER_CONFIG;
-    this.mesh.position.set(
-      this.position.x,
-      config2.HEIGHT / 2,
-      this.position.z
-    );
+    this.mesh.position.set(this.position.x, config.HEIGHT / 2, this.position.z);
     this.scene.add(this.mesh);
     this.modelLoaded = true;
   }
 
   update(deltaTime) {
-    if (!this.isAlive || !this.modelLoaded || !this.mesh) return;
+    // Physics runs even before the model has loaded so that a run (and its
+    // replay) doesn't depend on how long asset loading takes
+    if (!this.isAlive) return;
+
+    this.damageCooldown = Math.max(0, this.damageCooldown - deltaTime);
 
     // Handle trapped state (fully cornered with no escape)
     if (this.isTrapped) {
@@ -218,12 +260,15 @@ export class PlayerCar {
     }
 
     this._updateBoost(deltaTime);
+    this._updatePuncture(deltaTime);
+    this._updateDamageEffects(deltaTime);
+    this._updateSpin(deltaTime);
     this._applyInput(deltaTime);
     this._updatePosition(deltaTime);
     this._updateMesh();
 
     // Create skid marks if conditions are met
-    if (this.skidMarkSystem && this.modelLoaded) {
+    if (this.skidMarkSystem) {
       this.skidMarkTimer += deltaTime;
       // Create marks every 0.05 seconds (20 times per second) for smooth trails
       if (this.skidMarkTimer >= 0.05) {
@@ -245,13 +290,16 @@ export class PlayerCar {
         const isSharpTurn = Math.abs(steering) > 0.3 && absSpeed > 10;
 
         // Only create marks if one of the realistic conditions is met
-        if (isBraking || isAccelerating || isSharpTurn) {
+        // Flat tires, spin-outs and drifts scrape a continuous trail
+        const isSliding =
+          this.isPunctured || this.isSpinning() || this.isDrifting();
+        if (isBraking || isAccelerating || isSharpTurn || isSliding) {
           this.skidMarkSystem.addCarSkidMarks(
             this.position,
             this.rotation,
             this.speed,
             steering,
-            isBraking || isAccelerating,
+            isBraking || isAccelerating || isSliding,
             isSharpTurn
           );
         }
@@ -261,6 +309,8 @@ export class PlayerCar {
       }
     }
 
+    this._updateDriftSmoke(deltaTime);
+
     const distDelta =
       Math.sqrt(
         this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z
@@ -269,7 +319,7 @@ export class PlayerCar {
   }
 
   _applyInput(deltaTime) {
-    const config = PLAYER_CONFIG;
+    const config = this.config;
 
     // Determine target speed based on input
     if (this.input.backward) {
@@ -285,8 +335,11 @@ export class PlayerCar {
       }
     }
 
-    // Accelerate towards target speed
-    const acceleration = config.ACCELERATION * 60 * deltaTime; // Scale by deltaTime
+    // Accelerate towards target speed - a spinning car only loses speed,
+    // and the handbrake locks the rear wheels
+    const handbrake = this.input.handbrake && !this.isSpinning();
+    const acceleration =
+      this.isSpinning() || handbrake ? 0 : config.ACCELERATION * 60 * deltaTime; // Scale by deltaTime
     if (this.speed < this.targetSpeed) {
       // Accelerating forward or reducing reverse
       this.speed = Math.min(this.speed + acceleration, this.targetSpeed);
@@ -294,24 +347,83 @@ export class PlayerCar {
       // Decelerating or accelerating in reverse
       this.speed = Math.max(this.speed - acceleration, this.targetSpeed);
     }
+    if (handbrake && this.speed > 0) {
+      this.speed = Math.max(
+        0,
+        this.speed - config.HANDBRAKE_DECELERATION * deltaTime
+      );
+    }
 
-    // Clamp speed to max limits
-    const maxForwardSpeed = this.boostActive
-      ? config.MAX_SPEED * config.BOOST_MULTIPLIER
-      : config.MAX_SPEED;
+    // Punctured tires cap speed and slow steering
+    const tireFactor = this.isPunctured ? config.PUNCTURE_SPEED_FACTOR : 1;
+    const steerFactor =
+      (this.isPunctured ? config.PUNCTURE_STEER_FACTOR : 1) *
+      (handbrake ? config.HANDBRAKE_STEER_FACTOR : 1);
+    this.targetSpeed *= tireFactor;
+
+    // Clamp speed to max limits - a damaged car loses top speed
+    const maxForwardSpeed =
+      (this.boostActive
+        ? config.MAX_SPEED * config.BOOST_MULTIPLIER
+        : config.MAX_SPEED) *
+      tireFactor *
+      this._getDamageSpeedFactor();
     const maxReverseSpeed = -config.AUTO_FORWARD_SPEED * 0.6;
     this.speed = clamp(this.speed, maxReverseSpeed, maxForwardSpeed);
 
-    // Left/Right steering only
-    if (this.input.left)
-      this.rotation += config.ROTATION_SPEED * deltaTime * 60;
-    if (this.input.right)
-      this.rotation -= config.ROTATION_SPEED * deltaTime * 60;
+    // Left/Right steering only - ignored while spinning out
+    const canSteer = !this.isSpinning();
+    if (canSteer && this.input.left)
+      this.rotation += config.ROTATION_SPEED * steerFactor * deltaTime * 60;
+    if (canSteer && this.input.right)
+      this.rotation -= config.ROTATION_SPEED * steerFactor * deltaTime * 60;
 
-    // Calculate velocity based on rotation (same system as enemy for consistency)
+    // Velocity follows the heading (same model as the police), except for
+    // the slide left over from turning - the handbrake and spin-outs let go
+    // of the grip so the car drifts
     // When rotation = Math.PI, car faces negative Z (forward direction)
-    this.velocity.x = Math.sin(this.rotation) * this.speed;
-    this.velocity.z = Math.cos(this.rotation) * this.speed;
+    const grip =
+      handbrake || this.isSpinning() ? config.DRIFT_FACTOR : config.GRIP_FACTOR;
+    this.lateralSpeed = applySlip(this, grip, deltaTime);
+  }
+
+  /**
+   * Tire smoke from the rear wheels while drifting
+   * @private
+   */
+  _updateDriftSmoke(deltaTime) {
+    this.driftSmokeTimer -= deltaTime;
+    if (!this.effectsSystem || !this.isDrifting() || this.driftSmokeTimer > 0) {
+      return;
+    }
+
+    this.driftSmokeTimer = DRIFT_CONFIG.SMOKE_INTERVAL;
+    this.effectsSystem.createTireSmoke(
+      this.position,
+      this.rotation,
+      this.config.LENGTH / 2
+    );
+  }
+
+  /**
+   * Sliding sideways hard enough to leave trails and smoke
+   */
+  isDrifting() {
+    return isDrifting(this.lateralSpeed);
+  }
+
+  /**
+   * Off the ground from a jump - falling off the map doesn't count
+   */
+  isAirborne() {
+    return !this.isFalling && this.position.y > BOOST_CONFIG.AIRBORNE_HEIGHT;
+  }
+
+  /**
+   * Angle between the car's heading and its travel direction (radians)
+   */
+  getSlipAngle() {
+    return getSlipAngle(this.speed, this.lateralSpeed);
   }
 
   _updatePosition(deltaTime) {
@@ -339,24 +451,180 @@ export class PlayerCar {
     }
   }
 
+  /**
+   * Count down to tire recovery and throw sparks from the rims
+   */
+  _updatePuncture(deltaTime) {
+    if (!this.isPunctured) return;
+
+    this.punctureTimer -= deltaTime;
+    if (this.punctureTimer <= 0) {
+      this.repair();
+      return;
+    }
+
+    this.sparkTimer -= deltaTime;
+    if (this.effectsSystem && this.sparkTimer <= 0 && this.getSpeed() > 2) {
+      this.sparkTimer = this.config.PUNCTURE_SPARK_INTERVAL;
+      const forwardX = Math.sin(this.rotation);
+      const forwardZ = Math.cos(this.rotation);
+      this.effectsSystem.createSparks(
+        new THREE.Vector3(
+          this.position.x - forwardX * 1.5,
+          0.3,
+          this.position.z - forwardZ * 1.5
+        ),
+        { x: -forwardX, z: -forwardZ }
+      );
+    }
+  }
+
+  /**
+   * Puncture the tires (spike strip) - lasts until repaired or timed out
+   */
+  puncture(duration = this.config.PUNCTURE_DURATION) {
+    if (!this.isPunctured) console.log("💥 Tires punctured!");
+    this.isPunctured = true;
+    this.punctureTimer = duration;
+    this.sparkTimer = 0;
+  }
+
+  /**
+   * Fix punctured tires (repair pickup or timed recovery)
+   */
+  repair() {
+    if (!this.isPunctured) return;
+    this.isPunctured = false;
+    this.punctureTimer = 0;
+    console.log("🔧 Tires repaired");
+  }
+
+  /**
+   * Lose health from a crash - wrecked at zero; hits inside the cooldown
+   * are ignored
+   * @param {number} amount - Health to lose
+   * @returns {boolean} - Whether the hit counted
+   */
+  takeDamage(amount) {
+    if (!this.isAlive || amount <= 0 || this.damageCooldown > 0) return false;
+
+    this.damageCooldown = this.config.DAMAGE_COOLDOWN;
+    this.health = Math.max(0, this.health - amount);
+    if (this.health === 0) {
+      console.log("💥 Car wrecked!");
+      this.die();
+    }
+    return true;
+  }
+
+  getHealth() {
+    return this.health;
+  }
+
+  getHealthPercent() {
+    return (this.health / this.config.MAX_HEALTH) * 100;
+  }
+
+  /**
+   * Top speed multiplier - falls linearly to DAMAGE_SPEED_FACTOR at zero
+   * health
+   * @private
+   */
+  _getDamageSpeedFactor() {
+    const damage = 1 - this.health / this.config.MAX_HEALTH;
+    return 1 - damage * (1 - this.config.DAMAGE_SPEED_FACTOR);
+  }
+
+  /**
+   * Smoke from the engine once damaged, sparks as well when badly damaged
+   * @private
+   */
+  _updateDamageEffects(deltaTime) {
+    if (!this.effectsSystem) return;
+    if (this.health >= this.config.DAMAGE_SMOKE_HEALTH) return;
+
+    this.damageEffectTimer -= deltaTime;
+    if (this.damageEffectTimer > 0) return;
+    this.damageEffectTimer = this.config.DAMAGE_EFFECT_INTERVAL;
+
+    const forwardX = Math.sin(this.rotation);
+    const forwardZ = Math.cos(this.rotation);
+    const hood = new THREE.Vector3(
+      this.position.x + forwardX * 1.2,
+      0.8,
+      this.position.z + forwardZ * 1.2
+    );
+    this.effectsSystem.createSmokeTrail(hood);
+    if (this.health < this.config.DAMAGE_SPARK_HEALTH) {
+      this.effectsSystem.createSparks(hood, { x: -forwardX, z: -forwardZ });
+    }
+  }
+
+  /**
+   * Rotate through a PIT spin-out, bleeding off spin rate and speed
+   */
+  _updateSpin(deltaTime) {
+    if (this.spinTimer <= 0) return;
+
+    this.spinTimer -= deltaTime;
+    this.rotation += this.spinRate * deltaTime;
+    this.spinRate *= Math.max(0, 1 - this.config.SPIN_DAMPING * deltaTime);
+    this.speed *= Math.max(0, 1 - this.config.SPIN_SPEED_LOSS * deltaTime);
+
+    if (this.spinTimer <= 0) {
+      this.spinRate = 0;
+      this.spinTimer = 0;
+    }
+  }
+
+  /**
+   * Spin the car out (police PIT maneuver)
+   * @param {number} rate - Spin rate in radians/s (positive turns left)
+   */
+  spin(rate) {
+    this.spinRate = rate;
+    this.spinTimer = this.config.SPIN_DURATION;
+  }
+
+  isSpinning() {
+    return this.spinTimer > 0;
+  }
+
   _updateBoost(deltaTime) {
-    if (this.boostCooldownRemaining > 0)
-      this.boostCooldownRemaining -= deltaTime * 1000;
-    if (
-      this.input.boost &&
-      this.boostCooldownRemaining <= 0 &&
-      !this.boostActive
-    )
+    if (this.boostActive && !this.input.boost) {
+      this.deactivateBoost();
+    } else if (!this.boostActive && this.input.boost && this.canBoost()) {
       this.activateBoost();
+    }
+
     if (this.boostActive) {
-      this.boostTimeRemaining -= deltaTime * 1000;
-      if (this.boostTimeRemaining <= 0) this.deactivateBoost();
+      this.boostMeter = Math.max(0, this.boostMeter - deltaTime);
+      if (this.boostMeter <= 0) this.deactivateBoost();
+    } else {
+      this.refillBoost(BOOST_CONFIG.PASSIVE_REFILL * deltaTime);
+    }
+
+    if (this.isDrifting()) {
+      this.refillBoost(BOOST_CONFIG.DRIFT_REFILL * deltaTime);
+    }
+    if (this.isAirborne()) {
+      this.refillBoost(BOOST_CONFIG.AIRTIME_REFILL * deltaTime);
     }
   }
 
+  /**
+   * Top up the nitro meter
+   * @param {number} amount - Seconds of boost (before BOOST_REFILL_FACTOR)
+   */
+  refillBoost(amount) {
+    this.boostMeter = Math.min(
+      this.config.BOOST_CAPACITY,
+      this.boostMeter + amount * this.config.BOOST_REFILL_FACTOR
+    );
+  }
+
   activateBoost() {
     this.boostActive = true;
-    this.boostTimeRemaining = PLAYER_CONFIG.BOOST_DURATION;
     // Create boost glow by brightening the car color
     if (
       this.mesh &&
@@ -370,7 +638,6 @@ export class PlayerCar {
 
   deactivateBoost() {
     this.boostActive = false;
-    this.boostCooldownRemaining = PLAYER_CONFIG.BOOST_COOLDOWN;
     // Restore original car color
     if (
       this.mesh &&
@@ -378,7 +645,7 @@ export class PlayerCar {
       this.mesh.children[0].material &&
       this.mesh.children[0].material.color
     ) {
-      this.mesh.children[0].material.color.setHex(COLORS.PLAYER_CAR);
+      this.mesh.children[0].material.color.setHex(this.config.COLOR);
     }
   }
 
@@ -426,14 +693,14 @@ export class PlayerCar {
     const padding = 0.5; // Extra padding for safety
     return {
       min: {
-        x: this.position.x - (PLAYER_CONFIG.WIDTH / 2 + padding),
+        x: this.position.x - (this.config.WIDTH / 2 + padding),
         y: 0,
-        z: this.position.z - (PLAYER_CONFIG.LENGTH / 2 + padding),
+        z: this.position.z - (this.config.LENGTH / 2 + padding),
       },
       max: {
-        x: this.position.x + (PLAYER_CONFIG.WIDTH / 2 + padding),
-        y: PLAYER_CONFIG.HEIGHT,
-        z: this.position.z + (PLAYER_CONFIG.LENGTH / 2 + padding),
+        x: this.position.x + (this.config.WIDTH / 2 + padding),
+        y: this.config.HEIGHT,
+        z: this.position.z + (this.config.LENGTH / 2 + padding),
       },
     };
   }
@@ -446,14 +713,38 @@ export class PlayerCar {
     this.skidMarkSystem = system;
   }
 
+  setEffectsSystem(system) {
+    this.effectsSystem = system;
+  }
+
   getPosition() {
     return { ...this.position };
   }
   getSpeed() {
     return Math.abs(this.speed);
   }
+  /**
+   * Unit travel direction - facing direction when nearly stopped
+   */
+  getHeading() {
+    const speed = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
+    if (speed > 1) {
+      return { x: this.velocity.x / speed, z: this.velocity.z / speed };
+    }
+    return { x: Math.sin(this.rotation), z: Math.cos(this.rotation) };
+  }
+  /**
+   * Whether holding boost would boost (already boosting or enough nitro)
+   */
   canBoost() {
-    return this.boostCooldownRemaining <= 0;
+    return this.boostActive || this.boostMeter >= BOOST_CONFIG.MIN_START;
+  }
+
+  /**
+   * Nitro meter fill (0-100)
+   */
+  getBoostPercent() {
+    return (this.boostMeter / this.config.BOOST_CAPACITY) * 100;
   }
 
   dispose() {
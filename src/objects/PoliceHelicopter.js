@@ -0,0 +1,428 @@
+/**
+ * PoliceHelicopter - Air unit joining the chase at the top wanted level
+ * Responsibility: Fly over the city (buildings don't block it), light the
+ * player up with a searchlight and report visual contact
+ * Owned by the WantedSystem - spawned from HELICOPTER_CONFIG.MIN_WANTED_LEVEL
+ */
+
+import * as THREE from "three";
+import { HELICOPTER_CONFIG } from "../utils/constants.js";
+import { clamp, distance2D } from "../utils/helpers.js";
+import { isHeadless } from "../utils/runtime.js";
+
+export class PoliceHelicopter {
+  constructor(
+    scene,
+    playerRef,
+    spawnPos,
+    soundSystem = null,
+    config = HELICOPTER_CONFIG
+  ) {
+    this.scene = scene;
+    this.playerRef = playerRef;
+    this.config = config;
+
+    // Flight state - altitude is fixed, movement is on the ground plane
+    this.position = { x: spawnPos.x, y: config.ALTITUDE, z: spawnPos.z };
+    this.velocity = { x: 0, z: 0 };
+    this.rotation = 0;
+
+    // Searchlight spot on the ground, starts straight below
+    this.spot = { x: spawnPos.x, z: spawnPos.z };
+    this.hasContact = false;
+
+    // Search state - sweeps the spot around the search area
+    this.searchArea = null; // { x, z, radius } while the player is hidden
+    this.sweepAngle = 0;
+
+    // Three.js objects
+    this.mesh = null;
+    this.rotor = null;
+    this.beaconLight = null;
+    this.beaconTime = 0;
+    this.searchlight = null;
+    this.beam = null;
+    this.spotMesh = null;
+
+    // Rotor audio panned with the helicopter's position
+    this.rotorSound = null;
+    this.rotorPaused = false;
+
+    if (this.scene && !isHeadless()) {
+      this._createMesh();
+      this._createSearchlight();
+      this.rotorSound = soundSystem?.createRotorSound?.() || null;
+    }
+  }
+
+  /**
+   * Build the helicopter body, tail and rotors
+   * @private
+   */
+  _createMesh() {
+    this.mesh = new THREE.Group();
+    const bodyMaterial = new THREE.MeshLambertMaterial({ color: 0x1a2a4a });
+    const darkMaterial = new THREE.MeshLambertMaterial({ color: 0x111111 });
+
+    const body = new THREE.Mesh(
+      new THREE.BoxGeometry(2.4, 2, 4.5),
+      bodyMaterial
+    );
+    this.mesh.add(body);
+
+    const cockpit = new THREE.Mesh(
+      new THREE.BoxGeometry(2, 1.2, 1.2),
+      new THREE.MeshLambertMaterial({ color: 0x88aacc })
+    );
+    cockpit.position.set(0, 0.2, 2.6);
+    this.mesh.add(cockpit);
+
+    const tail = new THREE.Mesh(
+      new THREE.BoxGeometry(0.4, 0.4, 5),
+      bodyMaterial
+    );
+    tail.position.set(0, 0.4, -4.5);
+    this.mesh.add(tail);
+
+    const tailRotor = new THREE.Mesh(
+      new THREE.BoxGeometry(0.1, 1.6, 0.2),
+      darkMaterial
+    );
+    tailRotor.position.set(0.3, 0.6, -6.8);
+    this.mesh.add(tailRotor);
+
+    // Main rotor - two crossed blades spun every frame
+    this.rotor = new THREE.Group();
+    for (const angle of [0, Math.PI / 2]) {
+      const blade = new THREE.Mesh(
+        new THREE.BoxGeometry(11, 0.08, 0.4),
+        darkMaterial
+      );
+      blade.rotation.y = angle;
+      this.rotor.add(blade);
+    }
+    this.rotor.position.y = 1.3;
+    this.mesh.add(this.rotor);
+
+    for (const side of [-1, 1]) {
+      const skid = new THREE.Mesh(
+        new THREE.BoxGeometry(0.15, 0.15, 4),
+        darkMaterial
+      );
+      skid.position.set(side * 1.1, -1.3, 0);
+      this.mesh.add(skid);
+    }
+
+    // Blinking red beacon under the body
+    this.beaconLight = new THREE.Mesh(
+      new THREE.BoxGeometry(0.3, 0.2, 0.3),
+      new THREE.MeshBasicMaterial({ color: 0xff0000 })
+    );
+    this.beaconLight.position.set(0, -1.1, 0);
+    this.mesh.add(this.beaconLight);
+
+    this.mesh.position.set(this.position.x, this.position.y, this.position.z);
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Spotlight from the helicopter plus a visible beam and ground spot
+   * @private
+   */
+  _createSearchlight() {
+    const { ALTITUDE, SEARCHLIGHT_RADIUS } = this.config;
+
+    this.searchlight = new THREE.SpotLight(0xffffee, 3, ALTITUDE * 3);
+    this.searchlight.angle = Math.atan(SEARCHLIGHT_RADIUS / ALTITUDE) * 1.2;
+    this.searchlight.penumbra = 0.4;
+    this.searchlight.decay = 0;
+    this.scene.add(this.searchlight);
+    this.scene.add(this.searchlight.target);
+
+    // Unit-height cone, apex up - stretched and aimed each frame
+    const beamGeometry = new THREE.ConeGeometry(1, 1, 24, 1, true);
+    beamGeometry.translate(0, -0.5, 0);
+    this.beam = new THREE.Mesh(
+      beamGeometry,
+      new THREE.MeshBasicMaterial({
+        color: 0xffffcc,
+        transparent: true,
+        opacity: 0.12,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+      })
+    );
+    this.scene.add(this.beam);
+
+    this.spotMesh = new THREE.Mesh(
+      new THREE.CircleGeometry(SEARCHLIGHT_RADIUS, 32),
+      new THREE.MeshBasicMaterial({
+        color: 0xffffcc,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false,
+      })
+    );
+    this.spotMesh.rotation.x = -Math.PI / 2;
+    this.scene.add(this.spotMesh);
+  }
+
+  /**
+   * Fly towards the player (or the search area) and aim the searchlight
+   * @param {number} deltaTime - Time since last step in seconds
+   */
+  update(deltaTime) {
+    const playerPos = this.playerRef.getPosition();
+    let aim;
+    let flyTo;
+
+    if (this.searchArea) {
+      // Sweep the spot in and out around the search area, flying over it
+      this.sweepAngle += this.config.SEARCH_SWEEP_SPEED * deltaTime;
+      const sweepRadius =
+        this.searchArea.radius * Math.abs(Math.sin(this.sweepAngle * 0.3));
+      aim = {
+        x: this.searchArea.x + Math.cos(this.sweepAngle) * sweepRadius,
+        z: this.searchArea.z + Math.sin(this.sweepAngle) * sweepRadius,
+      };
+      flyTo = aim;
+    } else {
+      // Police radio keeps the pilot on the player - lead their movement
+      aim = playerPos;
+      const velocity = this.playerRef.velocity || { x: 0, z: 0 };
+      flyTo = {
+        x: playerPos.x + velocity.x * this.config.LEAD_TIME,
+        z: playerPos.z + velocity.z * this.config.LEAD_TIME,
+      };
+    }
+
+    this._fly(flyTo, deltaTime);
+    this._aimSearchlight(aim, deltaTime);
+
+    this.hasContact =
+      distance2D(this.spot.x, this.spot.z, playerPos.x, playerPos.z) <=
+      this.config.SEARCHLIGHT_RADIUS;
+
+    this._updateMesh(deltaTime);
+    this._updateRotorSound();
+  }
+
+  /**
+   * Accelerate towards a point, easing off as it gets close
+   * @private
+   */
+  _fly(target, deltaTime) {
+    const { MAX_SPEED, ACCELERATION } = this.config;
+    const dx = target.x - this.position.x;
+    const dz = target.z - this.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    // Stopping distance v^2 / 2a - arrive without overshooting
+    const desiredSpeed = Math.min(
+      MAX_SPEED,
+      Math.sqrt(2 * ACCELERATION * distance)
+    );
+    const desired =
+      distance > 0.01
+        ? {
+            x: (dx / distance) * desiredSpeed,
+            z: (dz / distance) * desiredSpeed,
+          }
+        : { x: 0, z: 0 };
+
+    const changeX = desired.x - this.velocity.x;
+    const changeZ = desired.z - this.velocity.z;
+    const change = Math.sqrt(changeX * changeX + changeZ * changeZ);
+    const maxChange = ACCELERATION * deltaTime;
+    const scale = change > maxChange ? maxChange / change : 1;
+    this.velocity.x += changeX * scale;
+    this.velocity.z += changeZ * scale;
+
+    this.position.x += this.velocity.x * deltaTime;
+    this.position.z += this.velocity.z * deltaTime;
+
+    const speed = Math.sqrt(
+      this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z
+    );
+    if (speed > 1) {
+      this.rotation = Math.atan2(this.velocity.x, this.velocity.z);
+    }
+  }
+
+  /**
+   * Swing the ground spot towards a point, within reach of the helicopter
+   * @private
+   */
+  _aimSearchlight(aim, deltaTime) {
+    const { SEARCHLIGHT_SPEED, SEARCHLIGHT_RANGE } = this.config;
+
+    const dx = aim.x - this.spot.x;
+    const dz = aim.z - this.spot.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const step = Math.min(distance, SEARCHLIGHT_SPEED * deltaTime);
+    if (distance > 0) {
+      this.spot.x += (dx / distance) * step;
+      this.spot.z += (dz / distance) * step;
+    }
+
+    // The beam can only tilt so far from straight down
+    const offsetX = this.spot.x - this.position.x;
+    const offsetZ = this.spot.z - this.position.z;
+    const offset = Math.sqrt(offsetX * offsetX + offsetZ * offsetZ);
+    if (offset > SEARCHLIGHT_RANGE) {
+      this.spot.x = this.position.x + (offsetX / offset) * SEARCHLIGHT_RANGE;
+      this.spot.z = this.position.z + (offsetZ / offset) * SEARCHLIGHT_RANGE;
+    }
+  }
+
+  /**
+   * Sync the helicopter, beam and spot meshes with the flight state
+   * @private
+   */
+  _updateMesh(deltaTime) {
+    if (!this.mesh) return;
+
+    this.mesh.position.set(this.position.x, this.position.y, this.position.z);
+    this.mesh.rotation.y = this.rotation;
+    this.rotor.rotation.y += this.config.ROTOR_SPEED * deltaTime;
+
+    this.beaconTime += deltaTime;
+    this.beaconLight.visible = this.beaconTime % 1 < 0.5;
+
+    // Beam from the helicopter's belly to the ground spot
+    const top = new THREE.Vector3(
+      this.position.x,
+      this.position.y - 1,
+      this.position.z
+    );
+    const ground = new THREE.Vector3(this.spot.x, 0, this.spot.z);
+    const direction = ground.clone().sub(top);
+    const length = direction.length();
+    this.beam.position.copy(top);
+    this.beam.scale.set(
+      this.config.SEARCHLIGHT_RADIUS,
+      length,
+      this.config.SEARCHLIGHT_RADIUS
+    );
+    this.beam.quaternion.setFromUnitVectors(
+      new THREE.Vector3(0, -1, 0),
+      direction.normalize()
+    );
+
+    this.searchlight.position.copy(top);
+    this.searchlight.target.position.copy(ground);
+
+    // Spot turns red while it has the player lit up
+    this.spotMesh.position.set(this.spot.x, 0.15, this.spot.z);
+    this.spotMesh.material.color.setHex(this.hasContact ? 0xffaaaa : 0xffffcc);
+  }
+
+  /**
+   * Rotor volume by distance, panned left/right by screen side
+   * The camera looks down -z, so screen right is +x
+   * @private
+   */
+  _updateRotorSound() {
+    if (!this.rotorSound) return;
+
+    const { AUDIO_RANGE, AUDIO_PAN_DISTANCE, AUDIO_MAX_VOLUME } = this.config;
+    const playerPos = this.playerRef.getPosition();
+    const distance = distance2D(
+      this.position.x,
+      this.position.z,
+      playerPos.x,
+      playerPos.z
+    );
+
+    const volume = this.rotorPaused
+      ? 0
+      : AUDIO_MAX_VOLUME * clamp(1 - distance / AUDIO_RANGE, 0, 1);
+    const pan = clamp(
+      (this.position.x - playerPos.x) / AUDIO_PAN_DISTANCE,
+      -1,
+      1
+    );
+    this.rotorSound.update(pan, volume);
+  }
+
+  /**
+   * Sweep the searchlight around the area where the player was last seen
+   */
+  startSearch(center, radius) {
+    this.searchArea = { x: center.x, z: center.z, radius };
+  }
+
+  /**
+   * Player found - back to tracking them
+   */
+  stopSearch() {
+    this.searchArea = null;
+  }
+
+  isSearching() {
+    return this.searchArea !== null;
+  }
+
+  /**
+   * Whether the searchlight is on the player (buildings don't block it)
+   */
+  hasVisualContact() {
+    return this.hasContact;
+  }
+
+  getPosition() {
+    return this.position;
+  }
+
+  getSpotPosition() {
+    return this.spot;
+  }
+
+  /**
+   * Silence the rotor (game paused)
+   */
+  pauseRotor() {
+    this.rotorPaused = true;
+    this._updateRotorSound();
+  }
+
+  /**
+   * Resume the rotor sound
+   */
+  resumeRotor() {
+    this.rotorPaused = false;
+    this._updateRotorSound();
+  }
+
+  /**
+   * Remove the helicopter, searchlight and rotor sound
+   */
+  dispose() {
+    if (this.rotorSound) {
+      this.rotorSound.stop();
+      this.rotorSound = null;
+    }
+
+    const removeMesh = (object) => {
+      if (!object) return;
+      this.scene.remove(object);
+      object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    };
+    removeMesh(this.mesh);
+    removeMesh(this.beam);
+    removeMesh(this.spotMesh);
+    this.mesh = null;
+    this.beam = null;
+    this.spotMesh = null;
+
+    if (this.searchlight) {
+      this.scene.remove(this.searchlight);
+      this.scene.remove(this.searchlight.target);
+      this.searchlight.dispose();
+      this.searchlight = null;
+    }
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * RoadGraph - Navigable road network for the streamed city
+ * Responsibility: Track intersections of loaded tiles and plan routes with A*
+ * Every tile has a crossroads at its center, so intersections sit on the
+ * tile grid and carriageways join each one to its four grid neighbours
+ */
+
+import { WORLD_CONFIG } from "../utils/constants.js";
+
+const NEIGHBOR_OFFSETS = [
+  { x: 1, z: 0 },
+  { x: -1, z: 0 },
+  { x: 0, z: 1 },
+  { x: 0, z: -1 },
+];
+
+/**
+ * Lateral offset to the keep-right carriageway for a heading
+ * Right of heading (dx, dz) is (-dz, dx) in world space
+ */
+export function carriagewayOffset(dx, dz, offset) {
+  const length = Math.sqrt(dx * dx + dz * dz) || 1;
+  return { x: (-dz / length) * offset, z: (dx / length) * offset };
+}
+
+export class RoadGraph {
+  constructor(
+    tileSize = WORLD_CONFIG.SIZE,
+    laneOffset = WORLD_CONFIG.CARRIAGEWAY_OFFSET
+  ) {
+    this.tileSize = tileSize;
+    this.laneOffset = laneOffset; // Road center to carriageway center
+    this.nodes = new Map(); // "gridX,gridZ" -> intersection node
+  }
+
+  /**
+   * @private
+   */
+  _key(gridX, gridZ) {
+    return `${gridX},${gridZ}`;
+  }
+
+  /**
+   * Add the intersection at the center of a loaded tile
+   */
+  addIntersection(gridX, gridZ) {
+    const key = this._key(gridX, gridZ);
+    if (this.nodes.has(key)) return this.nodes.get(key);
+
+    const node = {
+      key,
+      gridX,
+      gridZ,
+      x: gridX * this.tileSize,
+      z: gridZ * this.tileSize,
+    };
+    this.nodes.set(key, node);
+    return node;
+  }
+
+  /**
+   * Remove the intersection of an unloaded tile (and its carriageways)
+   */
+  removeIntersection(gridX, gridZ) {
+    return this.nodes.delete(this._key(gridX, gridZ));
+  }
+
+  getNode(gridX, gridZ) {
+    return this.nodes.get(this._key(gridX, gridZ)) || null;
+  }
+
+  /**
+   * Intersections joined to a node by a carriageway
+   * A carriageway exists only while the tiles at both ends are loaded
+   */
+  getNeighbors(node) {
+    const neighbors = [];
+    for (const offset of NEIGHBOR_OFFSETS) {
+      const neighbor = this.getNode(
+        node.gridX + offset.x,
+        node.gridZ + offset.z
+      );
+      if (neighbor) neighbors.push(neighbor);
+    }
+    return neighbors;
+  }
+
+  /**
+   * All directed carriageways (one per travel direction)
+   */
+  getEdges() {
+    const edges = [];
+    for (const node of this.nodes.values()) {
+      for (const neighbor of this.getNeighbors(node)) {
+        edges.push({ from: node, to: neighbor, length: this.tileSize });
+      }
+    }
+    return edges;
+  }
+
+  /**
+   * Find the road segment nearest a point and the intersections at its ends
+   * @returns {{vertical: boolean, line: number, nodes: Array}}
+   */
+  getSegment(x, z) {
+    const gx = x / this.tileSize;
+    const gz = z / this.tileSize;
+    const roadX = Math.round(gx);
+    const roadZ = Math.round(gz);
+    const vertical =
+      Math.abs(x - roadX * this.tileSize) <=
+      Math.abs(z - roadZ * this.tileSize);
+
+    const ends = vertical
+      ? [
+          this.getNode(roadX, Math.floor(gz)),
+          this.getNode(roadX, Math.floor(gz) + 1),
+        ]
+      : [
+          this.getNode(Math.floor(gx), roadZ),
+          this.getNode(Math.floor(gx) + 1, roadZ),
+        ];
+
+    return {
+      vertical,
+      line: vertical ? roadX : roadZ,
+      nodes: ends.filter(Boolean),
+    };
+  }
+
+  /**
+   * Follow the road under a point in a travel direction, straight on through
+   * intersections, to a spot on the approach to an upcoming intersection
+   * @param {{x: number, z: number}} heading - Travel direction
+   * @param {number} minDistance - Closest acceptable distance ahead
+   * @param {number} maxDistance - Give up beyond this distance
+   * @param {number} approachOffset - Distance before the intersection
+   * @returns {{x: number, z: number, alongX: boolean, direction: number}|null}
+   *   - Road center point, road axis and travel direction along it; null once
+   *   the road runs off the loaded network
+   */
+  getPointAhead(position, heading, minDistance, maxDistance, approachOffset) {
+    const segment = this.getSegment(position.x, position.z);
+
+    // A vertical segment runs along Z
+    const alongX = !segment.vertical;
+    const direction = Math.sign(alongX ? heading.x : heading.z) || 1;
+    const along = alongX ? position.x : position.z;
+    const nodeAt = (grid) =>
+      alongX
+        ? this.getNode(grid, segment.line)
+        : this.getNode(segment.line, grid);
+
+    let grid =
+      direction > 0
+        ? Math.floor(along / this.tileSize) + 1
+        : Math.ceil(along / this.tileSize) - 1;
+
+    for (; ; grid += direction) {
+      const pointAlong = grid * this.tileSize - direction * approachOffset;
+      const distance = (pointAlong - along) * direction;
+      if (distance > maxDistance) return null;
+
+      // Both ends of the carriageway must be loaded
+      if (!nodeAt(grid) || !nodeAt(grid - direction)) return null;
+      if (distance < minDistance) continue;
+
+      const line = segment.line * this.tileSize;
+      return {
+        x: alongX ? pointAlong : line,
+        z: alongX ? line : pointAlong,
+        alongX,
+        direction,
+      };
+    }
+  }
+
+  /**
+   * Plan a route along the roads with A*
+   * Both points join the network at the ends of their nearest road segment
+   * @returns {{nodes: Array, waypoints: Array, length: number}|null} -
+   *   null if either point is off the loaded network or no route exists
+   */
+  findPath(start, goal) {
+    const startSegment = this.getSegment(start.x, start.z);
+    const goalSegment = this.getSegment(goal.x, goal.z);
+    if (startSegment.nodes.length === 0 || goalSegment.nodes.length === 0) {
+      return null;
+    }
+
+    // Same stretch of road - just drive along it
+    if (
+      startSegment.vertical === goalSegment.vertical &&
+      startSegment.line === goalSegment.line &&
+      startSegment.nodes.every((node) => goalSegment.nodes.includes(node))
+    ) {
+      return {
+        nodes: [],
+        waypoints: [{ x: goal.x, z: goal.z }],
+        length: this._distance(start, goal),
+      };
+    }
+
+    const goalCosts = new Map();
+    for (const node of goalSegment.nodes) {
+      goalCosts.set(node, this._distance(node, goal));
+    }
+
+    // Open list is small (a few dozen loaded tiles), so a linear scan is fine
+    const open = startSegment.nodes.map((node) => {
+      const g = this._distance(start, node);
+      return { node, g, f: g + this._distance(node, goal), parent: null };
+    });
+    const closed = new Set();
+
+    while (open.length > 0) {
+      let best = 0;
+      for (let i = 1; i < open.length; i++) {
+        if (open[i].f < open[best].f) best = i;
+      }
+      const current = open.splice(best, 1)[0];
+
+      // Reached the goal point itself
+      if (!current.node) {
+        return this._buildRoute(current, start, goal);
+      }
+
+      if (closed.has(current.node)) continue;
+      closed.add(current.node);
+
+      // Leave the network for the goal from either end of its segment
+      if (goalCosts.has(current.node)) {
+        const g = current.g + goalCosts.get(current.node);
+        open.push({ node: null, g, f: g, parent: current });
+      }
+
+      for (const neighbor of this.getNeighbors(current.node)) {
+        if (closed.has(neighbor)) continue;
+        const g = current.g + this.tileSize;
+        open.push({
+          node: neighbor,
+          g,
+          f: g + this._distance(neighbor, goal),
+          parent: current,
+        });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn an A* result into intersections and carriageway waypoints
+   * @private
+   */
+  _buildRoute(goalEntry, start, goal) {
+    const nodes = [];
+    for (let entry = goalEntry.parent; entry; entry = entry.parent) {
+      nodes.unshift(entry.node);
+    }
+
+    // Arrive at each intersection on the keep-right carriageway
+    const waypoints = [];
+    let previous = start;
+    for (const node of nodes) {
+      const lane = carriagewayOffset(
+        node.x - previous.x,
+        node.z - previous.z,
+        this.laneOffset
+      );
+      waypoints.push({ x: node.x + lane.x, z: node.z + lane.z });
+      previous = node;
+    }
+    waypoints.push({ x: goal.x, z: goal.z });
+
+    return { nodes, waypoints, length: goalEntry.g };
+  }
+
+  /**
+   * @private
+   */
+  _distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2);
+  }
+
+  clear() {
+    this.nodes.clear();
+  }
+}
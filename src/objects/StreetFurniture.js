@@ -233,6 +233,13 @@ export class StreetFurniture {
     greenLight.position.set(0, 4.7, 0.13);
     trafficLightGroup.add(greenLight);
 
+    // Lamps relit by setTrafficLightState() as the signal cycles
+    trafficLightGroup.userData.lamps = {
+      red: redLight,
+      yellow: yellowLight,
+      green: greenLight,
+    };
+
     // Position and rotate
     trafficLightGroup.position.set(x, 0, z);
     trafficLightGroup.rotation.y = rotation;
@@ -243,46 +250,54 @@ export class StreetFurniture {
     return trafficLightGroup;
   }
 
+  /**
+   * Show a signal state on a traffic light from createTrafficLight()
+   * @param {THREE.Group} trafficLight - Light to relight
+   * @param {string} state - 'red', 'yellow' or 'green'
+   */
+  setTrafficLightState(trafficLight, state) {
+    const lamps = trafficLight.userData.lamps;
+    if (!lamps) return;
+
+    lamps.red.material =
+      state === "red" ? this.materials.redLight : this.materials.lightOff;
+    lamps.yellow.material =
+      state === "yellow" ? this.materials.yellowLight : this.materials.lightOff;
+    lamps.green.material =
+      state === "green" ? this.materials.greenLight : this.materials.lightOff;
+  }
+
   /**
    * Add traffic lights to all 4 corners of intersection
+   * Each light stands on the far right corner for one approach and faces
+   * it, so two lights show each axis
    * @param {number} x - Intersection center X
    * @param {number} z - Intersection center Z
    * @param {number} roadWidth - Width of the road
+   * @returns {Array<{light: THREE.Group, axis: string}>} - Lights and the
+   *   axis of traffic they signal ("x" east-west, "z" north-south)
    */
   createIntersectionTrafficLights(x, z, roadWidth = 18) {
     const cornerOffset = roadWidth / 2 + 1; // Position at intersection corners
 
-    // Northeast corner - red light facing southwest
-    this.createTrafficLight(
-      x + cornerOffset,
-      z - cornerOffset,
-      "red",
-      Math.PI / 4
-    );
-
-    // Southeast corner - green light facing northwest
-    this.createTrafficLight(
-      x + cornerOffset,
-      z + cornerOffset,
-      "green",
-      (-Math.PI * 3) / 4
-    );
-
-    // Southwest corner - red light facing northeast
-    this.createTrafficLight(
-      x - cornerOffset,
-      z + cornerOffset,
-      "red",
-      (Math.PI * 3) / 4
-    );
-
-    // Northwest corner - green light facing southeast
-    this.createTrafficLight(
-      x - cornerOffset,
-      z - cornerOffset,
-      "green",
-      -Math.PI / 4
-    );
+    return [
+      // Northeast corner - facing northbound (-Z) traffic
+      { dx: 1, dz: -1, rotation: 0, axis: "z" },
+      // Southwest corner - facing southbound (+Z) traffic
+      { dx: -1, dz: 1, rotation: Math.PI, axis: "z" },
+      // Southeast corner - facing eastbound (+X) traffic
+      { dx: 1, dz: 1, rotation: -Math.PI / 2, axis: "x" },
+      // Northwest corner - facing westbound (-X) traffic
+      { dx: -1, dz: -1, rotation: Math.PI / 2, axis: "x" },
+    ].map(({ dx, dz, rotation, axis }) => ({
+      light: this.createTrafficLight(
+        x + dx * cornerOffset,
+        z + dz * cornerOffset,
+        "red",
+        rotation
+      ),
+      axis,
+    }));
   }
 
   /**
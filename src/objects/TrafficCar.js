@@ -1,19 +1,56 @@
 /**
  * TrafficCar - AI-controlled civilian traffic with 3D models
  * Responsibility: Create realistic traffic that follows roads
- * Adds life to the city environment
+ * Adds life to the city environment - TrafficManager keeps a ring of cars
+ * in the keep-right lanes of every loaded road around the player, and each
+ * car picks a turn at every crossroads, signalling it with its indicators,
+ * and queues at the stop line while its signal is red
+ * Cars always stop for pedestrians in the road ahead, and pull over to the
+ * road edge for police with sirens on until they have gone by
  */
 
 import * as THREE from "three";
-import { random, randomInt } from "../utils/helpers.js";
 import { modelLoader } from "../utils/modelLoader.js";
+import { isHeadless } from "../utils/runtime.js";
+import { SeededRandom, createRunSeed } from "../utils/seededRandom.js";
+import { carriagewayOffset } from "./RoadGraph.js";
+import { distance2D } from "../utils/helpers.js";
+import { TRAFFIC_CONFIG, WORLD_CONFIG } from "../utils/constants.js";
+
+// Travel direction per lane value (see TrafficCar.lane)
+export const LANE_DIRECTIONS = [
+  { x: 0, z: -1 },
+  { x: 0, z: 1 },
+  { x: -1, z: 0 },
+  { x: 1, z: 0 },
+];
+
+// Indicator light spots on the fallback body (local +X is the car's left)
+const INDICATOR_SPOTS = {
+  left: [
+    { x: 0.85, z: 1.55 },
+    { x: 0.85, z: -1.55 },
+  ],
+  right: [
+    { x: -0.85, z: 1.55 },
+    { x: -0.85, z: -1.55 },
+  ],
+};
 
 export class TrafficCar {
-  constructor(scene, startPosition, lane = 0) {
+  constructor(
+    scene,
+    startPosition,
+    lane = 0,
+    rng = null,
+    config = TRAFFIC_CONFIG
+  ) {
     this.scene = scene;
+    this.rng = rng || new SeededRandom(createRunSeed());
+    this.config = config;
     this.position = { ...startPosition };
-    this.lane = lane; // 0 = forward, 1 = backward, 2 = left, 3 = right
-    this.speed = random(8, 15);
+    this.lane = lane; // Travel direction: 0 = -Z, 1 = +Z, 2 = -X, 3 = +X
+    this.speed = this.rng.range(8, 15);
     this.rotation = 0;
     this.mesh = null;
     this.isActive = true;
@@ -24,11 +61,27 @@ export class TrafficCar {
     this.collisionReverseDirection = { x: 0, z: 0 };
     this.originalSpeed = this.speed;
     this.originalDirection = { x: 0, z: 0 };
+    // Turning at crossroads
+    this.cruiseSpeed = this.speed; // Eases down for turns and back up
+    this.plannedTurn = null; // {gridX, gridZ, turn} for the next crossroads
+    this.turnArc = null; // {from, to, radius, angle, end} while turning
+    this.indicator = null; // "left" or "right" while signalling
+    this.indicatorTimer = 0;
+    this.indicatorLights = { left: [], right: [] };
+    this.stoppingForSignal = false; // Braking for a red or yellow ahead
+    // Yielding to sirens
+    this.yieldState = null; // "pulling" over, "stopped" or "merging" back
+    this.yieldClearTimer = 0; // Time since the last siren was near
+    this.laneOffset = null; // Lane to merge back into (right of center)
     // Random color for variety
     this.carColor = this._getRandomColor();
 
     this._setLaneDirection();
-    this._loadAndCreateMesh();
+
+    // Headless simulations have nothing to draw
+    if (!isHeadless()) {
+      this._loadAndCreateMesh();
+    }
   }
 
   /**
@@ -36,24 +89,9 @@ export class TrafficCar {
    * @private
    */
   _setLaneDirection() {
-    switch (this.lane) {
-      case 0: // Forward (negative Z)
-        this.rotation = Math.PI;
-        this.direction = { x: 0, z: -1 };
-        break;
-      case 1: // Backward (positive Z)
-        this.rotation = 0;
-        this.direction = { x: 0, z: 1 };
-        break;
-      case 2: // Left (negative X)
-        this.rotation = Math.PI / 2;
-        this.direction = { x: -1, z: 0 };
-        break;
-      case 3: // Right (positive X)
-        this.rotation = -Math.PI / 2;
-        this.direction = { x: 1, z: 0 };
-        break;
-    }
+    this.direction = { ...LANE_DIRECTIONS[this.lane] };
+    // Face the travel direction (forward is (sin, cos) of the rotation)
+    this.rotation = Math.atan2(this.direction.x, this.direction.z);
     this.originalDirection = { ...this.direction };
   }
 
@@ -66,7 +104,7 @@ export class TrafficCar {
       0x3366cc, 0xff6600, 0x00cc66, 0xffff00, 0xcc33cc, 0x999999, 0xff3333,
       0x33ccff, 0xffffff, 0x000000, 0xff66cc, 0x66ff33,
     ];
-    return carColors[randomInt(0, carColors.length - 1)];
+    return this.rng.pick(carColors);
   }
 
   /**
@@ -100,6 +138,7 @@ export class TrafficCar {
       // Rotate model to match direction
       model.rotation.y = Math.PI;
       group.add(model);
+      this._addIndicatorLights(group);
 
       group.position.set(this.position.x, 0.15, this.position.z);
       group.rotation.y = this.rotation;
@@ -112,6 +151,25 @@ export class TrafficCar {
     }
   }
 
+  /**
+   * Amber indicator lamps at the corners, hidden until the car signals
+   * @private
+   */
+  _addIndicatorLights(group) {
+    const geometry = new THREE.BoxGeometry(0.25, 0.2, 0.15);
+    const material = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
+
+    Object.entries(INDICATOR_SPOTS).forEach(([side, spots]) => {
+      spots.forEach((spot) => {
+        const light = new THREE.Mesh(geometry, material);
+        light.position.set(spot.x, 0.7, spot.z);
+        light.visible = false;
+        group.add(light);
+        this.indicatorLights[side].push(light);
+      });
+    });
+  }
+
   _createFallbackMesh() {
     const group = new THREE.Group();
 
@@ -135,6 +193,7 @@ export class TrafficCar {
     cabin.position.z = -0.3;
     cabin.castShadow = true;
     group.add(cabin);
+    this._addIndicatorLights(group);
 
     group.position.set(this.position.x, 0.5, this.position.z);
     group.rotation.y = this.rotation;
@@ -145,9 +204,18 @@ export class TrafficCar {
 
   /**
    * Update traffic car movement
+   * @param {Array<{x: number, z: number}>} pedestrians - Walkers to stop for
+   * @param {Array<{x: number, z: number}>} sirens - Police with sirens on
    */
-  update(deltaTime, cityRef = null, otherCars = []) {
-    if (!this.isActive || !this.modelLoaded || !this.mesh) return;
+  update(
+    deltaTime,
+    cityRef = null,
+    otherCars = [],
+    pedestrians = [],
+    sirens = []
+  ) {
+    // Movement doesn't wait for the model so traffic stays deterministic
+    if (!this.isActive) return;
 
     // Handle collision reverse behavior
     if (this.isColliding && this.collisionReverseTimer > 0) {
@@ -167,30 +235,403 @@ export class TrafficCar {
       }
     }
 
+    // Pull over for sirens, stop for signals, plan, slow down for and steer
+    // through turns
+    const roadGraph = cityRef?.getRoadGraph?.();
+    if (!this.isColliding && roadGraph) {
+      this._updateYielding(deltaTime, roadGraph.tileSize, sirens);
+      this._updateCrossroads(cityRef, roadGraph, deltaTime);
+    }
+
     // Check for nearby traffic cars and slow down to maintain spacing
     this._avoidOtherCars(otherCars, deltaTime);
+    this._yieldToPedestrians(pedestrians);
 
     // Move in lane direction
     this.position.x += this.direction.x * this.speed * deltaTime;
     this.position.z += this.direction.z * this.speed * deltaTime;
 
+    if (this.turnArc && !this.isColliding) {
+      this._advanceTurnArc(deltaTime);
+    } else if (this.yieldState && !this.isColliding) {
+      this._steerToYieldOffset(deltaTime, roadGraph.tileSize);
+    }
+
     // Check for building collisions and avoid them
     if (cityRef) {
       this._checkBuildingCollision(cityRef);
     }
 
+    this._updateIndicator(deltaTime);
+
     // Update mesh position
     if (this.mesh) {
       this.mesh.position.set(this.position.x, 0.5, this.position.z);
+      this.mesh.rotation.y = this.rotation;
+    }
+  }
+
+  /**
+   * Pick a turn before each crossroads, ease down to TURN_SPEED for it and
+   * start the turning arc at the edge of the crossroads - unless the signal
+   * says stop, in which case the car brakes to rest at the stop line
+   * @private
+   */
+  _updateCrossroads(cityRef, roadGraph, deltaTime) {
+    let targetSpeed = this._getYieldSpeed();
+    let stopDistance = null; // Distance left to a stop line to halt at
+
+    if (this.turnArc) {
+      this._steerAlongArc();
+      targetSpeed = Math.min(targetSpeed, this.config.TURN_SPEED);
+    } else {
+      const ahead = this._getCrossroadsAhead(roadGraph.tileSize);
+      const planned =
+        this.plannedTurn &&
+        this.plannedTurn.gridX === ahead.gridX &&
+        this.plannedTurn.gridZ === ahead.gridZ;
+
+      if (
+        !planned &&
+        ahead.distance <= this.config.TURN_PLAN_DISTANCE &&
+        ahead.distance > this.config.INTERSECTION_HALF_SIZE
+      ) {
+        this._planTurn(roadGraph, ahead);
+      } else if (planned && this.plannedTurn.turn !== "straight") {
+        targetSpeed = Math.min(targetSpeed, this.config.TURN_SPEED);
+        if (ahead.distance <= this.config.INTERSECTION_HALF_SIZE) {
+          this._startTurnArc(roadGraph.tileSize, ahead);
+        }
+      }
+
+      if (!this.turnArc) {
+        stopDistance = this._getSignalStopDistance(cityRef, ahead);
+      }
+    }
+
+    if (stopDistance !== null) {
+      // Brake evenly to rest on the line
+      const braking =
+        stopDistance > 0.05
+          ? (this.cruiseSpeed * this.cruiseSpeed) / (2 * stopDistance)
+          : Infinity;
+      this.cruiseSpeed = Math.max(0, this.cruiseSpeed - braking * deltaTime);
+      return;
+    }
+
+    // Brake into turns, accelerate out of them
+    const rate =
+      targetSpeed < this.cruiseSpeed
+        ? this.config.BRAKING
+        : this.config.ACCELERATION;
+    const step = rate * deltaTime;
+    this.cruiseSpeed +=
+      Math.sign(targetSpeed - this.cruiseSpeed) *
+      Math.min(step, Math.abs(targetSpeed - this.cruiseSpeed));
+  }
+
+  /**
+   * Pull over while police with sirens on are near, and merge back once
+   * none has been within SIREN_YIELD_RADIUS for YIELD_CLEAR_TIME
+   * Cars in or just before a crossroads carry on through it first
+   * @private
+   */
+  _updateYielding(deltaTime, tileSize, sirens) {
+    const sirenNear = sirens.some(
+      (siren) =>
+        distance2D(siren.x, siren.z, this.position.x, this.position.z) <
+        this.config.SIREN_YIELD_RADIUS
+    );
+
+    if (!sirenNear) {
+      if (this.yieldState === "pulling" || this.yieldState === "stopped") {
+        this.yieldClearTimer += deltaTime;
+        if (this.yieldClearTimer >= this.config.YIELD_CLEAR_TIME) {
+          this.yieldState = "merging";
+        }
+      }
+      return;
+    }
+
+    this.yieldClearTimer = 0;
+    if (this.yieldState === "pulling" || this.yieldState === "stopped") return;
+    if (this.turnArc) return;
+
+    const ahead = this._getCrossroadsAhead(tileSize);
+    const roomAhead = ahead.distance - this.config.STOP_LINE_DISTANCE;
+    const pastBehind = tileSize - ahead.distance;
+    if (
+      roomAhead < this.config.YIELD_MIN_ROOM ||
+      pastBehind < this.config.INTERSECTION_HALF_SIZE
+    ) {
+      return;
+    }
+
+    if (this.yieldState === null) {
+      this.laneOffset = this._getLateralOffset(tileSize);
     }
+    this.yieldState = "pulling";
+  }
+
+  /**
+   * Speed to cruise at - crawling while pulling over, halted at the edge
+   * @private
+   */
+  _getYieldSpeed() {
+    if (this.yieldState === "pulling") {
+      return Math.min(this.originalSpeed, this.config.YIELD_SPEED);
+    }
+    if (this.yieldState === "stopped") return 0;
+    return this.originalSpeed;
+  }
+
+  /**
+   * Drift sideways to the road edge, or back into the lane when merging
+   * Sideways speed is capped by the forward speed so a car at rest can't
+   * slide across the road
+   * @private
+   */
+  _steerToYieldOffset(deltaTime, tileSize) {
+    const target =
+      this.yieldState === "merging"
+        ? this.laneOffset
+        : this.config.YIELD_EDGE_OFFSET;
+    const gap = target - this._getLateralOffset(tileSize);
+    const step =
+      Math.min(this.config.PULL_OVER_SPEED, this.speed * 0.5) * deltaTime;
+    const shift = Math.sign(gap) * Math.min(step, Math.abs(gap));
+
+    const direction = LANE_DIRECTIONS[this.lane];
+    const right = carriagewayOffset(direction.x, direction.z, 1);
+    this.position.x += right.x * shift;
+    this.position.z += right.z * shift;
+
+    // Nose toward the side the car is drifting to
+    const forward = this.speed * deltaTime;
+    this.rotation = Math.atan2(
+      direction.x * forward + right.x * shift,
+      direction.z * forward + right.z * shift
+    );
+
+    if (Math.abs(gap) > step) return;
+
+    this.rotation = Math.atan2(direction.x, direction.z);
+    if (this.yieldState === "pulling") {
+      this.yieldState = "stopped";
+    } else if (this.yieldState === "merging") {
+      this.yieldState = null;
+      this.laneOffset = null;
+    }
+  }
+
+  /**
+   * Distance right of the road's center line, looking along the lane
+   * @private
+   */
+  _getLateralOffset(tileSize) {
+    const direction = LANE_DIRECTIONS[this.lane];
+    const right = carriagewayOffset(direction.x, direction.z, 1);
+    const alongZ = direction.x === 0;
+    const across = alongZ ? this.position.x : this.position.z;
+    const road = Math.round(across / tileSize) * tileSize;
+    return (across - road) * (alongZ ? right.x : right.z);
+  }
+
+  /**
+   * Whether to stop for the signal of the crossroads ahead
+   * A red or yellow stops the car once braking for it gets firm, unless it
+   * is already too close to stop within BRAKING - then it carries on
+   * @private
+   * @returns {number|null} - Distance to the stop line, or null to drive on
+   */
+  _getSignalStopDistance(cityRef, ahead) {
+    const distance = ahead.distance - this.config.STOP_LINE_DISTANCE;
+    const signal =
+      distance >= 0 && cityRef.getSignalState
+        ? cityRef.getSignalState(
+            ahead.gridX,
+            ahead.gridZ,
+            this.direction.x !== 0 ? "x" : "z"
+          )
+        : "green";
 
-    // Check if car is too far from origin (despawn) - increased distance
-    const distanceFromOrigin = Math.sqrt(
-      this.position.x ** 2 + this.position.z ** 2
+    if (signal === "green") {
+      this.stoppingForSignal = false;
+      return null;
+    }
+
+    if (!this.stoppingForSignal) {
+      const braking =
+        (this.cruiseSpeed * this.cruiseSpeed) / (2 * Math.max(distance, 0.01));
+      // Too close to stop, or too far to need to brake yet
+      if (braking > this.config.BRAKING || braking < this.config.BRAKING / 2) {
+        return null;
+      }
+      this.stoppingForSignal = true;
+    }
+    return distance;
+  }
+
+  /**
+   * Next crossroads along the current lane
+   * @private
+   * @returns {{gridX: number, gridZ: number, distance: number}}
+   */
+  _getCrossroadsAhead(tileSize) {
+    const alongX = this.direction.x !== 0;
+    const along = alongX ? this.position.x : this.position.z;
+    const forward = alongX ? this.direction.x : this.direction.z;
+    const nextGrid =
+      forward > 0 ? Math.ceil(along / tileSize) : Math.floor(along / tileSize);
+    const roadGrid = Math.round(
+      (alongX ? this.position.z : this.position.x) / tileSize
     );
-    if (distanceFromOrigin > 300) {
-      this.isActive = false;
+
+    return {
+      gridX: alongX ? nextGrid : roadGrid,
+      gridZ: alongX ? roadGrid : nextGrid,
+      distance: Math.abs(nextGrid * tileSize - along),
+    };
+  }
+
+  /**
+   * Choose left, right or straight on among the roads that carry on from
+   * the crossroads ahead, weighted by TURN_WEIGHTS
+   * @private
+   */
+  _planTurn(roadGraph, crossroads) {
+    const exits = {
+      STRAIGHT: this.direction,
+      LEFT: carriagewayOffset(this.direction.x, this.direction.z, -1),
+      RIGHT: carriagewayOffset(this.direction.x, this.direction.z, 1),
+    };
+    const options = Object.entries(exits).filter(([, exit]) =>
+      roadGraph.getNode(
+        crossroads.gridX + Math.round(exit.x),
+        crossroads.gridZ + Math.round(exit.z)
+      )
+    );
+
+    let turn = "straight";
+    const total = options.reduce(
+      (sum, [type]) => sum + this.config.TURN_WEIGHTS[type],
+      0
+    );
+    let roll = this.rng.next() * total;
+    for (const [type] of options) {
+      roll -= this.config.TURN_WEIGHTS[type];
+      if (roll <= 0) {
+        turn = type.toLowerCase();
+        break;
+      }
     }
+
+    this.plannedTurn = {
+      gridX: crossroads.gridX,
+      gridZ: crossroads.gridZ,
+      turn,
+    };
+    this.indicator = turn === "straight" ? null : turn;
+    this.indicatorTimer = 0;
+  }
+
+  /**
+   * Begin a quarter circle from the current lane into the same lane of the
+   * crossing road - it ends where the arc leaves the crossroads
+   * @private
+   */
+  _startTurnArc(tileSize, crossroads) {
+    const from = { ...this.direction };
+    const right = carriagewayOffset(from.x, from.z, 1);
+    const isRight = this.plannedTurn.turn === "right";
+    const to = isRight ? right : { x: -right.x, z: -right.z };
+
+    // Distance right of the road's center line keeps the car in its lane
+    const lateral =
+      (this.position.x - crossroads.gridX * tileSize) * right.x +
+      (this.position.z - crossroads.gridZ * tileSize) * right.z;
+    const halfSize = this.config.INTERSECTION_HALF_SIZE;
+    const radius = isRight ? halfSize - lateral : halfSize + lateral;
+
+    // Knocked out of its carriageway - carry straight on instead
+    if (lateral <= 0 || radius <= 1) {
+      this.plannedTurn.turn = "straight";
+      this.indicator = null;
+      return;
+    }
+
+    // Quarter circle around a center beside the car on the turning side
+    const end = {
+      x: this.position.x + (to.x + from.x) * radius,
+      z: this.position.z + (to.z + from.z) * radius,
+    };
+    this.turnArc = { from, to, radius, angle: 0, end };
+    this._steerAlongArc();
+  }
+
+  /**
+   * Point the car along the arc's tangent at its current angle
+   * @private
+   */
+  _steerAlongArc() {
+    const { from, to, angle } = this.turnArc;
+    this.direction = {
+      x: from.x * Math.cos(angle) + to.x * Math.sin(angle),
+      z: from.z * Math.cos(angle) + to.z * Math.sin(angle),
+    };
+    this.rotation = Math.atan2(this.direction.x, this.direction.z);
+  }
+
+  /**
+   * Sweep the arc by the distance just driven; at a quarter turn the car
+   * settles into the lane of the new road
+   * @private
+   */
+  _advanceTurnArc(deltaTime) {
+    this.turnArc.angle += (this.speed * deltaTime) / this.turnArc.radius;
+    if (this.turnArc.angle < Math.PI / 2) return;
+
+    // Settle onto the lane line the arc ends on
+    const { to, end } = this.turnArc;
+    if (to.x !== 0) {
+      this.position.z = end.z;
+    } else {
+      this.position.x = end.x;
+    }
+    this.lane = LANE_DIRECTIONS.findIndex(
+      (direction) =>
+        direction.x === Math.round(to.x) && direction.z === Math.round(to.z)
+    );
+    this._setLaneDirection();
+    this.turnArc = null;
+    this.indicator = null;
+  }
+
+  /**
+   * Blink the indicator lamps on the signalled side
+   * @private
+   */
+  _updateIndicator(deltaTime) {
+    this.indicatorTimer += deltaTime;
+    const lit =
+      this.indicator !== null &&
+      Math.floor(this.indicatorTimer / this.config.INDICATOR_BLINK_INTERVAL) %
+        2 ===
+        0;
+
+    Object.entries(this.indicatorLights).forEach(([side, lights]) => {
+      lights.forEach((light) => {
+        light.visible = lit && side === this.indicator;
+      });
+    });
+  }
+
+  /**
+   * Side being signalled for the coming turn
+   * @returns {string|null} - "left", "right" or null
+   */
+  getIndicator() {
+    return this.indicator;
   }
 
   /**
@@ -209,17 +650,15 @@ export class TrafficCar {
       const dz = otherPos.z - this.position.z;
       const distance = Math.sqrt(dx * dx + dz * dz);
 
-      // Check if car is ahead in the same lane
-      const isAhead =
-        (this.lane === 0 && dz < 0 && Math.abs(dx) < 3) || // Forward lane
-        (this.lane === 1 && dz > 0 && Math.abs(dx) < 3) || // Backward lane
-        (this.lane === 2 && dx < 0 && Math.abs(dz) < 3) || // Left lane
-        (this.lane === 3 && dx > 0 && Math.abs(dz) < 3); // Right lane
+      // Check if car is ahead in the same lane (also mid-turn)
+      const forward = dx * this.direction.x + dz * this.direction.z;
+      const sideways = Math.abs(dx * this.direction.z - dz * this.direction.x);
+      const isAhead = forward > 0 && sideways < 3;
 
       if (isAhead && distance < slowDownDistance) {
         // Gradually slow down as we get closer
         const slowFactor = distance / slowDownDistance;
-        this.speed = this.originalSpeed * Math.max(0.3, slowFactor);
+        this.speed = this.cruiseSpeed * Math.max(0.3, slowFactor);
 
         // Stop if too close
         if (distance < safeDistance) {
@@ -229,8 +668,37 @@ export class TrafficCar {
       }
     }
 
-    // No cars nearby, maintain original speed
-    this.speed = this.originalSpeed;
+    // No cars nearby, keep cruising
+    this.speed = this.cruiseSpeed;
+  }
+
+  /**
+   * Ease to a halt short of anyone in the road ahead
+   * @private
+   */
+  _yieldToPedestrians(pedestrians) {
+    const stopDistance = this.config.PEDESTRIAN_STOP_DISTANCE;
+    const frontGap = 2; // Car center to just past its bumper
+
+    for (const pedestrian of pedestrians) {
+      const dx = pedestrian.x - this.position.x;
+      const dz = pedestrian.z - this.position.z;
+      const forward = dx * this.direction.x + dz * this.direction.z;
+      const sideways = Math.abs(dx * this.direction.z - dz * this.direction.x);
+      if (
+        forward <= 0 ||
+        forward >= stopDistance ||
+        sideways >= this.config.PEDESTRIAN_CLEARANCE
+      ) {
+        continue;
+      }
+
+      const slowFactor = Math.max(
+        0,
+        (forward - frontGap) / (stopDistance - frontGap)
+      );
+      this.speed = Math.min(this.speed, this.cruiseSpeed * slowFactor);
+    }
   }
 
   /**
@@ -239,7 +707,12 @@ export class TrafficCar {
    */
   _checkBuildingCollision(cityRef) {
     const carBox = this.getBoundingBox();
-    const buildings = cityRef.getBuildings();
+    const buildings = cityRef.getBuildingsInBox(
+      carBox.min.x - 1,
+      carBox.min.z - 1,
+      carBox.max.x + 1,
+      carBox.max.z + 1
+    );
 
     for (const building of buildings) {
       const halfWidth = building.geometry.parameters.width / 2 + 1;
@@ -351,17 +824,43 @@ export class TrafficCar {
 
 /**
  * TrafficManager - Manages all traffic cars
+ * Cars spawn in a ring around the player on roads of loaded city tiles and
+ * are removed once they fall outside DESPAWN_DISTANCE
  */
 export class TrafficManager {
-  constructor(scene, cityRef = null) {
+  constructor(
+    scene,
+    cityRef = null,
+    rng = null,
+    playerRef = null,
+    config = TRAFFIC_CONFIG
+  ) {
     this.scene = scene;
-    this.cityRef = cityRef; // Reference to city for building collision
+    this.cityRef = cityRef; // Road graph for spawning, buildings for collision
+    this.rng = rng || new SeededRandom(createRunSeed()); // Spawn decisions
+    this.playerRef = playerRef; // Center of the traffic ring (origin if null)
+    this.config = config;
     this.trafficCars = [];
     this.spawnTimer = 0;
-    this.spawnInterval = 0.5; // Balanced spawn rate
+    this.pedestrianSystem = null; // Walkers for cars to stop for
+    this.policeUnits = []; // Police whose sirens cars pull over for
     this._firstUpdateLogged = false; // Flag for debug logging
   }
 
+  /**
+   * Set the police units (live array) whose sirens cars pull over for
+   */
+  setPoliceUnits(policeUnits) {
+    this.policeUnits = policeUnits;
+  }
+
+  /**
+   * Set pedestrian system so cars stop for people crossing
+   */
+  setPedestrianSystem(system) {
+    this.pedestrianSystem = system;
+  }
+
   /**
    * Update traffic system
    */
@@ -375,18 +874,43 @@ export class TrafficManager {
     this.spawnTimer += deltaTime;
 
     // Spawn new traffic cars periodically
-    if (this.spawnTimer >= this.spawnInterval) {
+    if (this.spawnTimer >= this.config.SPAWN_INTERVAL) {
       // Spawn 1-2 cars at once for balanced traffic
-      const carsToSpawn = randomInt(1, 3);
+      const carsToSpawn = this.rng.int(1, 3);
       for (let i = 0; i < carsToSpawn; i++) {
         this._spawnTrafficCar();
       }
       this.spawnTimer = 0;
     }
 
-    // Update existing traffic cars and check building collisions
+    // Update existing traffic cars, keeping their distance to cars ahead
+    // stopping for pedestrians and pulling over for sirens
+    const pedestrians = this.pedestrianSystem
+      ? this.pedestrianSystem.getPedestrians()
+      : [];
+    const sirens = this.policeUnits
+      .filter((unit) => unit.isEngaged())
+      .map((unit) => unit.getPosition());
     this.trafficCars.forEach((car) => {
-      car.update(deltaTime, this.cityRef);
+      car.update(
+        deltaTime,
+        this.cityRef,
+        this.trafficCars,
+        pedestrians,
+        sirens
+      );
+    });
+
+    // Cars left behind by the player drop out of the ring
+    const center = this._getRingCenter();
+    this.trafficCars.forEach((car) => {
+      const pos = car.getPosition();
+      if (
+        distance2D(pos.x, pos.z, center.x, center.z) >
+        this.config.DESPAWN_DISTANCE
+      ) {
+        car.isActive = false;
+      }
     });
 
     // Remove inactive cars
@@ -400,81 +924,115 @@ export class TrafficManager {
   }
 
   /**
-   * Spawn a new traffic car on a random road
+   * Spawn a new traffic car in a lane somewhere in the ring
    * @private
    */
   _spawnTrafficCar() {
-    // Limit number of traffic cars - reduced to prevent clustering
-    if (this.trafficCars.length >= 70) return;
-
-    // Choose random lane with better distribution
-    const lane = randomInt(0, 3);
+    if (this.trafficCars.length >= this.config.MAX_CARS) return;
 
-    // Calculate spawn position based on lane - spawn closer and on actual roads
-    let spawnPosition;
-    const roadWidth = 10; // Width of main roads
+    const graph = this.cityRef?.getRoadGraph?.();
+    if (!graph) return;
 
-    // Create proper lane system - each direction has left and right lanes
-    const laneOffset = Math.random() > 0.5 ? -2.5 : 2.5; // Left or right lane
-
-    // Randomize spawn distance for better distribution across entire road
-    const spawnDistance = random(25, 120);
-
-    switch (lane) {
-      case 0: // Forward lane (travels south, spawns north)
-        spawnPosition = {
-          x: laneOffset, // Proper lane positioning
-          y: 0,
-          z: -spawnDistance, // Spawn ahead
-        };
-        break;
-      case 1: // Backward lane (travels north, spawns south)
-        spawnPosition = {
-          x: laneOffset, // Proper lane positioning
-          y: 0,
-          z: spawnDistance, // Spawn behind
-        };
-        break;
-      case 2: // Left lane (travels west, spawns east)
-        spawnPosition = {
-          x: spawnDistance, // Spawn to the right
-          y: 0,
-          z: laneOffset, // Proper lane positioning
-        };
-        break;
-      case 3: // Right lane (travels east, spawns west)
-        spawnPosition = {
-          x: -spawnDistance, // Spawn to the left
-          y: 0,
-          z: laneOffset, // Proper lane positioning
-        };
-        break;
-    }
+    const spot = this._pickLaneSpot(graph, this._getRingCenter());
+    if (!spot) return;
 
     // Check if spawn position is too close to existing cars
-    const minSpawnDistance = 15;
     for (const car of this.trafficCars) {
       const pos = car.getPosition();
-      const dx = pos.x - spawnPosition.x;
-      const dz = pos.z - spawnPosition.z;
-      const distance = Math.sqrt(dx * dx + dz * dz);
-
-      if (distance < minSpawnDistance) {
+      if (
+        distance2D(pos.x, pos.z, spot.position.x, spot.position.z) <
+        this.config.MIN_SPAWN_GAP
+      ) {
         return; // Don't spawn, too close to another car
       }
     }
 
-    const car = new TrafficCar(this.scene, spawnPosition, lane);
+    const car = new TrafficCar(
+      this.scene,
+      spot.position,
+      spot.lane,
+      this.rng,
+      this.config
+    );
     this.trafficCars.push(car);
     console.log(
-      `🚗 Traffic car spawned at (${spawnPosition.x.toFixed(
+      `🚗 Traffic car spawned at (${spot.position.x.toFixed(
         1
-      )}, ${spawnPosition.z.toFixed(1)}) lane ${lane}. Total: ${
+      )}, ${spot.position.z.toFixed(1)}) lane ${spot.lane}. Total: ${
         this.trafficCars.length
       }`
     );
   }
 
+  /**
+   * Pick a lane position in the spawn ring
+   * A random point in the ring snaps to its nearest road, then to one of the
+   * two lanes of the keep-right carriageway for a random travel direction
+   * @private
+   * @returns {{position: Object, lane: number}|null} - null when the road
+   *   isn't loaded, the spot is in a crossroads or it snapped out of the ring
+   */
+  _pickLaneSpot(graph, center) {
+    const angle = this.rng.range(0, Math.PI * 2);
+    const distance = this.rng.range(
+      this.config.SPAWN_MIN_DISTANCE,
+      this.config.SPAWN_MAX_DISTANCE
+    );
+    const x = center.x + Math.cos(angle) * distance;
+    const z = center.z + Math.sin(angle) * distance;
+
+    // Both tiles at the ends of the road must be loaded
+    const segment = graph.getSegment(x, z);
+    if (segment.nodes.length < 2) return null;
+
+    // Vertical roads run along Z
+    const along = segment.vertical ? z : x;
+    const toCrossroads = Math.abs(
+      along - Math.round(along / graph.tileSize) * graph.tileSize
+    );
+    if (toCrossroads < this.config.INTERSECTION_CLEARANCE) return null;
+
+    const forward = this.rng.next() < 0.5 ? -1 : 1;
+    const lane = (segment.vertical ? 0 : 2) + (forward > 0 ? 1 : 0);
+    const direction = LANE_DIRECTIONS[lane];
+
+    // Inner or outer lane of the carriageway
+    const laneSide = this.rng.next() < 0.5 ? -1 : 1;
+    const side = carriagewayOffset(
+      direction.x,
+      direction.z,
+      WORLD_CONFIG.CARRIAGEWAY_OFFSET + (laneSide * this.config.LANE_WIDTH) / 2
+    );
+
+    const road = segment.line * graph.tileSize;
+    const position = {
+      x: (segment.vertical ? road : x) + side.x,
+      y: 0,
+      z: (segment.vertical ? z : road) + side.z,
+    };
+
+    const distanceFromCenter = distance2D(
+      position.x,
+      position.z,
+      center.x,
+      center.z
+    );
+    if (
+      distanceFromCenter < this.config.SPAWN_MIN_DISTANCE ||
+      distanceFromCenter > this.config.SPAWN_MAX_DISTANCE
+    ) {
+      return null;
+    }
+    return { position, lane };
+  }
+
+  /**
+   * @private
+   */
+  _getRingCenter() {
+    return this.playerRef ? this.playerRef.getPosition() : { x: 0, z: 0 };
+  }
+
   /**
    * Get all active traffic cars
    */
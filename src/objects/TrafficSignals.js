@@ -0,0 +1,126 @@
+/**
+ * TrafficSignals - Intersection signal controller for the streamed city
+ * Responsibility: Cycle green, yellow and red for both axes of every
+ * crossroads and keep the traffic light meshes showing the live phase
+ * Owned by City - each loaded tile registers its lights on load and drops
+ * them on unload; the phase itself needs no registration, so any
+ * crossroads can be asked for its state
+ */
+
+import { SIGNAL_CONFIG } from "../utils/constants.js";
+
+export class TrafficSignalController {
+  constructor(rng, streetFurniture = null, config = SIGNAL_CONFIG) {
+    this.rng = rng; // Seeds each crossroads' offset into the cycle
+    this.streetFurniture = streetFurniture; // Swaps the lamp materials
+    this.config = config;
+    this.time = 0; // Signal clock - advanced by update()
+    this.intersections = new Map(); // "gridX,gridZ" -> {offset, lights}
+  }
+
+  /**
+   * @private
+   */
+  _key(gridX, gridZ) {
+    return `${gridX},${gridZ}`;
+  }
+
+  /**
+   * Seconds of one full cycle (both axes get a green in turn)
+   */
+  getCycleTime() {
+    const { GREEN_TIME, YELLOW_TIME, ALL_RED_TIME } = this.config;
+    return (GREEN_TIME + YELLOW_TIME + ALL_RED_TIME) * 2;
+  }
+
+  /**
+   * Seeded start of a crossroads in the cycle
+   * @private
+   */
+  _getOffset(gridX, gridZ) {
+    const registered = this.intersections.get(this._key(gridX, gridZ));
+    if (registered) return registered.offset;
+    return this.rng.fork("signal", gridX, gridZ).next() * this.getCycleTime();
+  }
+
+  /**
+   * Signal shown to traffic crossing an intersection along an axis
+   * Each intersection runs the same cycle from its own seeded offset, and
+   * the two axes are half a cycle apart so they are never green together
+   * @param {string} axis - "x" for east-west travel, "z" for north-south
+   * @returns {string} - "green", "yellow" or "red"
+   */
+  getState(gridX, gridZ, axis) {
+    const { GREEN_TIME, YELLOW_TIME } = this.config;
+    const cycle = this.getCycleTime();
+
+    const axisOffset = axis === "z" ? cycle / 2 : 0;
+    const phase =
+      (this.time + this._getOffset(gridX, gridZ) + axisOffset) % cycle;
+
+    if (phase < GREEN_TIME) return "green";
+    if (phase < GREEN_TIME + YELLOW_TIME) return "yellow";
+    return "red";
+  }
+
+  /**
+   * Start showing a crossroads' phases on its traffic lights
+   * @param {Array<{light: Object, axis: string}>} lights - Light meshes and
+   *   the axis of traffic each one faces
+   */
+  addIntersection(gridX, gridZ, lights = []) {
+    const offset = this._getOffset(gridX, gridZ);
+    const entries = lights.map(({ light, axis }) => ({
+      light,
+      axis,
+      state: null,
+    }));
+    const intersection = { gridX, gridZ, offset, lights: entries };
+    this.intersections.set(this._key(gridX, gridZ), intersection);
+    this._refreshLights(intersection);
+  }
+
+  /**
+   * Stop updating a crossroads whose tile unloaded
+   */
+  removeIntersection(gridX, gridZ) {
+    this.intersections.delete(this._key(gridX, gridZ));
+  }
+
+  /**
+   * Advance the signal clock and relight any light whose phase changed
+   * @param {number} deltaTime - Time since last step in seconds
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    this.intersections.forEach((intersection) =>
+      this._refreshLights(intersection)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _refreshLights(intersection) {
+    for (const entry of intersection.lights) {
+      const state = this.getState(
+        intersection.gridX,
+        intersection.gridZ,
+        entry.axis
+      );
+      if (state === entry.state) continue;
+
+      entry.state = state;
+      if (this.streetFurniture) {
+        this.streetFurniture.setTrafficLightState(entry.light, state);
+      }
+    }
+  }
+
+  /**
+   * Forget every crossroads (city dispose)
+   */
+  clear() {
+    this.intersections.clear();
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Headless Simulation Runner
+ * Responsibility: Run pursuits in Node without renderer, DOM or audio
+ * Used by CI and for balancing - reports outcomes such as time-to-capture
+ *
+ * Usage: npm run simulate -- [--runs 100] [--seed 42] [--max-time 180]
+ *                            [--vehicle muscle] [--json] [--verbose]
+ */
+
+import { pathToFileURL } from "node:url";
+import Game from "./main.js";
+import { AutopilotInput } from "./controls/AutopilotInput.js";
+import { GAME_CONFIG } from "./utils/constants.js";
+import { SeededRandom, hashSeed, parseSeed } from "./utils/seededRandom.js";
+
+// Outcomes that count as the police catching the player
+const CAPTURE_OUTCOMES = ["caught", "boxed-in"];
+
+/**
+ * Simulate one run until the player is caught, wrecked or time runs out
+ * @param {Game} game - Headless game instance (reused between runs)
+ * @param {Object} options
+ * @param {number} options.seed - Run seed
+ * @param {number} options.maxTime - Simulated seconds before giving up
+ * @param {Object} options.inputSource - Driver exposing getInput()
+ *   (defaults to the autopilot)
+ * @param {string} options.vehicle - Player vehicle ID (default car if null)
+ * @returns {Object} - Run result
+ */
+export function runSimulation(
+  game,
+  { seed, maxTime = 180, inputSource = null, vehicle = null }
+) {
+  const driver =
+    inputSource ||
+    new AutopilotInput(game, new SeededRandom(hashSeed(seed, "autopilot")));
+
+  game.startGame({ seed, inputSource: driver, vehicle });
+
+  const maxSteps = Math.ceil(maxTime / GAME_CONFIG.PHYSICS_STEP);
+  game.step(maxSteps);
+
+  const survived = game.isPlaying;
+  if (survived) {
+    game.gameOver();
+  }
+
+  return {
+    seed,
+    outcome: survived ? "survived" : game.endReason,
+    steps: game.stepCount,
+    survivalTime: game.stepCount * GAME_CONFIG.PHYSICS_STEP,
+    score: game.lastStats.totalScore,
+    distance: game.lastStats.distance,
+    wantedLevel: game.wantedSystem.getWantedLevel(),
+    takedowns: game.lastStats.takedowns,
+  };
+}
+
+/**
+ * Simulate several runs with seeds derived from a base seed
+ * @returns {Object} - { results, summary }
+ */
+export async function runSimulations({
+  runs = 10,
+  seed = 1,
+  maxTime = 180,
+  vehicle = null,
+}) {
+  const game = new Game({ headless: true });
+  await game.init();
+
+  const results = [];
+  for (let i = 0; i < runs; i++) {
+    const runSeed = runs === 1 ? seed : hashSeed(seed, "run", i);
+    results.push(runSimulation(game, { seed: runSeed, maxTime, vehicle }));
+  }
+
+  game.dispose();
+  return { results, summary: summarize(results) };
+}
+
+/**
+ * Aggregate outcome counts and time-to-capture statistics
+ */
+export function summarize(results) {
+  const captureTimes = results
+    .filter((result) => CAPTURE_OUTCOMES.includes(result.outcome))
+    .map((result) => result.survivalTime)
+    .sort((a, b) => a - b);
+
+  const outcomes = {};
+  for (const result of results) {
+    outcomes[result.outcome] = (outcomes[result.outcome] || 0) + 1;
+  }
+
+  return {
+    runs: results.length,
+    outcomes,
+    meanTimeToCapture:
+      captureTimes.length > 0
+        ? captureTimes.reduce((sum, time) => sum + time, 0) /
+          captureTimes.length
+        : null,
+    medianTimeToCapture:
+      captureTimes.length > 0
+        ? captureTimes[Math.floor(captureTimes.length / 2)]
+        : null,
+  };
+}
+
+/**
+ * Parse --flag value pairs from the command line
+ * @private
+ */
+function parseArgs(argv) {
+  const args = {
+    runs: 10,
+    seed: 1,
+    maxTime: 180,
+    vehicle: null,
+    json: false,
+    verbose: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--runs":
+        args.runs = Math.max(1, parseInt(argv[++i], 10) || 1);
+        break;
+      case "--seed":
+        args.seed = parseSeed(argv[++i]) ?? args.seed;
+        break;
+      case "--max-time":
+        args.maxTime = Math.max(1, Number(argv[++i]) || args.maxTime);
+        break;
+      case "--vehicle":
+        args.vehicle = argv[++i];
+        break;
+      case "--json":
+        args.json = true;
+        break;
+      case "--verbose":
+        args.verbose = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Command line entry point
+ * @private
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Game systems log every spawn and restart - keep CI output readable
+  const log = console.log;
+  if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const { results, summary } = await runSimulations(args);
+  console.log = log;
+
+  if (args.json) {
+    log(JSON.stringify({ summary, results }, null, 2));
+    return;
+  }
+
+  for (const result of results) {
+    log(
+      `seed ${result.seed}: ${result.outcome} after ${result.survivalTime.toFixed(
+        1
+      )}s (score ${result.score}, wanted ${result.wantedLevel}, takedowns ${
+        result.takedowns
+      })`
+    );
+  }
+  log(`\n${summary.runs} runs:`, summary.outcomes);
+  if (summary.meanTimeToCapture !== null) {
+    log(
+      `Time to capture - mean ${summary.meanTimeToCapture.toFixed(
+        1
+      )}s, median ${summary.medianTimeToCapture.toFixed(1)}s`
+    );
+  }
+}
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
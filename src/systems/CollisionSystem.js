@@ -2,10 +2,25 @@
  * CollisionSystem - Handles collision detection and response
  * Responsibility: Detect collisions between player, obstacles, and enemy
  * Uses AABB (Axis-Aligned Bounding Box) collision detection
+ * Also witnesses the player's crimes and reports them as offenses
  */
 
 import { checkAABBCollision, distance2D, clamp } from "../utils/helpers.js";
-import { PLAYER_CONFIG, SCORING_CONFIG } from "../utils/constants.js";
+import {
+  BOOST_CONFIG,
+  ENEMY_CONFIG,
+  PLAYER_CONFIG,
+  POLICE_AI_CONFIG,
+  SCORING_CONFIG,
+  COLLISION_CONFIG,
+  WANTED_CONFIG,
+  WORLD_CONFIG,
+  ROAD_CONFIG,
+} from "../utils/constants.js";
+import { SpatialHash } from "../utils/spatialHash.js";
+
+// Extra reach for grid queries - covers cars nudged by earlier resolutions
+const VEHICLE_QUERY_MARGIN = 2;
 
 export class CollisionSystem {
   constructor(
@@ -29,6 +44,22 @@ export class CollisionSystem {
 
     // Callbacks for collision events
     this.onPlayerHitEnemy = null;
+    this.onOffense = null; // (type) => void - crimes for the WantedSystem
+    this.onNearMiss = null; // (car) => void - close passes of traffic
+
+    // Offense tracking
+    this.offenseCooldowns = {}; // Offense type -> seconds until reportable
+    this.currentIntersection = null; // Key of the intersection the player is in
+
+    // Traffic cars passed closely, counted once they fall back untouched
+    this.nearMissCars = new Set();
+
+    // Traffic grid, rebuilt every step since cars are always moving
+    this.trafficGrid = new SpatialHash(COLLISION_CONFIG.VEHICLE_CELL_SIZE);
+    this.trafficOrder = new Map(); // Car -> index in this step's traffic list
+    this.trafficCars = [];
+    this._trafficQuery = []; // Reused query result arrays
+    this._buildingQuery = [];
   }
 
   /**
@@ -41,6 +72,12 @@ export class CollisionSystem {
       this.collisionCooldown -= deltaTime * 1000;
     }
 
+    // Index traffic once for every car-vs-car check this step
+    this._indexTraffic();
+
+    // Crimes are judged on the player's velocity before any collision response
+    this._updateOffenses(deltaTime);
+
     // CRITICAL: Enforce player-police separation EVERY frame (not just on collision)
     // This prevents pass-through at high speeds
     this._enforcePlayerPoliceSeparation();
@@ -51,6 +88,7 @@ export class CollisionSystem {
     // Check player vs traffic cars
     if (this.trafficManagerRef) {
       this._checkPlayerTrafficCollisions();
+      this._checkTrafficNearMisses();
     }
 
     // Check player vs buildings
@@ -62,6 +100,11 @@ export class CollisionSystem {
     // Enforce solid inter-vehicle boundaries (traffic↔traffic, enemy↔traffic, enemy↔enemy)
     this._resolveInterVehicleCollisions(deltaTime);
 
+    // Keep police and traffic out of solid obstacles (roadblock barriers)
+    if (this.cityRef) {
+      this._resolveVehicleObstacleCollisions();
+    }
+
     // Check if player is truly trapped (all directions blocked) - check more frequently near police
     if (this.enemiesRef && this.enemiesRef.length > 0) {
       this._checkPlayerTrapped(deltaTime);
@@ -98,6 +141,7 @@ export class CollisionSystem {
     };
 
     this.collisionCooldown = this.cooldownDuration;
+    this.playerRef.takeDamage?.(PLAYER_CONFIG.COLLISION_DAMAGE);
 
     if (this.effectsSystem) {
       this.effectsSystem.createCollisionEffect(collisionPos, 0.8);
@@ -145,8 +189,14 @@ export class CollisionSystem {
     }
 
     const playerBox = this.playerRef.getBoundingBox();
-    const buildings = this.cityRef.getBuildings();
     const playerRadius = 1.5;
+    const buildings = this.cityRef.getBuildingsInBox(
+      playerBox.min.x - playerRadius,
+      playerBox.min.z - playerRadius,
+      playerBox.max.x + playerRadius,
+      playerBox.max.z + playerRadius,
+      this._buildingQuery
+    );
 
     for (const building of buildings) {
       const halfWidth = building.geometry.parameters.width / 2 + playerRadius;
@@ -185,6 +235,8 @@ export class CollisionSystem {
       this.playerRef.velocity.x ** 2 + this.playerRef.velocity.z ** 2
     );
 
+    this._damagePlayer("BUILDING", impactSpeed);
+
     // IMMEDIATE COMPLETE STOP - no bouncing or sliding
     this.playerRef.velocity.x = 0;
     this.playerRef.velocity.z = 0;
@@ -302,6 +354,131 @@ export class CollisionSystem {
     // NO CALLBACKS - game over only via trapped detection
   }
 
+  /**
+   * Look for crimes the player commits without crashing into anything
+   * Ramming traffic and destroying props are reported by their handlers
+   * @private
+   */
+  _updateOffenses(deltaTime) {
+    for (const type in this.offenseCooldowns) {
+      this.offenseCooldowns[type] -= deltaTime;
+    }
+
+    if (!this.onOffense) return;
+
+    if (this.enemiesRef && this.enemiesRef.length > 0) {
+      this._checkPoliceRamming();
+      this._checkSpeedingNearPolice();
+    }
+
+    if (this.cityRef && this.cityRef.getSignalState) {
+      this._checkRedLightRunning();
+    }
+  }
+
+  /**
+   * Report an offense unless the same one was reported moments ago
+   * @param {number} cooldown - Seconds before this offense counts again
+   * @returns {boolean} - Whether the offense was reported
+   * @private
+   */
+  _reportOffense(type, cooldown = WANTED_CONFIG.OFFENSE_COOLDOWN) {
+    if (!this.onOffense || this.offenseCooldowns[type] > 0) return false;
+
+    this.offenseCooldowns[type] = cooldown;
+    this.onOffense(type);
+    return true;
+  }
+
+  /**
+   * Player speed from its velocity
+   * @private
+   */
+  _getPlayerSpeed() {
+    const velocity = this.playerRef.velocity;
+    return Math.sqrt(velocity.x ** 2 + velocity.z ** 2);
+  }
+
+  /**
+   * Driving into a police car counts as an offense - being rammed does not
+   * @private
+   */
+  _checkPoliceRamming() {
+    const playerPos = this.playerRef.getPosition();
+    const velocity = this.playerRef.velocity;
+    const contactDistance = 6; // Just outside the enforced separation
+
+    for (const enemy of this.enemiesRef) {
+      if (enemy.isWrecked?.()) continue; // Disabled wrecks aren't police
+      const enemyPos = enemy.getPosition();
+      const dx = enemyPos.x - playerPos.x;
+      const dz = enemyPos.z - playerPos.z;
+      const dist = Math.sqrt(dx * dx + dz * dz);
+      if (dist >= contactDistance || dist < 0.01) continue;
+
+      // Closing speed along the line between the cars
+      const closingSpeed = (velocity.x * dx + velocity.z * dz) / dist;
+      if (closingSpeed >= WANTED_CONFIG.OFFENSE_MIN_IMPACT_SPEED) {
+        this._reportOffense("HIT_POLICE");
+        return;
+      }
+    }
+  }
+
+  /**
+   * Speeding within sight of a police car
+   * @private
+   */
+  _checkSpeedingNearPolice() {
+    if (this._getPlayerSpeed() < WANTED_CONFIG.SPEEDING_SPEED) return;
+
+    const playerPos = this.playerRef.getPosition();
+    for (const enemy of this.enemiesRef) {
+      if (enemy.isWrecked?.()) continue; // Wrecked crews witness nothing
+      const enemyPos = enemy.getPosition();
+      const dist = distance2D(playerPos.x, playerPos.z, enemyPos.x, enemyPos.z);
+      if (dist < WANTED_CONFIG.SPEEDING_WITNESS_RANGE) {
+        this._reportOffense(
+          "SPEEDING_NEAR_POLICE",
+          WANTED_CONFIG.SPEEDING_COOLDOWN
+        );
+        return;
+      }
+    }
+  }
+
+  /**
+   * Entering an intersection while the signal for the player's axis is red
+   * @private
+   */
+  _checkRedLightRunning() {
+    const playerPos = this.playerRef.getPosition();
+    const tileSize = WORLD_CONFIG.SIZE;
+    const gridX = Math.round(playerPos.x / tileSize);
+    const gridZ = Math.round(playerPos.z / tileSize);
+    const halfWidth = ROAD_CONFIG.SEGMENT_WIDTH / 2;
+
+    const inside =
+      Math.abs(playerPos.x - gridX * tileSize) < halfWidth &&
+      Math.abs(playerPos.z - gridZ * tileSize) < halfWidth;
+    const key = inside ? `${gridX},${gridZ}` : null;
+
+    // Only judged on the step the player enters the box
+    if (key && key !== this.currentIntersection) {
+      const velocity = this.playerRef.velocity;
+      const axis = Math.abs(velocity.x) > Math.abs(velocity.z) ? "x" : "z";
+
+      if (
+        this._getPlayerSpeed() >= WANTED_CONFIG.OFFENSE_MIN_IMPACT_SPEED &&
+        this.cityRef.getSignalState(gridX, gridZ, axis) === "red"
+      ) {
+        this._reportOffense("RUN_RED_LIGHT", 0);
+      }
+    }
+
+    this.currentIntersection = key;
+  }
+
   /**
    * Check for near misses with obstacles for bonus points
    * @private
@@ -344,7 +521,7 @@ export class CollisionSystem {
     if (this.collisionCooldown > 0) return;
 
     const playerBox = this.playerRef.getBoundingBox();
-    const trafficCars = this.trafficManagerRef.getTrafficCars();
+    const trafficCars = this._queryTraffic(playerBox);
 
     for (const car of trafficCars) {
       const carBox = car.getBoundingBox();
@@ -356,6 +533,52 @@ export class CollisionSystem {
     }
   }
 
+  /**
+   * Count close passes of traffic at speed that don't end in a crash
+   * A car within NEAR_MISS_DISTANCE is tracked and counted once it falls
+   * back past NEAR_MISS_CLEAR_DISTANCE without being hit
+   * @private
+   */
+  _checkTrafficNearMisses() {
+    const playerPos = this.playerRef.getPosition();
+
+    // Scrapes during the crash cooldown aren't close passes
+    if (
+      this._getPlayerSpeed() >= BOOST_CONFIG.NEAR_MISS_MIN_SPEED &&
+      this.collisionCooldown <= 0
+    ) {
+      const playerBox = this.playerRef.getBoundingBox();
+      for (const car of this._queryTraffic(playerBox)) {
+        const carPos = car.getPosition();
+        if (
+          distance2D(playerPos.x, playerPos.z, carPos.x, carPos.z) <
+          BOOST_CONFIG.NEAR_MISS_DISTANCE
+        ) {
+          this.nearMissCars.add(car);
+        }
+      }
+    }
+
+    for (const car of this.nearMissCars) {
+      // Despawned cars don't count
+      if (!this.trafficOrder.has(car)) {
+        this.nearMissCars.delete(car);
+        continue;
+      }
+
+      const carPos = car.getPosition();
+      if (
+        distance2D(playerPos.x, playerPos.z, carPos.x, carPos.z) <
+        BOOST_CONFIG.NEAR_MISS_CLEAR_DISTANCE
+      ) {
+        continue;
+      }
+
+      this.nearMissCars.delete(car);
+      if (this.onNearMiss) this.onNearMiss(car);
+    }
+  }
+
   /**
    * Handle player collision with traffic car with smooth stop-reverse
    * @private
@@ -363,12 +586,18 @@ export class CollisionSystem {
   _handlePlayerTrafficCollision(trafficCar) {
     const playerPos = this.playerRef.getPosition();
     const carPos = trafficCar.getPosition();
+    this.nearMissCars.delete(trafficCar); // A hit is no near miss
 
     // Calculate impact speed
     const impactSpeed = Math.sqrt(
       this.playerRef.velocity.x ** 2 + this.playerRef.velocity.z ** 2
     );
 
+    if (impactSpeed >= WANTED_CONFIG.OFFENSE_MIN_IMPACT_SPEED) {
+      this._reportOffense("RAM_TRAFFIC");
+    }
+    this._damagePlayer("TRAFFIC", impactSpeed);
+
     // IMMEDIATE COMPLETE STOP - no bouncing
     this.playerRef.velocity.x = 0;
     this.playerRef.velocity.z = 0;
@@ -444,6 +673,34 @@ export class CollisionSystem {
 
     this.collisionCooldown = this.cooldownDuration;
 
+    // Light props are flattened at speed instead of stopping the car
+    const impactSpeed = this._getPlayerSpeed();
+    if (
+      obstacle.destructible &&
+      impactSpeed >= WANTED_CONFIG.PROP_BREAK_SPEED &&
+      this.cityRef.destroyCityObstacle(obstacle)
+    ) {
+      this._damagePlayer("PROP", impactSpeed);
+      this.playerRef.velocity.x *= 0.8;
+      this.playerRef.velocity.z *= 0.8;
+
+      if (this.effectsSystem) {
+        this.effectsSystem.createCollisionEffect(playerPos, 0.6);
+      }
+      if (this.soundSystem) {
+        this.soundSystem.playCollisionSound(0.4);
+      }
+
+      this._reportOffense("DESTROY_PROP", 0);
+      return;
+    }
+
+    // Solid obstacles (roadblock barriers) stop the car like a crash
+    if (!obstacle.destructible) {
+      this._handlePlayerSolidObstacleCollision(obstacle);
+      return;
+    }
+
     if (this.effectsSystem) {
       this.effectsSystem.createCollisionEffect(playerPos, 0.3);
     }
@@ -469,6 +726,72 @@ export class CollisionSystem {
     }
   }
 
+  /**
+   * Stop the player at the face of a solid obstacle and back off
+   * @private
+   */
+  _handlePlayerSolidObstacleCollision(obstacle) {
+    const playerPos = this.playerRef.getPosition();
+    this._damagePlayer("BARRIER", this._getPlayerSpeed());
+
+    // Move out of the obstacle along the shallow axis
+    const push = this._computeObstaclePushOut(
+      this.playerRef.getBoundingBox(),
+      obstacle.bounds
+    );
+    if (push) {
+      this.playerRef.position.x += push.x;
+      this.playerRef.position.z += push.z;
+    }
+
+    this.playerRef.velocity.x = 0;
+    this.playerRef.velocity.z = 0;
+    this.playerRef.speed = 0;
+
+    // Same stop-reverse response as hitting traffic
+    this.playerRef.crashReverseDirection.x = -Math.sin(this.playerRef.rotation);
+    this.playerRef.crashReverseDirection.z = -Math.cos(this.playerRef.rotation);
+    this.playerRef.isCrashed = true;
+    this.playerRef.crashStunTimer = 0.15;
+    this.playerRef.crashReverseTimer = 0.6;
+
+    this.collisionCooldown = 800;
+
+    if (this.effectsSystem) {
+      this.effectsSystem.createCollisionEffect(playerPos, 0.6);
+    }
+
+    if (this.soundSystem) {
+      this.soundSystem.playCollisionSound(0.5);
+    }
+  }
+
+  /**
+   * Push police and traffic out of solid obstacles
+   * @private
+   */
+  _resolveVehicleObstacleCollisions() {
+    const solids = this.cityRef
+      .getCityObstacles()
+      .filter((obstacle) => !obstacle.destructible);
+    if (solids.length === 0) return;
+
+    const vehicles = this.enemiesRef.concat(this.trafficCars);
+    for (const vehicle of vehicles) {
+      for (const obstacle of solids) {
+        const push = this._computeObstaclePushOut(
+          vehicle.getBoundingBox(),
+          obstacle.bounds
+        );
+        if (!push) continue;
+
+        vehicle.position.x += push.x;
+        vehicle.position.z += push.z;
+        if (typeof vehicle.speed === "number") vehicle.speed *= 0.5;
+      }
+    }
+  }
+
   /**
    * Register callback for player-obstacle collision
    * @param {Function} callback
@@ -493,6 +816,14 @@ export class CollisionSystem {
     this.onNearMiss = callback;
   }
 
+  /**
+   * Register callback for crimes witnessed by the collision system
+   * @param {Function} callback - Receives the WANTED_CONFIG.OFFENSE_HEAT key
+   */
+  setOnOffense(callback) {
+    this.onOffense = callback;
+  }
+
   /**
    * Compute minimal translation vector (MTV) for overlapping AABB boxes in XZ plane
    * Returns null if no overlap. Otherwise returns { x, z} with the smallest axis separation.
@@ -520,6 +851,33 @@ export class CollisionSystem {
     }
   }
 
+  /**
+   * Smallest move that takes a box fully out of a static obstacle
+   * Unlike _computeMTV2D this also works for obstacles thinner than the box
+   * @private
+   */
+  _computeObstaclePushOut(box, bounds) {
+    if (
+      box.max.x <= bounds.min.x ||
+      box.min.x >= bounds.max.x ||
+      box.max.z <= bounds.min.z ||
+      box.min.z >= bounds.max.z
+    ) {
+      return null;
+    }
+
+    const pushMinX = bounds.min.x - box.max.x; // Out past the min side (<= 0)
+    const pushMaxX = bounds.max.x - box.min.x; // Out past the max side (>= 0)
+    const pushMinZ = bounds.min.z - box.max.z;
+    const pushMaxZ = bounds.max.z - box.min.z;
+    const moveX = -pushMinX < pushMaxX ? pushMinX : pushMaxX;
+    const moveZ = -pushMinZ < pushMaxZ ? pushMinZ : pushMaxZ;
+
+    return Math.abs(moveX) < Math.abs(moveZ)
+      ? { x: moveX, z: 0 }
+      : { x: 0, z: moveZ };
+  }
+
   /**
    * Resolve collision between two vehicle objects using Newton's laws.
    * Implements realistic momentum transfer, action-reaction pairs, and elastic/inelastic collision physics.
@@ -541,11 +899,12 @@ export class CollisionSystem {
     if (!mtv) return false;
 
     // === NEWTON'S FIRST LAW: Position correction (separate overlapping objects) ===
+    // The MTV moves A out of B; B moves the opposite way (heavier moves less)
     const totalMass = massA + massB;
-    const moveAx = -(mtv.x * (massB / totalMass)) * pushStrength;
-    const moveAz = -(mtv.z * (massB / totalMass)) * pushStrength;
-    const moveBx = mtv.x * (massA / totalMass) * pushStrength;
-    const moveBz = mtv.z * (massA / totalMass) * pushStrength;
+    const moveAx = mtv.x * (massB / totalMass) * pushStrength;
+    const moveAz = mtv.z * (massB / totalMass) * pushStrength;
+    const moveBx = -(mtv.x * (massA / totalMass)) * pushStrength;
+    const moveBz = -(mtv.z * (massA / totalMass)) * pushStrength;
 
     // Apply position corrections with separation buffer
     objA.position.x += moveAx + Math.sign(moveAx || 1) * minSeparation;
@@ -573,6 +932,7 @@ export class CollisionSystem {
 
       // Don't resolve if velocities are separating
       if (relVelAlongNormal > 0) return true;
+      this._applyImpactDamage(objA, objB, -relVelAlongNormal, massA, massB);
 
       // Calculate impulse scalar (Newton's 2nd Law: F = ma, impulse = change in momentum)
       const impulseMagnitude =
@@ -600,17 +960,18 @@ export class CollisionSystem {
       const impactStrength = Math.sqrt(
         objA.velocity.x ** 2 + objA.velocity.z ** 2
       );
+      this._applyImpactDamage(objA, objB, impactStrength, massA, massB);
       const collisionNormal = {
         x: mtv.x !== 0 ? Math.sign(mtv.x) : 0,
         z: mtv.z !== 0 ? Math.sign(mtv.z) : 0,
       };
 
-      // Reflect velocity with energy loss
+      // Reflect velocity with energy loss (normal points away from objB)
       objA.velocity.x =
-        objA.velocity.x * (1 - elasticity) -
+        objA.velocity.x * (1 - elasticity) +
         collisionNormal.x * impactStrength * elasticity;
       objA.velocity.z =
-        objA.velocity.z * (1 - elasticity) -
+        objA.velocity.z * (1 - elasticity) +
         collisionNormal.z * impactStrength * elasticity;
 
       // Transfer some momentum to objB if it has speed property
@@ -626,17 +987,18 @@ export class CollisionSystem {
       const impactStrength = Math.sqrt(
         objB.velocity.x ** 2 + objB.velocity.z ** 2
       );
+      this._applyImpactDamage(objA, objB, impactStrength, massA, massB);
       const collisionNormal = {
         x: mtv.x !== 0 ? -Math.sign(mtv.x) : 0,
         z: mtv.z !== 0 ? -Math.sign(mtv.z) : 0,
       };
 
-      // Reflect velocity with energy loss
+      // Reflect velocity with energy loss (normal points away from objA)
       objB.velocity.x =
-        objB.velocity.x * (1 - elasticity) -
+        objB.velocity.x * (1 - elasticity) +
         collisionNormal.x * impactStrength * elasticity;
       objB.velocity.z =
-        objB.velocity.z * (1 - elasticity) -
+        objB.velocity.z * (1 - elasticity) +
         collisionNormal.z * impactStrength * elasticity;
 
       // Transfer some momentum to objA if it has speed property
@@ -658,18 +1020,83 @@ export class CollisionSystem {
     return true;
   }
 
+  /**
+   * High-speed impacts damage the vehicles that can take damage (police);
+   * the lighter one takes the bigger share. The player's own damage is
+   * tuned separately (_damagePlayer)
+   * @private
+   */
+  _applyImpactDamage(objA, objB, impactSpeed, massA, massB) {
+    const excess = impactSpeed - ENEMY_CONFIG.IMPACT_DAMAGE_MIN_SPEED;
+    if (excess <= 0) return;
+
+    const damage = excess * ENEMY_CONFIG.IMPACT_DAMAGE_FACTOR * 2;
+    const totalMass = massA + massB;
+    if (objA !== this.playerRef)
+      objA.takeDamage?.(damage * (massB / totalMass));
+    if (objB !== this.playerRef)
+      objB.takeDamage?.(damage * (massA / totalMass));
+  }
+
+  /**
+   * Crash damage to the player, tuned per collision type (CRASH_DAMAGE)
+   * @param {string} type - TRAFFIC, POLICE, BUILDING, BARRIER or PROP
+   * @param {number} impactSpeed - Closing speed of the crash
+   * @param {number} scale - Damage multiplier (heavier vehicles hit harder)
+   * @private
+   */
+  _damagePlayer(type, impactSpeed, scale = 1) {
+    const { MIN_SPEED, FACTOR } = PLAYER_CONFIG.CRASH_DAMAGE[type];
+    const damage = Math.max(0, impactSpeed - MIN_SPEED) * FACTOR * scale;
+    if (damage <= 0 || !this.playerRef.takeDamage?.(damage)) return;
+
+    if (this.effectsSystem) {
+      this.effectsSystem.createDamageIndicator?.(
+        this.playerRef.getPosition(),
+        Math.round(damage)
+      );
+    }
+  }
+
+  /**
+   * Player damage from closing on a police unit - heavier units hit harder
+   * @param {Object} enemy - Police unit in contact
+   * @param {number} nx - Contact normal (police to player), x
+   * @param {number} nz - Contact normal (police to player), z
+   * @private
+   */
+  _damagePlayerFromPolice(enemy, nx, nz) {
+    const velocity = this.playerRef.velocity;
+    const enemyVelocity = enemy.velocity || { x: 0, z: 0 };
+    const closingSpeed = -(
+      (velocity.x - enemyVelocity.x) * nx +
+      (velocity.z - enemyVelocity.z) * nz
+    );
+    const mass = this._getPoliceMass(enemy);
+    this._damagePlayer("POLICE", closingSpeed, (2 * mass) / (1 + mass));
+  }
+
   /**
    * Resolve collisions across all vehicles to prevent overlaps/clipping.
    * Applies Newton's laws with realistic mass-based physics and visible crashes.
    * @private
    */
   _resolveInterVehicleCollisions(deltaTime) {
-    const trafficCars = this.trafficManagerRef?.getTrafficCars?.() || [];
+    const trafficCars = this.trafficCars;
     const enemies = this.enemiesRef || [];
 
     // traffic ↔ traffic (more elastic collisions, cars bounce off each other)
+    // Only nearby pairs, resolved in the same order as a full i < j sweep
+    const partners = [];
     for (let i = 0; i < trafficCars.length; i++) {
-      for (let j = i + 1; j < trafficCars.length; j++) {
+      partners.length = 0;
+      for (const other of this._queryTraffic(trafficCars[i].getBoundingBox())) {
+        const j = this.trafficOrder.get(other);
+        if (j > i) partners.push(j);
+      }
+      partners.sort((a, b) => a - b);
+
+      for (const j of partners) {
         this._resolveVehiclePair(trafficCars[i], trafficCars[j], {
           elasticity: 0.5, // More bouncy
           friction: 0.7,
@@ -683,11 +1110,11 @@ export class CollisionSystem {
 
     // enemy ↔ traffic (police are heavier, push traffic aside)
     for (const enemy of enemies) {
-      for (const car of trafficCars) {
+      for (const car of this._queryTraffic(enemy.getBoundingBox())) {
         this._resolveVehiclePair(enemy, car, {
           elasticity: 0.4,
           friction: 0.65,
-          massA: 1.5, // Police heavier
+          massA: this._getPoliceMass(enemy), // Police heavier
           massB: 0.9,
           minSeparation: 0.35,
           pushStrength: 2.2,
@@ -701,8 +1128,8 @@ export class CollisionSystem {
         this._resolveVehiclePair(enemies[i], enemies[j], {
           elasticity: 0.3,
           friction: 0.75,
-          massA: 1.5,
-          massB: 1.5,
+          massA: this._getPoliceMass(enemies[i]),
+          massB: this._getPoliceMass(enemies[j]),
           minSeparation: 0.4,
           pushStrength: 2.5,
         });
@@ -724,7 +1151,6 @@ export class CollisionSystem {
 
     const playerPos = this.playerRef.getPosition();
     const enemies = this.enemiesRef || [];
-    const buildings = this.cityRef?.getBuildings?.() || [];
 
     // Must have at least 3 police very close
     const closePolice = enemies.filter((e) => {
@@ -782,19 +1208,7 @@ export class CollisionSystem {
 
       // Also check buildings
       if (!blocked) {
-        for (const b of buildings) {
-          const hw = b.geometry.parameters.width / 2 + playerRadius;
-          const hd = b.geometry.parameters.depth / 2 + playerRadius;
-          if (
-            testPos.x >= b.position.x - hw &&
-            testPos.x <= b.position.x + hw &&
-            testPos.z >= b.position.z - hd &&
-            testPos.z <= b.position.z + hd
-          ) {
-            blocked = true;
-            break;
-          }
-        }
+        blocked = this._isPointNearBuilding(testPos.x, testPos.z, playerRadius);
       }
 
       if (blocked) {
@@ -845,8 +1259,8 @@ export class CollisionSystem {
     if (!this.enemiesRef || this.enemiesRef.length === 0) return;
 
     const playerPos = this.playerRef.getPosition();
-    const buildings = this.cityRef?.getBuildings?.() || [];
     const playerRadius = 2.5; // Player car collision radius
+    const buildingBuffer = playerRadius + 0.5; // Safety margin
 
     // CRITICAL: Multi-pass collision resolution (2 passes per frame)
     // Reduced from 3 to prevent excessive force accumulation
@@ -871,33 +1285,24 @@ export class CollisionSystem {
           const nx = dist > 0.01 ? dx / dist : 1;
           const nz = dist > 0.01 ? dz / dist : 0;
 
+          if (pass === 0) {
+            this._damagePlayerFromPolice(enemy, nx, nz);
+
+            // A PITting unit hooks the player's rear quarter and spins them
+            if (enemy.isPitting?.()) this._applyPitSpin(enemy, nx, nz);
+          }
+
           // Calculate proposed new player position
           const baseSeparationForce = overlap * 2.5; // Reduced from 5.5 for smoother response
           let proposedPlayerX = playerPos.x + nx * baseSeparationForce * 0.65;
           let proposedPlayerZ = playerPos.z + nz * baseSeparationForce * 0.65;
 
           // CHECK: Would this push player into a building?
-          let wouldHitBuilding = false;
-          for (const building of buildings) {
-            const halfWidth = building.geometry.parameters.width / 2;
-            const halfDepth = building.geometry.parameters.depth / 2;
-            const buildingBuffer = playerRadius + 0.5; // Safety margin
-
-            // Check if proposed position intersects building
-            if (
-              proposedPlayerX >=
-                building.position.x - halfWidth - buildingBuffer &&
-              proposedPlayerX <=
-                building.position.x + halfWidth + buildingBuffer &&
-              proposedPlayerZ >=
-                building.position.z - halfDepth - buildingBuffer &&
-              proposedPlayerZ <=
-                building.position.z + halfDepth + buildingBuffer
-            ) {
-              wouldHitBuilding = true;
-              break;
-            }
-          }
+          const wouldHitBuilding = this._isPointNearBuilding(
+            proposedPlayerX,
+            proposedPlayerZ,
+            buildingBuffer
+          );
 
           if (wouldHitBuilding) {
             // SAFE MODE: Player is between police and building
@@ -922,38 +1327,16 @@ export class CollisionSystem {
               z: playerPos.z + perpZ2 * testDist,
             };
 
-            let canSlidePerpendicular1 = true;
-            let canSlidePerpendicular2 = true;
-
-            for (const building of buildings) {
-              const halfWidth = building.geometry.parameters.width / 2;
-              const halfDepth = building.geometry.parameters.depth / 2;
-              const buildingBuffer = playerRadius + 0.5;
-
-              if (
-                perpPos1.x >=
-                  building.position.x - halfWidth - buildingBuffer &&
-                perpPos1.x <=
-                  building.position.x + halfWidth + buildingBuffer &&
-                perpPos1.z >=
-                  building.position.z - halfDepth - buildingBuffer &&
-                perpPos1.z <= building.position.z + halfDepth + buildingBuffer
-              ) {
-                canSlidePerpendicular1 = false;
-              }
-
-              if (
-                perpPos2.x >=
-                  building.position.x - halfWidth - buildingBuffer &&
-                perpPos2.x <=
-                  building.position.x + halfWidth + buildingBuffer &&
-                perpPos2.z >=
-                  building.position.z - halfDepth - buildingBuffer &&
-                perpPos2.z <= building.position.z + halfDepth + buildingBuffer
-              ) {
-                canSlidePerpendicular2 = false;
-              }
-            }
+            const canSlidePerpendicular1 = !this._isPointNearBuilding(
+              perpPos1.x,
+              perpPos1.z,
+              buildingBuffer
+            );
+            const canSlidePerpendicular2 = !this._isPointNearBuilding(
+              perpPos2.x,
+              perpPos2.z,
+              buildingBuffer
+            );
 
             // Apply gentle slide in a safe perpendicular direction
             if (canSlidePerpendicular1) {
@@ -999,29 +1382,18 @@ export class CollisionSystem {
         // Also apply velocity-based separation with AABB check (only if not in safe mode)
         if (checkAABBCollision(playerBox, enemyBox)) {
           // Check if player is already near a building before applying physics
-          let nearBuilding = false;
-          for (const building of buildings) {
-            const halfWidth = building.geometry.parameters.width / 2;
-            const halfDepth = building.geometry.parameters.depth / 2;
-            const proximityCheck = playerRadius + 2.0;
-
-            if (
-              playerPos.x >= building.position.x - halfWidth - proximityCheck &&
-              playerPos.x <= building.position.x + halfWidth + proximityCheck &&
-              playerPos.z >= building.position.z - halfDepth - proximityCheck &&
-              playerPos.z <= building.position.z + halfDepth + proximityCheck
-            ) {
-              nearBuilding = true;
-              break;
-            }
-          }
+          const nearBuilding = this._isPointNearBuilding(
+            playerPos.x,
+            playerPos.z,
+            playerRadius + 2.0
+          );
 
           // Use gentler physics if near building, normal physics otherwise
           this._resolveVehiclePair(this.playerRef, enemy, {
             elasticity: nearBuilding ? 0.3 : 0.5,
             friction: nearBuilding ? 0.7 : 0.5,
             massA: 1.0,
-            massB: 1.8, // Reduced from 2.0
+            massB: this._getPoliceMass(enemy), // Per unit type
             minSeparation: nearBuilding ? 0.4 : 0.6,
             pushStrength: nearBuilding ? 2.0 : 3.5, // Significantly reduced from 6.0
           });
@@ -1029,4 +1401,124 @@ export class CollisionSystem {
       }
     }
   }
+
+  /**
+   * Collision mass of a police unit (the player is 1)
+   * @private
+   */
+  _getPoliceMass(enemy) {
+    return enemy.getMass?.() ?? ENEMY_CONFIG.MASS;
+  }
+
+  /**
+   * PIT maneuver contact - the collision impulse on the player, applied off
+   * their center, becomes a spin-out
+   * @param {Object} enemy - PITting police unit
+   * @param {number} nx - Contact normal (police to player), x
+   * @param {number} nz - Contact normal (police to player), z
+   * @private
+   */
+  _applyPitSpin(enemy, nx, nz) {
+    const player = this.playerRef;
+    const ai = POLICE_AI_CONFIG;
+    const enemyMass = this._getPoliceMass(enemy);
+    const totalMass = 1 + enemyMass;
+
+    const relVelAlongNormal =
+      (player.velocity.x - enemy.velocity.x) * nx +
+      (player.velocity.z - enemy.velocity.z) * nz;
+    if (relVelAlongNormal > 0) return; // Already separating
+
+    // Same impulse as _resolveVehiclePair - player change in velocity
+    const impulse =
+      ((-(1 + ai.PIT_ELASTICITY) * relVelAlongNormal) / totalMass) * enemyMass;
+    const impulseX = impulse * nx;
+    const impulseZ = impulse * nz;
+
+    // Lever arm: where along the player's length the hit lands
+    const heading = player.getHeading();
+    const playerPos = player.getPosition();
+    const enemyPos = enemy.getPosition();
+    const halfLength = (player.config?.LENGTH ?? PLAYER_CONFIG.LENGTH) / 2;
+    const leverArm = clamp(
+      (enemyPos.x - playerPos.x) * heading.x +
+        (enemyPos.z - playerPos.z) * heading.z,
+      -halfLength,
+      halfLength
+    );
+
+    // A push to the left behind the center swings the nose right
+    const leftImpulse = heading.z * impulseX - heading.x * impulseZ;
+    const spinRate = clamp(
+      leverArm * leftImpulse * ai.PIT_SPIN_FACTOR,
+      -ai.PIT_MAX_SPIN,
+      ai.PIT_MAX_SPIN
+    );
+
+    player.spin(spinRate);
+    enemy.onPitContact();
+    console.log(`🌀 PIT maneuver - player spun out (${spinRate.toFixed(2)})`);
+  }
+
+  /**
+   * Rebuild the traffic grid from this step's active cars
+   * Cars move every step, so re-indexing beats tracking each move
+   * @private
+   */
+  _indexTraffic() {
+    this.trafficCars = this.trafficManagerRef?.getTrafficCars?.() || [];
+    this.trafficGrid.clear();
+    this.trafficOrder.clear();
+
+    this.trafficCars.forEach((car, index) => {
+      const box = car.getBoundingBox();
+      this.trafficGrid.insert(car, box.min.x, box.min.z, box.max.x, box.max.z);
+      this.trafficOrder.set(car, index);
+    });
+  }
+
+  /**
+   * Get traffic cars that may overlap a bounding box
+   * Returns a shared array - valid until the next traffic query
+   * @private
+   */
+  _queryTraffic(box) {
+    return this.trafficGrid.query(
+      box.min.x - VEHICLE_QUERY_MARGIN,
+      box.min.z - VEHICLE_QUERY_MARGIN,
+      box.max.x + VEHICLE_QUERY_MARGIN,
+      box.max.z + VEHICLE_QUERY_MARGIN,
+      this._trafficQuery
+    );
+  }
+
+  /**
+   * Check if a point is within buffer of any building footprint
+   * @private
+   */
+  _isPointNearBuilding(x, z, buffer) {
+    if (!this.cityRef) return false;
+
+    const buildings = this.cityRef.getBuildingsNear(
+      x,
+      z,
+      buffer,
+      this._buildingQuery
+    );
+
+    for (const building of buildings) {
+      const halfWidth = building.geometry.parameters.width / 2 + buffer;
+      const halfDepth = building.geometry.parameters.depth / 2 + buffer;
+
+      if (
+        x >= building.position.x - halfWidth &&
+        x <= building.position.x + halfWidth &&
+        z >= building.position.z - halfDepth &&
+        z <= building.position.z + halfDepth
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
 }
@@ -4,18 +4,22 @@
  */
 
 import * as THREE from "three";
+import { isHeadless } from "../utils/runtime.js";
 
 export class EffectsSystem {
   constructor(scene) {
     this.scene = scene;
     this.particles = [];
     this.activeEffects = [];
+    this.enabled = !isHeadless(); // Effects are purely visual
   }
 
   /**
    * Create collision explosion effect
    */
   createCollisionEffect(position, intensity = 1.0) {
+    if (!this.enabled) return;
+
     const particleCount = Math.floor(15 * intensity);
     const particles = [];
 
@@ -55,6 +59,8 @@ export class EffectsSystem {
    * Create smoke trail effect
    */
   createSmokeTrail(position) {
+    if (!this.enabled) return;
+
     const geometry = new THREE.SphereGeometry(0.5, 8, 8);
     const material = new THREE.MeshBasicMaterial({
       color: 0x666666,
@@ -74,10 +80,46 @@ export class EffectsSystem {
     this.particles.push(smoke);
   }
 
+  /**
+   * Create tire smoke at both rear wheels of a drifting car
+   * @param {{x: number, z: number}} position - Car center
+   * @param {number} rotation - Car heading
+   * @param {number} rearOffset - Distance from the center to the rear axle
+   */
+  createTireSmoke(position, rotation, rearOffset) {
+    if (!this.enabled) return;
+
+    const forwardX = Math.sin(rotation);
+    const forwardZ = Math.cos(rotation);
+    for (const side of [-1, 1]) {
+      const geometry = new THREE.SphereGeometry(0.4, 8, 8);
+      const material = new THREE.MeshBasicMaterial({
+        color: 0xcccccc,
+        transparent: true,
+        opacity: 0.35,
+      });
+
+      const smoke = new THREE.Mesh(geometry, material);
+      smoke.position.set(
+        position.x - forwardX * rearOffset + forwardZ * side * 0.8,
+        0.3,
+        position.z - forwardZ * rearOffset - forwardX * side * 0.8
+      );
+
+      smoke.life = 1.0;
+      smoke.decay = 2;
+
+      this.scene.add(smoke);
+      this.particles.push(smoke);
+    }
+  }
+
   /**
    * Create sparks effect
    */
   createSparks(position, direction) {
+    if (!this.enabled) return;
+
     const sparkCount = 8;
 
     for (let i = 0; i < sparkCount; i++) {
@@ -110,6 +152,8 @@ export class EffectsSystem {
    * Create damage indicator
    */
   createDamageIndicator(position, damage) {
+    if (!this.enabled) return;
+
     const canvas = document.createElement("canvas");
     canvas.width = 128;
     canvas.height = 64;
@@ -0,0 +1,515 @@
+/**
+ * PedestrianSystem - Walkers on the sidewalks around the player
+ * Responsibility: Keep the sidewalks of the tiles around the player as
+ * crowded as their district asks, walk people along them and over the
+ * crosswalks while the traffic they cross has a red, and scatter them from
+ * speeding cars and sirens
+ * Pedestrians are never harmed - anyone a car gets too close to dives
+ * clear, and traffic stops for people in the road (see TrafficCar)
+ * Walkers are drawn as two instanced meshes, one for bodies, one for heads
+ */
+
+import * as THREE from "three";
+import { PEDESTRIAN_CONFIG } from "../utils/constants.js";
+import { distance2D } from "../utils/helpers.js";
+import { isHeadless } from "../utils/runtime.js";
+import { SeededRandom, createRunSeed } from "../utils/seededRandom.js";
+
+const CLOTHING_COLORS = [
+  0x2b4c7e, 0x8c2f39, 0x3f7d20, 0xd9a441, 0x5b5b5b, 0x1f1f1f, 0xe07a5f,
+  0x81b29a, 0x6d597a, 0xf2f2f2,
+];
+
+export class PedestrianSystem {
+  constructor(
+    scene,
+    playerRef,
+    cityRef,
+    enemiesRef = [],
+    trafficManagerRef = null,
+    rng = null,
+    config = PEDESTRIAN_CONFIG
+  ) {
+    this.scene = scene;
+    this.playerRef = playerRef; // Walkers gather around the player
+    this.cityRef = cityRef; // Loaded roads, districts and signals
+    this.enemiesRef = enemiesRef; // Police to scatter from (live array)
+    this.trafficManagerRef = trafficManagerRef; // Cars to dive clear of
+    this.rng = rng || new SeededRandom(createRunSeed());
+    this.config = config;
+
+    this.pedestrians = [];
+
+    // Instanced meshes - null when headless
+    this.bodies = null;
+    this.heads = null;
+    this._dummy = null;
+    this._color = null;
+    if (this.scene && !isHeadless()) {
+      this._createMeshes();
+    }
+  }
+
+  /**
+   * Spawn, walk and scatter pedestrians
+   * @param {number} deltaTime - Time since last step in seconds
+   */
+  update(deltaTime) {
+    const graph = this.cityRef?.getRoadGraph?.();
+    if (!graph) return;
+
+    this._despawnPedestrians(graph);
+    for (let i = 0; i < this.config.SPAWN_PER_STEP; i++) {
+      this._spawnPedestrian(graph);
+    }
+
+    const cars = this._getCars();
+    this.pedestrians.forEach((pedestrian) => {
+      this._updatePedestrian(pedestrian, deltaTime, graph.tileSize, cars);
+      this._diveClear(pedestrian, cars);
+    });
+
+    this._updateMeshes();
+  }
+
+  /**
+   * Try to add a walker on a sidewalk of a tile around the player whose
+   * district wants more people
+   * @private
+   */
+  _spawnPedestrian(graph) {
+    if (this.pedestrians.length >= this.config.MAX_PEDESTRIANS) return null;
+
+    const tileSize = graph.tileSize;
+    const player = this.playerRef.getPosition();
+    const radius = this.config.TILE_RADIUS;
+    const gridX =
+      Math.round(player.x / tileSize) + this.rng.int(-radius, radius);
+    const gridZ =
+      Math.round(player.z / tileSize) + this.rng.int(-radius, radius);
+    if (!graph.getNode(gridX, gridZ)) return null;
+
+    const district = this.cityRef.getDistrict(gridX, gridZ);
+    const wanted = Math.round(
+      district.PEDESTRIANS * this.config.DENSITY_MULTIPLIER
+    );
+    if (this._countOnTile(gridX, gridZ, tileSize) >= wanted) return null;
+
+    // A sidewalk of one of the tile's two roads, clear of the crossroads
+    const offset = this.config.SIDEWALK_OFFSET;
+    const alongX = this.rng.chance(0.5);
+    const side = this.rng.chance(0.5) ? 1 : -1;
+    const along =
+      (alongX ? gridX : gridZ) * tileSize +
+      this.rng.range(offset + 1, tileSize / 2) *
+        (this.rng.chance(0.5) ? 1 : -1);
+    const lateral = (alongX ? gridZ : gridX) * tileSize + side * offset;
+    const x = alongX ? along : lateral;
+    const z = alongX ? lateral : along;
+
+    const distance = distance2D(x, z, player.x, player.z);
+    if (
+      distance < this.config.SPAWN_MIN_DISTANCE ||
+      distance > this.config.DESPAWN_DISTANCE
+    ) {
+      return null;
+    }
+    return this.spawn(x, z, alongX, this.rng.chance(0.5) ? 1 : -1);
+  }
+
+  /**
+   * Place a walker on the sidewalk line through a position
+   * @param {boolean} alongX - Walks along X (beside an east-west road)
+   * @param {number} direction - 1 or -1 along that axis
+   */
+  spawn(
+    x,
+    z,
+    alongX,
+    direction,
+    tileSize = this.cityRef.getRoadGraph().tileSize
+  ) {
+    const lateral = alongX ? z : x;
+    const line = Math.round(lateral / tileSize) * tileSize;
+    const pedestrian = {
+      x,
+      z,
+      alongX,
+      line, // Center line of the road beside the walker
+      side: lateral >= line ? 1 : -1, // Which side of that road
+      dir: direction,
+      state: "walk", // "walk", "wait" at a corner or "cross" a crosswalk
+      corner: 0, // Along coordinate of the next corner
+      crossTo: 0, // Along coordinate the crossing ends at
+      fleeTimer: 0,
+      speed: 0,
+      stride: this.rng.range(0, Math.PI * 2), // Bob phase
+      color: this.rng.pick(CLOTHING_COLORS),
+    };
+    pedestrian.corner = this._getNextCorner(pedestrian, tileSize);
+    this.pedestrians.push(pedestrian);
+    return pedestrian;
+  }
+
+  /**
+   * @private
+   */
+  _countOnTile(gridX, gridZ, tileSize) {
+    return this.pedestrians.filter(
+      (pedestrian) =>
+        Math.round(pedestrian.x / tileSize) === gridX &&
+        Math.round(pedestrian.z / tileSize) === gridZ
+    ).length;
+  }
+
+  /**
+   * Drop walkers the player left behind or whose tile unloaded
+   * @private
+   */
+  _despawnPedestrians(graph) {
+    const player = this.playerRef.getPosition();
+    this.pedestrians = this.pedestrians.filter(
+      (pedestrian) =>
+        distance2D(pedestrian.x, pedestrian.z, player.x, player.z) <=
+          this.config.DESPAWN_DISTANCE &&
+        graph.getNode(
+          Math.round(pedestrian.x / graph.tileSize),
+          Math.round(pedestrian.z / graph.tileSize)
+        )
+    );
+  }
+
+  /**
+   * Player, police and traffic with their speeds
+   * @private
+   * @returns {Array<{position: Object, speed: number, siren: boolean}>}
+   */
+  _getCars() {
+    const cars = [
+      {
+        position: this.playerRef.getPosition(),
+        speed: this.playerRef.getSpeed(),
+        siren: false,
+      },
+    ];
+    this.enemiesRef.forEach((enemy) => {
+      cars.push({
+        position: enemy.getPosition(),
+        speed: enemy.isWrecked() ? 0 : Math.abs(enemy.speed),
+        siren: enemy.isEngaged(),
+      });
+    });
+    this.trafficManagerRef?.getTrafficCars().forEach((car) => {
+      cars.push({
+        position: car.getPosition(),
+        speed: car.speed,
+        siren: false,
+      });
+    });
+    return cars;
+  }
+
+  /**
+   * Nearest car a walker should run from - fast ones close by, or police
+   * with sirens further out
+   * @private
+   */
+  _findThreat(pedestrian, cars) {
+    let threat = null;
+    let nearest = Infinity;
+    for (const car of cars) {
+      const distance = distance2D(
+        pedestrian.x,
+        pedestrian.z,
+        car.position.x,
+        car.position.z
+      );
+      const scary =
+        (car.siren && distance < this.config.SIREN_RADIUS) ||
+        (car.speed >= this.config.FLEE_SPEED &&
+          distance < this.config.FLEE_RADIUS);
+      if (scary && distance < nearest) {
+        threat = car;
+        nearest = distance;
+      }
+    }
+    return threat;
+  }
+
+  /**
+   * @private
+   */
+  _updatePedestrian(pedestrian, deltaTime, tileSize, cars) {
+    const threat = this._findThreat(pedestrian, cars);
+    if (threat) {
+      pedestrian.fleeTimer = this.config.FLEE_DURATION;
+      this._fleeFrom(pedestrian, threat.position, tileSize);
+    } else {
+      pedestrian.fleeTimer = Math.max(0, pedestrian.fleeTimer - deltaTime);
+    }
+    const fleeing = pedestrian.fleeTimer > 0;
+
+    if (pedestrian.state === "wait") {
+      pedestrian.speed = 0;
+      if (this._getCrossingSignal(pedestrian, tileSize) === "red") {
+        pedestrian.state = "cross";
+        pedestrian.crossTo =
+          pedestrian.corner + pedestrian.dir * this.config.SIDEWALK_OFFSET * 2;
+      }
+    } else if (pedestrian.state === "cross") {
+      pedestrian.speed = fleeing
+        ? this.config.RUN_SPEED
+        : this.config.CROSS_SPEED;
+      if (this._walkTo(pedestrian, pedestrian.crossTo, deltaTime)) {
+        pedestrian.state = "walk";
+        pedestrian.corner = this._getNextCorner(pedestrian, tileSize);
+      }
+    } else {
+      pedestrian.speed = fleeing
+        ? this.config.RUN_SPEED
+        : this.config.WALK_SPEED;
+      if (this._walkTo(pedestrian, pedestrian.corner, deltaTime)) {
+        this._reachCorner(pedestrian, fleeing, tileSize);
+      }
+    }
+
+    // Ease back to the sidewalk line, or away from the curb while fleeing
+    const lateralTarget =
+      pedestrian.line +
+      pedestrian.side *
+        (this.config.SIDEWALK_OFFSET + (fleeing ? this.config.FLEE_OFFSET : 0));
+    const lateral = pedestrian.alongX ? pedestrian.z : pedestrian.x;
+    const step =
+      (fleeing ? this.config.RUN_SPEED : this.config.WALK_SPEED) * deltaTime;
+    const moved =
+      lateral +
+      Math.sign(lateralTarget - lateral) *
+        Math.min(step, Math.abs(lateralTarget - lateral));
+    if (pedestrian.alongX) {
+      pedestrian.z = moved;
+    } else {
+      pedestrian.x = moved;
+    }
+
+    pedestrian.stride += pedestrian.speed * deltaTime * 4;
+  }
+
+  /**
+   * Run along the sidewalk away from a car; walkers on a crosswalk run back
+   * or on to whichever curb is nearer
+   * @private
+   */
+  _fleeFrom(pedestrian, position, tileSize) {
+    const along = this._getAlong(pedestrian);
+
+    if (pedestrian.state === "cross") {
+      const start =
+        pedestrian.crossTo - pedestrian.dir * this.config.SIDEWALK_OFFSET * 2;
+      if (Math.abs(along - start) < Math.abs(pedestrian.crossTo - along)) {
+        pedestrian.dir = -pedestrian.dir;
+        pedestrian.crossTo = start;
+      }
+      return;
+    }
+
+    // Waiting walkers give up on crossing; at the corner they turn away
+    pedestrian.state = "walk";
+    const away = Math.sign(
+      along - (pedestrian.alongX ? position.x : position.z)
+    );
+    if (away !== 0 && away !== pedestrian.dir) {
+      pedestrian.dir = away;
+      pedestrian.corner = this._getNextCorner(pedestrian, tileSize);
+    }
+  }
+
+  /**
+   * Decide at a corner: wait to cross the road ahead, or turn onto the
+   * crossing road's sidewalk - fleeing walkers always turn away
+   * @private
+   */
+  _reachCorner(pedestrian, fleeing, tileSize) {
+    if (!fleeing && this.rng.chance(this.config.CROSS_CHANCE)) {
+      pedestrian.state = "wait";
+      return;
+    }
+
+    // The corner is where this sidewalk meets the crossing road's, so the
+    // walker swaps axes and heads away from the road it was beside
+    const crossingRoad =
+      pedestrian.corner + pedestrian.dir * this.config.SIDEWALK_OFFSET;
+    const side = -pedestrian.dir;
+    pedestrian.dir = pedestrian.side;
+    pedestrian.side = side;
+    pedestrian.line = crossingRoad;
+    pedestrian.alongX = !pedestrian.alongX;
+    pedestrian.corner = this._getNextCorner(pedestrian, tileSize);
+  }
+
+  /**
+   * Signal of the traffic a waiting walker would walk in front of
+   * @private
+   */
+  _getCrossingSignal(pedestrian, tileSize) {
+    if (!this.cityRef.getSignalState) return "red";
+
+    const crossroads = Math.round(
+      (pedestrian.corner + pedestrian.dir * this.config.SIDEWALK_OFFSET) /
+        tileSize
+    );
+    const road = Math.round(pedestrian.line / tileSize);
+    return this.cityRef.getSignalState(
+      pedestrian.alongX ? crossroads : road,
+      pedestrian.alongX ? road : crossroads,
+      pedestrian.alongX ? "z" : "x"
+    );
+  }
+
+  /**
+   * Walk along the sidewalk toward an along coordinate
+   * @private
+   * @returns {boolean} - Whether it was reached this step
+   */
+  _walkTo(pedestrian, target, deltaTime) {
+    const along = this._getAlong(pedestrian);
+    const step = pedestrian.speed * deltaTime;
+    const reached = (target - along) * pedestrian.dir <= step;
+    const next = reached ? target : along + pedestrian.dir * step;
+
+    if (pedestrian.alongX) {
+      pedestrian.x = next;
+    } else {
+      pedestrian.z = next;
+    }
+    return reached;
+  }
+
+  /**
+   * Along coordinate of the next corner where the walker's sidewalk meets
+   * a crossing road
+   * @private
+   */
+  _getNextCorner(pedestrian, tileSize) {
+    const along = this._getAlong(pedestrian);
+    const offset = this.config.SIDEWALK_OFFSET;
+    // A walker already on a corner is there straight away
+    if (pedestrian.dir > 0) {
+      return Math.ceil((along + offset) / tileSize) * tileSize - offset;
+    }
+    return Math.floor((along - offset) / tileSize) * tileSize + offset;
+  }
+
+  /**
+   * @private
+   */
+  _getAlong(pedestrian) {
+    return pedestrian.alongX ? pedestrian.x : pedestrian.z;
+  }
+
+  /**
+   * Jump clear of any car about to touch the walker
+   * @private
+   */
+  _diveClear(pedestrian, cars) {
+    const clearance = this.config.DIVE_DISTANCE;
+    for (const car of cars) {
+      const dx = pedestrian.x - car.position.x;
+      const dz = pedestrian.z - car.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance >= clearance) continue;
+
+      // Dead center - dive toward the walker's own curb
+      const away =
+        distance > 0.01
+          ? { x: dx / distance, z: dz / distance }
+          : {
+              x: pedestrian.alongX ? 0 : pedestrian.side,
+              z: pedestrian.alongX ? pedestrian.side : 0,
+            };
+      pedestrian.x = car.position.x + away.x * clearance;
+      pedestrian.z = car.position.z + away.z * clearance;
+    }
+  }
+
+  /**
+   * Low-poly walkers: a colored body and a head per instance
+   * @private
+   */
+  _createMeshes() {
+    const max = this.config.MAX_PEDESTRIANS;
+    this.bodies = new THREE.InstancedMesh(
+      new THREE.CylinderGeometry(0.22, 0.3, 1.2, 6),
+      new THREE.MeshLambertMaterial({ color: 0xffffff }),
+      max
+    );
+    this.heads = new THREE.InstancedMesh(
+      new THREE.SphereGeometry(0.2, 6, 4),
+      new THREE.MeshLambertMaterial({ color: 0xe0ac8a }),
+      max
+    );
+    [this.bodies, this.heads].forEach((mesh) => {
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      mesh.castShadow = true;
+      mesh.count = 0;
+      this.scene.add(mesh);
+    });
+    this._dummy = new THREE.Object3D();
+    this._color = new THREE.Color();
+  }
+
+  /**
+   * Copy walker positions into the instanced meshes
+   * @private
+   */
+  _updateMeshes() {
+    if (!this.bodies) return;
+
+    const dummy = this._dummy;
+    this.pedestrians.forEach((pedestrian, index) => {
+      const bob = Math.abs(Math.sin(pedestrian.stride)) * 0.08;
+      dummy.rotation.y = pedestrian.alongX
+        ? (pedestrian.dir * Math.PI) / 2
+        : pedestrian.dir > 0
+          ? 0
+          : Math.PI;
+
+      dummy.position.set(pedestrian.x, 0.72 + bob, pedestrian.z);
+      dummy.updateMatrix();
+      this.bodies.setMatrixAt(index, dummy.matrix);
+      this.bodies.setColorAt(index, this._color.setHex(pedestrian.color));
+
+      dummy.position.y = 1.52 + bob;
+      dummy.updateMatrix();
+      this.heads.setMatrixAt(index, dummy.matrix);
+    });
+
+    [this.bodies, this.heads].forEach((mesh) => {
+      mesh.count = this.pedestrians.length;
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    });
+  }
+
+  /**
+   * Current walkers ({x, z} plus walking state)
+   */
+  getPedestrians() {
+    return this.pedestrians;
+  }
+
+  /**
+   * Cleanup meshes and walkers
+   */
+  dispose() {
+    [this.bodies, this.heads].forEach((mesh) => {
+      if (!mesh) return;
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      mesh.dispose();
+    });
+    this.bodies = null;
+    this.heads = null;
+    this.pedestrians = [];
+  }
+}
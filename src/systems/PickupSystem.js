@@ -0,0 +1,309 @@
+/**
+ * PickupSystem - Collectible pickups on the road ahead of the player
+ * Responsibility: Place pickups on the player's predicted route, animate
+ * them and apply their effect when driven through
+ * Repair kits appear while the player's tires are punctured, nitro
+ * canisters every NITRO_SPAWN_INTERVAL
+ */
+
+import * as THREE from "three";
+import { carriagewayOffset } from "../objects/RoadGraph.js";
+import {
+  BOOST_CONFIG,
+  PICKUP_CONFIG,
+  WORLD_CONFIG,
+} from "../utils/constants.js";
+import { distance2D } from "../utils/helpers.js";
+import { isHeadless } from "../utils/runtime.js";
+
+export const PICKUP_TYPES = {
+  REPAIR: "repair",
+  NITRO: "nitro",
+};
+
+export class PickupSystem {
+  constructor(scene, playerRef, cityRef, config = PICKUP_CONFIG) {
+    this.scene = scene;
+    this.playerRef = playerRef;
+    this.cityRef = cityRef; // Road graph for placement
+    this.config = config;
+
+    this.pickups = [];
+    this.repairTimer = 0; // Time punctured without a repair kit on the road
+    this.nitroTimer = 0; // Time without a nitro canister on the road
+
+    // Callback when a pickup is collected
+    this.onPickup = null;
+  }
+
+  /**
+   * Update pickups, place repair kits for a punctured player and nitro
+   * @param {number} deltaTime - Time since last step in seconds
+   */
+  update(deltaTime) {
+    this._updateRepairSpawning(deltaTime);
+    this._updateNitroSpawning(deltaTime);
+    this._updatePickups(deltaTime);
+  }
+
+  /**
+   * A punctured player gets a repair kit on the road ahead
+   * Kits are cleared again if the tires recover on their own
+   * @private
+   */
+  _updateRepairSpawning(deltaTime) {
+    const hasKit = this.pickups.some(
+      (pickup) => pickup.type === PICKUP_TYPES.REPAIR
+    );
+
+    if (!this.playerRef.isPunctured) {
+      this.repairTimer = 0;
+      if (hasKit) this._removeWhere((p) => p.type === PICKUP_TYPES.REPAIR);
+      return;
+    }
+
+    if (hasKit) return;
+    this.repairTimer += deltaTime;
+    if (this.repairTimer < this.config.REPAIR_SPAWN_DELAY) return;
+
+    // No loaded road ahead yet - try again next step
+    if (this.spawnAhead(PICKUP_TYPES.REPAIR)) {
+      this.repairTimer = 0;
+    }
+  }
+
+  /**
+   * Keep a nitro canister coming up every NITRO_SPAWN_INTERVAL
+   * The timer only runs while no canister is on the road
+   * @private
+   */
+  _updateNitroSpawning(deltaTime) {
+    if (this.pickups.some((pickup) => pickup.type === PICKUP_TYPES.NITRO)) {
+      return;
+    }
+
+    this.nitroTimer += deltaTime;
+    if (this.nitroTimer < this.config.NITRO_SPAWN_INTERVAL) return;
+
+    if (this.spawnAhead(PICKUP_TYPES.NITRO)) {
+      this.nitroTimer = 0;
+    }
+  }
+
+  /**
+   * Place a pickup on the player's carriageway ahead
+   * @returns {Object|null} - The pickup, or null if no road was found
+   */
+  spawnAhead(type) {
+    const graph = this.cityRef?.getRoadGraph?.();
+    const placement = graph?.getPointAhead(
+      this.playerRef.getPosition(),
+      this.playerRef.getHeading(),
+      this.config.MIN_DISTANCE,
+      this.config.MAX_DISTANCE,
+      this.config.APPROACH_OFFSET
+    );
+    if (!placement) return null;
+
+    const lane = carriagewayOffset(
+      placement.alongX ? placement.direction : 0,
+      placement.alongX ? 0 : placement.direction,
+      WORLD_CONFIG.CARRIAGEWAY_OFFSET
+    );
+    return this.spawn(type, placement.x + lane.x, placement.z + lane.z);
+  }
+
+  /**
+   * Place a pickup at a position
+   */
+  spawn(type, x, z) {
+    const pickup = {
+      type,
+      x,
+      z,
+      age: 0,
+      mesh: this._createPickupMesh(type, x, z),
+    };
+    this.pickups.push(pickup);
+    console.log(`🎁 ${type} pickup at (${x.toFixed(1)}, ${z.toFixed(1)})`);
+    return pickup;
+  }
+
+  /**
+   * Floating pickup mesh for a type
+   * @private
+   */
+  _createPickupMesh(type, x, z) {
+    if (!this.scene || isHeadless()) return null;
+
+    const group =
+      type === PICKUP_TYPES.NITRO
+        ? this._createNitroMesh()
+        : this._createRepairMesh();
+    group.position.set(x, 1.2, z);
+    this.scene.add(group);
+    return group;
+  }
+
+  /**
+   * Blue nitro canister with a silver cap
+   * @private
+   */
+  _createNitroMesh() {
+    const group = new THREE.Group();
+    const canister = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.5, 0.5, 1.6, 12),
+      new THREE.MeshLambertMaterial({
+        color: 0x2266ff,
+        emissive: 0x0a1a55,
+      })
+    );
+    group.add(canister);
+
+    const cap = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.25, 0.3, 0.3, 12),
+      new THREE.MeshLambertMaterial({ color: 0xcccccc })
+    );
+    cap.position.y = 0.95;
+    group.add(cap);
+
+    group.rotation.z = Math.PI / 8; // Tilted so the spin reads
+    return group;
+  }
+
+  /**
+   * Crate with a cross on top
+   * @private
+   */
+  _createRepairMesh() {
+    const group = new THREE.Group();
+    const crate = new THREE.Mesh(
+      new THREE.BoxGeometry(1.4, 1.4, 1.4),
+      new THREE.MeshLambertMaterial({
+        color: 0x22aa44,
+        emissive: 0x0a3315,
+      })
+    );
+    group.add(crate);
+
+    const crossMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+    const crossA = new THREE.Mesh(
+      new THREE.BoxGeometry(1, 0.05, 0.3),
+      crossMaterial
+    );
+    crossA.position.y = 0.73;
+    const crossB = new THREE.Mesh(
+      new THREE.BoxGeometry(0.3, 0.05, 1),
+      crossMaterial
+    );
+    crossB.position.y = 0.73;
+    group.add(crossA, crossB);
+    return group;
+  }
+
+  /**
+   * Spin pickups, collect the ones driven through, expire the rest
+   * @private
+   */
+  _updatePickups(deltaTime) {
+    if (this.pickups.length === 0) return;
+
+    const playerPos = this.playerRef.getPosition();
+
+    for (let i = this.pickups.length - 1; i >= 0; i--) {
+      const pickup = this.pickups[i];
+      pickup.age += deltaTime;
+
+      if (pickup.mesh) {
+        pickup.mesh.rotation.y += deltaTime * 2;
+        pickup.mesh.position.y = 1.2 + Math.sin(pickup.age * 3) * 0.2;
+      }
+
+      const distance = distance2D(playerPos.x, playerPos.z, pickup.x, pickup.z);
+      if (distance < this.config.RADIUS) {
+        this._collect(pickup);
+      } else if (
+        pickup.age < this.config.LIFETIME &&
+        distance < this.config.DESPAWN_DISTANCE
+      ) {
+        continue;
+      }
+
+      this._removePickup(pickup);
+      this.pickups.splice(i, 1);
+    }
+  }
+
+  /**
+   * Apply a pickup's effect to the player
+   * @private
+   */
+  _collect(pickup) {
+    switch (pickup.type) {
+      case PICKUP_TYPES.REPAIR:
+        this.playerRef.repair();
+        break;
+      case PICKUP_TYPES.NITRO:
+        this.playerRef.refillBoost(BOOST_CONFIG.PICKUP_REFILL);
+        break;
+    }
+
+    if (this.onPickup) {
+      this.onPickup(pickup.type);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _removeWhere(predicate) {
+    this.pickups = this.pickups.filter((pickup) => {
+      if (!predicate(pickup)) return true;
+      this._removePickup(pickup);
+      return false;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _removePickup(pickup) {
+    if (!pickup.mesh) return;
+    this.scene.remove(pickup.mesh);
+    pickup.mesh.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    pickup.mesh = null;
+  }
+
+  /**
+   * Register callback for collected pickups
+   * @param {Function} callback - Receives the pickup type
+   */
+  setOnPickup(callback) {
+    this.onPickup = callback;
+  }
+
+  /**
+   * Active pickups
+   */
+  getPickups() {
+    return this.pickups;
+  }
+
+  /**
+   * Remove all pickups (for new game)
+   */
+  reset() {
+    this._removeWhere(() => true);
+    this.repairTimer = 0;
+  }
+
+  /**
+   * Cleanup pickups
+   */
+  dispose() {
+    this.reset();
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * PoliceDispatcher - Squad-level police coordination
+ * Responsibility: Give every active police unit a role (chaser, left or
+ * right flank, cutoff, rear guard) and reassign roles as units spawn, drop
+ * out or fall behind, so box-ins happen on purpose
+ * Owned by the WantedSystem
+ */
+
+import { POLICE_ROLES } from "../objects/EnemyChaser.js";
+import { DISPATCH_CONFIG } from "../utils/constants.js";
+import { distance2D } from "../utils/helpers.js";
+
+// Fill order - with few units the chase and flanks come first
+const ROLE_PRIORITY = [
+  POLICE_ROLES.CHASER,
+  POLICE_ROLES.FLANK_LEFT,
+  POLICE_ROLES.FLANK_RIGHT,
+  POLICE_ROLES.CUTOFF,
+  POLICE_ROLES.REAR_GUARD,
+];
+
+export class PoliceDispatcher {
+  constructor(playerRef, policeRef, cityRef = null, config = DISPATCH_CONFIG) {
+    this.playerRef = playerRef;
+    this.policeRef = policeRef; // Shared enemies array
+    this.cityRef = cityRef; // Road graph for the cutoff intersection
+    this.config = config;
+
+    this.assigned = []; // Units given a role at the last assignment
+    this.reassignTimer = 0;
+  }
+
+  /**
+   * Reassign roles on a fixed interval, or at once when the squad changes
+   * @param {number} deltaTime - Time since last step in seconds
+   */
+  update(deltaTime) {
+    this.reassignTimer -= deltaTime;
+
+    const active = this.policeRef.filter((police) => this._isActive(police));
+    const squadChanged =
+      active.length !== this.assigned.length ||
+      active.some((police, i) => police !== this.assigned[i]);
+
+    if (
+      squadChanged ||
+      this.reassignTimer <= 0 ||
+      active.some((police) => this._hasFallenBehind(police))
+    ) {
+      this._assignRoles(active, squadChanged);
+    }
+  }
+
+  /**
+   * Units that can take a role - not parked, searching or stood down
+   * @private
+   */
+  _isActive(police) {
+    return (
+      typeof police.setRole === "function" &&
+      !police.isParked?.() &&
+      !police.isSearching?.() &&
+      police.isEngaged?.() !== false
+    );
+  }
+
+  /**
+   * A leading role held by a unit that has dropped behind the player
+   * @private
+   */
+  _hasFallenBehind(police) {
+    const role = police.getRole();
+    if (
+      !role ||
+      role === POLICE_ROLES.CHASER ||
+      role === POLICE_ROLES.REAR_GUARD
+    ) {
+      return false;
+    }
+    return (
+      this._getOffset(police).longitudinal < -this.config.FALL_BEHIND_DISTANCE
+    );
+  }
+
+  /**
+   * Greedy assignment: each role in priority order goes to the best placed
+   * free unit; units behind the player can only chase or guard the rear
+   * @private
+   */
+  _assignRoles(active, squadChanged) {
+    this.reassignTimer = this.config.REASSIGN_INTERVAL;
+
+    // Units that dropped out lose their role
+    this.assigned
+      .filter((police) => !active.includes(police))
+      .forEach((police) => police.setRole?.(null));
+    this.assigned = active;
+    if (active.length === 0) return;
+
+    const cutoffPoint = this._getCutoffPoint();
+    const candidates = active.map((police) => {
+      const offset = this._getOffset(police);
+      return {
+        police,
+        ...offset,
+        behind: offset.longitudinal < -this.config.FALL_BEHIND_DISTANCE,
+        blocker: police.getUnit?.()?.STRATEGY === "block",
+      };
+    });
+
+    const roles = new Map();
+    const take = (role, eligible, score) => {
+      let best = null;
+      for (const candidate of candidates) {
+        if (roles.has(candidate) || !eligible(candidate)) continue;
+        if (!best || score(candidate) > score(best)) best = candidate;
+      }
+      if (best) roles.set(best, role);
+    };
+
+    for (const role of ROLE_PRIORITY) {
+      switch (role) {
+        case POLICE_ROLES.CHASER:
+          take(
+            role,
+            () => true,
+            (c) => -c.distance
+          );
+          break;
+        case POLICE_ROLES.FLANK_LEFT:
+          take(
+            role,
+            (c) => !c.behind && !c.blocker,
+            (c) => -c.lateral
+          );
+          break;
+        case POLICE_ROLES.FLANK_RIGHT:
+          take(
+            role,
+            (c) => !c.behind && !c.blocker,
+            (c) => c.lateral
+          );
+          break;
+        case POLICE_ROLES.CUTOFF:
+          if (cutoffPoint) {
+            take(
+              role,
+              (c) => !c.behind,
+              (c) => c.longitudinal
+            );
+          }
+          break;
+        case POLICE_ROLES.REAR_GUARD:
+          take(
+            role,
+            () => true,
+            (c) => -c.longitudinal
+          );
+          break;
+      }
+    }
+
+    for (const candidate of candidates) {
+      const role = roles.get(candidate) ?? POLICE_ROLES.CHASER;
+      candidate.police.setRole(
+        role,
+        role === POLICE_ROLES.CUTOFF ? cutoffPoint : null
+      );
+    }
+
+    if (squadChanged) {
+      const summary = candidates
+        .map((candidate) => candidate.police.getRole())
+        .join(", ");
+      console.log(`📻 Dispatch: ${summary}`);
+    }
+  }
+
+  /**
+   * Next intersection on the player's road, far enough ahead to beat them
+   * @private
+   */
+  _getCutoffPoint() {
+    const graph = this.cityRef?.getRoadGraph?.();
+    const point = graph?.getPointAhead(
+      this.playerRef.getPosition(),
+      this.playerRef.getHeading(),
+      this.config.CUTOFF_MIN_DISTANCE,
+      this.config.CUTOFF_MAX_DISTANCE,
+      0
+    );
+    return point ? { x: point.x, z: point.z } : null;
+  }
+
+  /**
+   * Unit position in the player's frame (lateral > 0 is the player's right)
+   * @private
+   */
+  _getOffset(police) {
+    const playerPos = this.playerRef.getPosition();
+    const heading = this.playerRef.getHeading();
+    const pos = police.getPosition();
+    const dx = pos.x - playerPos.x;
+    const dz = pos.z - playerPos.z;
+    return {
+      distance: distance2D(pos.x, pos.z, playerPos.x, playerPos.z),
+      longitudinal: dx * heading.x + dz * heading.z,
+      lateral: -dx * heading.z + dz * heading.x,
+    };
+  }
+
+  /**
+   * Active units and their roles
+   * @returns {Array<{police: Object, role: string}>}
+   */
+  getAssignments() {
+    return this.assigned.map((police) => ({ police, role: police.getRole() }));
+  }
+
+  /**
+   * Clear all roles (for new game)
+   */
+  reset() {
+    this.assigned.forEach((police) => police.setRole?.(null));
+    this.assigned = [];
+    this.reassignTimer = 0;
+  }
+}
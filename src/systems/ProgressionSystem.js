@@ -0,0 +1,151 @@
+/**
+ * ProgressionSystem - Cash and upgrades kept between runs
+ * Responsibility: Convert final scores into cash, sell upgrades and persist
+ * the save with the player's settings (localStorage in the browser, memory
+ * only without storage)
+ */
+
+import { PROGRESSION_CONFIG } from "../utils/constants.js";
+import { UPGRADES, getUpgradeCost } from "../data/upgrades.js";
+import { createSave, parseSave } from "../utils/saveFormat.js";
+
+export class ProgressionSystem {
+  /**
+   * @param {Storage} storage - Web Storage to persist to (null = memory only)
+   */
+  constructor(storage = null) {
+    this.storage = storage;
+    this.save = this._load();
+  }
+
+  /**
+   * Read the save from storage, starting fresh if it is missing or broken
+   * @private
+   */
+  _load() {
+    if (!this.storage) return createSave();
+
+    try {
+      const text = this.storage.getItem(PROGRESSION_CONFIG.STORAGE_KEY);
+      if (!text) return createSave();
+      return parseSave(JSON.parse(text));
+    } catch (error) {
+      console.warn("⚠️ Could not load save, starting fresh:", error.message);
+      return createSave();
+    }
+  }
+
+  /**
+   * Write the save to storage
+   * @private
+   */
+  _persist() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(
+        PROGRESSION_CONFIG.STORAGE_KEY,
+        JSON.stringify(this.save)
+      );
+    } catch (error) {
+      console.warn("⚠️ Could not write save:", error.message);
+    }
+  }
+
+  /**
+   * Pay out a finished run
+   * @param {number} score - Final score
+   * @returns {number} - Cash earned
+   */
+  awardCash(score) {
+    const earned = Math.max(
+      0,
+      Math.floor(score / PROGRESSION_CONFIG.SCORE_PER_CASH)
+    );
+    this.save.cash += earned;
+    this.save.totalCashEarned += earned;
+    this._persist();
+    if (earned > 0) console.log(`💰 Earned $${earned}`);
+    return earned;
+  }
+
+  /**
+   * Buy the next level of an upgrade
+   * @param {string} id - Upgrade ID (see UPGRADES)
+   * @returns {boolean} - True if bought (known, not maxed and affordable)
+   */
+  purchaseUpgrade(id) {
+    const upgrade = Object.values(UPGRADES).find(({ ID }) => ID === id);
+    if (!upgrade) return false;
+
+    const cost = getUpgradeCost(upgrade, this.getUpgradeLevel(id));
+    if (cost === null || cost > this.save.cash) return false;
+
+    this.save.cash -= cost;
+    this.save.upgrades[id]++;
+    this._persist();
+    console.log(
+      `🔧 ${upgrade.NAME} upgraded to level ${this.save.upgrades[id]}`
+    );
+    return true;
+  }
+
+  getCash() {
+    return this.save.cash;
+  }
+
+  getUpgradeLevel(id) {
+    return this.save.upgrades[id] || 0;
+  }
+
+  /**
+   * Upgrade ID -> level owned (a copy, safe to keep for a run)
+   */
+  getUpgradeLevels() {
+    return { ...this.save.upgrades };
+  }
+
+  getVehicle() {
+    return this.save.vehicle;
+  }
+
+  /**
+   * Remember the car picked in the garage
+   */
+  setVehicle(id) {
+    this.save.vehicle = id;
+    this._persist();
+  }
+
+  /**
+   * Whether running red lights raises the wanted level
+   */
+  getRedLightHeat() {
+    return this.save.settings.redLightHeat;
+  }
+
+  /**
+   * Turn heat for running red lights on or off
+   */
+  setRedLightHeat(enabled) {
+    this.save.settings.redLightHeat = Boolean(enabled);
+    this._persist();
+  }
+
+  /**
+   * Copy of the save for exporting to a file
+   */
+  exportSave() {
+    return JSON.parse(JSON.stringify(this.save));
+  }
+
+  /**
+   * Replace the save with imported data
+   * @param {Object} data - Raw save data (validated and migrated here)
+   * @throws {Error} - If the data is not a loadable save
+   */
+  importSave(data) {
+    this.save = parseSave(data);
+    this._persist();
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * RoadblockSystem - Police roadblocks on the player's predicted route
+ * Responsibility: Block an upcoming carriageway with parked police cars and
+ * barriers, leaving a narrow gap for the player to thread
+ * Owned by the WantedSystem - active from ROADBLOCK_CONFIG.MIN_WANTED_LEVEL
+ */
+
+import { ROADBLOCK_CONFIG } from "../utils/constants.js";
+import { distance2D } from "../utils/helpers.js";
+import { SeededRandom, createRunSeed } from "../utils/seededRandom.js";
+
+export class RoadblockSystem {
+  constructor(
+    playerRef,
+    cityRef,
+    spawnPolice,
+    config = ROADBLOCK_CONFIG,
+    rng = null
+  ) {
+    this.playerRef = playerRef;
+    this.cityRef = cityRef; // Road graph for prediction, barriers as obstacles
+    this.spawnPolice = spawnPolice; // (position) => police car joining the chase
+    this.config = config;
+    this.rng = rng || new SeededRandom(createRunSeed()); // Gap placement
+
+    this.roadblocks = [];
+    this.spawnTimer = 0;
+  }
+
+  /**
+   * Update active roadblocks and place new ones at high wanted levels
+   * @param {number} deltaTime - Time since last step in seconds
+   * @param {number} wantedLevel - Current number of stars
+   * @param {boolean} canSpawn - False while police are searching
+   */
+  update(deltaTime, wantedLevel, canSpawn = true) {
+    this._updateRoadblocks(deltaTime);
+
+    if (wantedLevel < this.config.MIN_WANTED_LEVEL) {
+      this.spawnTimer = 0;
+      return;
+    }
+
+    this.spawnTimer += deltaTime;
+    if (
+      !canSpawn ||
+      this.spawnTimer < this.config.SPAWN_INTERVAL ||
+      this.roadblocks.length >= this.config.MAX_ACTIVE
+    ) {
+      return;
+    }
+
+    // No loaded road ahead yet - try again next step
+    const placement = this.predictPlacement();
+    if (placement) {
+      this._createRoadblock(placement);
+      this.spawnTimer = 0;
+    }
+  }
+
+  /**
+   * Predict the player's route and pick a spot on it to block
+   * Assumes the player keeps straight on through intersections, and blocks
+   * the approach to the first intersection far enough ahead
+   * @returns {{x: number, z: number, alongX: boolean, direction: number}|null}
+   *   - Road center point, road axis and travel direction along it
+   */
+  predictPlacement() {
+    const graph = this.cityRef?.getRoadGraph?.();
+    if (!graph) return null;
+
+    const { MIN_DISTANCE, MAX_DISTANCE, APPROACH_OFFSET } = this.config;
+    return graph.getPointAhead(
+      this.playerRef.getPosition(),
+      this.playerRef.getHeading(),
+      MIN_DISTANCE,
+      MAX_DISTANCE,
+      APPROACH_OFFSET
+    );
+  }
+
+  /**
+   * Barriers either side of the gap, a parked police car at each road edge
+   * @private
+   */
+  _createRoadblock(placement) {
+    const { GAP_WIDTH, GAP_JITTER, BARRIER_EXTENT, POLICE_LATERAL } =
+      this.config;
+    const gap = (this.rng.next() * 2 - 1) * GAP_JITTER;
+
+    // Lateral offsets run across the road
+    const toWorld = (lateral) =>
+      placement.alongX
+        ? { x: placement.x, z: placement.z + lateral }
+        : { x: placement.x + lateral, z: placement.z };
+
+    const roadblock = {
+      ...placement,
+      gap,
+      barriers: [],
+      police: [],
+      age: 0,
+      released: false,
+    };
+
+    // Barriers run along their local X - turn them across the road
+    const barrierRotation = placement.alongX ? Math.PI / 2 : 0;
+    const spans = [
+      [-BARRIER_EXTENT, gap - GAP_WIDTH / 2],
+      [gap + GAP_WIDTH / 2, BARRIER_EXTENT],
+    ];
+    for (const [from, to] of spans) {
+      if (to - from < 1) continue;
+      roadblock.barriers.push(
+        this.cityRef.createBarrier(
+          toWorld((from + to) / 2),
+          to - from,
+          barrierRotation
+        )
+      );
+    }
+
+    // Parked nose-in from each edge
+    for (const side of [-1, 1]) {
+      const police = this.spawnPolice(toWorld(side * POLICE_LATERAL));
+      if (!police) continue;
+      const rotation = placement.alongX
+        ? side < 0
+          ? 0
+          : Math.PI
+        : (-side * Math.PI) / 2;
+      police.park(rotation);
+      roadblock.police.push(police);
+    }
+
+    this.roadblocks.push(roadblock);
+    console.log(
+      `🚧 Roadblock set up at (${placement.x.toFixed(
+        1
+      )}, ${placement.z.toFixed(1)})`
+    );
+    return roadblock;
+  }
+
+  /**
+   * Release parked police once the player reaches or passes a roadblock,
+   * and clear roadblocks left far behind
+   * @private
+   */
+  _updateRoadblocks(deltaTime) {
+    const playerPos = this.playerRef.getPosition();
+
+    for (let i = this.roadblocks.length - 1; i >= 0; i--) {
+      const roadblock = this.roadblocks[i];
+      roadblock.age += deltaTime;
+
+      const distance = distance2D(
+        playerPos.x,
+        playerPos.z,
+        roadblock.x,
+        roadblock.z
+      );
+      const along = roadblock.alongX
+        ? playerPos.x - roadblock.x
+        : playerPos.z - roadblock.z;
+      const passed = along * roadblock.direction > 0;
+      const expired = roadblock.age >= this.config.LIFETIME;
+
+      if (
+        !roadblock.released &&
+        (passed || expired || distance < this.config.RELEASE_DISTANCE)
+      ) {
+        this._releasePolice(roadblock);
+      }
+
+      if (
+        expired ||
+        (roadblock.released && distance > this.config.DESPAWN_DISTANCE)
+      ) {
+        this._clearRoadblock(roadblock);
+        this.roadblocks.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Parked police leave the roadblock and give chase
+   * @private
+   */
+  _releasePolice(roadblock) {
+    roadblock.released = true;
+    roadblock.police.forEach((police) => police.unpark());
+  }
+
+  /**
+   * Remove a roadblock's barriers - its police stay in the chase
+   * @private
+   */
+  _clearRoadblock(roadblock) {
+    if (!roadblock.released) this._releasePolice(roadblock);
+    roadblock.barriers.forEach((barrier) =>
+      this.cityRef.removeCityObstacle(barrier)
+    );
+    roadblock.barriers = [];
+  }
+
+  /**
+   * Active roadblocks
+   */
+  getRoadblocks() {
+    return this.roadblocks;
+  }
+
+  /**
+   * Clear all roadblocks (for new game)
+   */
+  reset() {
+    this.roadblocks.forEach((roadblock) => this._clearRoadblock(roadblock));
+    this.roadblocks = [];
+    this.spawnTimer = 0;
+  }
+
+  /**
+   * Cleanup barriers
+   */
+  dispose() {
+    this.reset();
+  }
+}
@@ -1,10 +1,10 @@
 /**
  * ScoreSystem - Manages scoring and survival tracking
  * Responsibility: Calculate score from distance, time, and bonuses
- * Provides score queries for HUD display
+ * (police takedowns) - provides score queries for HUD display
  */
 
-import { SCORING_CONFIG } from "../utils/constants.js";
+import { ENEMY_CONFIG, SCORING_CONFIG } from "../utils/constants.js";
 
 export class ScoreSystem {
   constructor(playerRef) {
@@ -14,6 +14,7 @@ export class ScoreSystem {
     this.distanceScore = 0;
     this.survivalScore = 0;
     this.bonusScore = 0;
+    this.takedowns = 0; // Police cars wrecked
 
     // Time tracking
     this.survivalTime = 0; // seconds
@@ -42,6 +43,15 @@ export class ScoreSystem {
     this.lastDistance = currentDistance;
   }
 
+  /**
+   * Award the bonus for wrecking a police car
+   * @param {number} bonus - Points for the unit (see TAKEDOWN_BONUS)
+   */
+  addTakedownBonus(bonus = ENEMY_CONFIG.TAKEDOWN_BONUS) {
+    this.takedowns++;
+    this.bonusScore += bonus;
+  }
+
   /**
    * Get total score
    */
@@ -85,6 +95,7 @@ export class ScoreSystem {
       totalScore: this.getTotalScore(),
       survivalTime: this.survivalTime,
       distance: this.playerRef.distanceTraveled,
+      takedowns: this.takedowns,
     };
   }
 
@@ -95,6 +106,7 @@ export class ScoreSystem {
     this.distanceScore = 0;
     this.survivalScore = 0;
     this.bonusScore = 0;
+    this.takedowns = 0;
     this.survivalTime = 0;
     this.lastDistance = 0;
   }
@@ -5,6 +5,7 @@
  */
 
 import * as THREE from "three";
+import { isHeadless } from "../utils/runtime.js";
 
 export class SkidMarkSystem {
   constructor(scene) {
@@ -12,6 +13,7 @@ export class SkidMarkSystem {
     this.skidMarks = [];
     this.maxMarks = 300; // Increased limit for longer-lasting marks
     this.markPool = [];
+    this.enabled = !isHeadless(); // Skid marks are purely visual
 
     // Shared material for all skid marks
     this.skidMaterial = new THREE.MeshBasicMaterial({
@@ -31,6 +33,8 @@ export class SkidMarkSystem {
    * @param {number} width - Mark width
    */
   createSkidMark(x, z, rotation, intensity = 1.0, width = 0.15) {
+    if (!this.enabled) return;
+
     // Reuse or create new mark
     let mark =
       this.markPool.length > 0 ? this.markPool.pop() : this._createNewMark();
@@ -3,6 +3,8 @@
  * Responsibility: Play sound effects and manage audio
  */
 
+import { isHeadless } from "../utils/runtime.js";
+
 export class SoundSystem {
   constructor() {
     this.sounds = {};
@@ -17,6 +19,11 @@ export class SoundSystem {
    * Initialize Web Audio API
    */
   _initAudio() {
+    if (isHeadless()) {
+      this.enabled = false;
+      return;
+    }
+
     try {
       this.audioContext = new (window.AudioContext ||
         window.webkitAudioContext)();
@@ -170,6 +177,69 @@ export class SoundSystem {
     oscillator2.stop(ctx.currentTime + 0.1);
   }
 
+  /**
+   * Create a looping helicopter rotor sound
+   * Starts silent - the owner sets its stereo pan and volume every frame
+   * @returns {{update: Function, stop: Function}|null} - null without audio
+   */
+  createRotorSound() {
+    if (!this.enabled || !this.audioContext) return null;
+
+    const ctx = this.audioContext;
+
+    // Low engine drone
+    const drone = ctx.createOscillator();
+    drone.type = "sawtooth";
+    drone.frequency.setValueAtTime(55, ctx.currentTime);
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.setValueAtTime(300, ctx.currentTime);
+
+    // Chopped by the blades - a square LFO swings the gain
+    const chop = ctx.createGain();
+    chop.gain.setValueAtTime(0.5, ctx.currentTime);
+    const blades = ctx.createOscillator();
+    blades.type = "square";
+    blades.frequency.setValueAtTime(12, ctx.currentTime);
+    const bladeDepth = ctx.createGain();
+    bladeDepth.gain.setValueAtTime(0.5, ctx.currentTime);
+    blades.connect(bladeDepth);
+    bladeDepth.connect(chop.gain);
+
+    const gainNode = ctx.createGain();
+    gainNode.gain.setValueAtTime(0, ctx.currentTime);
+
+    drone.connect(filter);
+    filter.connect(chop);
+    chop.connect(gainNode);
+
+    // Older browsers have no stereo panner - play it centered
+    const panner = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+    if (panner) {
+      gainNode.connect(panner);
+      panner.connect(ctx.destination);
+    } else {
+      gainNode.connect(ctx.destination);
+    }
+
+    drone.start(ctx.currentTime);
+    blades.start(ctx.currentTime);
+
+    return {
+      update: (pan, volume) => {
+        const level = this.enabled ? volume * this.masterVolume : 0;
+        gainNode.gain.setTargetAtTime(level, ctx.currentTime, 0.05);
+        if (panner) panner.pan.setTargetAtTime(pan, ctx.currentTime, 0.05);
+      },
+      stop: () => {
+        drone.stop();
+        blades.stop();
+        gainNode.disconnect();
+      },
+    };
+  }
+
   /**
    * Set master volume
    */
@@ -0,0 +1,207 @@
+/**
+ * SpikeStripSystem - Police spike strips on the player's predicted route
+ * Responsibility: Lay strips across the player's carriageway ahead and
+ * puncture the player's tires when driven over
+ * Owned by the WantedSystem - active from SPIKE_STRIP_CONFIG.MIN_WANTED_LEVEL
+ */
+
+import * as THREE from "three";
+import { carriagewayOffset } from "../objects/RoadGraph.js";
+import { SPIKE_STRIP_CONFIG, WORLD_CONFIG } from "../utils/constants.js";
+import { checkAABBCollision, distance2D } from "../utils/helpers.js";
+import { isHeadless } from "../utils/runtime.js";
+
+export class SpikeStripSystem {
+  constructor(scene, playerRef, cityRef, config = SPIKE_STRIP_CONFIG) {
+    this.scene = scene;
+    this.playerRef = playerRef;
+    this.cityRef = cityRef; // Road graph for route prediction
+    this.config = config;
+
+    this.strips = [];
+    this.spawnTimer = 0;
+
+    // Shared between strips - nothing to draw in headless runs
+    this.baseMaterial = null;
+    this.spikeMaterial = null;
+    if (this.scene && !isHeadless()) {
+      this.baseMaterial = new THREE.MeshLambertMaterial({ color: 0x222222 });
+      this.spikeMaterial = new THREE.MeshLambertMaterial({ color: 0xcccccc });
+    }
+  }
+
+  /**
+   * Update strips and lay new ones at high wanted levels
+   * @param {number} deltaTime - Time since last step in seconds
+   * @param {number} wantedLevel - Current number of stars
+   * @param {boolean} canSpawn - False while police are searching
+   */
+  update(deltaTime, wantedLevel, canSpawn = true) {
+    this._updateStrips(deltaTime);
+
+    if (wantedLevel < this.config.MIN_WANTED_LEVEL) {
+      this.spawnTimer = 0;
+      return;
+    }
+
+    this.spawnTimer += deltaTime;
+    if (
+      !canSpawn ||
+      this.spawnTimer < this.config.SPAWN_INTERVAL ||
+      this.strips.length >= this.config.MAX_ACTIVE
+    ) {
+      return;
+    }
+
+    // No loaded road ahead yet - try again next step
+    const graph = this.cityRef?.getRoadGraph?.();
+    const placement = graph?.getPointAhead(
+      this.playerRef.getPosition(),
+      this.playerRef.getHeading(),
+      this.config.MIN_DISTANCE,
+      this.config.MAX_DISTANCE,
+      this.config.APPROACH_OFFSET
+    );
+    if (placement) {
+      this._createStrip(placement);
+      this.spawnTimer = 0;
+    }
+  }
+
+  /**
+   * Lay a strip across the keep-right carriageway of the player's direction
+   * @private
+   */
+  _createStrip(placement) {
+    const headingX = placement.alongX ? placement.direction : 0;
+    const headingZ = placement.alongX ? 0 : placement.direction;
+    const lane = carriagewayOffset(
+      headingX,
+      headingZ,
+      WORLD_CONFIG.CARRIAGEWAY_OFFSET
+    );
+    const x = placement.x + lane.x;
+    const z = placement.z + lane.z;
+
+    // Long side runs across the road
+    const halfX =
+      (placement.alongX ? this.config.DEPTH : this.config.LENGTH) / 2;
+    const halfZ =
+      (placement.alongX ? this.config.LENGTH : this.config.DEPTH) / 2;
+
+    const strip = {
+      x,
+      z,
+      bounds: {
+        min: { x: x - halfX, y: 0, z: z - halfZ },
+        max: { x: x + halfX, y: 0.2, z: z + halfZ },
+      },
+      mesh: this._createStripMesh(x, z, placement.alongX),
+      age: 0,
+    };
+
+    this.strips.push(strip);
+    console.log(`📌 Spike strip laid at (${x.toFixed(1)}, ${z.toFixed(1)})`);
+    return strip;
+  }
+
+  /**
+   * Flat base with a row of spikes
+   * @private
+   */
+  _createStripMesh(x, z, alongX) {
+    if (!this.baseMaterial) return null;
+
+    const group = new THREE.Group();
+    const { LENGTH, DEPTH } = this.config;
+
+    const base = new THREE.Mesh(
+      new THREE.BoxGeometry(LENGTH, 0.08, DEPTH),
+      this.baseMaterial
+    );
+    base.position.y = 0.04;
+    group.add(base);
+
+    const spikeGeometry = new THREE.ConeGeometry(0.08, 0.25, 4);
+    const spikeCount = Math.floor(LENGTH / 0.5);
+    for (let i = 0; i < spikeCount; i++) {
+      const spike = new THREE.Mesh(spikeGeometry, this.spikeMaterial);
+      spike.position.set(-LENGTH / 2 + 0.25 + i * 0.5, 0.2, 0);
+      group.add(spike);
+    }
+
+    // Built along local X - turn across the road
+    group.position.set(x, 0, z);
+    group.rotation.y = alongX ? Math.PI / 2 : 0;
+    this.scene.add(group);
+    return group;
+  }
+
+  /**
+   * Puncture the player on contact and remove strips left behind
+   * @private
+   */
+  _updateStrips(deltaTime) {
+    if (this.strips.length === 0) return;
+
+    const playerPos = this.playerRef.getPosition();
+    const playerBox = this.playerRef.getBoundingBox();
+
+    for (let i = this.strips.length - 1; i >= 0; i--) {
+      const strip = this.strips[i];
+      strip.age += deltaTime;
+
+      if (checkAABBCollision(playerBox, strip.bounds)) {
+        this.playerRef.puncture();
+      }
+
+      const distance = distance2D(playerPos.x, playerPos.z, strip.x, strip.z);
+      if (
+        strip.age >= this.config.LIFETIME ||
+        distance > this.config.DESPAWN_DISTANCE
+      ) {
+        this._removeStrip(strip);
+        this.strips.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _removeStrip(strip) {
+    if (!strip.mesh) return;
+    this.scene.remove(strip.mesh);
+    strip.mesh.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+    });
+    strip.mesh = null;
+  }
+
+  /**
+   * Active spike strips
+   */
+  getStrips() {
+    return this.strips;
+  }
+
+  /**
+   * Remove all strips (for new game)
+   */
+  reset() {
+    this.strips.forEach((strip) => this._removeStrip(strip));
+    this.strips = [];
+    this.spawnTimer = 0;
+  }
+
+  /**
+   * Cleanup strips and shared materials
+   */
+  dispose() {
+    this.reset();
+    if (this.baseMaterial) {
+      this.baseMaterial.dispose();
+      this.spikeMaterial.dispose();
+    }
+  }
+}
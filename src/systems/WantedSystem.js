@@ -1,10 +1,32 @@
 /**
  * WantedSystem - GTA-style wanted level system
- * Responsibility: Manage wanted level (stars) and dynamic police spawning
- * More stars = more aggressive police pursuit
+ * Responsibility: Manage wanted level (stars), evasion and police spawning
+ * Crimes reported by the CollisionSystem add heat, and heat earns stars
+ * More stars = more aggressive police pursuit, with tougher unit types
+ * picked from the per-star spawn tables
+ * Breaking line of sight starts a search; staying hidden sheds stars
+ * At high wanted levels police also set up roadblocks and spike strips,
+ * and at the top level a helicopter joins the chase
+ * A dispatcher gives the units on the chase their squad roles
+ * Wrecked police count as takedowns and are cleared once left far behind
  */
 
+import * as THREE from "three";
 import { EnemyChaser } from "../objects/EnemyChaser.js";
+import { PoliceHelicopter } from "../objects/PoliceHelicopter.js";
+import { POLICE_SPAWN_TABLES, POLICE_UNITS } from "../data/policeUnits.js";
+import { RoadblockSystem } from "./RoadblockSystem.js";
+import { SpikeStripSystem } from "./SpikeStripSystem.js";
+import { PoliceDispatcher } from "./PoliceDispatcher.js";
+import {
+  DISPATCH_CONFIG,
+  HELICOPTER_CONFIG,
+  ROADBLOCK_CONFIG,
+  SPIKE_STRIP_CONFIG,
+} from "../utils/constants.js";
+import { distance2D } from "../utils/helpers.js";
+import { isHeadless } from "../utils/runtime.js";
+import { SeededRandom, createRunSeed } from "../utils/seededRandom.js";
 
 export class WantedSystem {
   constructor(
@@ -14,7 +36,9 @@ export class WantedSystem {
     wantedConfig,
     cityRef = null,
     skidMarkSystem = null,
-    soundSystem = null
+    soundSystem = null,
+    rng = null,
+    effectsSystem = null
   ) {
     this.scene = scene;
     this.playerRef = playerRef;
@@ -23,41 +47,422 @@ export class WantedSystem {
     this.cityRef = cityRef; // Reference to city for building collision
     this.skidMarkSystem = skidMarkSystem; // Reference to skid mark system
     this.soundSystem = soundSystem; // Reference to sound system
+    this.effectsSystem = effectsSystem; // Damage smoke for new police
+    this.rng = rng || new SeededRandom(createRunSeed()); // Spawn + police AI stream
+    this.unitRng = this.rng.fork("units"); // Unit type picks
+    this.spawnTables = POLICE_SPAWN_TABLES; // Unit weights per star
 
     // Wanted level state
     this.currentWantedLevel = 1; // Start at 1 star
     this.survivalTime = 0;
+    this.heat = 0; // Accumulated from offenses (and pursuit time) - drives stars
+    this.offenseCounts = {}; // Offense type -> times reported this run
     this.lastSpawnTime = 0;
 
+    // Evasion state
+    this.isSearching = false; // Police lost sight and are searching
+    this.playerSpotted = true;
+    this.lastKnownPosition = { x: 0, z: 0 };
+    this.hiddenTime = 0; // Continuous time out of sight
+    this.sightCheckTimer = 0;
+    this.searchZone = null; // Ground ring marking the search area
+
     // Track spawned police for cleanup
     this.spawnedPolice = [];
+
+    // Wrecked police - each counts once as a takedown
+    this.wrecks = new Set();
+    this.takedowns = 0;
+    this.onTakedown = null;
+
+    // Air unit at the top wanted level - not in the enemies array, it can't
+    // be hit and flies over buildings
+    this.helicopter = null;
+
+    // Roadblocks and spike strips need the road network to predict the
+    // player's route
+    this.roadblockSystem = this.cityRef
+      ? new RoadblockSystem(
+          playerRef,
+          cityRef,
+          (position) => this._createPolice(position),
+          ROADBLOCK_CONFIG,
+          this.rng.fork("roadblock")
+        )
+      : null;
+    this.spikeStripSystem = this.cityRef
+      ? new SpikeStripSystem(scene, playerRef, cityRef, SPIKE_STRIP_CONFIG)
+      : null;
+
+    // Squad roles for the units on the chase
+    this.dispatcher = new PoliceDispatcher(
+      playerRef,
+      enemiesArrayRef,
+      cityRef,
+      DISPATCH_CONFIG
+    );
+
+    if (this.scene && !isHeadless()) {
+      this._createSearchZone();
+    }
+  }
+
+  /**
+   * Create the ring that marks the search area on the ground
+   * @private
+   */
+  _createSearchZone() {
+    const geometry = new THREE.RingGeometry(0.95, 1, 64);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xff3333,
+      transparent: true,
+      opacity: 0.5,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    this.searchZone = new THREE.Mesh(geometry, material);
+    this.searchZone.rotation.x = -Math.PI / 2;
+    this.searchZone.position.y = 0.1;
+    this.searchZone.visible = false;
+    this.scene.add(this.searchZone);
   }
 
   /**
-   * Update wanted level based on survival time
+   * Update pursuit, search and wanted level
    * @param {number} deltaTime - Time since last frame in seconds
    */
   update(deltaTime) {
     this.survivalTime += deltaTime;
 
-    // Update wanted level based on survival time
-    this._updateWantedLevel();
+    this._updateWrecks();
+
+    // Can any police see the player?
+    this._updateLineOfSight(deltaTime);
+
+    if (this.isSearching) {
+      this._updateSearch(deltaTime);
+    } else {
+      // Staying in view of police is an offense of its own
+      this.heat += this.config.SURVIVAL_HEAT_PER_SECOND * deltaTime;
+
+      // Update wanted level based on heat
+      this._updateWantedLevel();
+
+      // Reinforcements are only sent while the player is in view
+      this._spawnPoliceForWantedLevel(deltaTime);
+    }
+
+    if (this.roadblockSystem) {
+      this.roadblockSystem.update(
+        deltaTime,
+        this.currentWantedLevel,
+        !this.isSearching
+      );
+    }
+    if (this.spikeStripSystem) {
+      this.spikeStripSystem.update(
+        deltaTime,
+        this.currentWantedLevel,
+        !this.isSearching
+      );
+    }
+
+    this.dispatcher.update(deltaTime);
+    this._updateHelicopter(deltaTime);
+  }
+
+  /**
+   * Call in the helicopter at the top wanted level, and off again below it
+   * @private
+   */
+  _updateHelicopter(deltaTime) {
+    const needed =
+      this.currentWantedLevel >= HELICOPTER_CONFIG.MIN_WANTED_LEVEL;
+
+    if (needed && !this.helicopter) {
+      this._spawnHelicopter();
+    } else if (!needed && this.helicopter) {
+      this._removeHelicopter();
+      console.log("🚁 Police helicopter called off");
+    }
+
+    if (this.helicopter) {
+      this.helicopter.update(deltaTime);
+    }
+  }
+
+  /**
+   * Helicopter arrives from behind the player
+   * @private
+   */
+  _spawnHelicopter() {
+    const playerPos = this.playerRef.getPosition();
+    const heading = this.playerRef.getHeading?.() || { x: 0, z: 1 };
+    const spawnPos = {
+      x: playerPos.x - heading.x * HELICOPTER_CONFIG.SPAWN_DISTANCE,
+      z: playerPos.z - heading.z * HELICOPTER_CONFIG.SPAWN_DISTANCE,
+    };
+
+    this.helicopter = new PoliceHelicopter(
+      this.scene,
+      this.playerRef,
+      spawnPos,
+      this.soundSystem,
+      HELICOPTER_CONFIG
+    );
+    if (this.isSearching) {
+      this.helicopter.startSearch(
+        this.lastKnownPosition,
+        this.getSearchRadius()
+      );
+    }
+    console.log("🚁 Police helicopter joined the chase");
+  }
+
+  /**
+   * @private
+   */
+  _removeHelicopter() {
+    this.helicopter.dispose();
+    this.helicopter = null;
+  }
+
+  /**
+   * Track whether police can see the player and switch pursuit/search
+   * @private
+   */
+  _updateLineOfSight(deltaTime) {
+    this.sightCheckTimer -= deltaTime;
+    if (this.sightCheckTimer > 0) return;
+    this.sightCheckTimer = this.config.SIGHT_CHECK_INTERVAL;
+
+    this.playerSpotted = this._canPoliceSeePlayer();
+
+    if (this.playerSpotted) {
+      const playerPos = this.playerRef.getPosition();
+      this.lastKnownPosition = { x: playerPos.x, z: playerPos.z };
+      this.hiddenTime = 0;
+      if (this.isSearching) this._endSearch();
+    } else if (!this.isSearching) {
+      this._startSearch();
+    }
+  }
+
+  /**
+   * Check if any police car has a clear view of the player
+   * Buildings block sight, as does distance beyond SIGHT_RANGE
+   * @private
+   */
+  _canPoliceSeePlayer() {
+    // Nothing blocks the view from the air
+    if (this.helicopter && this.helicopter.hasVisualContact()) {
+      return true;
+    }
+
+    const playerPos = this.playerRef.getPosition();
+
+    for (const police of this.enemiesArrayRef) {
+      if (police.isWrecked?.()) continue;
+      const policePos = police.getPosition();
+      const distance = distance2D(
+        policePos.x,
+        policePos.z,
+        playerPos.x,
+        playerPos.z
+      );
+      if (distance > this.config.SIGHT_RANGE) continue;
+
+      if (!this.cityRef || this.cityRef.hasLineOfSight(policePos, playerPos)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Police lost the player - search around the last known position
+   * @private
+   */
+  _startSearch() {
+    this.isSearching = true;
+    this.hiddenTime = 0;
+    console.log("🔍 Police lost sight of the player - searching");
+  }
+
+  /**
+   * Player spotted again - resume the chase
+   * @private
+   */
+  _endSearch() {
+    this.isSearching = false;
+    this.enemiesArrayRef.forEach((police) => police.stopSearch?.());
+    if (this.helicopter) this.helicopter.stopSearch();
+    if (this.searchZone) this.searchZone.visible = false;
+    console.log("🚨 Player spotted - pursuit resumed");
+  }
+
+  /**
+   * Direct police to the search area and shed stars while hidden
+   * @private
+   */
+  _updateSearch(deltaTime) {
+    this.hiddenTime += deltaTime;
+
+    const radius = this.getSearchRadius();
+    const center = this.lastKnownPosition;
+
+    // Police that joined mid-search are sent to the search area too
+    // Units stood down after losing a star stay on patrol
+    this.enemiesArrayRef.forEach((police) => {
+      if (police.isEngaged?.() === false) return;
+      if (police.startSearch && !police.isSearching()) {
+        police.startSearch(center, radius);
+      }
+    });
+    if (this.helicopter && !this.helicopter.isSearching()) {
+      this.helicopter.startSearch(center, radius);
+    }
+
+    if (this.searchZone) {
+      this.searchZone.visible = true;
+      this.searchZone.position.x = center.x;
+      this.searchZone.position.z = center.z;
+      this.searchZone.scale.set(radius, radius, 1);
+    }
+
+    if (this.hiddenTime >= this.getEvadeTime() && this.currentWantedLevel > 1) {
+      this._loseStar();
+    }
+  }
+
+  /**
+   * Drop one star and make the player re-earn it through heat
+   * @private
+   */
+  _loseStar() {
+    this.currentWantedLevel--;
+    this.hiddenTime = 0;
+    this.heat = Math.min(
+      this.heat,
+      this.config.HEAT_THRESHOLDS[this.currentWantedLevel - 1] ?? 0
+    );
+
+    this._standDownExcessPolice();
+
+    // Search area tightens to match the lower level
+    const radius = this.getSearchRadius();
+    this.enemiesArrayRef.forEach((police) => {
+      if (police.isEngaged?.() === false) return;
+      police.startSearch?.(this.lastKnownPosition, radius);
+    });
+    if (this.helicopter) {
+      this.helicopter.startSearch(this.lastKnownPosition, radius);
+    }
+    console.log(
+      `⭐ Wanted level decreased to ${this.currentWantedLevel} stars`
+    );
+  }
 
-    // Spawn police based on wanted level
-    this._spawnPoliceForWantedLevel(deltaTime);
+  /**
+   * Send units beyond the lower level's quota back to patrol - those
+   * furthest from the last known position go first
+   * @private
+   */
+  _standDownExcessPolice() {
+    const center = this.lastKnownPosition;
+    const engaged = this.enemiesArrayRef.filter(
+      (police) => police.returnToPatrol && police.isEngaged()
+    );
+    const excess = engaged.length - this._getMaxPoliceCount();
+    if (excess <= 0) return;
+
+    const distanceTo = (police) => {
+      const pos = police.getPosition();
+      return distance2D(pos.x, pos.z, center.x, center.z);
+    };
+    engaged
+      .sort((a, b) => distanceTo(b) - distanceTo(a))
+      .slice(0, excess)
+      .forEach((police) => police.returnToPatrol());
+    console.log(`🚓 ${excess} police units returning to patrol`);
   }
 
   /**
-   * Calculate wanted level based on survival time
+   * Count new wrecks as takedowns and clear wrecks left far behind
+   * @private
+   */
+  _updateWrecks() {
+    const playerPos = this.playerRef.getPosition();
+
+    for (let i = this.enemiesArrayRef.length - 1; i >= 0; i--) {
+      const police = this.enemiesArrayRef[i];
+      if (!police.isWrecked?.()) continue;
+
+      if (!this.wrecks.has(police)) {
+        this.wrecks.add(police);
+        this.takedowns++;
+        console.log(`🏆 Police takedown #${this.takedowns}`);
+        if (this.onTakedown) this.onTakedown(police);
+      }
+
+      const pos = police.getPosition();
+      const distance = distance2D(pos.x, pos.z, playerPos.x, playerPos.z);
+      if (distance > this.config.WRECK_DESPAWN_DISTANCE) {
+        this.enemiesArrayRef.splice(i, 1);
+        this.spawnedPolice = this.spawnedPolice.filter((p) => p !== police);
+        this.wrecks.delete(police);
+        police.dispose?.();
+      }
+    }
+  }
+
+  /**
+   * Set callback for police takedowns
+   * @param {Function} callback - Called with the wrecked police car
+   */
+  setOnTakedown(callback) {
+    this.onTakedown = callback;
+  }
+
+  /**
+   * Police cars wrecked this run
+   */
+  getTakedowns() {
+    return this.takedowns;
+  }
+
+  /**
+   * Add heat for a crime (see WANTED_CONFIG.OFFENSE_HEAT)
+   * Offenses count even while police are searching - and raise stars at once
+   * @param {string} type - Offense key, e.g. "RAM_TRAFFIC"
+   * @returns {number} - Heat added (0 for unknown offenses)
+   */
+  reportOffense(type) {
+    const heat = this.config.OFFENSE_HEAT?.[type];
+    if (!heat) {
+      console.warn(`⚠️ Unknown offense reported: ${type}`);
+      return 0;
+    }
+
+    this.heat += heat;
+    this.offenseCounts[type] = (this.offenseCounts[type] || 0) + 1;
+    console.log(`🚨 Offense: ${type} (+${heat} heat)`);
+
+    this._updateWantedLevel();
+    return heat;
+  }
+
+  /**
+   * Calculate wanted level based on heat
    * @private
    */
   _updateWantedLevel() {
-    const thresholds = this.config.WANTED_THRESHOLDS;
+    const thresholds = this.config.HEAT_THRESHOLDS;
     let newLevel = 1;
 
-    // Determine wanted level based on survival time
+    // Determine wanted level based on heat
     for (let i = 0; i < thresholds.length; i++) {
-      if (this.survivalTime >= thresholds[i]) {
+      if (this.heat >= thresholds[i]) {
         newLevel = i + 1;
       }
     }
@@ -115,8 +520,12 @@ export class WantedSystem {
    */
   _spawnPolice() {
     // Check if we're at max police count
+    // Wrecks are off the chase - reinforcements replace them
     const maxPolice = this._getMaxPoliceCount();
-    if (this.enemiesArrayRef.length >= maxPolice) {
+    const activePolice = this.enemiesArrayRef.filter(
+      (police) => !police.isWrecked?.()
+    ).length;
+    if (activePolice >= maxPolice) {
       return; // Don't spawn if at max
     }
 
@@ -135,11 +544,11 @@ export class WantedSystem {
       ];
 
       const direction =
-        roadDirections[Math.floor(Math.random() * roadDirections.length)];
-      const spawnDistance = 50 + Math.random() * 30;
+        roadDirections[Math.floor(this.rng.next() * roadDirections.length)];
+      const spawnDistance = 50 + this.rng.next() * 30;
 
       // Spawn ON the road lane
-      const laneOffset = Math.random() < 0.5 ? -4 : 4; // Left or right lane
+      const laneOffset = this.rng.next() < 0.5 ? -4 : 4; // Left or right lane
 
       if (direction.dx === 0) {
         // Vertical road (north-south)
@@ -156,7 +565,7 @@ export class WantedSystem {
       }
     } else {
       // Lower levels: spawn on road behind player
-      const spawnDistance = 40 + Math.random() * 20;
+      const spawnDistance = 40 + this.rng.next() * 20;
 
       // Determine which road the player is closest to
       const nearestRoadX = Math.round(playerPos.x / 100) * 100;
@@ -166,7 +575,7 @@ export class WantedSystem {
       const distToHorizontalRoad = Math.abs(playerPos.z - nearestRoadZ);
 
       // Choose lane offset (left or right lane)
-      const laneOffset = Math.random() < 0.5 ? -4 : 4;
+      const laneOffset = this.rng.next() < 0.5 ? -4 : 4;
 
       if (distToVerticalRoad < distToHorizontalRoad) {
         // Spawn on vertical road
@@ -185,7 +594,11 @@ export class WantedSystem {
 
     // Validate spawn position is not inside a building
     if (this.cityRef) {
-      const buildings = this.cityRef.getBuildings();
+      const buildings = this.cityRef.getBuildingsNear(
+        spawnPos.x,
+        spawnPos.z,
+        5
+      );
       let isValid = true;
 
       for (const building of buildings) {
@@ -205,37 +618,68 @@ export class WantedSystem {
 
       // If spawn position is invalid, try alternate road
       if (!isValid) {
-        const laneOffset = Math.random() < 0.5 ? -4 : 4;
+        const laneOffset = this.rng.next() < 0.5 ? -4 : 4;
         spawnPos = {
           x: Math.round(playerPos.x / 100) * 100 + laneOffset,
-          z: playerPos.z + (50 + Math.random() * 30),
+          z: playerPos.z + (50 + this.rng.next() * 30),
         };
       }
     }
 
-    // Create new police car
+    const unit = this._pickUnit();
+    this._createPolice(spawnPos, unit);
+    console.log(
+      `🚔 Spawned ${unit.NAME} at (${spawnPos.x.toFixed(
+        1
+      )}, ${spawnPos.z.toFixed(1)}) on road`
+    );
+  }
+
+  /**
+   * Pick a unit type from the spawn table for the current wanted level
+   * @private
+   */
+  _pickUnit() {
+    const tables = this.spawnTables;
+    const table = tables[Math.min(this.currentWantedLevel, tables.length) - 1];
+    const entries = Object.entries(table);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = this.unitRng.next() * total;
+    for (const [type, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return POLICE_UNITS[type];
+    }
+    return POLICE_UNITS[entries[entries.length - 1][0]];
+  }
+
+  /**
+   * Create a police car and add it to the chase
+   * @private
+   */
+  _createPolice(spawnPos, unit = POLICE_UNITS.PATROL) {
     const newPolice = new EnemyChaser(
       this.scene,
       this.playerRef,
       spawnPos,
       this.cityRef,
-      this.enemiesArrayRef
+      this.enemiesArrayRef,
+      this.rng,
+      unit
     );
 
     // Pass skid mark system to new police
     if (this.skidMarkSystem) {
       newPolice.setSkidMarkSystem(this.skidMarkSystem);
     }
+    if (this.effectsSystem) {
+      newPolice.setEffectsSystem(this.effectsSystem);
+    }
 
     // Add to main enemies array
     this.enemiesArrayRef.push(newPolice);
     this.spawnedPolice.push(newPolice);
-
-    console.log(
-      `🚔 Spawned police car at (${spawnPos.x.toFixed(1)}, ${spawnPos.z.toFixed(
-        1
-      )}) on road`
-    );
+    return newPolice;
   }
 
   /**
@@ -257,6 +701,69 @@ export class WantedSystem {
     return this.currentWantedLevel;
   }
 
+  /**
+   * Get accumulated heat
+   */
+  getHeat() {
+    return this.heat;
+  }
+
+  /**
+   * Times each offense was reported this run
+   */
+  getOffenseCounts() {
+    return { ...this.offenseCounts };
+  }
+
+  /**
+   * Whether police have lost sight of the player and are searching
+   */
+  getIsSearching() {
+    return this.isSearching;
+  }
+
+  /**
+   * Radius of the search area around the last known position
+   */
+  getSearchRadius() {
+    return (
+      this.config.SEARCH_RADIUS +
+      (this.currentWantedLevel - 1) * this.config.SEARCH_RADIUS_PER_STAR
+    );
+  }
+
+  /**
+   * Seconds the player must stay hidden to lose the current star
+   */
+  getEvadeTime() {
+    return (
+      this.config.EVADE_TIME +
+      (this.currentWantedLevel - 1) * this.config.EVADE_TIME_PER_STAR
+    );
+  }
+
+  /**
+   * Progress (0-1) towards losing the current star
+   */
+  getEvadeProgress() {
+    if (!this.isSearching) return 0;
+    return Math.min(1, this.hiddenTime / this.getEvadeTime());
+  }
+
+  /**
+   * Squad role dispatcher for the police on the chase
+   */
+  getDispatcher() {
+    return this.dispatcher;
+  }
+
+  /**
+   * Police helicopter, or null below its wanted level
+   */
+  getHelicopter() {
+    return this.helicopter;
+  }
+
   /**
    * Get survival time in seconds
    */
@@ -281,15 +788,45 @@ export class WantedSystem {
   reset() {
     this.currentWantedLevel = 1;
     this.survivalTime = 0;
+    this.heat = 0;
+    this.offenseCounts = {};
     this.lastSpawnTime = 0;
+    this.isSearching = false;
+    this.playerSpotted = true;
+    this.hiddenTime = 0;
+    this.sightCheckTimer = 0;
     this.spawnedPolice = [];
+    this.wrecks.clear();
+    this.takedowns = 0;
+    if (this.roadblockSystem) this.roadblockSystem.reset();
+    if (this.spikeStripSystem) this.spikeStripSystem.reset();
+    this.dispatcher.reset();
+    if (this.helicopter) this._removeHelicopter();
+    if (this.searchZone) this.searchZone.visible = false;
   }
 
   /**
-   * Cleanup spawned police
+   * Cleanup spawned police and the search zone
    */
   dispose() {
     // Note: Police are managed by main game, just clear references
     this.spawnedPolice = [];
+
+    if (this.roadblockSystem) {
+      this.roadblockSystem.dispose();
+      this.roadblockSystem = null;
+    }
+    if (this.spikeStripSystem) {
+      this.spikeStripSystem.dispose();
+      this.spikeStripSystem = null;
+    }
+    if (this.helicopter) this._removeHelicopter();
+
+    if (this.searchZone) {
+      this.scene.remove(this.searchZone);
+      this.searchZone.geometry.dispose();
+      this.searchZone.material.dispose();
+      this.searchZone = null;
+    }
   }
 }
@@ -60,7 +60,7 @@ export class HUD {
       "SCORE: 0"
     );
 
-    // Boost indicator (bottom center)
+    // Nitro meter (bottom center)
     this.elements.boost = this._createElement(
       "div",
       `
@@ -68,14 +68,91 @@ export class HUD {
         bottom: 40px;
         left: 50%;
         transform: translateX(-50%);
-        font-size: 20px;
-        padding: 10px 20px;
+        width: 240px;
+        font-size: 14px;
+        font-weight: bold;
+        color: #FFD700;
+        text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+      `,
+      "⚡ NITRO"
+    );
+
+    this.elements.boostTrack = this._createElement(
+      "div",
+      `
+        margin-top: 5px;
+        height: 14px;
         background: rgba(0,0,0,0.6);
         border: 2px solid #FFD700;
-        border-radius: 10px;
+        border-radius: 7px;
+        overflow: hidden;
+      `
+    );
+    this.elements.boost.appendChild(this.elements.boostTrack);
+
+    this.elements.boostBar = this._createElement(
+      "div",
+      `
+        width: 100%;
+        height: 100%;
+        background: linear-gradient(90deg, #FF6600, #FFD700);
+      `
+    );
+    this.elements.boostTrack.appendChild(this.elements.boostBar);
+
+    // Health bar (bottom left)
+    this.elements.healthContainer = this._createElement(
+      "div",
+      `
+        position: absolute;
+        bottom: 40px;
+        left: 20px;
+        width: 200px;
+        font-size: 14px;
+        font-weight: bold;
         text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
       `,
-      "⚡ BOOST READY"
+      "HEALTH"
+    );
+
+    const healthTrack = this._createElement(
+      "div",
+      `
+        margin-top: 5px;
+        height: 14px;
+        background: rgba(0,0,0,0.6);
+        border: 2px solid #FFFFFF;
+        border-radius: 7px;
+        overflow: hidden;
+      `
+    );
+    this.elements.healthContainer.appendChild(healthTrack);
+
+    this.elements.healthBar = this._createElement(
+      "div",
+      `
+        width: 100%;
+        height: 100%;
+        background: #33CC33;
+        transition: width 0.2s ease;
+      `
+    );
+    healthTrack.appendChild(this.elements.healthBar);
+
+    // Flat tire warning (below score) - hidden until punctured
+    this.elements.tires = this._createElement(
+      "div",
+      `
+        position: absolute;
+        top: 70px;
+        left: 50%;
+        transform: translateX(-50%);
+        font-size: 18px;
+        font-weight: bold;
+        color: #FF6633;
+        text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+        display: none;
+      `
     );
 
     // Wanted level stars (top left) - GTA style
@@ -114,6 +191,21 @@ export class HUD {
     );
     this.elements.wantedContainer.appendChild(this.elements.wantedStars);
 
+    // Helicopter threat marker - follows it on screen, pinned to the edge
+    // when it is out of view
+    this.elements.threat = this._createElement(
+      "div",
+      `
+        position: absolute;
+        transform: translate(-50%, -50%);
+        font-size: 28px;
+        font-weight: bold;
+        text-align: center;
+        white-space: nowrap;
+        display: none;
+      `
+    );
+
     // Controls hint (bottom center, fades out)
     this.elements.controls = this._createElement(
       "div",
@@ -131,7 +223,7 @@ export class HUD {
         opacity: 1;
         transition: opacity 2s ease;
       `,
-      "↑/W: Forward | ←/→/A/D: Steer | SPACE: Boost | ESC: Pause"
+      "↑/W: Forward | ←/→/A/D: Steer | SPACE: Boost | E: Handbrake | ESC: Pause"
     );
 
     // Fade out controls hint after 5 seconds
@@ -143,6 +235,43 @@ export class HUD {
     }, 5000);
   }
 
+  /**
+   * Place the helicopter marker from its normalized screen position
+   * @param {{x: number, y: number, contact: boolean}|null} threat - x/y in
+   *   -1..1 (right/up), or null with no helicopter
+   * @private
+   */
+  _updateThreatMarker(threat) {
+    const marker = this.elements.threat;
+    if (!threat) {
+      marker.style.display = "none";
+      return;
+    }
+
+    const margin = 40;
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const x = Math.min(
+      width - margin,
+      Math.max(margin, ((threat.x + 1) / 2) * width)
+    );
+    const y = Math.min(
+      height - margin,
+      Math.max(margin, ((1 - threat.y) / 2) * height)
+    );
+
+    marker.style.left = `${x}px`;
+    marker.style.top = `${y}px`;
+    marker.style.color = threat.contact ? "#FF3333" : "#FFAA00";
+    marker.style.textShadow = threat.contact
+      ? "0 0 12px rgba(255, 0, 0, 0.9), 2px 2px 4px rgba(0,0,0,0.8)"
+      : "2px 2px 4px rgba(0,0,0,0.8)";
+    marker.innerHTML = threat.contact
+      ? `🚁<div style="font-size: 12px">SPOTTED</div>`
+      : "🚁";
+    marker.style.display = "block";
+  }
+
   /**
    * Helper to create a DOM element
    * @private
@@ -165,19 +294,43 @@ export class HUD {
       this.elements.score.innerHTML = `SCORE: ${formatScore(gameState.score)}`;
     }
 
-    // Update boost indicator
-    if (gameState.boostReady !== undefined) {
-      if (gameState.boostReady) {
-        this.elements.boost.innerHTML = "⚡ BOOST READY";
-        this.elements.boost.style.borderColor = "#FFD700";
-        this.elements.boost.style.color = "#FFD700";
+    // Nitro meter - greyed out until there is enough to start a boost
+    if (gameState.boost !== undefined) {
+      const fill = Math.max(0, Math.min(100, gameState.boost));
+      const color = gameState.boostReady ? "#FFD700" : "#666";
+      this.elements.boostBar.style.width = `${fill}%`;
+      this.elements.boostBar.style.opacity = gameState.boostReady ? "1" : "0.5";
+      this.elements.boostTrack.style.borderColor = color;
+      this.elements.boost.style.color = color;
+      this.elements.boost.firstChild.textContent = gameState.boostActive
+        ? "⚡ BOOSTING"
+        : "⚡ NITRO";
+    }
+
+    // Health bar - green, then yellow, then red as the car falls apart
+    if (gameState.health !== undefined) {
+      const health = Math.max(0, Math.min(100, gameState.health));
+      this.elements.healthBar.style.width = `${health}%`;
+      this.elements.healthBar.style.background =
+        health > 50 ? "#33CC33" : health > 25 ? "#FFCC00" : "#FF3333";
+    }
+
+    // Flat tires - show time left until they recover
+    if (gameState.punctured !== undefined) {
+      if (gameState.punctured) {
+        const seconds = Math.ceil(gameState.punctureTime || 0);
+        this.elements.tires.innerHTML = `🛞 FLAT TIRES - ${seconds}s (find a repair kit)`;
+        this.elements.tires.style.display = "block";
       } else {
-        this.elements.boost.innerHTML = "⚡ BOOST COOLDOWN";
-        this.elements.boost.style.borderColor = "#666";
-        this.elements.boost.style.color = "#666";
+        this.elements.tires.style.display = "none";
       }
     }
 
+    // Helicopter marker - red while its searchlight is on the player
+    if (gameState.helicopter !== undefined) {
+      this._updateThreatMarker(gameState.helicopter);
+    }
+
     // Update wanted level stars (GTA-style)
     if (gameState.wantedLevel !== undefined) {
       const level = Math.max(1, Math.min(5, gameState.wantedLevel));
@@ -185,6 +338,21 @@ export class HUD {
       const emptyStars = "☆".repeat(5 - level);
       this.elements.wantedStars.innerHTML = filledStars + emptyStars;
     }
+
+    // Stars flash while police search for a hidden player
+    if (gameState.wantedSearching !== undefined) {
+      if (gameState.wantedSearching) {
+        // Flash faster as the player gets closer to losing a star
+        const progress = gameState.evadeProgress || 0;
+        const period = 500 - progress * 300;
+        const flashOn = Math.floor(performance.now() / period) % 2 === 0;
+        this.elements.wantedStars.style.opacity = flashOn ? "1" : "0.25";
+        this.elements.wantedLabel.innerHTML = "SEARCHING";
+      } else {
+        this.elements.wantedStars.style.opacity = "1";
+        this.elements.wantedLabel.innerHTML = "WANTED LEVEL";
+      }
+    }
   }
 
   /**
@@ -1,13 +1,27 @@
 /**
  * MenuSystem - Manages game menus and states
- * Responsibility: Handle main menu, pause menu, game over screen
+ * Responsibility: Handle main menu, garage, pause menu, game over screen
  * Provides callbacks for menu actions
  */
 
+import { PLAYER_CONFIG } from "../utils/constants.js";
+import { PLAYER_VEHICLES, DEFAULT_VEHICLE_ID } from "../data/playerVehicles.js";
+import { UPGRADES, getMaxLevel, getUpgradeCost } from "../data/upgrades.js";
+
+// Garage stat bars - label and the stat it reads from a vehicle config
+const GARAGE_STATS = [
+  { label: "TOP SPEED", key: "MAX_SPEED" },
+  { label: "ACCELERATION", key: "ACCELERATION" },
+  { label: "HANDLING", key: "ROTATION_SPEED" },
+  { label: "BOOST", key: "BOOST_CAPACITY" },
+  { label: "DURABILITY", key: "MAX_HEALTH" },
+];
+
 export class MenuSystem {
   constructor() {
     // Menu containers
     this.mainMenu = null;
+    this.garageMenu = null;
     this.pauseMenu = null;
     this.gameOverMenu = null;
 
@@ -15,6 +29,22 @@ export class MenuSystem {
     this.onStartGame = null;
     this.onResumeGame = null;
     this.onRestartGame = null;
+    this.onWatchReplay = null;
+    this.onExportReplay = null;
+    this.onImportReplay = null;
+    this.onSelectVehicle = null;
+    this.onPurchaseUpgrade = null;
+    this.onExportSave = null;
+    this.onImportSave = null;
+    this.onToggleRedLightHeat = null;
+
+    // Car picked in the garage
+    this.selectedVehicleId = DEFAULT_VEHICLE_ID;
+    this.vehicleCards = [];
+
+    // Cash and upgrade levels shown in the garage
+    this.progression = null;
+    this.upgradeRows = [];
 
     // Background music
     this.menuMusic = null;
@@ -101,6 +131,7 @@ export class MenuSystem {
    */
   _createMenus() {
     this._createMainMenu();
+    this._createGarageMenu();
     this._createPauseMenu();
     this._createGameOverMenu();
   }
@@ -143,6 +174,34 @@ export class MenuSystem {
     });
     this.mainMenu.appendChild(startButton);
 
+    const garageButton = this._createButton("GARAGE", () => {
+      this.mainMenu.style.display = "none";
+      this.showGarageMenu();
+    });
+    garageButton.style.fontSize = "20px";
+    garageButton.style.padding = "10px 30px";
+    this.mainMenu.appendChild(garageButton);
+
+    // Car the next run starts with
+    this.selectedVehicleLabel = this._createElement(
+      "p",
+      `
+        margin-top: 10px;
+        font-size: 16px;
+        color: #ccc;
+      `
+    );
+    this.mainMenu.appendChild(this.selectedVehicleLabel);
+
+    // Setting: whether running red lights raises the wanted level
+    this.redLightHeatButton = this._createButton("", () => {
+      if (this.onToggleRedLightHeat) this.onToggleRedLightHeat();
+    });
+    this.redLightHeatButton.style.fontSize = "16px";
+    this.redLightHeatButton.style.padding = "8px 20px";
+    this.mainMenu.appendChild(this.redLightHeatButton);
+    this.setRedLightHeat(true);
+
     const instructions = this._createElement(
       "div",
       `
@@ -158,7 +217,9 @@ export class MenuSystem {
       `
         <strong>HOW TO PLAY:</strong><br><br>
         • Use Arrow Keys or WASD to drive<br>
-        • Press SPACE for speed boost<br>
+        • Hold SPACE to burn nitro<br>
+        • Drift, skim past traffic and grab canisters to refill it<br>
+        • Hold E for a handbrake drift<br>
         • Avoid obstacles and the police<br>
         • Survive as long as possible<br>
         • Difficulty increases over time
@@ -169,6 +230,306 @@ export class MenuSystem {
     document.body.appendChild(this.mainMenu);
   }
 
+  /**
+   * Create garage menu - one card per vehicle with its stats
+   * @private
+   */
+  _createGarageMenu() {
+    this.garageMenu = this._createMenuContainer("garage-menu");
+    this.garageMenu.style.display = "none";
+    // Cards and the upgrade shop can outgrow small screens - scroll from top
+    this.garageMenu.style.justifyContent = "flex-start";
+    this.garageMenu.style.overflowY = "auto";
+    this.garageMenu.style.padding = "30px 0";
+    this.garageMenu.style.boxSizing = "border-box";
+
+    const title = this._createElement(
+      "h1",
+      `
+        font-size: 56px;
+        margin-bottom: 30px;
+        color: #FF3366;
+        text-shadow: 4px 4px 8px rgba(0,0,0,0.8);
+      `,
+      "GARAGE"
+    );
+    this.garageMenu.appendChild(title);
+
+    const cardRow = this._createElement(
+      "div",
+      `
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: center;
+        max-width: 1100px;
+      `
+    );
+
+    // Bars are relative to the best car in the roster for each stat
+    const vehicles = Object.values(PLAYER_VEHICLES).map((vehicle) => ({
+      vehicle,
+      config: { ...PLAYER_CONFIG, ...vehicle },
+    }));
+    const maxStats = {};
+    GARAGE_STATS.forEach(({ key }) => {
+      maxStats[key] = Math.max(...vehicles.map(({ config }) => config[key]));
+    });
+
+    this.vehicleCards = vehicles.map(({ vehicle, config }) => {
+      const card = this._createVehicleCard(vehicle, config, maxStats);
+      cardRow.appendChild(card);
+      return { id: vehicle.ID, card };
+    });
+    this.garageMenu.appendChild(cardRow);
+
+    this._createUpgradePanel();
+
+    const backButton = this._createButton("BACK", () => {
+      this.hideGarageMenu();
+      this.mainMenu.style.display = "flex";
+    });
+    backButton.style.marginTop = "30px";
+    this.garageMenu.appendChild(backButton);
+
+    document.body.appendChild(this.garageMenu);
+    this._updateSelectedVehicle();
+  }
+
+  /**
+   * Create the garage upgrade shop and save import/export buttons
+   * @private
+   */
+  _createUpgradePanel() {
+    const panel = this._createElement(
+      "div",
+      `
+        margin-top: 20px;
+        padding: 15px 25px;
+        background: rgba(0,0,0,0.6);
+        border-radius: 10px;
+        color: white;
+        min-width: 520px;
+      `
+    );
+
+    this.cashLabel = this._createElement(
+      "div",
+      `
+        font-size: 24px;
+        font-weight: bold;
+        color: #FFD700;
+        margin-bottom: 10px;
+      `
+    );
+    panel.appendChild(this.cashLabel);
+
+    this.upgradeRows = Object.values(UPGRADES).map((upgrade) => {
+      const row = this._createElement(
+        "div",
+        `
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        `
+      );
+      const label = this._createElement(
+        "div",
+        "text-align: left; font-size: 16px;"
+      );
+      const button = this._createButton("", () => {
+        if (this.onPurchaseUpgrade) this.onPurchaseUpgrade(upgrade.ID);
+      });
+      button.style.fontSize = "14px";
+      button.style.padding = "6px 14px";
+      button.style.margin = "4px 0 4px 20px";
+
+      row.appendChild(label);
+      row.appendChild(button);
+      panel.appendChild(row);
+      return { upgrade, label, button };
+    });
+
+    // Hidden file picker behind the import button
+    this.saveFileInput = document.createElement("input");
+    this.saveFileInput.type = "file";
+    this.saveFileInput.accept = ".json,application/json";
+    this.saveFileInput.style.display = "none";
+    this.saveFileInput.addEventListener("change", () => {
+      const file = this.saveFileInput.files[0];
+      this.saveFileInput.value = ""; // Allow picking the same file again
+      if (file && this.onImportSave) this.onImportSave(file);
+    });
+
+    const saveRow = this._createElement(
+      "div",
+      `
+        display: flex;
+        justify-content: center;
+        margin-top: 10px;
+      `
+    );
+    [
+      this._createButton("EXPORT SAVE", () => {
+        if (this.onExportSave) this.onExportSave();
+      }),
+      this._createButton("IMPORT SAVE", () => {
+        this.saveFileInput.click();
+      }),
+    ].forEach((button) => {
+      button.style.fontSize = "14px";
+      button.style.padding = "8px 16px";
+      saveRow.appendChild(button);
+    });
+    saveRow.appendChild(this.saveFileInput);
+    panel.appendChild(saveRow);
+
+    // Save import errors
+    this.saveStatus = this._createElement(
+      "p",
+      `
+        margin-top: 10px;
+        font-size: 14px;
+        color: #FF6666;
+        min-height: 18px;
+      `
+    );
+    panel.appendChild(this.saveStatus);
+
+    this.garageMenu.appendChild(panel);
+    this.refreshProgression();
+  }
+
+  /**
+   * Show cash and progression-driven UI from a ProgressionSystem
+   * @param {ProgressionSystem} progression
+   */
+  setProgression(progression) {
+    this.progression = progression;
+    this.refreshProgression();
+  }
+
+  /**
+   * Redraw cash and upgrade levels after they change
+   */
+  refreshProgression() {
+    if (!this.progression || !this.cashLabel) return;
+
+    const cash = this.progression.getCash();
+    this.cashLabel.textContent = `CASH: $${cash.toLocaleString()}`;
+
+    this.upgradeRows.forEach(({ upgrade, label, button }) => {
+      const level = this.progression.getUpgradeLevel(upgrade.ID);
+      const maxLevel = getMaxLevel(upgrade);
+      const cost = getUpgradeCost(upgrade, level);
+      const pips = "●".repeat(level) + "○".repeat(maxLevel - level);
+
+      label.innerHTML = `
+        <strong>${upgrade.NAME}</strong> ${pips}<br>
+        <span style="font-size: 12px; color: #ccc;">${upgrade.DESCRIPTION}</span>
+      `;
+      button.innerHTML = cost === null ? "MAXED" : `UPGRADE $${cost}`;
+      button.disabled = cost === null || cost > cash;
+      button.style.opacity = button.disabled ? "0.4" : "1";
+      button.style.cursor = button.disabled ? "default" : "pointer";
+    });
+
+    this.saveStatus.textContent = "";
+  }
+
+  /**
+   * Show an error message below the save buttons
+   */
+  showSaveError(message) {
+    this.saveStatus.textContent = `⚠️ ${message}`;
+  }
+
+  /**
+   * Build a garage card; clicking it selects the vehicle
+   * @private
+   */
+  _createVehicleCard(vehicle, config, maxStats) {
+    const color = `#${config.COLOR.toString(16).padStart(6, "0")}`;
+    const bars = GARAGE_STATS.map(({ label, key }) => {
+      const percent = Math.round((config[key] / maxStats[key]) * 100);
+      return `
+        <div style="font-size: 12px; color: #ccc; margin-top: 8px;">
+          ${label}
+        </div>
+        <div style="height: 8px; background: #333; border-radius: 4px;">
+          <div style="width: ${percent}%; height: 100%; background: ${color}; border-radius: 4px;"></div>
+        </div>
+      `;
+    }).join("");
+
+    const card = this._createElement(
+      "div",
+      `
+        width: 220px;
+        margin: 10px;
+        padding: 20px;
+        background: rgba(0,0,0,0.6);
+        border: 3px solid transparent;
+        border-radius: 10px;
+        color: white;
+        text-align: left;
+        cursor: pointer;
+      `,
+      `
+        <div style="font-size: 22px; font-weight: bold; color: ${color};">
+          ${vehicle.NAME}
+        </div>
+        <div style="font-size: 14px; color: #ccc; min-height: 40px; margin-top: 6px;">
+          ${vehicle.DESCRIPTION}
+        </div>
+        ${bars}
+      `
+    );
+
+    card.addEventListener("click", () => {
+      this.setSelectedVehicle(vehicle.ID);
+      if (this.onSelectVehicle) this.onSelectVehicle(vehicle.ID);
+    });
+
+    return card;
+  }
+
+  /**
+   * Highlight the selected car and name it on the main menu
+   * @private
+   */
+  _updateSelectedVehicle() {
+    this.vehicleCards.forEach(({ id, card }) => {
+      card.style.borderColor =
+        id === this.selectedVehicleId ? "#FFD700" : "transparent";
+    });
+
+    const vehicle = Object.values(PLAYER_VEHICLES).find(
+      ({ ID }) => ID === this.selectedVehicleId
+    );
+    if (this.selectedVehicleLabel && vehicle) {
+      this.selectedVehicleLabel.textContent = `Vehicle: ${vehicle.NAME}`;
+    }
+  }
+
+  /**
+   * Mark a vehicle as selected in the garage
+   * @param {string} id - Vehicle ID (see PLAYER_VEHICLES)
+   */
+  setSelectedVehicle(id) {
+    this.selectedVehicleId = id;
+    this._updateSelectedVehicle();
+  }
+
+  /**
+   * Show the red light heat setting on its toggle
+   * @param {boolean} enabled - Whether running reds raises heat
+   */
+  setRedLightHeat(enabled) {
+    this.redLightHeatButton.textContent = `🚦 RED LIGHT HEAT: ${
+      enabled ? "ON" : "OFF"
+    }`;
+  }
+
   /**
    * Create pause menu
    * @private
@@ -257,6 +618,62 @@ export class MenuSystem {
     });
     this.gameOverMenu.appendChild(restartButton);
 
+    // Replay actions for the run that just ended
+    const replayRow = this._createElement(
+      "div",
+      `
+        display: flex;
+        justify-content: center;
+        margin-top: 10px;
+      `
+    );
+
+    this.watchReplayButton = this._createButton("WATCH REPLAY", () => {
+      this.hideGameOverMenu();
+      if (this.onWatchReplay) this.onWatchReplay();
+    });
+    this.exportReplayButton = this._createButton("EXPORT REPLAY", () => {
+      if (this.onExportReplay) this.onExportReplay();
+    });
+
+    // Hidden file picker behind the import button
+    this.replayFileInput = document.createElement("input");
+    this.replayFileInput.type = "file";
+    this.replayFileInput.accept = ".json,application/json";
+    this.replayFileInput.style.display = "none";
+    this.replayFileInput.addEventListener("change", () => {
+      const file = this.replayFileInput.files[0];
+      this.replayFileInput.value = ""; // Allow picking the same file again
+      if (file && this.onImportReplay) this.onImportReplay(file);
+    });
+    const importReplayButton = this._createButton("IMPORT REPLAY", () => {
+      this.replayFileInput.click();
+    });
+
+    [
+      this.watchReplayButton,
+      this.exportReplayButton,
+      importReplayButton,
+    ].forEach((button) => {
+      button.style.fontSize = "18px";
+      button.style.padding = "10px 20px";
+      replayRow.appendChild(button);
+    });
+    replayRow.appendChild(this.replayFileInput);
+    this.gameOverMenu.appendChild(replayRow);
+
+    // Replay import errors
+    this.replayStatus = this._createElement(
+      "p",
+      `
+        margin-top: 15px;
+        font-size: 16px;
+        color: #FF6666;
+        min-height: 20px;
+      `
+    );
+    this.gameOverMenu.appendChild(this.replayStatus);
+
     document.body.appendChild(this.gameOverMenu);
   }
 
@@ -349,6 +766,14 @@ export class MenuSystem {
     }
   }
 
+  showGarageMenu() {
+    this.garageMenu.style.display = "flex";
+  }
+
+  hideGarageMenu() {
+    this.garageMenu.style.display = "none";
+  }
+
   showPauseMenu() {
     this.pauseMenu.style.display = "flex";
   }
@@ -357,14 +782,32 @@ export class MenuSystem {
     this.pauseMenu.style.display = "none";
   }
 
-  showGameOverMenu(stats) {
+  showGameOverMenu(stats, hasReplay = false) {
     // Update stats display
     this.gameOverStats.innerHTML = `
       <strong>FINAL SCORE: ${stats.totalScore.toLocaleString()}</strong><br><br>
       Survival Time: ${this._formatTime(stats.survivalTime)}<br>
-      Distance: ${Math.floor(stats.distance)} units
+      Distance: ${Math.floor(stats.distance)} units<br>
+      Police Takedowns: ${stats.takedowns ?? 0}
+      ${
+        stats.cashEarned !== undefined
+          ? `<br><span style="color: #FFD700;">Cash Earned: $${stats.cashEarned.toLocaleString()}</span>`
+          : ""
+      }
+      ${
+        stats.seed !== undefined
+          ? `<br><br><span style="font-size: 16px; color: #ccc;">
+              Run Seed: <a href="?seed=${stats.seed}" style="color: #FFD700;">${stats.seed}</a>
+            </span>`
+          : ""
+      }
     `;
 
+    // Replay buttons only make sense when a replay is loaded
+    this.watchReplayButton.style.display = hasReplay ? "" : "none";
+    this.exportReplayButton.style.display = hasReplay ? "" : "none";
+    this.replayStatus.textContent = "";
+
     this.gameOverMenu.style.display = "flex";
 
     // Start menu music on game over
@@ -379,6 +822,13 @@ export class MenuSystem {
     }
   }
 
+  /**
+   * Show an error message below the replay buttons
+   */
+  showReplayError(message) {
+    this.replayStatus.textContent = `⚠️ ${message}`;
+  }
+
   /**
    * Format time helper
    * @private
@@ -402,6 +852,38 @@ export class MenuSystem {
     this.onRestartGame = callback;
   }
 
+  setOnWatchReplay(callback) {
+    this.onWatchReplay = callback;
+  }
+
+  setOnExportReplay(callback) {
+    this.onExportReplay = callback;
+  }
+
+  setOnImportReplay(callback) {
+    this.onImportReplay = callback;
+  }
+
+  setOnSelectVehicle(callback) {
+    this.onSelectVehicle = callback;
+  }
+
+  setOnPurchaseUpgrade(callback) {
+    this.onPurchaseUpgrade = callback;
+  }
+
+  setOnExportSave(callback) {
+    this.onExportSave = callback;
+  }
+
+  setOnImportSave(callback) {
+    this.onImportSave = callback;
+  }
+
+  setOnToggleRedLightHeat(callback) {
+    this.onToggleRedLightHeat = callback;
+  }
+
   /**
    * Cleanup menus
    */
@@ -412,10 +894,12 @@ export class MenuSystem {
       this.menuMusic = null;
     }
 
-    [this.mainMenu, this.pauseMenu, this.gameOverMenu].forEach((menu) => {
-      if (menu && menu.parentElement) {
-        menu.parentElement.removeChild(menu);
+    [this.mainMenu, this.garageMenu, this.pauseMenu, this.gameOverMenu].forEach(
+      (menu) => {
+        if (menu && menu.parentElement) {
+          menu.parentElement.removeChild(menu);
+        }
       }
-    });
+    );
   }
 }
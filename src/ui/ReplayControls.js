@@ -0,0 +1,243 @@
+/**
+ * ReplayControls - Replay playback bar
+ * Responsibility: Pause/play, scrub and speed controls while watching a replay
+ * Reports user actions through callbacks; playback itself lives in GameLoop
+ */
+
+import { GAME_CONFIG } from "../utils/constants.js";
+
+const PHYSICS_STEPS_PER_SECOND = Math.round(1 / GAME_CONFIG.PHYSICS_STEP);
+const SPEED_OPTIONS = [0.25, 0.5, 1, 2, 4];
+
+export class ReplayControls {
+  constructor() {
+    this.container = null;
+    this.elements = {};
+    this.isScrubbing = false;
+
+    // Callbacks
+    this.onTogglePause = null;
+    this.onSeek = null;
+    this.onSpeedChange = null;
+    this.onExit = null;
+
+    // ESC toggles playback while the bar is visible
+    this._onKeyDown = this._onKeyDown.bind(this);
+    window.addEventListener("keydown", this._onKeyDown);
+
+    this._createElements();
+    this.hide();
+  }
+
+  /**
+   * Create the playback bar
+   * @private
+   */
+  _createElements() {
+    this.container = document.createElement("div");
+    this.container.id = "replay-controls";
+    this.container.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      width: 640px;
+      max-width: 90%;
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 16px;
+      background: rgba(0,0,0,0.7);
+      border: 2px solid #FF3366;
+      border-radius: 10px;
+      font-family: 'Arial', sans-serif;
+      color: white;
+      z-index: 500;
+    `;
+
+    const label = document.createElement("span");
+    label.style.cssText = `
+      font-weight: bold;
+      color: #FF3366;
+    `;
+    label.textContent = "● REPLAY";
+    this.container.appendChild(label);
+
+    this.elements.playPause = this._createButton("⏸", () => {
+      if (this.onTogglePause) this.onTogglePause();
+    });
+    this.container.appendChild(this.elements.playPause);
+
+    // Scrub bar - position is a physics step index
+    this.elements.scrub = document.createElement("input");
+    this.elements.scrub.type = "range";
+    this.elements.scrub.min = "0";
+    this.elements.scrub.value = "0";
+    this.elements.scrub.style.cssText = `
+      flex: 1;
+      accent-color: #FF3366;
+      cursor: pointer;
+    `;
+    this.elements.scrub.addEventListener("input", () => {
+      this.isScrubbing = true;
+      this._updateTime(Number(this.elements.scrub.value));
+    });
+    this.elements.scrub.addEventListener("change", () => {
+      this.isScrubbing = false;
+      if (this.onSeek) this.onSeek(Number(this.elements.scrub.value));
+    });
+    this.container.appendChild(this.elements.scrub);
+
+    this.elements.time = document.createElement("span");
+    this.elements.time.style.cssText = `
+      font-size: 14px;
+      min-width: 90px;
+      text-align: center;
+    `;
+    this.container.appendChild(this.elements.time);
+
+    this.elements.speed = document.createElement("select");
+    this.elements.speed.style.cssText = `
+      background: #222;
+      color: white;
+      border: 1px solid #666;
+      border-radius: 4px;
+      padding: 4px;
+    `;
+    SPEED_OPTIONS.forEach((speed) => {
+      const option = document.createElement("option");
+      option.value = String(speed);
+      option.textContent = `${speed}x`;
+      option.selected = speed === 1;
+      this.elements.speed.appendChild(option);
+    });
+    this.elements.speed.addEventListener("change", () => {
+      if (this.onSpeedChange) {
+        this.onSpeedChange(Number(this.elements.speed.value));
+      }
+    });
+    this.container.appendChild(this.elements.speed);
+
+    const exitButton = this._createButton("✕", () => {
+      if (this.onExit) this.onExit();
+    });
+    this.container.appendChild(exitButton);
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Helper to create a small bar button
+   * @private
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.style.cssText = `
+      font-size: 16px;
+      width: 36px;
+      height: 32px;
+      background: linear-gradient(135deg, #FF3366, #FF6600);
+      color: white;
+      border: none;
+      border-radius: 6px;
+      cursor: pointer;
+    `;
+    button.addEventListener("click", () => {
+      onClick();
+      button.blur(); // Keep keyboard shortcuts working
+    });
+    return button;
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   * @private
+   */
+  _onKeyDown(event) {
+    if (this.container.style.display === "none") return;
+    if (event.key === "Escape" && this.onTogglePause) {
+      this.onTogglePause();
+    }
+  }
+
+  /**
+   * Update time readout for a step index
+   * @private
+   */
+  _updateTime(frame) {
+    const total = Number(this.elements.scrub.max);
+    this.elements.time.textContent = `${this._formatTime(
+      frame
+    )} / ${this._formatTime(total)}`;
+  }
+
+  /**
+   * Format a step count as m:ss
+   * @private
+   */
+  _formatTime(frames) {
+    const seconds = Math.floor(frames / PHYSICS_STEPS_PER_SECOND);
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins}:${secs.toString().padStart(2, "0")}`;
+  }
+
+  /**
+   * Update playback state
+   * @param {number} frame - Current step index
+   * @param {number} frameCount - Total recorded steps
+   * @param {boolean} isPaused - Whether playback is paused
+   * @param {number} speed - Current playback speed
+   */
+  update(frame, frameCount, isPaused, speed) {
+    this.elements.scrub.max = String(frameCount);
+    if (!this.isScrubbing) {
+      this.elements.scrub.value = String(Math.min(frame, frameCount));
+      this._updateTime(Math.min(frame, frameCount));
+    }
+    this.elements.playPause.textContent = isPaused ? "▶" : "⏸";
+    this.elements.speed.value = String(speed);
+  }
+
+  // Register callbacks
+  setOnTogglePause(callback) {
+    this.onTogglePause = callback;
+  }
+
+  setOnSeek(callback) {
+    this.onSeek = callback;
+  }
+
+  setOnSpeedChange(callback) {
+    this.onSpeedChange = callback;
+  }
+
+  setOnExit(callback) {
+    this.onExit = callback;
+  }
+
+  /**
+   * Show playback bar
+   */
+  show() {
+    this.container.style.display = "flex";
+  }
+
+  /**
+   * Hide playback bar
+   */
+  hide() {
+    this.container.style.display = "none";
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    window.removeEventListener("keydown", this._onKeyDown);
+    if (this.container && this.container.parentElement) {
+      this.container.parentElement.removeChild(this.container);
+    }
+  }
+}
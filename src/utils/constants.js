@@ -3,10 +3,12 @@
  * Centralized configuration for easy tuning and maintenance
  */
 
+import { HAS_DOM } from "./runtime.js";
+
 export const GAME_CONFIG = {
   // Rendering
-  CANVAS_WIDTH: window.innerWidth,
-  CANVAS_HEIGHT: window.innerHeight,
+  CANVAS_WIDTH: HAS_DOM ? window.innerWidth : 1280,
+  CANVAS_HEIGHT: HAS_DOM ? window.innerHeight : 720,
   FOV: 75,
   NEAR_PLANE: 0.1,
   FAR_PLANE: 500, // Reduced from 1000 for better performance
@@ -32,15 +34,180 @@ export const PLAYER_CONFIG = {
   ACCELERATION: 0.8,
   DECELERATION: 0.4,
   ROTATION_SPEED: 0.1,
-  DRIFT_FACTOR: 0.92,
+  GRIP_FACTOR: 0.4, // Lateral velocity kept per 1/60 s - the slide after a turn
+  DRIFT_FACTOR: 0.92, // Lateral velocity kept per 1/60 s on the handbrake
+  HANDBRAKE_DECELERATION: 12, // Speed lost per second on the handbrake
+  HANDBRAKE_STEER_FACTOR: 1.4, // ROTATION_SPEED multiplier - swings the tail out
   BOOST_MULTIPLIER: 1.8,
-  BOOST_DURATION: 2000,
-  BOOST_COOLDOWN: 5000,
+  BOOST_CAPACITY: 2, // Seconds of boost in a full nitro meter
+  BOOST_REFILL_FACTOR: 1, // Multiplier on every BOOST_CONFIG refill
   WIDTH: 2,
   HEIGHT: 1.2,
   LENGTH: 3.5,
   MAX_HEALTH: 100,
-  COLLISION_DAMAGE: 25,
+  COLLISION_DAMAGE: 25, // Flat damage from spawned road obstacles
+  // Crash damage per collision type: health lost per unit of impact speed
+  // above the type's MIN_SPEED (police hits also scale with their mass)
+  CRASH_DAMAGE: {
+    TRAFFIC: { MIN_SPEED: 10, FACTOR: 0.6 },
+    POLICE: { MIN_SPEED: 12, FACTOR: 0.5 },
+    BUILDING: { MIN_SPEED: 12, FACTOR: 0.8 },
+    BARRIER: { MIN_SPEED: 10, FACTOR: 0.8 }, // Solid props (roadblocks)
+    PROP: { MIN_SPEED: 10, FACTOR: 0.3 }, // Signs, benches, hydrants...
+  },
+  DAMAGE_COOLDOWN: 0.5, // Seconds before the next hit counts (one crash, one hit)
+  DAMAGE_SPEED_FACTOR: 0.6, // Top speed multiplier at zero health
+  DAMAGE_SMOKE_HEALTH: 50, // Smokes below this much health
+  DAMAGE_SPARK_HEALTH: 25, // Throws sparks below this much health
+  DAMAGE_EFFECT_INTERVAL: 0.2, // Seconds between smoke puffs and sparks
+  PUNCTURE_SPEED_FACTOR: 0.6, // Max speed multiplier on punctured tires
+  PUNCTURE_STEER_FACTOR: 0.5, // ROTATION_SPEED multiplier on punctured tires
+  PUNCTURE_DURATION: 15, // Seconds until the tires recover without a repair
+  PUNCTURE_SPARK_INTERVAL: 0.15, // Seconds between sparks from the rims
+  SPIN_DURATION: 1.2, // Seconds out of control after a PIT
+  SPIN_DAMPING: 1.5, // Spin rate lost per second
+  SPIN_SPEED_LOSS: 1, // Fraction of speed lost per second while spinning
+};
+
+// Nitro meter refills, in seconds of boost (scaled by BOOST_REFILL_FACTOR)
+export const BOOST_CONFIG = {
+  MIN_START: 0.3, // Meter needed to start boosting - no flickering on empty
+  PASSIVE_REFILL: 0.25, // Per second while not boosting
+  DRIFT_REFILL: 0.5, // Per second while drifting
+  AIRTIME_REFILL: 1, // Per second in the air
+  AIRBORNE_HEIGHT: 0.3, // Height above the road that counts as airtime
+  NEAR_MISS_REFILL: 0.35, // Per car passed within NEAR_MISS_DISTANCE
+  PICKUP_REFILL: 1.5, // Per nitro canister
+  NEAR_MISS_DISTANCE: 4.5, // Center distance that counts as a close pass
+  NEAR_MISS_CLEAR_DISTANCE: 8, // Counted once the car falls this far away
+  NEAR_MISS_MIN_SPEED: 15, // Slower passes don't count
+};
+
+// Arcade slip-angle model shared by the player and police (vehiclePhysics.js)
+export const DRIFT_CONFIG = {
+  MIN_SLIP_SPEED: 3, // Lateral speed that counts as drifting
+  SMOKE_INTERVAL: 0.08, // Seconds between tire smoke puffs while drifting
+};
+
+// Police roadblocks placed across the player's predicted route (3+ stars)
+export const ROADBLOCK_CONFIG = {
+  MIN_WANTED_LEVEL: 3,
+  SPAWN_INTERVAL: 18, // Seconds between roadblocks
+  MAX_ACTIVE: 1,
+  MIN_DISTANCE: 60, // Never closer than this ahead of the player
+  MAX_DISTANCE: 260, // Give up if no loaded road is found within this
+  APPROACH_OFFSET: 30, // Placed this far before the intersection it guards
+  GAP_WIDTH: 6, // Opening left for the player to thread
+  GAP_JITTER: 1.5, // Max shift of the gap from the road center
+  POLICE_LATERAL: 7.5, // Parked cars sit at the road edges
+  BARRIER_EXTENT: 6, // Barriers run from the gap out to this lateral offset
+  RELEASE_DISTANCE: 15, // Parked police give chase once the player is this close
+  DESPAWN_DISTANCE: 160, // Cleared once the player is this far away
+  LIFETIME: 45, // Seconds before an ignored roadblock is cleared
+};
+
+// Police spike strips laid across the player's carriageway (4+ stars)
+export const SPIKE_STRIP_CONFIG = {
+  MIN_WANTED_LEVEL: 4,
+  SPAWN_INTERVAL: 12, // Seconds between strips
+  MAX_ACTIVE: 2,
+  MIN_DISTANCE: 50, // Never closer than this ahead of the player
+  MAX_DISTANCE: 220, // Give up if no loaded road is found within this
+  APPROACH_OFFSET: 70, // Clear of roadblocks guarding the same intersection
+  LENGTH: 7, // Across the road - one carriageway
+  DEPTH: 0.8, // Along the road
+  DESPAWN_DISTANCE: 160, // Removed once the player is this far away
+  LIFETIME: 40,
+};
+
+// Police helicopter - flies over buildings and tracks the player with a
+// searchlight
+export const HELICOPTER_CONFIG = {
+  MIN_WANTED_LEVEL: 5,
+  ALTITUDE: 30,
+  SPAWN_DISTANCE: 120, // Arrives from behind the player
+  MAX_SPEED: 26, // Just below the player's top speed - outrun it flat out
+  ACCELERATION: 14,
+  LEAD_TIME: 0.5, // Seconds ahead of the player it aims for
+  SEARCHLIGHT_RADIUS: 7, // Ground spot radius - contact while inside it
+  SEARCHLIGHT_RANGE: 40, // Max ground distance from below the helicopter
+  SEARCHLIGHT_SPEED: 45, // How fast the spot can swing across the ground
+  SEARCH_SWEEP_SPEED: 0.8, // Radians/s the spot circles the search area
+  ROTOR_SPEED: 30, // Radians/s
+  AUDIO_RANGE: 160, // Rotor audible within this distance
+  AUDIO_PAN_DISTANCE: 50, // Horizontal offset for a fully panned rotor
+  AUDIO_MAX_VOLUME: 0.25,
+};
+
+// Collectible pickups placed on the road ahead of the player
+export const PICKUP_CONFIG = {
+  RADIUS: 3, // Collected within this distance
+  REPAIR_SPAWN_DELAY: 2, // Seconds after a puncture before a repair kit appears
+  NITRO_SPAWN_INTERVAL: 20, // Seconds between nitro canisters on the road
+  MIN_DISTANCE: 60,
+  MAX_DISTANCE: 240,
+  APPROACH_OFFSET: 20,
+  DESPAWN_DISTANCE: 220,
+  LIFETIME: 45,
+};
+
+// Traffic signal cycle per intersection (seconds per axis)
+export const SIGNAL_CONFIG = {
+  GREEN_TIME: 8,
+  YELLOW_TIME: 2,
+  ALL_RED_TIME: 1, // Both directions red between phases
+};
+
+// Civilian traffic, spawned in a ring around the player on loaded roads
+export const TRAFFIC_CONFIG = {
+  MAX_CARS: 70,
+  SPAWN_INTERVAL: 0.5, // Seconds between spawn attempts (1-2 cars each)
+  SPAWN_MIN_DISTANCE: 60, // Ring around the player cars appear in
+  SPAWN_MAX_DISTANCE: 180,
+  DESPAWN_DISTANCE: 220, // Cars further from the player are removed
+  MIN_SPAWN_GAP: 15, // Clear space around a new car
+  LANE_WIDTH: 3.5, // Two lanes per carriageway, either side of its center
+  INTERSECTION_CLEARANCE: 10, // No spawning this close to a crossroads
+  // Turning at crossroads
+  TURN_PLAN_DISTANCE: 35, // Pick a turn this far before a crossroads
+  TURN_WEIGHTS: { STRAIGHT: 0.4, LEFT: 0.3, RIGHT: 0.3 },
+  TURN_SPEED: 5, // Speed through the turning arc
+  BRAKING: 6, // Speed lost per second slowing for a turn or signal
+  ACCELERATION: 3, // Speed regained per second after it
+  INTERSECTION_HALF_SIZE: 9, // Half the road width - arcs start at its edge
+  STOP_LINE_DISTANCE: 14, // Crossroads center to where cars wait on red
+  INDICATOR_BLINK_INTERVAL: 0.4, // Seconds per indicator on/off
+  PEDESTRIAN_STOP_DISTANCE: 8, // Cars halt for a pedestrian this far ahead
+  PEDESTRIAN_CLEARANCE: 1.8, // Sideways reach of a car's stopping check
+  // Pulling over for police with sirens on
+  SIREN_YIELD_RADIUS: 40, // Cars yield to sirens this close
+  YIELD_SPEED: 4, // Crawl while pulling over
+  YIELD_EDGE_OFFSET: 7.8, // Road center to where yielding cars stop
+  PULL_OVER_SPEED: 2.5, // Sideways speed pulling over and merging back
+  YIELD_MIN_ROOM: 30, // No pulling over this close to a stop line
+  YIELD_CLEAR_TIME: 1.5, // Seconds without a siren near before merging
+};
+
+// Walkers on the sidewalks of the tiles around the player (see districts)
+export const PEDESTRIAN_CONFIG = {
+  MAX_PEDESTRIANS: 80,
+  TILE_RADIUS: 1, // Tiles this far from the player's tile get walkers
+  SPAWN_PER_STEP: 2, // Spawn attempts per update step
+  SPAWN_MIN_DISTANCE: 40, // Nobody appears closer to the player than this
+  DESPAWN_DISTANCE: 200,
+  DENSITY_MULTIPLIER: 1, // Scales every district's crowd
+  SIDEWALK_OFFSET: 11, // Road center to the walking line (crosswalks too)
+  WALK_SPEED: 1.4,
+  CROSS_SPEED: 2.2, // Brisk walk over a crosswalk
+  RUN_SPEED: 5, // Fleeing
+  CROSS_CHANCE: 0.5, // Chance to cross at a corner instead of turning
+  // Scattering from the chase
+  FLEE_SPEED: 18, // A car at least this fast is a threat
+  FLEE_RADIUS: 20, // ...within this distance
+  SIREN_RADIUS: 35, // Police with sirens on scatter walkers this far out
+  FLEE_DURATION: 3, // Seconds of running after the threat is gone
+  FLEE_OFFSET: 6, // Distance run back from the curb
+  DIVE_DISTANCE: 2.5, // Walkers jump clear of any car closer than this
 };
 
 export const ENEMY_CONFIG = {
@@ -58,17 +225,94 @@ export const ENEMY_CONFIG = {
   WIDTH: 2.2,
   HEIGHT: 1.2,
   LENGTH: 4,
+  MASS: 1.8, // Collision mass - the player is 1
+  GRIP_FACTOR: 0.5, // Lateral velocity kept per 1/60 s (see PLAYER_CONFIG)
+  BLOCK_DISTANCE: 30, // How far ahead of the player "block" units aim
+  STRATEGY: "mixed", // Pursuit strategy (see POLICE_UNITS)
+  ROUTE_DIRECT_RANGE: 45, // Closer than this, steer straight at the target
+  ROUTE_REPLAN_INTERVAL: 0.5, // Seconds between A* replans while routing
+  WAYPOINT_RADIUS: 10, // Distance at which a route waypoint counts as reached
+  SEARCH_SPEED_FACTOR: 0.7, // Cruise speed while searching (x INITIAL_SPEED)
+  SEARCH_POINT_TIMEOUT: 8, // Seconds before giving up on a search point
+  MAX_HEALTH: 100,
+  IMPACT_DAMAGE_MIN_SPEED: 12, // Vehicle impacts slower than this are harmless
+  IMPACT_DAMAGE_FACTOR: 2, // Health per unit of impact speed above the minimum
+  BUILDING_DAMAGE_MIN_SPEED: 18, // Building crashes slower than this are harmless
+  BUILDING_DAMAGE_FACTOR: 1.5,
+  DAMAGE_COOLDOWN: 0.5, // Seconds before the next hit counts (one crash, one hit)
+  SMOKE_HEALTH: 40, // Smokes below this much health
+  SMOKE_INTERVAL: 0.2, // Seconds between smoke puffs (halved once wrecked)
+  WRECK_MASS: 8, // Wrecks barely move when hit
+  TAKEDOWN_BONUS: 500, // Score for wrecking this unit
+};
+
+// Police AI state machine - shared by every unit type
+export const POLICE_AI_CONFIG = {
+  DETECTION_RANGE: 60, // Patrolling units notice the player this close
+  ENGAGE_RANGE: 50, // Responding units start the pursuit this close
+  DISENGAGE_RANGE: 90, // Pursuing units further away respond again
+  PATROL_RADIUS: 60, // Cruising area around the unit's home position
+  FLANK_RANGE: 25, // Close enough to pull alongside
+  FLANK_MIN_PLAYER_SPEED: 12, // No point flanking a slow player - box in
+  FLANK_MIN_UNITS: 2, // Units near the player before others peel off to flank
+  FLANK_OFFSET: 6, // Lateral distance held alongside the player
+  FLANK_TIMEOUT: 6, // Give up flanking after this many seconds
+  MAX_FLANKERS: 2, // Units flanking or PITting at once
+  PIT_MIN_PLAYER_SPEED: 14,
+  PIT_ZONE_FRONT: 1, // Alongside = from this far ahead of the player...
+  PIT_ZONE_REAR: 5, // ...to this far behind
+  PIT_SPEED_BONUS: 4, // Speed over the player's while turning in
+  PIT_TIMEOUT: 2, // Abort a PIT that hasn't made contact
+  PIT_COOLDOWN: 6, // Seconds before the same unit tries again
+  PIT_ELASTICITY: 0.5, // Restitution of the PIT contact impulse
+  PIT_SPIN_FACTOR: 0.35, // Angular impulse -> player spin rate
+  PIT_MAX_SPIN: 5, // Radians/s
+  BOX_IN_RADIUS: 25, // Units this close to the player count for a box-in
+  BOX_IN_MIN_UNITS: 3,
+  BOX_IN_MAX_PLAYER_SPEED: 10, // Player slower than this can be boxed in
+  BOX_IN_DISTANCE: 6.5, // Slot distance from the player (clear of contact)
+};
+
+// Police dispatcher - squad roles handed out by the WantedSystem
+export const DISPATCH_CONFIG = {
+  REASSIGN_INTERVAL: 2, // Seconds between routine role reviews
+  FALL_BEHIND_DISTANCE: 40, // Units this far behind the player can't lead
+  CUTOFF_MIN_DISTANCE: 30, // Next intersection at least this far ahead...
+  CUTOFF_MAX_DISTANCE: 250, // ...and no further than this
+  CUTOFF_HOLD_RADIUS: 4, // Cutoff unit stops this close to the junction
+  REAR_GUARD_DISTANCE: 15, // Rear guard trails the player by this much
 };
 
 // Wanted level system (GTA-style stars)
 export const WANTED_CONFIG = {
   MAX_WANTED_LEVEL: 5, // Maximum 5 stars
-  WANTED_THRESHOLDS: [0, 20, 40, 70, 100], // Time in seconds to reach each star (faster progression)
+  HEAT_THRESHOLDS: [0, 100, 200, 350, 500], // Heat needed for each star
+  SURVIVAL_HEAT_PER_SECOND: 5, // Heat per second in view of police (0 = crimes only)
+  OFFENSE_HEAT: {
+    RAM_TRAFFIC: 15, // Crashing into a civilian car
+    HIT_POLICE: 40, // Ramming a police car
+    DESTROY_PROP: 10, // Flattening signs, benches, hydrants...
+    RUN_RED_LIGHT: 20, // Entering an intersection on red
+    SPEEDING_NEAR_POLICE: 20, // Flying past a police car
+  },
+  OFFENSE_MIN_IMPACT_SPEED: 8, // Slower bumps aren't reported
+  PROP_BREAK_SPEED: 10, // Impact speed that destroys a destructible prop
+  SPEEDING_SPEED: 27, // Speed counted as speeding
+  SPEEDING_WITNESS_RANGE: 25, // Police this close notice speeding
+  SPEEDING_COOLDOWN: 4, // Seconds between speeding reports
+  OFFENSE_COOLDOWN: 1, // Seconds before the same crash counts again
   BASE_POLICE_COUNT: 3, // Reduced from 5
   POLICE_PER_STAR: 2, // Reduced from 5 - much less aggressive
   BASE_SPAWN_INTERVAL: 10, // Increased from 8 - slower spawning
   SPAWN_INTERVAL_REDUCTION: 1.2, // Reduced from 1.5
   MIN_SPAWN_INTERVAL: 3, // Increased from 2
+  SIGHT_RANGE: 90, // Police further away than this can't see the player
+  SIGHT_CHECK_INTERVAL: 0.1, // Seconds between line-of-sight checks
+  SEARCH_RADIUS: 60, // Search zone radius at 1 star
+  SEARCH_RADIUS_PER_STAR: 20, // Extra search radius per star
+  EVADE_TIME: 8, // Seconds hidden before losing a star at 1 star
+  EVADE_TIME_PER_STAR: 2, // Extra seconds hidden needed per star
+  WRECK_DESPAWN_DISTANCE: 250, // Wrecks this far behind the player are cleared
 };
 
 export const WORLD_CONFIG = {
@@ -80,6 +324,8 @@ export const WORLD_CONFIG = {
   BUILDING_MAX_SIZE: { width: 14, height: 25, depth: 14 },
   BUILDING_SPACING: 3, // Minimum spacing between buildings
   ROAD_WIDTH: 16, // Width of roads to avoid
+  CARRIAGEWAY_OFFSET: 4.5, // Road center to the middle of each carriageway
+  DISTRICT_SIZE: 3, // Tiles per side of a district (see data/districts.js)
 };
 
 export const OBSTACLE_CONFIG = {
@@ -103,11 +349,19 @@ export const SCORING_CONFIG = {
   NEAR_MISS_THRESHOLD: 3,
 };
 
+// Cash and upgrades kept between runs (ProgressionSystem)
+export const PROGRESSION_CONFIG = {
+  STORAGE_KEY: "escapeRoad.save", // localStorage key
+  SCORE_PER_CASH: 10, // Points of final score per $1 earned
+};
+
 export const COLLISION_CONFIG = {
   CHECK_INTERVAL: 16,
   BOUNDING_BOX_PADDING: 0.1,
   SLOWDOWN_FACTOR: 0.5,
   SLOWDOWN_DURATION: 1000,
+  BUILDING_CELL_SIZE: 40, // Spatial grid cell size for building lookups
+  VEHICLE_CELL_SIZE: 10, // Spatial grid cell size for car-vs-car checks
 };
 
 export const DIFFICULTY_CONFIG = {
@@ -151,5 +405,6 @@ export const INPUT_KEYS = {
   LEFT: ["ArrowLeft", "a", "A"],
   RIGHT: ["ArrowRight", "d", "D"],
   BOOST: [" ", "Shift"],
+  HANDBRAKE: ["Control", "e", "E"],
   PAUSE: ["Escape", "p", "P"],
 };
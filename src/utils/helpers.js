@@ -64,6 +64,44 @@ export function distance2D(x1, z1, x2, z2) {
   return Math.sqrt(dx * dx + dz * dz);
 }
 
+/**
+ * Checks if a line segment crosses an XZ rectangle (slab method)
+ * Used for line-of-sight tests against building footprints
+ */
+export function segmentIntersectsRect2D(
+  x1,
+  z1,
+  x2,
+  z2,
+  minX,
+  minZ,
+  maxX,
+  maxZ
+) {
+  let tMin = 0;
+  let tMax = 1;
+  const deltas = [
+    [x1, x2 - x1, minX, maxX],
+    [z1, z2 - z1, minZ, maxZ],
+  ];
+
+  for (const [start, delta, min, max] of deltas) {
+    if (Math.abs(delta) < 1e-9) {
+      // Parallel to this slab - must already be inside it
+      if (start < min || start > max) return false;
+      continue;
+    }
+    let t1 = (min - start) / delta;
+    let t2 = (max - start) / delta;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return false;
+  }
+
+  return true;
+}
+
 /**
  * Checks if two bounding boxes intersect
  * Each box: { min: {x, y, z}, max: {x, y, z} }
@@ -0,0 +1,196 @@
+/**
+ * Replay Format
+ * Serialization helpers for recorded runs (seed + per-step input)
+ * Frames are stored as input bitmasks, run-length encoded as [mask, count]
+ */
+
+import { GAME_CONFIG } from "./constants.js";
+
+export const REPLAY_VERSION = 3; // 3: nitro meter replaces boost cooldown
+
+// Order matters - index is the bit position in a frame mask
+export const REPLAY_INPUT_KEYS = [
+  "forward",
+  "backward",
+  "left",
+  "right",
+  "boost",
+  "handbrake",
+];
+
+/**
+ * Pack an input state into a bitmask
+ */
+export function encodeInput(input) {
+  let mask = 0;
+  REPLAY_INPUT_KEYS.forEach((key, bit) => {
+    if (input[key]) mask |= 1 << bit;
+  });
+  return mask;
+}
+
+/**
+ * Unpack a bitmask into an input state
+ */
+export function decodeInput(mask) {
+  const input = {};
+  REPLAY_INPUT_KEYS.forEach((key, bit) => {
+    input[key] = (mask & (1 << bit)) !== 0;
+  });
+  return input;
+}
+
+/**
+ * Run-length encode a list of frame masks
+ * @returns {Array<[number, number]>} - [mask, count] pairs
+ */
+export function compressFrames(frames) {
+  const runs = [];
+  for (const mask of frames) {
+    const last = runs[runs.length - 1];
+    if (last && last[0] === mask) {
+      last[1]++;
+    } else {
+      runs.push([mask, 1]);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Expand run-length encoded frames back into one mask per step
+ */
+export function expandFrames(runs) {
+  const frames = [];
+  for (const [mask, count] of runs) {
+    for (let i = 0; i < count; i++) frames.push(mask);
+  }
+  return frames;
+}
+
+/**
+ * Build a serializable replay object
+ * @param {string} vehicle - Player vehicle ID (null = default car)
+ * @param {Object} upgrades - Upgrade ID -> level (null = no upgrades)
+ * @param {boolean} redLightHeat - Whether running reds raised heat
+ */
+export function createReplay(
+  seed,
+  frames,
+  stats = null,
+  vehicle = null,
+  upgrades = null,
+  redLightHeat = true
+) {
+  return {
+    version: REPLAY_VERSION,
+    seed,
+    vehicle,
+    upgrades,
+    redLightHeat,
+    physicsStep: GAME_CONFIG.PHYSICS_STEP,
+    inputKeys: REPLAY_INPUT_KEYS,
+    frameCount: frames.length,
+    frames: compressFrames(frames),
+    stats,
+    recordedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Validate parsed replay data and expand its frames
+ * @throws {Error} - If the data is not a replay this build can play
+ */
+export function parseReplay(data) {
+  if (!data || typeof data !== "object") {
+    throw new Error("Replay file is empty or not JSON");
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${data.version}`);
+  }
+  if (!Number.isInteger(data.seed) || data.seed < 0) {
+    throw new Error("Replay is missing a valid seed");
+  }
+  if (data.vehicle != null && typeof data.vehicle !== "string") {
+    throw new Error("Replay vehicle is malformed");
+  }
+  if (
+    data.upgrades != null &&
+    (typeof data.upgrades !== "object" ||
+      !Object.values(data.upgrades).every(
+        (level) => Number.isInteger(level) && level >= 0
+      ))
+  ) {
+    throw new Error("Replay upgrades are malformed");
+  }
+  if (data.redLightHeat != null && typeof data.redLightHeat !== "boolean") {
+    throw new Error("Replay red light heat setting is malformed");
+  }
+  if (data.physicsStep !== GAME_CONFIG.PHYSICS_STEP) {
+    throw new Error("Replay was recorded with a different physics step");
+  }
+  if (
+    !Array.isArray(data.inputKeys) ||
+    data.inputKeys.join() !== REPLAY_INPUT_KEYS.join()
+  ) {
+    throw new Error("Replay was recorded with different input keys");
+  }
+  if (
+    !Array.isArray(data.frames) ||
+    !data.frames.every(
+      (run) =>
+        Array.isArray(run) &&
+        Number.isInteger(run[0]) &&
+        Number.isInteger(run[1]) &&
+        run[1] > 0
+    )
+  ) {
+    throw new Error("Replay frames are malformed");
+  }
+
+  return {
+    seed: data.seed,
+    vehicle: data.vehicle ?? null, // Recorded before the garage: default car
+    upgrades: data.upgrades ?? null,
+    redLightHeat: data.redLightHeat ?? true, // Recorded before the setting
+    frames: expandFrames(data.frames),
+    stats: data.stats || null,
+  };
+}
+
+/**
+ * Download a replay as a JSON file
+ */
+export function downloadReplay(replay, filename = null) {
+  const blob = new Blob([JSON.stringify(replay)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename || `escape-road-replay-${replay.seed}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read and parse a replay from a user-selected file
+ * @returns {Promise<Object>} - Parsed replay ({ seed, vehicle, upgrades,
+ *   redLightHeat, frames, stats })
+ */
+export async function readReplayFile(file) {
+  const text = await file.text();
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Replay file is not valid JSON");
+  }
+
+  return parseReplay(data);
+}
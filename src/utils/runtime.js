@@ -0,0 +1,24 @@
+/**
+ * Runtime Environment
+ * Detects whether the game runs in a browser or headless (Node, CI simulations)
+ * Headless mode skips everything that needs a renderer, DOM or audio
+ */
+
+export const HAS_DOM =
+  typeof window !== "undefined" && typeof document !== "undefined";
+
+let headless = !HAS_DOM;
+
+/**
+ * Check if the game is running without renderer, DOM and audio
+ */
+export function isHeadless() {
+  return headless;
+}
+
+/**
+ * Force headless mode on or off (always on when there is no DOM)
+ */
+export function setHeadless(value) {
+  headless = Boolean(value) || !HAS_DOM;
+}
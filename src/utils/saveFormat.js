@@ -0,0 +1,149 @@
+/**
+ * Save Format
+ * Serialization helpers for the progression save (cash, upgrades, vehicle
+ * and game settings)
+ * Saves carry a schema version; older saves are migrated step by step
+ */
+
+import { UPGRADES, getMaxLevel } from "../data/upgrades.js";
+import { DEFAULT_VEHICLE_ID } from "../data/playerVehicles.js";
+
+// 2: boost cooldown upgrade became recharge, 3: game settings
+export const SAVE_VERSION = 3;
+
+/**
+ * Schema migrations - MIGRATIONS[n] turns a version n save into version n + 1
+ * Add one here (and bump SAVE_VERSION) whenever the save shape changes
+ */
+export const SAVE_MIGRATIONS = {
+  1: ({ upgrades, ...save }) => {
+    const { boost_cooldown: recharge = 0, ...rest } = upgrades || {};
+    return { ...save, upgrades: { ...rest, boost_recharge: recharge } };
+  },
+  // Red light heat was always on before it became a setting
+  2: (save) => ({ ...save, settings: { redLightHeat: true } }),
+};
+
+/**
+ * Build a fresh save for a new player
+ */
+export function createSave() {
+  const upgrades = {};
+  Object.values(UPGRADES).forEach(({ ID }) => {
+    upgrades[ID] = 0;
+  });
+
+  return {
+    version: SAVE_VERSION,
+    cash: 0,
+    totalCashEarned: 0,
+    vehicle: DEFAULT_VEHICLE_ID,
+    upgrades,
+    settings: {
+      redLightHeat: true, // Running a red light raises the wanted level
+    },
+  };
+}
+
+/**
+ * Bring a save up to SAVE_VERSION
+ * @param {Object} data - Save of any known version
+ * @param {Object} migrations - Migration table (defaults to SAVE_MIGRATIONS)
+ * @param {number} targetVersion - Version to migrate to
+ * @throws {Error} - If the save is from a newer build or can't be migrated
+ */
+export function migrateSave(
+  data,
+  migrations = SAVE_MIGRATIONS,
+  targetVersion = SAVE_VERSION
+) {
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error("Save is missing a valid version");
+  }
+  if (data.version > targetVersion) {
+    throw new Error(`Save is from a newer version: ${data.version}`);
+  }
+
+  let save = data;
+  while (save.version < targetVersion) {
+    const migrate = migrations[save.version];
+    if (!migrate) {
+      throw new Error(`No migration from save version ${save.version}`);
+    }
+    save = { ...migrate(save), version: save.version + 1 };
+  }
+  return save;
+}
+
+/**
+ * Validate and migrate parsed save data
+ * Unknown upgrades are dropped and levels clamped to what this build offers
+ * @throws {Error} - If the data is not a save this build can load
+ */
+export function parseSave(data) {
+  if (!data || typeof data !== "object") {
+    throw new Error("Save file is empty or not JSON");
+  }
+
+  const migrated = migrateSave(data);
+  if (!Number.isFinite(migrated.cash) || migrated.cash < 0) {
+    throw new Error("Save has an invalid cash balance");
+  }
+  if (!migrated.upgrades || typeof migrated.upgrades !== "object") {
+    throw new Error("Save upgrades are malformed");
+  }
+
+  const save = createSave();
+  save.cash = Math.floor(migrated.cash);
+  save.totalCashEarned = Math.floor(migrated.totalCashEarned) || save.cash;
+  if (typeof migrated.vehicle === "string") save.vehicle = migrated.vehicle;
+  if (typeof migrated.settings?.redLightHeat === "boolean") {
+    save.settings.redLightHeat = migrated.settings.redLightHeat;
+  }
+
+  Object.values(UPGRADES).forEach((upgrade) => {
+    const level = Math.floor(migrated.upgrades[upgrade.ID]) || 0;
+    save.upgrades[upgrade.ID] = Math.min(
+      Math.max(0, level),
+      getMaxLevel(upgrade)
+    );
+  });
+
+  return save;
+}
+
+/**
+ * Download a save as a JSON file
+ */
+export function downloadSave(save, filename = "escape-road-save.json") {
+  const blob = new Blob([JSON.stringify(save)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read and parse a save from a user-selected file
+ * @returns {Promise<Object>} - Parsed save
+ */
+export async function readSaveFile(file) {
+  const text = await file.text();
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Save file is not valid JSON");
+  }
+
+  return parseSave(data);
+}
@@ -0,0 +1,105 @@
+/**
+ * Seeded Random Number Generator
+ * Deterministic PRNG so a run seed reproduces the same city, traffic and police
+ */
+
+const UINT32_RANGE = 4294967296; // 2^32
+
+/**
+ * Mix a seed with extra keys into a new 32-bit seed (FNV-1a style)
+ * Used to derive independent streams, e.g. one per city tile
+ */
+export function hashSeed(seed, ...keys) {
+  let hash = (seed ^ 0x811c9dc5) >>> 0;
+  for (const key of keys) {
+    const text = String(key);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    // Separator so ("1", "23") and ("12", "3") give different hashes
+    hash ^= 0xff;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a fresh run seed (the only place Math.random is used for gameplay)
+ */
+export function createRunSeed() {
+  return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+}
+
+/**
+ * Parse a seed from user input (URL parameter, text field)
+ * Numeric strings are used as-is, anything else is hashed
+ * @returns {number|null} - 32-bit seed, or null if the input is empty
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === "") return null;
+  if (/^\d+$/.test(text)) {
+    return Number(BigInt(text) % BigInt(UINT32_RANGE));
+  }
+  return hashSeed(0, text);
+}
+
+/**
+ * Small, fast PRNG (mulberry32) with convenience helpers
+ */
+export class SeededRandom {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Returns a float in [0, 1) - drop-in replacement for Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+  }
+
+  /**
+   * Returns a float between min and max
+   */
+  range(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * Returns an integer between min and max (inclusive)
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Returns true with the given probability
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Returns a random element from an array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Derive an independent generator for a sub-system or world cell.
+   * Forks depend only on this generator's seed and the keys, never on how
+   * many numbers were drawn, so streaming order can't change the result.
+   */
+  fork(...keys) {
+    return new SeededRandom(hashSeed(this.seed, ...keys));
+  }
+}
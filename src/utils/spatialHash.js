@@ -0,0 +1,157 @@
+/**
+ * Spatial Hash - Uniform grid index over the XZ plane
+ * Responsibility: Answer "what is near here?" without scanning every object
+ * Items are stored by their footprint box, so large items span several cells
+ */
+
+const CELL_OFFSET = 32768; // Cell coordinates are packed as 16-bit halves
+const CELL_RANGE = 65536;
+
+export class SpatialHash {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Packed cell key -> array of items
+    this.entries = new Map(); // Item -> { keys, stamp }
+    this.queryStamp = 0; // Bumped per query to de-duplicate results
+  }
+
+  /**
+   * Number of indexed items
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Pack a cell coordinate pair into a single number key
+   * Exact for +/-32768 cells in each direction
+   * @private
+   */
+  _cellKey(cellX, cellZ) {
+    return (cellX + CELL_OFFSET) * CELL_RANGE + (cellZ + CELL_OFFSET);
+  }
+
+  /**
+   * @private
+   */
+  _cellCoord(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  /**
+   * Add an item covering the box [minX, maxX] x [minZ, maxZ]
+   */
+  insert(item, minX, minZ, maxX, maxZ) {
+    if (this.entries.has(item)) {
+      this.remove(item);
+    }
+
+    const keys = [];
+    const startX = this._cellCoord(minX);
+    const endX = this._cellCoord(maxX);
+    const startZ = this._cellCoord(minZ);
+    const endZ = this._cellCoord(maxZ);
+
+    for (let cx = startX; cx <= endX; cx++) {
+      for (let cz = startZ; cz <= endZ; cz++) {
+        const key = this._cellKey(cx, cz);
+        let cell = this.cells.get(key);
+        if (!cell) {
+          cell = [];
+          this.cells.set(key, cell);
+        }
+        cell.push(item);
+        keys.push(key);
+      }
+    }
+
+    this.entries.set(item, { keys, stamp: 0 });
+  }
+
+  /**
+   * Add an item by its center point and half extents
+   */
+  insertCentered(item, x, z, halfWidth, halfDepth) {
+    this.insert(
+      item,
+      x - halfWidth,
+      z - halfDepth,
+      x + halfWidth,
+      z + halfDepth
+    );
+  }
+
+  /**
+   * Remove an item from every cell it covers
+   * @returns {boolean} - Whether the item was indexed
+   */
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return false;
+
+    for (const key of entry.keys) {
+      const cell = this.cells.get(key);
+      if (!cell) continue;
+      const idx = cell.indexOf(item);
+      if (idx > -1) cell.splice(idx, 1);
+      if (cell.length === 0) this.cells.delete(key);
+    }
+
+    this.entries.delete(item);
+    return true;
+  }
+
+  /**
+   * Check whether an item is indexed
+   */
+  has(item) {
+    return this.entries.has(item);
+  }
+
+  /**
+   * Collect every item whose cells overlap the box
+   * Results are a superset - callers still run their exact overlap test
+   * @param {Array} out - Optional array to fill (cleared first)
+   * @returns {Array} - Unique items in deterministic (insertion) order per cell
+   */
+  query(minX, minZ, maxX, maxZ, out = []) {
+    out.length = 0;
+    const stamp = ++this.queryStamp;
+
+    const startX = this._cellCoord(minX);
+    const endX = this._cellCoord(maxX);
+    const startZ = this._cellCoord(minZ);
+    const endZ = this._cellCoord(maxZ);
+
+    for (let cx = startX; cx <= endX; cx++) {
+      for (let cz = startZ; cz <= endZ; cz++) {
+        const cell = this.cells.get(this._cellKey(cx, cz));
+        if (!cell) continue;
+
+        for (const item of cell) {
+          const entry = this.entries.get(item);
+          if (entry.stamp === stamp) continue; // Already collected
+          entry.stamp = stamp;
+          out.push(item);
+        }
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * Collect every item whose cells overlap the square around a point
+   */
+  queryRadius(x, z, radius, out = []) {
+    return this.query(x - radius, z - radius, x + radius, z + radius, out);
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+}
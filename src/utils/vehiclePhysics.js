@@ -0,0 +1,49 @@
+/**
+ * Vehicle Physics
+ * Arcade slip-angle model shared by the player and police cars
+ * A car's velocity is split along its heading: the forward part follows the
+ * engine (speed) and the lateral part - the slide - bleeds away by tire grip,
+ * so a hard turn or the handbrake leaves the car drifting for a moment
+ */
+
+import { DRIFT_CONFIG } from "./constants.js";
+
+/**
+ * Step a car's velocity through the slip model
+ * @param {Object} car - Anything with rotation, speed and velocity {x, z}
+ * @param {number} grip - Fraction of lateral velocity kept per 1/60 s
+ *   (0 = on rails, 1 = ice)
+ * @param {number} deltaTime - Time since last step in seconds
+ * @returns {number} - Lateral (sliding) speed, positive to the car's left
+ */
+export function applySlip(car, grip, deltaTime) {
+  const forwardX = Math.sin(car.rotation);
+  const forwardZ = Math.cos(car.rotation);
+
+  // Left of the heading - the axis the car slides along
+  const lateral =
+    (car.velocity.x * forwardZ - car.velocity.z * forwardX) *
+    Math.pow(grip, deltaTime * 60);
+
+  car.velocity.x = forwardX * car.speed + forwardZ * lateral;
+  car.velocity.z = forwardZ * car.speed - forwardX * lateral;
+  return lateral;
+}
+
+/**
+ * Angle between where a car points and where it is going
+ * @param {number} speed - Forward speed
+ * @param {number} lateral - Lateral speed from applySlip()
+ * @returns {number} - Slip angle in radians (0 to PI/2)
+ */
+export function getSlipAngle(speed, lateral) {
+  return Math.atan2(Math.abs(lateral), Math.abs(speed));
+}
+
+/**
+ * Whether a slide is big enough to count as a drift (skid marks, smoke)
+ * @param {number} lateral - Lateral speed from applySlip()
+ */
+export function isDrifting(lateral) {
+  return Math.abs(lateral) >= DRIFT_CONFIG.MIN_SLIP_SPEED;
+}
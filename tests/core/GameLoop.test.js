@@ -0,0 +1,104 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { GameLoop } from "../../src/core/GameLoop.js";
+import { GAME_CONFIG } from "../../src/utils/constants.js";
+
+const STEP = GAME_CONFIG.PHYSICS_STEP;
+
+describe("GameLoop fixed-step accumulator", () => {
+  let loop;
+  let steps;
+
+  beforeEach(() => {
+    loop = new GameLoop();
+    loop.isRunning = true; // As after start(), without scheduling frames
+    steps = [];
+    loop.registerUpdate((deltaTime) => steps.push(deltaTime));
+  });
+
+  it("does not step until a full physics step has accumulated", () => {
+    loop._update(STEP * 0.6);
+    expect(steps).toHaveLength(0);
+
+    loop._update(STEP * 0.6);
+    expect(steps).toHaveLength(1);
+  });
+
+  it("always passes the fixed step to callbacks", () => {
+    loop._update(STEP * 2.5);
+    expect(steps).toEqual([STEP, STEP]);
+  });
+
+  it("carries the remainder over to the next frame", () => {
+    loop._update(STEP * 1.5);
+    expect(steps).toHaveLength(1);
+    expect(loop.accumulatedTime).toBeCloseTo(STEP * 0.5);
+
+    loop._update(STEP * 0.5);
+    expect(steps).toHaveLength(2);
+    expect(loop.accumulatedTime).toBeCloseTo(0);
+  });
+
+  it("runs the same number of steps regardless of frame rate", () => {
+    const fast = new GameLoop();
+    fast.isRunning = true;
+    let fastSteps = 0;
+    fast.registerUpdate(() => fastSteps++);
+
+    // One second at 144fps vs one second at 30fps
+    for (let i = 0; i < 144; i++) fast._update(1 / 144);
+    for (let i = 0; i < 30; i++) loop._update(1 / 30);
+
+    expect(Math.abs(fastSteps - steps.length)).toBeLessThanOrEqual(1);
+    expect(steps.length).toBeGreaterThanOrEqual(59);
+  });
+
+  it("keeps stepping other callbacks when one throws", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const failing = new GameLoop();
+    failing.isRunning = true;
+    const calls = [];
+    failing.registerUpdate(() => {
+      throw new Error("boom");
+    });
+    failing.registerUpdate(() => calls.push("ok"));
+
+    failing._update(STEP);
+
+    expect(calls).toEqual(["ok"]);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it("ignores non-function callbacks", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    loop.registerUpdate("not a function");
+    loop._update(STEP);
+    expect(steps).toHaveLength(1);
+  });
+
+  it("clamps time scale to 0.25x - 4x", () => {
+    loop.setTimeScale(10);
+    expect(loop.getTimeScale()).toBe(4);
+    loop.setTimeScale(0.1);
+    expect(loop.getTimeScale()).toBe(0.25);
+  });
+
+  it("stops stepping as soon as the loop is stopped", () => {
+    loop.registerUpdate(() => loop.stop());
+    loop._update(STEP * 3);
+    expect(steps).toHaveLength(1);
+  });
+
+  it("spreads fast-forward steps over frames within the budget", () => {
+    loop.maxStepsPerFrame = 10;
+    loop.fastForward(25);
+
+    loop._fastForwardSteps();
+    expect(steps).toHaveLength(10);
+    expect(loop.getPendingSteps()).toBe(15);
+
+    loop._fastForwardSteps();
+    loop._fastForwardSteps();
+    expect(steps).toHaveLength(25);
+    expect(loop.getPendingSteps()).toBe(0);
+  });
+});
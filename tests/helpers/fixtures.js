@@ -0,0 +1,67 @@
+/**
+ * Test Fixtures
+ * Player and city stand-ins shared by the system and object tests
+ */
+import { RoadGraph } from "../../src/objects/RoadGraph.js";
+
+/**
+ * North-south road along x = 0 through three crossroads
+ */
+export const NORTH_SOUTH_ROAD = [
+  [0, 0],
+  [0, -1],
+  [0, -2],
+];
+
+/**
+ * Player stand-in at a position, heading -z
+ * Extra properties (a speed, a different heading, mocks for the methods a
+ * system calls) are merged in over the defaults
+ */
+export function makePlayer(x = 0, z = 0, extra = {}) {
+  return {
+    position: { x, y: 0, z },
+    speed: 0,
+    getPosition() {
+      return this.position;
+    },
+    getSpeed() {
+      return this.speed;
+    },
+    getHeading: () => ({ x: 0, z: -1 }),
+    ...extra,
+  };
+}
+
+/**
+ * Every intersection in [-radius, radius]^2 around the origin
+ */
+export function gridIntersections(radius) {
+  const intersections = [];
+  for (let gridX = -radius; gridX <= radius; gridX++) {
+    for (let gridZ = -radius; gridZ <= radius; gridZ++) {
+      intersections.push([gridX, gridZ]);
+    }
+  }
+  return intersections;
+}
+
+/**
+ * Real road graph over the given [gridX, gridZ] intersections
+ */
+export function makeRoadGraph(intersections) {
+  const graph = new RoadGraph();
+  intersections.forEach(([gridX, gridZ]) =>
+    graph.addIntersection(gridX, gridZ)
+  );
+  return graph;
+}
+
+/**
+ * City stand-in: a road graph over the given intersections plus whatever
+ * else the system under test asks the city for
+ */
+export function makeCity(intersections, extra = {}) {
+  const graph = makeRoadGraph(intersections);
+  return { getRoadGraph: () => graph, ...extra };
+}
@@ -0,0 +1,116 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import * as THREE from "three";
+import { City } from "../../src/objects/City.js";
+import { DISTRICTS } from "../../src/data/districts.js";
+import { WORLD_CONFIG } from "../../src/utils/constants.js";
+import { SeededRandom } from "../../src/utils/seededRandom.js";
+
+/**
+ * Step the city until streaming settles around a position
+ */
+function streamAround(city, position, steps = 400) {
+  for (let i = 0; i < steps; i++) city.update(position);
+}
+
+describe("City building grid", () => {
+  let city;
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    city = new City(new THREE.Scene(), new SeededRandom(7));
+    streamAround(city, { x: 0, z: 0 });
+  });
+
+  it("indexes every streamed-in building", () => {
+    expect(city.buildings.length).toBeGreaterThan(0);
+    expect(city.buildingGrid.size).toBe(city.buildings.length);
+  });
+
+  it("drops buildings from the grid when their tile unloads", () => {
+    const original = [...city.buildings];
+    streamAround(city, { x: 2000, z: 2000 });
+
+    expect(city.buildingGrid.size).toBe(city.buildings.length);
+    for (const building of original) {
+      expect(city.buildingGrid.has(building)).toBe(false);
+    }
+  });
+
+  it("answers nearby queries the same as a full scan", () => {
+    const probes = [
+      { x: 0, z: 0 },
+      { x: 37, z: -52 },
+      { x: -140, z: 90 },
+    ];
+    for (const building of city.buildings.slice(0, 10)) {
+      probes.push({ x: building.position.x, z: building.position.z });
+    }
+
+    for (const { x, z } of probes) {
+      const fullScan = city.buildings.some((b) => {
+        const hw = b.geometry.parameters.width / 2 + 2;
+        const hd = b.geometry.parameters.depth / 2 + 2;
+        return (
+          x > b.position.x - hw &&
+          x < b.position.x + hw &&
+          z > b.position.z - hd &&
+          z < b.position.z + hd
+        );
+      });
+      expect(city.checkBuildingCollision(x, z, 2)).toBe(fullScan);
+    }
+  });
+
+  it("blocks line of sight through a building", () => {
+    const building = city.buildings[0];
+    const { width } = building.geometry.parameters;
+    const { x, z } = building.position;
+
+    expect(city.hasLineOfSight({ x: x - width, z }, { x: x + width, z })).toBe(
+      false
+    );
+    expect(city.hasLineOfSight({ x: 0, z: -90 }, { x: 0, z: 90 })).toBe(true);
+  });
+
+  it("never shows green to both axes of an intersection", () => {
+    const seen = new Set();
+    for (let t = 0; t < 44; t += 0.5) {
+      const x = city.getSignalState(1, -1, "x");
+      const z = city.getSignalState(1, -1, "z");
+      seen.add(x);
+      expect(x === "red" || z === "red").toBe(true);
+      city.updateSignals(0.5);
+    }
+    expect([...seen].sort()).toEqual(["green", "red", "yellow"]);
+  });
+
+  it("clears the grid on dispose", () => {
+    city.dispose();
+    expect(city.buildingGrid.size).toBe(0);
+  });
+});
+
+describe("City districts", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("gives every tile of a district block the same seeded district", () => {
+    const city = new City(new THREE.Scene(), new SeededRandom(7));
+    const size = WORLD_CONFIG.DISTRICT_SIZE;
+    const seen = new Set();
+
+    for (let block = 0; block < 20; block++) {
+      const district = city.getDistrict(block * size, 0);
+      expect(Object.values(DISTRICTS)).toContain(district);
+      expect(city.getDistrict(block * size + size - 1, size - 1)).toBe(
+        district
+      );
+      seen.add(district);
+    }
+    expect(seen.size).toBeGreaterThan(1);
+
+    const again = new City(new THREE.Scene(), new SeededRandom(7));
+    expect(again.getDistrict(5, -8)).toBe(city.getDistrict(5, -8));
+  });
+});
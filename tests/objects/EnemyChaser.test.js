@@ -0,0 +1,486 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  EnemyChaser,
+  POLICE_ROLES,
+  POLICE_STATES,
+} from "../../src/objects/EnemyChaser.js";
+import { POLICE_UNITS } from "../../src/data/policeUnits.js";
+import {
+  DISPATCH_CONFIG,
+  ENEMY_CONFIG,
+  POLICE_AI_CONFIG,
+} from "../../src/utils/constants.js";
+import { SeededRandom } from "../../src/utils/seededRandom.js";
+import {
+  gridIntersections,
+  makePlayer,
+  makeRoadGraph,
+} from "../helpers/fixtures.js";
+
+function makePolice(position, roadGraph, unit = POLICE_UNITS.PATROL) {
+  // Parked at the origin, facing +z
+  const player = makePlayer(0, 0, {
+    velocity: { x: 0, z: 0 },
+    getHeading: () => ({ x: 0, z: 1 }),
+  });
+  const city = {
+    getRoadGraph: () => roadGraph,
+    getBuildingsInBox: () => [],
+  };
+  return new EnemyChaser(
+    null,
+    player,
+    position,
+    city,
+    [],
+    new SeededRandom(3),
+    unit
+  );
+}
+
+/**
+ * Several units sharing one player (driving +z) and one roster
+ */
+function makeSquad(positions, playerSpeed) {
+  const player = makePlayer(0, 0, {
+    velocity: { x: 0, z: playerSpeed },
+    speed: playerSpeed,
+    getHeading: () => ({ x: 0, z: 1 }),
+  });
+  const city = { getRoadGraph: () => null, getBuildingsInBox: () => [] };
+  const squad = [];
+  positions.forEach((position) =>
+    squad.push(
+      new EnemyChaser(null, player, position, city, squad, new SeededRandom(3))
+    )
+  );
+  return squad;
+}
+
+function makeGraph() {
+  return makeRoadGraph(gridIntersections(1));
+}
+
+describe("EnemyChaser route following", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("heads for the next intersection instead of cutting the block", () => {
+    const police = makePolice({ x: 0, z: 100 }, makeGraph());
+    const target = { x: 100, z: 200 };
+
+    const waypoint = police._followRoute(target, 0.016);
+
+    expect(waypoint.z).toBeCloseTo(200);
+    expect(Math.abs(waypoint.x)).toBeLessThan(10);
+  });
+
+  it("steers straight at a close target", () => {
+    const police = makePolice({ x: 0, z: 100 }, makeGraph());
+    const target = { x: 10, z: 120 };
+
+    expect(police._followRoute(target, 0.016)).toBe(target);
+    expect(police.route).toBe(null);
+  });
+
+  it("replans only after the replan interval", () => {
+    const graph = makeGraph();
+    const findPath = vi.spyOn(graph, "findPath");
+    const police = makePolice({ x: 0, z: 100 }, graph);
+    const target = { x: 100, z: 200 };
+
+    police._followRoute(target, 0.016);
+    police._followRoute(target, 0.016);
+    expect(findPath).toHaveBeenCalledTimes(1);
+
+    police._followRoute(target, ENEMY_CONFIG.ROUTE_REPLAN_INTERVAL);
+    expect(findPath).toHaveBeenCalledTimes(2);
+  });
+
+  it("falls back to direct pursuit without a road graph", () => {
+    const police = makePolice({ x: 0, z: 100 }, null);
+    const target = { x: 100, z: 200 };
+
+    expect(police._followRoute(target, 0.016)).toBe(target);
+  });
+});
+
+describe("EnemyChaser search pattern", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("cruises to points inside the search area", () => {
+    const police = makePolice({ x: 0, z: 0 }, null);
+    police.startSearch({ x: 30, z: 40 }, 25);
+
+    police.update(0.016);
+
+    const { x, z } = police.searchPoint;
+    expect(Math.hypot(x - 30, z - 40)).toBeLessThanOrEqual(25);
+    expect(police.speed).toBeLessThan(ENEMY_CONFIG.INITIAL_SPEED);
+  });
+
+  it("picks a new point once the current one is reached", () => {
+    const police = makePolice({ x: 0, z: 0 }, null);
+    police.startSearch({ x: 0, z: 0 }, 5);
+    police.update(0.016);
+    const first = police.searchPoint;
+
+    police.update(0.016);
+
+    // Every point in a 5-unit area is within the waypoint radius
+    expect(police.searchPoint).not.toBe(first);
+  });
+
+  it("goes back to pursuit when the search stops", () => {
+    const police = makePolice({ x: 0, z: 0 }, null);
+    police.startSearch({ x: 0, z: 0 }, 50);
+    police.stopSearch();
+
+    expect(police.isSearching()).toBe(false);
+    expect(police.searchPoint).toBe(null);
+  });
+});
+
+describe("EnemyChaser roadblock parking", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("holds its position while parked", () => {
+    const police = makePolice({ x: 50, z: 0 }, null);
+    police.park(Math.PI / 2);
+
+    for (let i = 0; i < 30; i++) police.update(0.016);
+
+    expect(police.isParked()).toBe(true);
+    expect(police.position).toEqual({ x: 50, y: 0, z: 0 });
+    expect(police.rotation).toBe(Math.PI / 2);
+  });
+
+  it("gives chase once released", () => {
+    const police = makePolice({ x: 50, z: 0 }, null);
+    police.park(Math.PI / 2);
+
+    police.unpark();
+    for (let i = 0; i < 30; i++) police.update(0.016);
+
+    expect(police.isParked()).toBe(false);
+    expect(police.position.x).toBeLessThan(50);
+  });
+});
+
+describe("EnemyChaser unit types", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("uses the ENEMY_CONFIG baseline for patrol cruisers", () => {
+    const police = makePolice({ x: 0, z: 50 }, null);
+
+    expect(police.getUnit()).toBe(POLICE_UNITS.PATROL);
+    expect(police.speed).toBe(ENEMY_CONFIG.INITIAL_SPEED);
+    expect(police.getMass()).toBe(ENEMY_CONFIG.MASS);
+  });
+
+  it("takes speed, size and mass from its unit definition", () => {
+    const van = makePolice({ x: 0, z: 50 }, null, POLICE_UNITS.SWAT_VAN);
+    const box = van.getBoundingBox();
+
+    expect(van.speed).toBe(POLICE_UNITS.SWAT_VAN.INITIAL_SPEED);
+    expect(van.getMass()).toBe(POLICE_UNITS.SWAT_VAN.MASS);
+    expect(box.max.z - box.min.z).toBeGreaterThan(POLICE_UNITS.SWAT_VAN.LENGTH);
+    expect(box.max.y).toBe(POLICE_UNITS.SWAT_VAN.HEIGHT);
+  });
+
+  it("never exceeds its unit's top speed", () => {
+    const suv = makePolice({ x: 0, z: 300 }, null, POLICE_UNITS.HEAVY_SUV);
+
+    for (let i = 0; i < 300; i++) suv.update(0.016);
+
+    expect(suv.speed).toBeLessThanOrEqual(POLICE_UNITS.HEAVY_SUV.MAX_SPEED);
+  });
+
+  it("follows the unit's preferred strategy", () => {
+    expect(
+      makePolice({ x: 0, z: 50 }, null, POLICE_UNITS.HEAVY_SUV)._getStrategy()
+        .strategy
+    ).toBe("ram");
+    expect(
+      makePolice({ x: 0, z: 50 }, null, POLICE_UNITS.SWAT_VAN)._getStrategy()
+        .strategy
+    ).toBe("block");
+    expect(["intercept", "flank"]).toContain(
+      makePolice({ x: 0, z: 50 }, null)._getStrategy().strategy
+    );
+  });
+
+  it("blocks far ahead of a moving player", () => {
+    const van = makePolice({ x: 60, z: 0 }, null, POLICE_UNITS.SWAT_VAN);
+    van.playerRef.velocity = { x: 0, z: 20 };
+    van.pursuitOffset = { x: 0, z: 0 };
+
+    van._updatePursuitAI(van.playerRef.getPosition(), 0.016);
+
+    // Steering towards a point ahead (+z) rather than at the player
+    expect(van.targetRotation).toBeCloseTo(
+      Math.atan2(-60, ENEMY_CONFIG.BLOCK_DISTANCE)
+    );
+  });
+});
+
+describe("EnemyChaser state machine", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("responds from afar and pursues once in range", () => {
+    const [police] = makeSquad([{ x: 0, z: 200 }], 0);
+
+    police.update(0.016);
+    expect(police.getState()).toBe(POLICE_STATES.RESPOND);
+
+    police.position.z = POLICE_AI_CONFIG.ENGAGE_RANGE - 5;
+    police.update(0.016);
+    expect(police.getState()).toBe(POLICE_STATES.PURSUE);
+  });
+
+  it("flanks a fast player while another unit chases", () => {
+    const [flanker, chaser] = makeSquad(
+      [
+        { x: 5, z: -15 },
+        { x: -3, z: -12 },
+      ],
+      20
+    );
+    flanker._setState(POLICE_STATES.PURSUE);
+
+    flanker.update(0.016);
+
+    expect(flanker.getState()).toBe(POLICE_STATES.FLANK);
+    expect(chaser.getState()).toBe(POLICE_STATES.RESPOND);
+  });
+
+  it("does not flank alone", () => {
+    const [police] = makeSquad([{ x: 5, z: -15 }], 20);
+    police.pursuitOffset.x = -10; // Mixed unit that prefers to intercept
+    police._setState(POLICE_STATES.PURSUE);
+
+    police.update(0.016);
+
+    expect(police.getState()).toBe(POLICE_STATES.PURSUE);
+  });
+
+  it("turns in for a PIT once alongside the rear wheels", () => {
+    const [police] = makeSquad([{ x: -5, z: -2 }], 20);
+    police.flankSide = 1; // Player's right is -x when driving +z
+    police._setState(POLICE_STATES.FLANK);
+
+    police.update(0.016);
+
+    expect(police.isPitting()).toBe(true);
+  });
+
+  it("backs off after PIT contact", () => {
+    const [police] = makeSquad([{ x: -5, z: -2 }], 20);
+    police._setState(POLICE_STATES.PIT);
+
+    police.onPitContact();
+    police.update(0.016);
+
+    expect(police.getState()).toBe(POLICE_STATES.PURSUE);
+    expect(police.pitCooldown).toBeGreaterThan(0);
+  });
+
+  it("boxes in a slow player once enough units are close", () => {
+    const squad = makeSquad(
+      [
+        { x: 10, z: 0 },
+        { x: -10, z: 0 },
+        { x: 0, z: -12 },
+      ],
+      2
+    );
+    squad.forEach((police) => police._setState(POLICE_STATES.PURSUE));
+
+    squad.forEach((police) => police.update(0.016));
+
+    squad.forEach((police) =>
+      expect(police.getState()).toBe(POLICE_STATES.BOX_IN)
+    );
+  });
+
+  it("stops in its box-in slot", () => {
+    const [police] = makeSquad(
+      [{ x: 0, z: POLICE_AI_CONFIG.BOX_IN_DISTANCE }],
+      0
+    );
+    police._setState(POLICE_STATES.BOX_IN);
+
+    police._updateBoxInAI(police.playerRef.getPosition());
+
+    // First slot is ahead of the player
+    expect(police.speed).toBe(0);
+  });
+
+  it("drives home and patrols after standing down", () => {
+    const [police] = makeSquad([{ x: 0, z: 200 }], 0);
+    police.startSearch({ x: 0, z: 0 }, 50);
+
+    police.returnToPatrol();
+    expect(police.isEngaged()).toBe(false);
+    expect(police.isSearching()).toBe(false);
+
+    police.update(0.016);
+    expect(police.getState()).toBe(POLICE_STATES.PATROL);
+  });
+
+  it("picks the chase back up when a patrol spots the player", () => {
+    const [police] = makeSquad([{ x: 0, z: 200 }], 0);
+    police.returnToPatrol();
+    police.update(0.016);
+
+    police.position.z = POLICE_AI_CONFIG.DETECTION_RANGE - 5;
+    police.update(0.016);
+
+    expect(police.getState()).toBe(POLICE_STATES.PURSUE);
+  });
+});
+
+describe("EnemyChaser squad roles", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("only flanks with a flank role", () => {
+    const [chaser, flanker] = makeSquad(
+      [
+        { x: 5, z: -15 },
+        { x: -3, z: -12 },
+      ],
+      20
+    );
+    chaser.setRole(POLICE_ROLES.CHASER);
+    flanker.setRole(POLICE_ROLES.FLANK_RIGHT);
+    chaser._setState(POLICE_STATES.PURSUE);
+    flanker._setState(POLICE_STATES.PURSUE);
+
+    chaser.update(0.016);
+    flanker.update(0.016);
+
+    expect(chaser.getState()).toBe(POLICE_STATES.PURSUE);
+    expect(flanker.getState()).toBe(POLICE_STATES.FLANK);
+    expect(flanker.flankSide).toBe(1);
+  });
+
+  it("holds the cutoff intersection", () => {
+    const [police] = makeSquad([{ x: 0, z: 95 }], 20);
+    police.setRole(POLICE_ROLES.CUTOFF, { x: 0, z: 100 });
+
+    police.update(0.016);
+    expect(police.targetRotation).toBeCloseTo(0);
+
+    police.position.z = 100 - DISPATCH_CONFIG.CUTOFF_HOLD_RADIUS / 2;
+    police.update(0.016);
+    expect(police.speed).toBeLessThan(DISPATCH_CONFIG.CUTOFF_HOLD_RADIUS);
+  });
+
+  it("trails the player as rear guard", () => {
+    const [police] = makeSquad([{ x: 0, z: -30 }], 20);
+    police.setRole(POLICE_ROLES.REAR_GUARD);
+    police._setState(POLICE_STATES.PURSUE);
+
+    police.update(0.016);
+
+    // Closing the gap to its slot behind the player, not ramming
+    expect(police.speed).toBeGreaterThan(20);
+    expect(police.speed).toBeLessThanOrEqual(28);
+  });
+
+  it("takes the box-in slot its role prefers", () => {
+    const squad = makeSquad(
+      [
+        { x: 0, z: -7 },
+        { x: 0, z: 7 },
+      ],
+      0
+    );
+    squad[0].setRole(POLICE_ROLES.CUTOFF);
+    squad[1].setRole(POLICE_ROLES.REAR_GUARD);
+    squad.forEach((police) => police._setState(POLICE_STATES.BOX_IN));
+
+    expect(squad[0]._getBoxInSlot(squad, 4)).toBe(0);
+    expect(squad[1]._getBoxInSlot(squad, 4)).toBe(3);
+  });
+});
+
+describe("EnemyChaser damage", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("is wrecked at zero health and stays put", () => {
+    const police = makePolice({ x: 0, z: 30 }, null);
+
+    police.takeDamage(ENEMY_CONFIG.MAX_HEALTH / 2);
+    expect(police.isWrecked()).toBe(false);
+
+    // A grinding crash counts once
+    police.takeDamage(ENEMY_CONFIG.MAX_HEALTH);
+    expect(police.getHealth()).toBe(ENEMY_CONFIG.MAX_HEALTH / 2);
+
+    police.damageCooldown = 0;
+    police.takeDamage(ENEMY_CONFIG.MAX_HEALTH);
+    for (let i = 0; i < 30; i++) police.update(0.016);
+
+    expect(police.isWrecked()).toBe(true);
+    expect(police.getHealth()).toBe(0);
+    expect(police.position).toEqual({ x: 0, y: 0, z: 30 });
+    expect(police.isEngaged()).toBe(false);
+    expect(police.getMass()).toBe(ENEMY_CONFIG.WRECK_MASS);
+  });
+
+  it("takes its health from the unit definition", () => {
+    const van = makePolice({ x: 0, z: 30 }, null, POLICE_UNITS.SWAT_VAN);
+
+    van.takeDamage(ENEMY_CONFIG.MAX_HEALTH);
+
+    expect(van.isWrecked()).toBe(false);
+    expect(van.getTakedownBonus()).toBe(POLICE_UNITS.SWAT_VAN.TAKEDOWN_BONUS);
+  });
+
+  it("is damaged by hard building crashes only", () => {
+    const building = {
+      position: { x: 0, y: 0, z: 7 },
+      geometry: { parameters: { width: 10, height: 10, depth: 10 } },
+    };
+    const police = makePolice({ x: 0, z: 0 }, null);
+    police.cityRef.getBuildingsInBox = () => [building];
+
+    police.speed = ENEMY_CONFIG.BUILDING_DAMAGE_MIN_SPEED - 1;
+    police._checkBuildingCollisions(0, 0);
+    expect(police.getHealth()).toBe(ENEMY_CONFIG.MAX_HEALTH);
+
+    police.position = { x: 0, y: 0, z: 0 };
+    police.speed = ENEMY_CONFIG.BUILDING_DAMAGE_MIN_SPEED + 10;
+    police._checkBuildingCollisions(0, 0);
+    expect(police.getHealth()).toBe(
+      ENEMY_CONFIG.MAX_HEALTH - 10 * ENEMY_CONFIG.BUILDING_DAMAGE_FACTOR
+    );
+  });
+
+  it("smokes once badly damaged", () => {
+    const police = makePolice({ x: 0, z: 30 }, null);
+    const effects = { createSmokeTrail: vi.fn() };
+    police.setEffectsSystem(effects);
+
+    police.update(0.016);
+    expect(effects.createSmokeTrail).not.toHaveBeenCalled();
+
+    police.takeDamage(ENEMY_CONFIG.MAX_HEALTH - ENEMY_CONFIG.SMOKE_HEALTH + 1);
+    police.update(0.016);
+    expect(effects.createSmokeTrail).toHaveBeenCalledOnce();
+  });
+});
@@ -0,0 +1,247 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { PlayerCar } from "../../src/objects/PlayerCar.js";
+import { BOOST_CONFIG, PLAYER_CONFIG } from "../../src/utils/constants.js";
+import {
+  PLAYER_VEHICLES,
+  getPlayerVehicle,
+} from "../../src/data/playerVehicles.js";
+import { UPGRADES } from "../../src/data/upgrades.js";
+
+describe("PlayerCar spin-out", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("rotates without steering input and recovers", () => {
+    const player = new PlayerCar(null);
+    const start = player.rotation;
+    player.speed = 20;
+
+    player.spin(-3);
+    player.update(0.1);
+
+    expect(player.isSpinning()).toBe(true);
+    expect(player.rotation).toBeLessThan(start);
+    expect(player.speed).toBeLessThan(20);
+
+    for (let t = 0; t < PLAYER_CONFIG.SPIN_DURATION; t += 0.1) {
+      player.update(0.1);
+    }
+    expect(player.isSpinning()).toBe(false);
+  });
+
+  it("ignores steering while spinning", () => {
+    const player = new PlayerCar(null);
+    const start = player.rotation;
+    player.spin(0.0001);
+    player.input.left = true;
+
+    player.update(0.016);
+
+    expect(player.rotation).toBeCloseTo(start, 3);
+  });
+});
+
+describe("PlayerCar damage", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("counts one hit per cooldown and wrecks at zero health", () => {
+    const player = new PlayerCar(null);
+
+    expect(player.takeDamage(30)).toBe(true);
+    expect(player.takeDamage(30)).toBe(false);
+    expect(player.getHealth()).toBe(PLAYER_CONFIG.MAX_HEALTH - 30);
+
+    player.update(PLAYER_CONFIG.DAMAGE_COOLDOWN);
+    player.takeDamage(PLAYER_CONFIG.MAX_HEALTH);
+
+    expect(player.getHealthPercent()).toBe(0);
+    expect(player.isAlive).toBe(false);
+  });
+
+  it("loses top speed as it takes damage", () => {
+    const topSpeed = (health) => {
+      const player = new PlayerCar(null);
+      player.health = health;
+      player.boostActive = true;
+      player.speed = 100;
+      player.update(0.016);
+      return player.speed;
+    };
+
+    expect(topSpeed(50)).toBeLessThan(topSpeed(PLAYER_CONFIG.MAX_HEALTH));
+    expect(topSpeed(50)).toBeGreaterThan(topSpeed(10));
+  });
+
+  it("smokes once damaged and throws sparks when badly damaged", () => {
+    const player = new PlayerCar(null);
+    const effects = { createSmokeTrail: vi.fn(), createSparks: vi.fn() };
+    player.setEffectsSystem(effects);
+
+    player.update(0.016);
+    expect(effects.createSmokeTrail).not.toHaveBeenCalled();
+
+    player.health = PLAYER_CONFIG.DAMAGE_SMOKE_HEALTH - 1;
+    player.update(0.016);
+    expect(effects.createSmokeTrail).toHaveBeenCalledOnce();
+    expect(effects.createSparks).not.toHaveBeenCalled();
+
+    player.health = PLAYER_CONFIG.DAMAGE_SPARK_HEALTH - 1;
+    player.update(PLAYER_CONFIG.DAMAGE_EFFECT_INTERVAL);
+    expect(effects.createSparks).toHaveBeenCalled();
+  });
+});
+
+describe("PlayerCar drift", () => {
+  function turn(handbrake, steps = 30) {
+    const player = new PlayerCar(null);
+    player.speed = 22;
+    player.setInput({ left: true, handbrake });
+    for (let i = 0; i < steps; i++) player.update(1 / 60);
+    return player;
+  }
+
+  it("grips through ordinary turns", () => {
+    const player = turn(false);
+
+    expect(player.isDrifting()).toBe(false);
+    expect(player.getSlipAngle()).toBeLessThan(0.1);
+  });
+
+  it("slides and slows on the handbrake", () => {
+    const player = turn(true);
+
+    expect(player.isDrifting()).toBe(true);
+    expect(player.getSlipAngle()).toBeGreaterThan(0.3);
+    expect(player.speed).toBeLessThan(22);
+  });
+
+  it("leaves skid marks and tire smoke while drifting", () => {
+    const player = new PlayerCar(null);
+    const skids = { addCarSkidMarks: vi.fn() };
+    const effects = { createTireSmoke: vi.fn() };
+    player.setSkidMarkSystem(skids);
+    player.setEffectsSystem(effects);
+    player.speed = 22;
+    player.setInput({ left: true, handbrake: true });
+
+    for (let i = 0; i < 30; i++) player.update(1 / 60);
+
+    expect(skids.addCarSkidMarks).toHaveBeenCalled();
+    expect(effects.createTireSmoke).toHaveBeenCalled();
+  });
+});
+
+describe("PlayerCar vehicles", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("reads its stats from the vehicle definition", () => {
+    const hatch = PLAYER_VEHICLES.HATCH;
+    const player = new PlayerCar(null, hatch);
+
+    expect(player.getHealth()).toBe(hatch.MAX_HEALTH);
+    const box = player.getBoundingBox();
+    expect(box.max.z - box.min.z).toBeCloseTo(hatch.LENGTH + 1); // 0.5 padding
+
+    expect(player.boostMeter).toBe(hatch.BOOST_CAPACITY);
+  });
+
+  it("keeps the PLAYER_CONFIG baseline for stats a vehicle leaves out", () => {
+    const player = new PlayerCar(null, PLAYER_VEHICLES.HATCH);
+
+    expect(player.config.WIDTH).toBe(PLAYER_CONFIG.WIDTH);
+    expect(player.config.LENGTH).toBe(PLAYER_VEHICLES.HATCH.LENGTH);
+  });
+
+  it("falls back to the default car for unknown IDs", () => {
+    expect(getPlayerVehicle("van")).toBe(PLAYER_VEHICLES.VAN);
+    expect(getPlayerVehicle("hovercraft")).toBe(PLAYER_VEHICLES.COUPE);
+    expect(getPlayerVehicle(null)).toBe(PLAYER_VEHICLES.COUPE);
+  });
+});
+
+describe("PlayerCar upgrades", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("scales the vehicle's stats by the upgrade levels", () => {
+    const van = PLAYER_VEHICLES.VAN;
+    const player = new PlayerCar(null, van, { engine: 2, armor: 1 });
+
+    expect(player.config.MAX_SPEED).toBeCloseTo(
+      van.MAX_SPEED * (1 + UPGRADES.ENGINE.EFFECTS.MAX_SPEED * 2)
+    );
+    expect(player.getHealth()).toBeCloseTo(
+      van.MAX_HEALTH * (1 + UPGRADES.ARMOR.EFFECTS.MAX_HEALTH)
+    );
+    expect(player.config.BOOST_CAPACITY).toBe(van.BOOST_CAPACITY);
+  });
+});
+
+describe("PlayerCar nitro meter", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("drains while boost is held and stops when empty", () => {
+    const player = new PlayerCar(null);
+    player.input.boost = true;
+
+    player.update(0.5);
+    expect(player.boostActive).toBe(true);
+    expect(player.boostMeter).toBeCloseTo(PLAYER_CONFIG.BOOST_CAPACITY - 0.5);
+
+    for (let t = 0; t < PLAYER_CONFIG.BOOST_CAPACITY; t += 0.1) {
+      player.update(0.1);
+    }
+    expect(player.boostActive).toBe(false);
+    expect(player.canBoost()).toBe(false);
+  });
+
+  it("keeps the rest of the meter when boost is released", () => {
+    const player = new PlayerCar(null);
+    player.input.boost = true;
+    player.update(0.5);
+
+    player.input.boost = false;
+    player.update(0.1);
+
+    expect(player.boostActive).toBe(false);
+    expect(player.getBoostPercent()).toBeGreaterThan(70);
+  });
+
+  it("refills by the vehicle's refill factor up to capacity", () => {
+    const hatch = PLAYER_VEHICLES.HATCH;
+    const player = new PlayerCar(null, hatch);
+    player.boostMeter = 0;
+
+    player.refillBoost(BOOST_CONFIG.NEAR_MISS_REFILL);
+    expect(player.boostMeter).toBeCloseTo(
+      BOOST_CONFIG.NEAR_MISS_REFILL * hatch.BOOST_REFILL_FACTOR
+    );
+
+    player.refillBoost(100);
+    expect(player.getBoostPercent()).toBe(100);
+  });
+
+  it("refills faster in the air", () => {
+    const grounded = new PlayerCar(null);
+    const airborne = new PlayerCar(null);
+    grounded.boostMeter = 0;
+    airborne.boostMeter = 0;
+    airborne.position.y = 2;
+
+    grounded.update(0.5);
+    airborne.update(0.5);
+
+    expect(airborne.isAirborne()).toBe(true);
+    expect(airborne.boostMeter - grounded.boostMeter).toBeCloseTo(
+      BOOST_CONFIG.AIRTIME_REFILL * 0.5 * PLAYER_CONFIG.BOOST_REFILL_FACTOR
+    );
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { PoliceHelicopter } from "../../src/objects/PoliceHelicopter.js";
+import { HELICOPTER_CONFIG } from "../../src/utils/constants.js";
+import { distance2D } from "../../src/utils/helpers.js";
+import { makePlayer as makeFixturePlayer } from "../helpers/fixtures.js";
+
+// Shared player stand-in that run() moves by its velocity
+function makePlayer(x = 0, z = 0) {
+  return makeFixturePlayer(x, z, { velocity: { x: 0, z: 0 } });
+}
+
+/**
+ * Step the helicopter for a number of seconds, moving the player with its
+ * velocity
+ */
+function run(helicopter, player, seconds, step = 1 / 60) {
+  for (let t = 0; t < seconds - 1e-9; t += step) {
+    player.position.x += player.velocity.x * step;
+    player.position.z += player.velocity.z * step;
+    helicopter.update(step);
+  }
+}
+
+describe("PoliceHelicopter", () => {
+  it("flies to the player and lights them up with the searchlight", () => {
+    const player = makePlayer();
+    const helicopter = new PoliceHelicopter(null, player, { x: 0, z: -120 });
+
+    run(helicopter, player, 1);
+    expect(helicopter.hasVisualContact()).toBe(false);
+
+    run(helicopter, player, 10);
+    expect(helicopter.hasVisualContact()).toBe(true);
+    const { x, y, z } = helicopter.getPosition();
+    expect(distance2D(x, z, 0, 0)).toBeLessThan(5);
+    expect(y).toBe(HELICOPTER_CONFIG.ALTITUDE);
+  });
+
+  it("loses contact with a player outrunning it", () => {
+    const player = makePlayer();
+    const helicopter = new PoliceHelicopter(null, player, { x: 0, z: 0 });
+    run(helicopter, player, 2);
+    expect(helicopter.hasVisualContact()).toBe(true);
+
+    // Boosting away - faster than the helicopter can fly
+    player.velocity.x = HELICOPTER_CONFIG.MAX_SPEED * 1.8;
+    run(helicopter, player, 6);
+
+    const { x: vx, z: vz } = helicopter.velocity;
+    expect(Math.hypot(vx, vz)).toBeLessThanOrEqual(
+      HELICOPTER_CONFIG.MAX_SPEED + 1e-6
+    );
+    expect(helicopter.hasVisualContact()).toBe(false);
+  });
+
+  it("keeps the searchlight within reach of the helicopter", () => {
+    const player = makePlayer(200, 0);
+    const helicopter = new PoliceHelicopter(null, player, { x: 0, z: 0 });
+
+    run(helicopter, player, 0.5);
+
+    const spot = helicopter.getSpotPosition();
+    const { x, z } = helicopter.getPosition();
+    expect(distance2D(spot.x, spot.z, x, z)).toBeLessThanOrEqual(
+      HELICOPTER_CONFIG.SEARCHLIGHT_RANGE + 1e-6
+    );
+  });
+
+  it("sweeps the search area instead of tracking the player", () => {
+    const player = makePlayer(500, 0);
+    const helicopter = new PoliceHelicopter(null, player, { x: 0, z: 0 });
+    helicopter.startSearch({ x: 0, z: 0 }, 50);
+    expect(helicopter.isSearching()).toBe(true);
+
+    for (let i = 0; i < 20; i++) {
+      run(helicopter, player, 1);
+      const spot = helicopter.getSpotPosition();
+      expect(distance2D(spot.x, spot.z, 0, 0)).toBeLessThanOrEqual(50 + 1e-6);
+    }
+    expect(helicopter.hasVisualContact()).toBe(false);
+
+    helicopter.stopSearch();
+    expect(helicopter.isSearching()).toBe(false);
+  });
+});
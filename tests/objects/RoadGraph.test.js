@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import { RoadGraph, carriagewayOffset } from "../../src/objects/RoadGraph.js";
+
+/**
+ * Graph with every intersection in [-radius, radius]^2 loaded
+ */
+function makeGraph(radius = 2, skip = []) {
+  const graph = new RoadGraph(200, 4.5);
+  for (let gx = -radius; gx <= radius; gx++) {
+    for (let gz = -radius; gz <= radius; gz++) {
+      if (!skip.some(([x, z]) => x === gx && z === gz)) {
+        graph.addIntersection(gx, gz);
+      }
+    }
+  }
+  return graph;
+}
+
+describe("RoadGraph", () => {
+  it("joins intersections to their loaded grid neighbours", () => {
+    const graph = makeGraph(1);
+
+    expect(graph.getNeighbors(graph.getNode(0, 0))).toHaveLength(4);
+    expect(graph.getNeighbors(graph.getNode(1, 1))).toHaveLength(2);
+    // 12 undirected carriageways on a 3x3 grid, one edge per direction
+    expect(graph.getEdges()).toHaveLength(24);
+  });
+
+  it("drops carriageways when a tile unloads", () => {
+    const graph = makeGraph(1);
+    graph.removeIntersection(1, 0);
+
+    expect(graph.getNode(1, 0)).toBe(null);
+    expect(graph.getNeighbors(graph.getNode(0, 0))).toHaveLength(3);
+  });
+
+  it("finds the road segment under a point", () => {
+    const graph = makeGraph(1);
+
+    const vertical = graph.getSegment(3, 120);
+    expect(vertical.vertical).toBe(true);
+    expect(vertical.nodes.map((n) => n.key)).toEqual(["0,0", "0,1"]);
+
+    const horizontal = graph.getSegment(-50, 198);
+    expect(horizontal.vertical).toBe(false);
+    expect(horizontal.nodes.map((n) => n.key)).toEqual(["-1,1", "0,1"]);
+  });
+
+  it("drives straight along a shared segment", () => {
+    const graph = makeGraph(1);
+    const route = graph.findPath({ x: 2, z: 20 }, { x: -2, z: 150 });
+
+    expect(route.nodes).toEqual([]);
+    expect(route.waypoints).toEqual([{ x: -2, z: 150 }]);
+  });
+
+  it("routes around a block through the intersections", () => {
+    const graph = makeGraph(1);
+    // From the middle of a vertical road to the middle of a horizontal one
+    const route = graph.findPath({ x: 0, z: 100 }, { x: 100, z: 200 });
+
+    expect(route.nodes.map((n) => n.key)).toEqual(["0,1"]);
+    expect(route.waypoints.at(-1)).toEqual({ x: 100, z: 200 });
+    expect(route.length).toBeCloseTo(200);
+  });
+
+  it("takes the shortest route across the grid", () => {
+    const graph = makeGraph(2);
+    const route = graph.findPath({ x: -400, z: -300 }, { x: 400, z: 300 });
+
+    // Joins at (-2,-1), leaves at (2,1): 4 hops across and 2 along
+    expect(route.nodes).toHaveLength(7);
+    expect(route.nodes[0].key).toBe("-2,-1");
+    expect(route.nodes.at(-1).key).toBe("2,1");
+    expect(route.length).toBeCloseTo(100 + 6 * 200 + 100);
+  });
+
+  it("detours around unloaded tiles", () => {
+    const graph = makeGraph(1, [[0, 0]]);
+    const route = graph.findPath({ x: -200, z: -5 }, { x: 200, z: 5 });
+
+    expect(route).not.toBe(null);
+    expect(route.nodes.some((n) => n.key === "0,0")).toBe(false);
+    expect(route.length).toBeGreaterThan(400);
+  });
+
+  it("returns null off the loaded network", () => {
+    const graph = makeGraph(1);
+    expect(graph.findPath({ x: 0, z: 0 }, { x: 5000, z: 5000 })).toBe(null);
+  });
+
+  it("finds the approach to the next intersection ahead", () => {
+    const graph = makeGraph(2);
+
+    // Heading -z from the origin, first intersection is at z = -200
+    expect(
+      graph.getPointAhead({ x: 0, z: -10 }, { x: 0, z: -1 }, 50, 300, 30)
+    ).toEqual({ x: 0, z: -170, alongX: false, direction: -1 });
+    // Too close - the next one along is used instead
+    expect(
+      graph.getPointAhead({ x: 0, z: -150 }, { x: 0, z: -1 }, 50, 300, 30)
+    ).toEqual({ x: 0, z: -370, alongX: false, direction: -1 });
+    // Beyond the loaded network
+    expect(
+      graph.getPointAhead({ x: 0, z: -250 }, { x: 0, z: -1 }, 200, 400, 30)
+    ).toBe(null);
+  });
+
+  it("puts waypoints on the keep-right carriageway", () => {
+    // Heading +z, right-hand side is -x
+    expect(carriagewayOffset(0, 10, 4.5)).toEqual({ x: -4.5, z: 0 });
+
+    const graph = makeGraph(1);
+    const route = graph.findPath({ x: 0, z: -100 }, { x: 100, z: 0 });
+    expect(route.waypoints[0]).toEqual({ x: -4.5, z: 0 });
+  });
+});
@@ -0,0 +1,335 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  LANE_DIRECTIONS,
+  TrafficCar,
+  TrafficManager,
+} from "../../src/objects/TrafficCar.js";
+import { carriagewayOffset } from "../../src/objects/RoadGraph.js";
+import { TRAFFIC_CONFIG, WORLD_CONFIG } from "../../src/utils/constants.js";
+import { SeededRandom } from "../../src/utils/seededRandom.js";
+import {
+  gridIntersections,
+  makeCity as makeRoadCity,
+  makePlayer,
+} from "../helpers/fixtures.js";
+
+// Loaded tiles from -3 to 3 around the origin in both axes unless given
+function makeCity(intersections = gridIntersections(3)) {
+  return makeRoadCity(intersections, { getBuildingsInBox: () => [] });
+}
+
+// Fill the ring without letting the cars drive
+function spawnCars(manager, count) {
+  for (let i = 0; i < count; i++) {
+    manager._spawnTrafficCar();
+  }
+}
+
+describe("TrafficManager", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("spawns cars in the keep-right lanes within the ring", () => {
+    const player = makePlayer(210, -190);
+    const manager = new TrafficManager(
+      null,
+      makeCity(),
+      new SeededRandom(5),
+      player
+    );
+    spawnCars(manager, 200);
+
+    const cars = manager.getTrafficCars();
+    expect(cars.length).toBeGreaterThan(10);
+    expect(cars.length).toBeLessThanOrEqual(TRAFFIC_CONFIG.MAX_CARS);
+
+    const laneOffsets = [-1, 1].map(
+      (side) =>
+        WORLD_CONFIG.CARRIAGEWAY_OFFSET + (side * TRAFFIC_CONFIG.LANE_WIDTH) / 2
+    );
+    for (const car of cars) {
+      const { x, z } = car.getPosition();
+      const distance = Math.hypot(x - 210, z + 190);
+      expect(distance).toBeGreaterThanOrEqual(
+        TRAFFIC_CONFIG.SPAWN_MIN_DISTANCE
+      );
+      expect(distance).toBeLessThanOrEqual(TRAFFIC_CONFIG.SPAWN_MAX_DISTANCE);
+
+      // Offset from the road's center line is the right-hand carriageway
+      const direction = LANE_DIRECTIONS[car.lane];
+      const vertical = direction.x === 0;
+      const across = vertical ? x : z;
+      const offset = across - Math.round(across / 200) * 200;
+      const right = carriagewayOffset(direction.x, direction.z, 1);
+      const signedOffset = offset * (vertical ? right.x : right.z);
+      expect(laneOffsets).toContainEqual(expect.closeTo(signedOffset, 5));
+
+      // Heading matches the lane direction
+      expect(Math.sin(car.rotation)).toBeCloseTo(direction.x);
+      expect(Math.cos(car.rotation)).toBeCloseTo(direction.z);
+    }
+  });
+
+  it("spawns nothing on roads whose tiles aren't loaded", () => {
+    const manager = new TrafficManager(
+      null,
+      makeCity(),
+      new SeededRandom(5),
+      makePlayer(5000, 5000)
+    );
+    spawnCars(manager, 50);
+
+    expect(manager.getTrafficCars()).toHaveLength(0);
+  });
+
+  it("despawns cars the player leaves behind", () => {
+    const player = makePlayer(0, 0);
+    const manager = new TrafficManager(
+      null,
+      makeCity(),
+      new SeededRandom(9),
+      player
+    );
+    spawnCars(manager, 100);
+    const spawned = manager.getTrafficCars();
+    expect(spawned.length).toBeGreaterThan(0);
+
+    player.position.x = 600;
+    manager.update(0);
+
+    const remaining = manager.getTrafficCars();
+    remaining.forEach((car) => {
+      const { x, z } = car.getPosition();
+      expect(Math.hypot(x - 600, z)).toBeLessThanOrEqual(
+        TRAFFIC_CONFIG.DESPAWN_DISTANCE
+      );
+    });
+    expect(spawned.some((car) => !remaining.includes(car))).toBe(true);
+  });
+});
+
+// Heading -Z on the x = 0 road toward the crossroads at the origin, in the
+// outer lane of its carriageway
+function makeTurningCar(turnWeights) {
+  return new TrafficCar(
+    null,
+    { x: 6.25, y: 0, z: 60 },
+    0,
+    new SeededRandom(4),
+    {
+      ...TRAFFIC_CONFIG,
+      TURN_WEIGHTS: turnWeights,
+    }
+  );
+}
+
+function drive(car, city, seconds, onStep = () => {}) {
+  for (let i = 0; i < seconds * 60; i++) {
+    car.update(1 / 60, city);
+    onStep(car);
+  }
+}
+
+describe("TrafficCar turning", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("signals, slows down and turns into the lane of the crossing road", () => {
+    const car = makeTurningCar({ STRAIGHT: 0, LEFT: 0, RIGHT: 1 });
+    let signalled = false;
+    let slowest = Infinity;
+    drive(car, makeCity(), 12, () => {
+      signalled ||= car.getIndicator() === "right";
+      if (car.turnArc) slowest = Math.min(slowest, car.speed);
+    });
+
+    // Right of -Z is +X; keep-right there is +Z of the road, outer lane
+    expect(signalled).toBe(true);
+    expect(slowest).toBeCloseTo(TRAFFIC_CONFIG.TURN_SPEED);
+    expect(car.lane).toBe(3);
+    expect(car.getIndicator()).toBeNull();
+    expect(car.getPosition().x).toBeGreaterThan(20);
+    expect(car.getPosition().z).toBeCloseTo(6.25, 1);
+    expect(Math.sin(car.rotation)).toBeCloseTo(1);
+  });
+
+  it("keeps its lane through a left turn", () => {
+    const car = makeTurningCar({ STRAIGHT: 0, LEFT: 1, RIGHT: 0 });
+    drive(car, makeCity(), 12);
+
+    expect(car.lane).toBe(2);
+    expect(car.getPosition().x).toBeLessThan(-20);
+    expect(car.getPosition().z).toBeCloseTo(-6.25, 1);
+  });
+
+  it("goes straight on when the crossing road isn't loaded", () => {
+    const city = makeCity([1, 0, -1].map((gridZ) => [0, gridZ]));
+    const car = makeTurningCar({ STRAIGHT: 0, LEFT: 1, RIGHT: 1 });
+    drive(car, city, 10, () => {
+      expect(car.getIndicator()).toBeNull();
+    });
+
+    expect(car.lane).toBe(0);
+    expect(car.getPosition().x).toBeCloseTo(6.25);
+    expect(car.getPosition().z).toBeLessThan(-20);
+  });
+});
+
+describe("TrafficCar signals", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  function makeSignalledCity(getState) {
+    return { ...makeCity(), getSignalState: vi.fn(getState) };
+  }
+
+  it("queues at the stop line on red and drives on at green", () => {
+    let signal = "red";
+    const city = makeSignalledCity(() => signal);
+    const cars = [0, 1, 2].map(
+      (i) =>
+        new TrafficCar(
+          null,
+          { x: 6.25, y: 0, z: 50 + i * 15 },
+          0,
+          new SeededRandom(i),
+          {
+            ...TRAFFIC_CONFIG,
+            TURN_WEIGHTS: { STRAIGHT: 1, LEFT: 0, RIGHT: 0 },
+          }
+        )
+    );
+    const step = () => cars.forEach((car) => car.update(1 / 60, city, cars));
+
+    for (let i = 0; i < 60 * 15; i++) step();
+
+    // First car waits at the line, the rest queue behind it
+    const positions = cars.map((car) => car.getPosition().z);
+    expect(positions[0]).toBeGreaterThanOrEqual(
+      TRAFFIC_CONFIG.STOP_LINE_DISTANCE
+    );
+    expect(positions[0]).toBeLessThan(TRAFFIC_CONFIG.STOP_LINE_DISTANCE + 1);
+    expect(positions[1]).toBeGreaterThan(positions[0]);
+    expect(positions[2]).toBeGreaterThan(positions[1]);
+    cars.forEach((car) => expect(car.speed).toBe(0));
+    expect(city.getSignalState).toHaveBeenCalledWith(0, 0, "z");
+
+    signal = "green";
+    for (let i = 0; i < 60 * 10; i++) step();
+
+    cars.forEach((car) => expect(car.getPosition().z).toBeLessThan(-10));
+  });
+
+  it("carries on through a yellow it is too close to stop for", () => {
+    const city = makeSignalledCity(() => "yellow");
+    const car = new TrafficCar(
+      null,
+      { x: 6.25, y: 0, z: TRAFFIC_CONFIG.STOP_LINE_DISTANCE + 2 },
+      0,
+      new SeededRandom(1),
+      { ...TRAFFIC_CONFIG, TURN_WEIGHTS: { STRAIGHT: 1, LEFT: 0, RIGHT: 0 } }
+    );
+    drive(car, city, 3);
+
+    expect(car.getPosition().z).toBeLessThan(-10);
+  });
+});
+
+describe("TrafficCar pedestrians", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("stops for a pedestrian in its lane and drives on once they leave", () => {
+    const car = makeTurningCar({ STRAIGHT: 1, LEFT: 0, RIGHT: 0 });
+    car.position.z = 80;
+    const pedestrian = { x: 6.5, z: 70 };
+    const city = makeCity();
+    for (let i = 0; i < 60 * 5; i++) {
+      car.update(1 / 60, city, [], [pedestrian]);
+    }
+
+    // Bumper (1.6 ahead of center) short of the pedestrian
+    expect(car.speed).toBeCloseTo(0);
+    expect(car.getPosition().z).toBeGreaterThan(pedestrian.z + 1.6);
+
+    pedestrian.x = 11; // Back on the sidewalk
+    for (let i = 0; i < 60; i++) car.update(1 / 60, city, [], [pedestrian]);
+
+    expect(car.speed).toBeGreaterThan(0);
+    expect(car.getPosition().z).toBeLessThan(pedestrian.z);
+  });
+});
+
+describe("TrafficCar sirens", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  // Inner lane heading -Z on the x = 0 road, well before the crossroads
+  function makeYieldingCar(z) {
+    return new TrafficCar(null, { x: 2.75, y: 0, z }, 0, new SeededRandom(2), {
+      ...TRAFFIC_CONFIG,
+      TURN_WEIGHTS: { STRAIGHT: 1, LEFT: 0, RIGHT: 0 },
+    });
+  }
+
+  it("pulls over to the road edge and stops, then merges back", () => {
+    const car = makeYieldingCar(170);
+    const city = makeCity();
+    const siren = { x: 2.75, z: 195 };
+    for (let i = 0; i < 60 * 5; i++) {
+      car.update(1 / 60, city, [], [], [siren]);
+      siren.z = car.getPosition().z + 25; // Stuck behind it
+    }
+
+    expect(car.yieldState).toBe("stopped");
+    expect(car.speed).toBe(0);
+    expect(car.getPosition().x).toBeCloseTo(TRAFFIC_CONFIG.YIELD_EDGE_OFFSET);
+    const stoppedAt = car.getPosition().z;
+
+    // The police car goes by and away
+    for (let i = 0; i < 60 * 10; i++) car.update(1 / 60, city, [], [], []);
+
+    expect(car.yieldState).toBeNull();
+    expect(car.getPosition().x).toBeCloseTo(2.75);
+    expect(car.getPosition().z).toBeLessThan(stoppedAt - 20);
+    expect(Math.sin(car.rotation)).toBeCloseTo(0);
+  });
+
+  it("carries on through a crossroads it is about to reach first", () => {
+    const car = makeYieldingCar(40);
+    car.update(1 / 60, makeCity(), [], [], [{ x: 2.75, z: 60 }]);
+
+    expect(car.yieldState).toBeNull();
+  });
+
+  it("only pulls over for police with sirens on", () => {
+    const manager = new TrafficManager(
+      null,
+      makeCity(),
+      new SeededRandom(5),
+      makePlayer(0, 100)
+    );
+    const car = makeYieldingCar(170);
+    manager.trafficCars.push(car);
+    const police = {
+      engaged: false,
+      isEngaged() {
+        return this.engaged;
+      },
+      getPosition: () => ({ x: 2.75, y: 0, z: 195 }),
+    };
+    manager.setPoliceUnits([police]);
+
+    manager.update(0.1);
+    expect(car.yieldState).toBeNull();
+
+    police.engaged = true;
+    manager.update(0.1);
+    expect(car.yieldState).toBe("pulling");
+  });
+});
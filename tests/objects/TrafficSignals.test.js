@@ -0,0 +1,86 @@
+import { describe, expect, it, vi } from "vitest";
+import { TrafficSignalController } from "../../src/objects/TrafficSignals.js";
+import { SIGNAL_CONFIG } from "../../src/utils/constants.js";
+import { SeededRandom } from "../../src/utils/seededRandom.js";
+
+function makeController() {
+  const streetFurniture = { setTrafficLightState: vi.fn() };
+  const controller = new TrafficSignalController(
+    new SeededRandom(11),
+    streetFurniture
+  );
+  return { controller, streetFurniture };
+}
+
+describe("TrafficSignalController", () => {
+  it("cycles green, yellow and red with the axes never green together", () => {
+    const { controller } = makeController();
+    const { GREEN_TIME, YELLOW_TIME, ALL_RED_TIME } = SIGNAL_CONFIG;
+    const seen = { x: new Map(), z: new Map() };
+
+    for (let t = 0; t < controller.getCycleTime(); t += 0.25) {
+      const x = controller.getState(2, 3, "x");
+      const z = controller.getState(2, 3, "z");
+      expect(x === "red" || z === "red").toBe(true);
+      seen.x.set(x, (seen.x.get(x) || 0) + 0.25);
+      seen.z.set(z, (seen.z.get(z) || 0) + 0.25);
+      controller.update(0.25);
+    }
+
+    for (const axis of ["x", "z"]) {
+      expect(seen[axis].get("green")).toBeCloseTo(GREEN_TIME, 0);
+      expect(seen[axis].get("yellow")).toBeCloseTo(YELLOW_TIME, 0);
+      expect(seen[axis].get("red")).toBeCloseTo(
+        GREEN_TIME + YELLOW_TIME + ALL_RED_TIME * 2,
+        0
+      );
+    }
+  });
+
+  it("relights registered lights only when their phase changes", () => {
+    const { controller, streetFurniture } = makeController();
+    const northSouth = { name: "ns" };
+    const eastWest = { name: "ew" };
+    controller.addIntersection(0, 0, [
+      { light: northSouth, axis: "z" },
+      { light: eastWest, axis: "x" },
+    ]);
+
+    // Both lights show their phase as soon as they are registered
+    expect(streetFurniture.setTrafficLightState).toHaveBeenCalledWith(
+      northSouth,
+      controller.getState(0, 0, "z")
+    );
+    expect(streetFurniture.setTrafficLightState).toHaveBeenCalledTimes(2);
+
+    controller.update(0.01);
+    const cycle = controller.getCycleTime();
+    let changes = 0;
+    for (let t = 0; t < cycle; t += 0.5) {
+      const before = controller.getState(0, 0, "x");
+      controller.update(0.5);
+      if (controller.getState(0, 0, "x") !== before) changes++;
+    }
+
+    // Three phase changes per axis per cycle (give or take the wrap)
+    const calls = streetFurniture.setTrafficLightState.mock.calls;
+    const eastWestCalls = calls.filter(([light]) => light === eastWest);
+    expect(eastWestCalls.length - 1).toBe(changes);
+    expect(changes).toBeGreaterThanOrEqual(2);
+  });
+
+  it("stops relighting a crossroads once it is removed", () => {
+    const { controller, streetFurniture } = makeController();
+    const before = controller.getState(4, -1, "x");
+    controller.addIntersection(4, -1, [{ light: {}, axis: "x" }]);
+
+    // Registering doesn't move the crossroads in its cycle
+    expect(controller.getState(4, -1, "x")).toBe(before);
+
+    controller.removeIntersection(4, -1);
+    streetFurniture.setTrafficLightState.mockClear();
+    controller.update(controller.getCycleTime() / 2);
+
+    expect(streetFurniture.setTrafficLightState).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * GLTFLoader Stub
+ * Models never load in tests - callers fall back to their no-model path
+ */
+
+export class GLTFLoader {
+  load(path, onLoad, onProgress, onError) {
+    if (onError) onError(new Error(`Models are not loaded in tests: ${path}`));
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Three.js Stub
+ * Minimal stand-ins for the Three.js classes the game touches, so gameplay
+ * code can be imported and exercised in Node without WebGL
+ */
+
+export class Vector3 {
+  constructor(x = 0, y = 0, z = 0) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  set(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    return this;
+  }
+
+  copy(v) {
+    this.x = v.x;
+    this.y = v.y;
+    this.z = v.z;
+    return this;
+  }
+
+  clone() {
+    return new Vector3(this.x, this.y, this.z);
+  }
+
+  add(v) {
+    this.x += v.x;
+    this.y += v.y;
+    this.z += v.z;
+    return this;
+  }
+
+  multiplyScalar(s) {
+    this.x *= s;
+    this.y *= s;
+    this.z *= s;
+    return this;
+  }
+
+  length() {
+    return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+  }
+}
+
+export class Color {
+  constructor(hex = 0) {
+    this.hex = hex;
+  }
+
+  setHex(hex) {
+    this.hex = hex;
+    return this;
+  }
+
+  setHSL() {
+    return this;
+  }
+}
+
+export class Object3D {
+  constructor() {
+    this.position = new Vector3();
+    this.rotation = new Vector3();
+    this.scale = new Vector3(1, 1, 1);
+    this.children = [];
+    this.parent = null;
+    this.visible = true;
+    this.userData = {};
+  }
+
+  add(...objects) {
+    for (const object of objects) {
+      object.parent = this;
+      this.children.push(object);
+    }
+    return this;
+  }
+
+  remove(...objects) {
+    for (const object of objects) {
+      const index = this.children.indexOf(object);
+      if (index !== -1) this.children.splice(index, 1);
+      object.parent = null;
+    }
+    return this;
+  }
+
+  traverse(callback) {
+    callback(this);
+    for (const child of this.children) child.traverse(callback);
+  }
+
+  clone() {
+    return new this.constructor();
+  }
+}
+
+export class Group extends Object3D {}
+export class Scene extends Object3D {}
+export class Sprite extends Object3D {}
+
+export class PointLight extends Object3D {
+  constructor(color = 0xffffff, intensity = 1, distance = 0) {
+    super();
+    this.color = new Color(color);
+    this.intensity = intensity;
+    this.distance = distance;
+  }
+
+  dispose() {}
+}
+
+export class Mesh extends Object3D {
+  constructor(geometry = new BufferGeometry(), material = new Material()) {
+    super();
+    this.geometry = geometry;
+    this.material = material;
+    this.isMesh = true;
+  }
+}
+
+export class BufferGeometry {
+  constructor(parameters = {}) {
+    this.parameters = parameters;
+  }
+
+  translate() {
+    return this;
+  }
+
+  rotateX() {
+    return this;
+  }
+
+  dispose() {}
+}
+
+export class BoxGeometry extends BufferGeometry {
+  constructor(width = 1, height = 1, depth = 1) {
+    super({ width, height, depth });
+  }
+}
+
+export class PlaneGeometry extends BufferGeometry {
+  constructor(width = 1, height = 1) {
+    super({ width, height });
+  }
+}
+
+export class SphereGeometry extends BufferGeometry {}
+export class CylinderGeometry extends BufferGeometry {}
+export class ConeGeometry extends BufferGeometry {}
+export class CircleGeometry extends BufferGeometry {}
+export class RingGeometry extends BufferGeometry {}
+
+export class Material {
+  constructor(parameters = {}) {
+    Object.assign(this, parameters);
+    this.color = new Color(parameters.color);
+  }
+
+  clone() {
+    return new this.constructor(this);
+  }
+
+  dispose() {}
+}
+
+export class MeshBasicMaterial extends Material {}
+export class MeshLambertMaterial extends Material {}
+export class MeshStandardMaterial extends Material {}
+export class MeshPhongMaterial extends Material {}
+export class SpriteMaterial extends Material {}
+
+export class CanvasTexture {
+  constructor() {
+    this.repeat = new Vector3();
+  }
+
+  dispose() {}
+}
+
+export const DoubleSide = 2;
+export const RepeatWrapping = 1000;
+export const NearestFilter = 1003;
@@ -0,0 +1,656 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { CollisionSystem } from "../../src/systems/CollisionSystem.js";
+import { SpatialHash } from "../../src/utils/spatialHash.js";
+import {
+  ENEMY_CONFIG,
+  PLAYER_CONFIG,
+  WANTED_CONFIG,
+} from "../../src/utils/constants.js";
+import { makePlayer as makeFixturePlayer } from "../helpers/fixtures.js";
+
+/**
+ * Minimal vehicle: position, optional velocity/speed and a 2x2 bounding box
+ */
+function makeVehicle(x, z, { velocity = null, speed, halfSize = 1 } = {}) {
+  const vehicle = {
+    position: { x, y: 0, z },
+    getPosition() {
+      return this.position;
+    },
+    getBoundingBox() {
+      return {
+        min: {
+          x: this.position.x - halfSize,
+          y: 0,
+          z: this.position.z - halfSize,
+        },
+        max: {
+          x: this.position.x + halfSize,
+          y: 1,
+          z: this.position.z + halfSize,
+        },
+      };
+    },
+  };
+  if (velocity) vehicle.velocity = { ...velocity };
+  if (speed !== undefined) vehicle.speed = speed;
+  return vehicle;
+}
+
+// Shared player stand-in with a vehicle's box, that the system can trap
+function makePlayer(x = 0, z = 0) {
+  return makeFixturePlayer(x, z, {
+    velocity: { x: 0, z: 0 },
+    getBoundingBox: makeVehicle(x, z).getBoundingBox,
+    isTrapped: false,
+    setTrapped: vi.fn(function () {
+      this.isTrapped = true;
+    }),
+  });
+}
+
+function makeBuilding(x, z, width, depth) {
+  return {
+    position: { x, y: 0, z },
+    geometry: { parameters: { width, height: 10, depth } },
+  };
+}
+
+/**
+ * City stand-in with a real building grid behind its query methods
+ */
+function makeCity(buildings) {
+  const grid = new SpatialHash(40);
+  for (const b of buildings) {
+    const { width, depth } = b.geometry.parameters;
+    grid.insertCentered(b, b.position.x, b.position.z, width / 2, depth / 2);
+  }
+  return {
+    getBuildings: () => buildings,
+    getBuildingsNear: (x, z, r, out) => grid.queryRadius(x, z, r, out),
+    getBuildingsInBox: (minX, minZ, maxX, maxZ, out) =>
+      grid.query(minX, minZ, maxX, maxZ, out),
+  };
+}
+
+describe("CollisionSystem", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  describe("_resolveVehiclePair", () => {
+    it("returns false and leaves separated vehicles alone", () => {
+      const system = new CollisionSystem(makePlayer(), []);
+      const a = makeVehicle(0, 0, { velocity: { x: 1, z: 0 } });
+      const b = makeVehicle(5, 0, { velocity: { x: -1, z: 0 } });
+
+      expect(system._resolveVehiclePair(a, b)).toBe(false);
+      expect(a.position.x).toBe(0);
+      expect(b.position.x).toBe(5);
+      expect(a.velocity.x).toBe(1);
+    });
+
+    it("pushes overlapping vehicles apart along the shallow axis", () => {
+      const system = new CollisionSystem(makePlayer(), []);
+      const a = makeVehicle(0, 0);
+      const b = makeVehicle(1.5, 0.2);
+
+      expect(system._resolveVehiclePair(a, b)).toBe(true);
+      expect(a.position.x).toBeLessThan(0);
+      expect(b.position.x).toBeGreaterThan(1.5);
+      expect(system._computeMTV2D(a.getBoundingBox(), b.getBoundingBox())).toBe(
+        null
+      );
+    });
+
+    it("splits the correction by mass - the heavier vehicle moves less", () => {
+      const system = new CollisionSystem(makePlayer(), []);
+      const light = makeVehicle(0, 0);
+      const heavy = makeVehicle(1.5, 0);
+
+      system._resolveVehiclePair(light, heavy, {
+        massA: 1,
+        massB: 3,
+        minSeparation: 0,
+      });
+
+      expect(Math.abs(light.position.x)).toBeGreaterThan(
+        Math.abs(heavy.position.x - 1.5)
+      );
+    });
+
+    it("exchanges momentum in a head-on collision", () => {
+      const system = new CollisionSystem(makePlayer(), []);
+      const a = makeVehicle(0, 0, { velocity: { x: 10, z: 0 } });
+      const b = makeVehicle(1.5, 0, { velocity: { x: -10, z: 0 } });
+
+      system._resolveVehiclePair(a, b, { elasticity: 0.5, friction: 1 });
+
+      // Equal masses: equal and opposite impulses reverse both vehicles
+      expect(a.velocity.x).toBeLessThan(0);
+      expect(b.velocity.x).toBeGreaterThan(0);
+      expect(a.velocity.x + b.velocity.x).toBeCloseTo(0);
+      expect(a.velocity.x).toBeCloseTo(-5);
+    });
+
+    it("skips the impulse when vehicles are already separating", () => {
+      const system = new CollisionSystem(makePlayer(), []);
+      const a = makeVehicle(0, 0, { velocity: { x: -4, z: 0 } });
+      const b = makeVehicle(1.5, 0, { velocity: { x: 4, z: 0 } });
+
+      expect(system._resolveVehiclePair(a, b)).toBe(true);
+      expect(a.velocity.x).toBe(-4);
+      expect(b.velocity.x).toBe(4);
+    });
+
+    it("bounces a moving vehicle off one that only has speed", () => {
+      const system = new CollisionSystem(makePlayer(), []);
+      const car = makeVehicle(0, 0, { velocity: { x: 10, z: 0 } });
+      const traffic = makeVehicle(1.5, 0, { speed: 10 });
+
+      system._resolveVehiclePair(car, traffic, { elasticity: 0.5 });
+
+      expect(car.velocity.x).toBeLessThan(10);
+      expect(traffic.speed).toBeGreaterThan(10);
+    });
+
+    it("slows speed-only vehicles but never below the minimum", () => {
+      const system = new CollisionSystem(makePlayer(), []);
+      const a = makeVehicle(0, 0, { speed: 12 });
+      const b = makeVehicle(1.5, 0, { speed: 5 });
+
+      system._resolveVehiclePair(a, b, { friction: 0.5 });
+
+      expect(a.speed).toBe(6);
+      expect(b.speed).toBe(4);
+    });
+  });
+
+  describe("impact damage", () => {
+    function makeDamageable(x, vx) {
+      const car = makeVehicle(x, 0, { velocity: { x: vx, z: 0 } });
+      car.takeDamage = vi.fn();
+      return car;
+    }
+
+    it("damages vehicles in high-speed impacts, the lighter more", () => {
+      const system = new CollisionSystem(makePlayer(100, 100), []);
+      const light = makeDamageable(0, 15);
+      const heavy = makeDamageable(1.5, -15);
+
+      system._resolveVehiclePair(light, heavy, { massA: 1, massB: 3 });
+
+      const lightDamage = light.takeDamage.mock.calls[0][0];
+      const heavyDamage = heavy.takeDamage.mock.calls[0][0];
+      expect(lightDamage).toBeCloseTo(heavyDamage * 3);
+      expect(lightDamage + heavyDamage).toBeCloseTo(
+        (30 - ENEMY_CONFIG.IMPACT_DAMAGE_MIN_SPEED) *
+          ENEMY_CONFIG.IMPACT_DAMAGE_FACTOR *
+          2
+      );
+    });
+
+    it("ignores low-speed bumps", () => {
+      const system = new CollisionSystem(makePlayer(100, 100), []);
+      const a = makeDamageable(0, 2);
+      const b = makeDamageable(1.5, -2);
+
+      system._resolveVehiclePair(a, b);
+
+      expect(a.takeDamage).not.toHaveBeenCalled();
+      expect(b.takeDamage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("player crash damage", () => {
+    function makeDamageablePlayer(velocity) {
+      const player = makePlayer(0, 0);
+      player.velocity = velocity;
+      player.takeDamage = vi.fn(() => true);
+      return player;
+    }
+
+    it("scales with impact speed per collision type", () => {
+      const player = makeDamageablePlayer({ x: 0, z: 0 });
+      const system = new CollisionSystem(player, []);
+      const { BUILDING, TRAFFIC } = PLAYER_CONFIG.CRASH_DAMAGE;
+
+      system._damagePlayer("BUILDING", BUILDING.MIN_SPEED - 1);
+      expect(player.takeDamage).not.toHaveBeenCalled();
+
+      system._damagePlayer("BUILDING", BUILDING.MIN_SPEED + 10);
+      system._damagePlayer("TRAFFIC", TRAFFIC.MIN_SPEED + 10);
+      expect(player.takeDamage.mock.calls[0][0]).toBeCloseTo(
+        10 * BUILDING.FACTOR
+      );
+      expect(player.takeDamage.mock.calls[1][0]).toBeCloseTo(
+        10 * TRAFFIC.FACTOR
+      );
+    });
+
+    it("hurts more from heavier police units", () => {
+      const hitBy = (mass) => {
+        const player = makeDamageablePlayer({ x: 30, z: 0 });
+        const police = makeVehicle(4, 0, { velocity: { x: 0, z: 0 } });
+        police.getMass = () => mass;
+        new CollisionSystem(player, [police])._enforcePlayerPoliceSeparation();
+        return player.takeDamage.mock.calls[0][0];
+      };
+
+      expect(hitBy(4)).toBeGreaterThan(hitBy(1));
+    });
+
+    it("leaves player damage out of vehicle impact damage", () => {
+      const player = makeDamageablePlayer({ x: 30, z: 0 });
+      const system = new CollisionSystem(player, []);
+      const police = makeVehicle(1.5, 0, { velocity: { x: -30, z: 0 } });
+      police.takeDamage = vi.fn();
+
+      system._resolveVehiclePair(player, police, { massB: 1.8 });
+
+      expect(police.takeDamage).toHaveBeenCalled();
+      expect(player.takeDamage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("_resolveInterVehicleCollisions", () => {
+    const trafficAt = (x, z) => makeVehicle(x, z, { speed: 10 });
+
+    it("separates overlapping traffic found through the grid", () => {
+      const cars = [trafficAt(0, 0), trafficAt(1.5, 0), trafficAt(500, 500)];
+      const trafficManager = { getTrafficCars: () => cars };
+      const system = new CollisionSystem(
+        makePlayer(100, 100),
+        [],
+        null,
+        null,
+        null,
+        trafficManager
+      );
+      const resolve = vi.spyOn(system, "_resolveVehiclePair");
+
+      system._indexTraffic();
+      system._resolveInterVehicleCollisions(0.016);
+
+      // Only the one nearby pair is tested, not all three combinations
+      expect(resolve).toHaveBeenCalledTimes(1);
+      expect(resolve.mock.calls[0][0]).toBe(cars[0]);
+      expect(resolve.mock.calls[0][1]).toBe(cars[1]);
+      expect(cars[0].position.x).toBeLessThan(0);
+    });
+
+    it("pushes traffic away from nearby police", () => {
+      const car = trafficAt(1.5, 0);
+      const police = makeVehicle(0, 0, { velocity: { x: 0, z: 0 } });
+      const trafficManager = { getTrafficCars: () => [car] };
+      const system = new CollisionSystem(
+        makePlayer(100, 100),
+        [police],
+        null,
+        null,
+        null,
+        trafficManager
+      );
+
+      system._indexTraffic();
+      system._resolveInterVehicleCollisions(0.016);
+
+      expect(car.position.x).toBeGreaterThan(1.5);
+    });
+  });
+
+  describe("_checkPlayerTrapped", () => {
+    const at = (x, z) => makeVehicle(x, z);
+
+    it("traps a player boxed in on all four sides", () => {
+      const player = makePlayer();
+      const police = [at(5, 0), at(-5, 0), at(0, 5), at(0, -5)];
+      const system = new CollisionSystem(player, police);
+
+      system._checkPlayerTrapped(0, true);
+
+      expect(player.setTrapped).toHaveBeenCalledOnce();
+    });
+
+    it("traps with three police when six directions are blocked", () => {
+      const player = makePlayer();
+      // Only south is left open - 7 of 8 directions blocked
+      const police = [at(5, 0), at(-5, 0), at(0, 5)];
+      const system = new CollisionSystem(player, police);
+
+      system._checkPlayerTrapped(0, true);
+
+      expect(player.setTrapped).toHaveBeenCalledOnce();
+    });
+
+    it("needs at least three police close by", () => {
+      const player = makePlayer();
+      const police = [at(5, 0), at(-5, 0), at(0, 30)];
+      const system = new CollisionSystem(player, police);
+
+      system._checkPlayerTrapped(0, true);
+
+      expect(player.setTrapped).not.toHaveBeenCalled();
+    });
+
+    it("does not trap when police only cover one side", () => {
+      const player = makePlayer();
+      const police = [at(6, 2), at(6, 0), at(6, -2)];
+      const system = new CollisionSystem(player, police);
+
+      system._checkPlayerTrapped(0, true);
+
+      expect(player.setTrapped).not.toHaveBeenCalled();
+    });
+
+    it("counts buildings towards blocked directions", () => {
+      // Police block E, N and the diagonals between them (5 of 8)
+      const police = [at(5, 0), at(0, 5), at(4, 4)];
+
+      const openPlayer = makePlayer();
+      new CollisionSystem(openPlayer, police)._checkPlayerTrapped(0, true);
+      expect(openPlayer.setTrapped).not.toHaveBeenCalled();
+
+      // A wall to the south closes S and SW as well
+      const player = makePlayer();
+      const city = makeCity([makeBuilding(0, -8, 20, 4)]);
+      new CollisionSystem(player, police, city)._checkPlayerTrapped(0, true);
+      expect(player.setTrapped).toHaveBeenCalledOnce();
+    });
+
+    it("is not triggered by buildings without enough police blocking", () => {
+      const player = makePlayer();
+      // Three police close by but on one side; buildings block the rest
+      const police = [at(6, 2), at(6, 0), at(6, -2)];
+      const city = makeCity([
+        makeBuilding(-6, 0, 4, 20),
+        makeBuilding(0, 6, 20, 4),
+        makeBuilding(0, -6, 20, 4),
+      ]);
+      const system = new CollisionSystem(player, police, city);
+
+      system._checkPlayerTrapped(0, true);
+
+      expect(player.setTrapped).not.toHaveBeenCalled();
+    });
+
+    it("only runs the check every 150ms unless forced", () => {
+      const player = makePlayer();
+      const police = [at(5, 0), at(-5, 0), at(0, 5), at(0, -5)];
+      const system = new CollisionSystem(player, police);
+
+      system._checkPlayerTrapped(0.1);
+      expect(player.setTrapped).not.toHaveBeenCalled();
+
+      system._checkPlayerTrapped(0.1);
+      expect(player.setTrapped).toHaveBeenCalledOnce();
+    });
+  });
+
+  describe("offenses", () => {
+    function makeSystem(player, { police = [], city = null } = {}) {
+      const system = new CollisionSystem(player, police, city);
+      const offenses = [];
+      system.setOnOffense((type) => offenses.push(type));
+      return { system, offenses };
+    }
+
+    it("reports driving into a police car but not being rammed", () => {
+      const police = makeVehicle(4, 0);
+      const player = makePlayer();
+      const { system, offenses } = makeSystem(player, { police: [police] });
+
+      player.velocity.x = -20; // Driving away
+      system._updateOffenses(0.016);
+      expect(offenses).toEqual([]);
+
+      player.velocity.x = 20;
+      system._updateOffenses(0.016);
+      system._updateOffenses(0.016);
+      expect(offenses).toEqual(["HIT_POLICE"]); // Once per cooldown
+    });
+
+    it("reports speeding only near police", () => {
+      const police = makeVehicle(WANTED_CONFIG.SPEEDING_WITNESS_RANGE + 5, 0);
+      const player = makePlayer();
+      player.velocity.z = WANTED_CONFIG.SPEEDING_SPEED + 1;
+      const { system, offenses } = makeSystem(player, { police: [police] });
+
+      system._updateOffenses(0.016);
+      expect(offenses).toEqual([]);
+
+      police.position.x = 10;
+      system._updateOffenses(0.016);
+      expect(offenses).toEqual(["SPEEDING_NEAR_POLICE"]);
+    });
+
+    it("ignores wrecked police for ramming and speeding", () => {
+      const wreck = makeVehicle(4, 0);
+      wreck.isWrecked = () => true;
+      const player = makePlayer();
+      player.velocity.x = WANTED_CONFIG.SPEEDING_SPEED + 1;
+      const { system, offenses } = makeSystem(player, { police: [wreck] });
+
+      system._updateOffenses(0.016);
+      expect(offenses).toEqual([]);
+    });
+
+    it("reports entering an intersection on red along the travel axis", () => {
+      const player = makePlayer(0, 180);
+      player.velocity.z = 15;
+      const city = { getSignalState: vi.fn(() => "red") };
+      const { system, offenses } = makeSystem(player, { city });
+
+      system._updateOffenses(0.016);
+      player.position.z = 195;
+      system._updateOffenses(0.016);
+      player.position.z = 200;
+      system._updateOffenses(0.016);
+
+      // Judged once, on entry
+      expect(city.getSignalState).toHaveBeenCalledOnce();
+      expect(city.getSignalState).toHaveBeenCalledWith(0, 1, "z");
+      expect(offenses).toEqual(["RUN_RED_LIGHT"]);
+    });
+
+    it("does not report green lights", () => {
+      const player = makePlayer(200, 3);
+      player.velocity.x = 15;
+      const city = { getSignalState: vi.fn(() => "green") };
+      const { system, offenses } = makeSystem(player, { city });
+
+      system._updateOffenses(0.016);
+
+      expect(city.getSignalState).toHaveBeenCalledWith(1, 0, "x");
+      expect(offenses).toEqual([]);
+    });
+
+    it("reports ramming traffic at speed", () => {
+      const player = makePlayer();
+      player.rotation = 0;
+      player.crashReverseDirection = { x: 0, z: 0 };
+      const { system, offenses } = makeSystem(player);
+
+      player.velocity.z = 3;
+      system._handlePlayerTrafficCollision(makeVehicle(0, 2));
+      expect(offenses).toEqual([]);
+
+      player.velocity.z = 20;
+      system._handlePlayerTrafficCollision(makeVehicle(0, 2));
+      expect(offenses).toEqual(["RAM_TRAFFIC"]);
+    });
+
+    it("destroys destructible props hit at speed", () => {
+      const player = makePlayer();
+      const prop = {
+        destructible: true,
+        bounds: { min: { x: -1, z: 1 }, max: { x: 1, z: 2 } },
+      };
+      const city = { destroyCityObstacle: vi.fn(() => true) };
+      const { system, offenses } = makeSystem(player, { city });
+
+      player.velocity.z = WANTED_CONFIG.PROP_BREAK_SPEED + 5;
+      system._handlePlayerCityObstacleCollision(prop);
+
+      expect(city.destroyCityObstacle).toHaveBeenCalledWith(prop);
+      expect(offenses).toEqual(["DESTROY_PROP"]);
+      expect(player.velocity.z).toBeGreaterThan(0); // Drove through it
+    });
+  });
+
+  describe("solid obstacles", () => {
+    const barrierAt = (z) => ({
+      type: "barrier",
+      bounds: { min: { x: -3, z: z - 0.2 }, max: { x: 3, z: z + 0.2 } },
+    });
+
+    it("stops the player at a barrier without an offense", () => {
+      const player = makePlayer(0, 1.5);
+      player.rotation = 0;
+      player.speed = 20;
+      player.crashReverseDirection = { x: 0, z: 0 };
+      const city = { destroyCityObstacle: vi.fn(() => false) };
+      const system = new CollisionSystem(player, [], city);
+      const offenses = [];
+      system.setOnOffense((type) => offenses.push(type));
+
+      player.velocity.z = 20;
+      system._handlePlayerCityObstacleCollision(barrierAt(2));
+
+      expect(city.destroyCityObstacle).not.toHaveBeenCalled();
+      expect(offenses).toEqual([]);
+      expect(player.speed).toBe(0);
+      expect(player.isCrashed).toBe(true);
+      // Pushed back out of the barrier
+      expect(player.getBoundingBox().max.z).toBeLessThanOrEqual(1.8 + 1e-9);
+    });
+
+    it("keeps police and traffic out of barriers", () => {
+      const police = makeVehicle(0, 1.5, { velocity: { x: 0, z: 0 } });
+      police.speed = 10;
+      const car = makeVehicle(0, 20.5, { speed: 10 });
+      const city = {
+        getCityObstacles: () => [barrierAt(2), barrierAt(20)],
+      };
+      const trafficManager = { getTrafficCars: () => [car] };
+      const system = new CollisionSystem(
+        makePlayer(100, 100),
+        [police],
+        city,
+        null,
+        null,
+        trafficManager
+      );
+
+      system._indexTraffic();
+      system._resolveVehicleObstacleCollisions();
+
+      expect(police.getBoundingBox().max.z).toBeLessThanOrEqual(1.8 + 1e-9);
+      expect(car.getBoundingBox().min.z).toBeGreaterThanOrEqual(20.2 - 1e-9);
+      expect(police.speed).toBe(5);
+    });
+
+    it("ignores destructible props", () => {
+      const police = makeVehicle(0, 1.5);
+      const city = {
+        getCityObstacles: () => [{ ...barrierAt(2), destructible: true }],
+      };
+      const system = new CollisionSystem(makePlayer(100, 100), [police], city);
+
+      system._resolveVehicleObstacleCollisions();
+
+      expect(police.position.z).toBe(1.5);
+    });
+  });
+
+  describe("PIT maneuver", () => {
+    function makePitScene(pitting) {
+      const player = makePlayer(0, 0);
+      player.velocity = { x: 0, z: 20 };
+      player.getHeading = () => ({ x: 0, z: 1 });
+      player.spin = vi.fn();
+
+      // Turning in from the player's right rear quarter
+      const police = makeVehicle(-4, -3, { velocity: { x: 3, z: 22 } });
+      police.getMass = () => 1.8;
+      police.isPitting = () => pitting;
+      police.onPitContact = vi.fn();
+      return { player, police, system: new CollisionSystem(player, [police]) };
+    }
+
+    it("spins the player out on contact", () => {
+      const { player, police, system } = makePitScene(true);
+
+      system._enforcePlayerPoliceSeparation();
+
+      // Rear pushed to the left - the nose swings right (rotation decreases)
+      expect(player.spin).toHaveBeenCalledOnce();
+      expect(player.spin.mock.calls[0][0]).toBeLessThan(0);
+      expect(police.onPitContact).toHaveBeenCalledOnce();
+    });
+
+    it("leaves the player in control on ordinary contact", () => {
+      const { player, police, system } = makePitScene(false);
+
+      system._enforcePlayerPoliceSeparation();
+
+      expect(player.spin).not.toHaveBeenCalled();
+      expect(police.onPitContact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("traffic near misses", () => {
+    function makeNearMissScene() {
+      const player = makePlayer(0, 0);
+      player.velocity = { x: 0, z: 20 };
+      const car = makeVehicle(3, 0);
+      const trafficManager = { getTrafficCars: () => [car] };
+      const system = new CollisionSystem(
+        player,
+        [],
+        null,
+        null,
+        null,
+        trafficManager
+      );
+      const onNearMiss = vi.fn();
+      system.setOnNearMiss(onNearMiss);
+      return { player, car, system, onNearMiss };
+    }
+
+    it("counts a close pass once the car falls behind", () => {
+      const { player, car, system, onNearMiss } = makeNearMissScene();
+
+      system._indexTraffic();
+      system._checkTrafficNearMisses();
+      expect(onNearMiss).not.toHaveBeenCalled();
+
+      player.position.z = 10;
+      system._indexTraffic();
+      system._checkTrafficNearMisses();
+      system._checkTrafficNearMisses();
+
+      expect(onNearMiss).toHaveBeenCalledOnce();
+      expect(onNearMiss).toHaveBeenCalledWith(car);
+    });
+
+    it("ignores slow passes and cars that were hit", () => {
+      const slow = makeNearMissScene();
+      slow.player.velocity.z = 5;
+      slow.system._indexTraffic();
+      slow.system._checkTrafficNearMisses();
+      slow.player.position.z = 10;
+      slow.system._checkTrafficNearMisses();
+      expect(slow.onNearMiss).not.toHaveBeenCalled();
+
+      const hit = makeNearMissScene();
+      hit.player.crashReverseDirection = { x: 0, z: 0 };
+      hit.system._indexTraffic();
+      hit.system._checkTrafficNearMisses();
+      hit.system._handlePlayerTrafficCollision(hit.car);
+      hit.player.position.z = 10;
+      hit.system._checkTrafficNearMisses();
+      expect(hit.onNearMiss).not.toHaveBeenCalled();
+    });
+  });
+});
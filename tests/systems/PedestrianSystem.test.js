@@ -0,0 +1,204 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { PedestrianSystem } from "../../src/systems/PedestrianSystem.js";
+import { PEDESTRIAN_CONFIG } from "../../src/utils/constants.js";
+import { SeededRandom } from "../../src/utils/seededRandom.js";
+import {
+  gridIntersections,
+  makeCity as makeRoadCity,
+  makePlayer as makeFixturePlayer,
+} from "../helpers/fixtures.js";
+
+const SIDEWALK = PEDESTRIAN_CONFIG.SIDEWALK_OFFSET;
+
+// Loaded tiles from -3 to 3 around the origin in both axes
+function makeCity(pedestriansPerTile, getSignalState = () => "red") {
+  return makeRoadCity(gridIntersections(3), {
+    getDistrict: vi.fn((gridX, gridZ) => ({
+      PEDESTRIANS: pedestriansPerTile(gridX, gridZ),
+    })),
+    getSignalState: vi.fn(getSignalState),
+  });
+}
+
+function makePlayer(x, z, speed = 0) {
+  return makeFixturePlayer(x, z, { speed });
+}
+
+function makePolice(x, z, engaged) {
+  return {
+    speed: 0,
+    getPosition: () => ({ x, y: 0, z }),
+    isWrecked: () => false,
+    isEngaged: () => engaged,
+  };
+}
+
+// Distance from the center line of the nearest road either way
+function roadOffsets({ x, z }) {
+  return [
+    Math.abs(x - Math.round(x / 200) * 200),
+    Math.abs(z - Math.round(z / 200) * 200),
+  ];
+}
+
+describe("PedestrianSystem", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("fills the sidewalks around the player to each district's density", () => {
+    const city = makeCity((gridX) => (gridX === 1 ? 0 : 4));
+    const system = new PedestrianSystem(
+      null,
+      makePlayer(10, 10),
+      city,
+      [],
+      null,
+      new SeededRandom(3)
+    );
+    for (let i = 0; i < 400; i++) system.update(0);
+
+    const pedestrians = system.getPedestrians();
+    // Four walkers on each tile in reach; the gridX 1 district wants nobody
+    // and the diagonal tiles' sidewalks are all past DESPAWN_DISTANCE
+    expect(pedestrians).toHaveLength(16);
+    for (const pedestrian of pedestrians) {
+      expect(Math.round(pedestrian.x / 200)).not.toBe(1);
+      expect(Math.hypot(pedestrian.x - 10, pedestrian.z - 10)).toBeGreaterThan(
+        PEDESTRIAN_CONFIG.SPAWN_MIN_DISTANCE
+      );
+      // On the sidewalk line of the road beside them, off the crossroads
+      const [fromVertical, fromHorizontal] = roadOffsets(pedestrian);
+      const lateral = pedestrian.alongX ? fromHorizontal : fromVertical;
+      const along = pedestrian.alongX ? fromVertical : fromHorizontal;
+      expect(lateral).toBeCloseTo(SIDEWALK);
+      expect(along).toBeGreaterThan(SIDEWALK);
+    }
+  });
+
+  it("only steps into the road over a crosswalk while its traffic has a red", () => {
+    // East-west walkers may cross; north-south traffic never stops for them
+    const city = makeCity(
+      () => 8,
+      (gridX, gridZ, axis) => (axis === "z" ? "red" : "green")
+    );
+    const system = new PedestrianSystem(
+      null,
+      makePlayer(0, 0),
+      city,
+      [],
+      null,
+      new SeededRandom(8),
+      { ...PEDESTRIAN_CONFIG, WALK_SPEED: 10, CROSS_SPEED: 10 }
+    );
+
+    let crossings = 0;
+    for (let i = 0; i < 60 * 60; i++) {
+      system.update(1 / 60);
+      for (const pedestrian of system.getPedestrians()) {
+        const [fromVertical, fromHorizontal] = roadOffsets(pedestrian);
+        const inRoad = Math.min(fromVertical, fromHorizontal) < 9;
+        if (pedestrian.state !== "cross") {
+          expect(inRoad).toBe(false);
+          continue;
+        }
+        crossings++;
+        expect(pedestrian.alongX).toBe(true);
+      }
+    }
+
+    expect(crossings).toBeGreaterThan(0);
+    expect(
+      system.getPedestrians().some((pedestrian) => pedestrian.state === "wait")
+    ).toBe(true);
+  });
+
+  it("runs from a speeding car but not a slow one", () => {
+    const player = makePlayer(35, 4, 5);
+    const system = new PedestrianSystem(
+      null,
+      player,
+      makeCity(() => 0),
+      [],
+      null,
+      new SeededRandom(1)
+    );
+    const pedestrian = system.spawn(50, SIDEWALK, true, -1);
+
+    system.update(0.1);
+    expect(pedestrian.dir).toBe(-1);
+    expect(pedestrian.speed).toBe(PEDESTRIAN_CONFIG.WALK_SPEED);
+
+    player.speed = PEDESTRIAN_CONFIG.FLEE_SPEED + 5;
+    for (let i = 0; i < 10; i++) system.update(0.1);
+
+    // Away from the car and back from the curb
+    expect(pedestrian.dir).toBe(1);
+    expect(pedestrian.speed).toBe(PEDESTRIAN_CONFIG.RUN_SPEED);
+    expect(pedestrian.x).toBeGreaterThan(50);
+    expect(pedestrian.z).toBeGreaterThan(SIDEWALK);
+  });
+
+  it("scatters from police with sirens on", () => {
+    const police = [makePolice(0, 100, false)];
+    const system = new PedestrianSystem(
+      null,
+      makePlayer(0, -100),
+      makeCity(() => 0),
+      police,
+      null,
+      new SeededRandom(1)
+    );
+    const pedestrian = system.spawn(-SIDEWALK, 80, false, 1);
+
+    system.update(0.1);
+    expect(pedestrian.fleeTimer).toBe(0);
+
+    police[0] = makePolice(0, 100, true);
+    system.update(0.1);
+    expect(pedestrian.fleeTimer).toBeGreaterThan(0);
+    expect(pedestrian.dir).toBe(-1);
+  });
+
+  it("runs back to the nearer curb when caught on a crosswalk", () => {
+    const player = makePlayer(0, -100, PEDESTRIAN_CONFIG.FLEE_SPEED + 5);
+    const system = new PedestrianSystem(
+      null,
+      player,
+      makeCity(() => 0),
+      [],
+      null,
+      new SeededRandom(1)
+    );
+    // Crossing the x = 0 road westward, a third of the way over
+    const pedestrian = system.spawn(4, -SIDEWALK, true, -1);
+    pedestrian.state = "cross";
+    pedestrian.corner = SIDEWALK;
+    pedestrian.crossTo = -SIDEWALK;
+
+    player.position = { x: 0, y: 0, z: -20 };
+    for (let i = 0; i < 60 * 3; i++) system.update(1 / 60);
+
+    expect(pedestrian.state).toBe("walk");
+    expect(pedestrian.x).toBeGreaterThanOrEqual(SIDEWALK);
+  });
+
+  it("dives clear of a car instead of being run over", () => {
+    const player = makePlayer(60, SIDEWALK + 0.5, 30);
+    const system = new PedestrianSystem(
+      null,
+      player,
+      makeCity(() => 0),
+      [],
+      null,
+      new SeededRandom(1)
+    );
+    const pedestrian = system.spawn(60, SIDEWALK, true, 1);
+
+    system.update(1 / 60);
+
+    expect(
+      Math.hypot(pedestrian.x - 60, pedestrian.z - (SIDEWALK + 0.5))
+    ).toBeCloseTo(PEDESTRIAN_CONFIG.DIVE_DISTANCE);
+  });
+});
@@ -0,0 +1,103 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { PickupSystem, PICKUP_TYPES } from "../../src/systems/PickupSystem.js";
+import { BOOST_CONFIG, PICKUP_CONFIG } from "../../src/utils/constants.js";
+import { NORTH_SOUTH_ROAD, makeCity, makePlayer } from "../helpers/fixtures.js";
+
+// Player heading -z that the pickups can repair and refill
+function makeRepairablePlayer(x, z) {
+  return makePlayer(x, z, {
+    isPunctured: false,
+    repair: vi.fn(function () {
+      this.isPunctured = false;
+    }),
+    refillBoost: vi.fn(),
+  });
+}
+
+describe("PickupSystem", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("places a repair kit ahead of a punctured player", () => {
+    const player = makeRepairablePlayer(0, -10);
+    const system = new PickupSystem(null, player, makeCity(NORTH_SOUTH_ROAD));
+
+    system.update(PICKUP_CONFIG.REPAIR_SPAWN_DELAY);
+    expect(system.getPickups()).toHaveLength(0);
+
+    player.isPunctured = true;
+    system.update(PICKUP_CONFIG.REPAIR_SPAWN_DELAY / 2);
+    expect(system.getPickups()).toHaveLength(0);
+
+    system.update(PICKUP_CONFIG.REPAIR_SPAWN_DELAY / 2);
+    const [kit] = system.getPickups();
+    expect(kit.type).toBe(PICKUP_TYPES.REPAIR);
+    expect(kit.z).toBe(-200 + PICKUP_CONFIG.APPROACH_OFFSET);
+
+    // Only one kit at a time
+    system.update(PICKUP_CONFIG.REPAIR_SPAWN_DELAY);
+    expect(system.getPickups()).toHaveLength(1);
+  });
+
+  it("repairs the player when a kit is collected", () => {
+    const player = makeRepairablePlayer(0, -10);
+    const system = new PickupSystem(null, player, makeCity(NORTH_SOUTH_ROAD));
+    const onPickup = vi.fn();
+    system.setOnPickup(onPickup);
+    player.isPunctured = true;
+    system.update(PICKUP_CONFIG.REPAIR_SPAWN_DELAY);
+    const [kit] = system.getPickups();
+
+    player.position.x = kit.x;
+    player.position.z = kit.z + 1;
+    system.update(0.1);
+
+    expect(player.repair).toHaveBeenCalledOnce();
+    expect(onPickup).toHaveBeenCalledWith(PICKUP_TYPES.REPAIR);
+    expect(system.getPickups()).toHaveLength(0);
+  });
+
+  it("clears repair kits once the tires recover on their own", () => {
+    const player = makeRepairablePlayer(0, -10);
+    const system = new PickupSystem(null, player, makeCity(NORTH_SOUTH_ROAD));
+    player.isPunctured = true;
+    system.update(PICKUP_CONFIG.REPAIR_SPAWN_DELAY);
+
+    player.isPunctured = false;
+    system.update(0.1);
+
+    expect(system.getPickups()).toHaveLength(0);
+  });
+
+  it("expires pickups that are left behind", () => {
+    const player = makeRepairablePlayer(0, 0);
+    const system = new PickupSystem(null, player, makeCity(NORTH_SOUTH_ROAD));
+    system.spawn(PICKUP_TYPES.REPAIR, 0, -50);
+
+    player.position.z = PICKUP_CONFIG.DESPAWN_DISTANCE;
+    system.update(0.1);
+
+    expect(system.getPickups()).toHaveLength(0);
+  });
+
+  it("keeps a nitro canister coming that refills boost", () => {
+    const player = makeRepairablePlayer(0, -10);
+    const system = new PickupSystem(null, player, makeCity(NORTH_SOUTH_ROAD));
+
+    system.update(PICKUP_CONFIG.NITRO_SPAWN_INTERVAL);
+    const [nitro] = system.getPickups();
+    expect(nitro.type).toBe(PICKUP_TYPES.NITRO);
+
+    // One on the road at a time
+    system.update(PICKUP_CONFIG.NITRO_SPAWN_INTERVAL);
+    expect(system.getPickups()).toHaveLength(1);
+
+    player.position.x = nitro.x;
+    player.position.z = nitro.z + 1;
+    system.update(0.1);
+
+    expect(player.refillBoost).toHaveBeenCalledWith(BOOST_CONFIG.PICKUP_REFILL);
+    expect(system.getPickups()).toHaveLength(0);
+  });
+});
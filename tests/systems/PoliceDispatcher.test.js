@@ -0,0 +1,151 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { PoliceDispatcher } from "../../src/systems/PoliceDispatcher.js";
+import { POLICE_ROLES } from "../../src/objects/EnemyChaser.js";
+import { POLICE_UNITS } from "../../src/data/policeUnits.js";
+import { DISPATCH_CONFIG } from "../../src/utils/constants.js";
+import {
+  makeCity as makeRoadCity,
+  makePlayer as makeFixturePlayer,
+} from "../helpers/fixtures.js";
+
+// Player at the origin driving +z - their right is -x
+function makePlayer() {
+  return makeFixturePlayer(0, 0, { getHeading: () => ({ x: 0, z: 1 }) });
+}
+
+function makePolice(x, z, unit = POLICE_UNITS.PATROL) {
+  return {
+    position: { x, y: 0, z },
+    role: null,
+    cutoffPoint: null,
+    parked: false,
+    getPosition() {
+      return this.position;
+    },
+    getUnit: () => unit,
+    isParked() {
+      return this.parked;
+    },
+    isSearching: () => false,
+    isEngaged: () => true,
+    setRole: vi.fn(function (role, cutoffPoint = null) {
+      this.role = role;
+      this.cutoffPoint = cutoffPoint;
+    }),
+    getRole() {
+      return this.role;
+    },
+  };
+}
+
+// Road along x = 0 from gridZ -1 to 2
+function makeCity() {
+  return makeRoadCity([-1, 0, 1, 2].map((gridZ) => [0, gridZ]));
+}
+
+describe("PoliceDispatcher", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("hands out every role by position", () => {
+    const chaser = makePolice(0, -8);
+    const right = makePolice(-10, -5);
+    const left = makePolice(10, -5);
+    const cutoff = makePolice(2, 40);
+    const rear = makePolice(0, -30);
+    const police = [chaser, right, left, cutoff, rear];
+    const dispatcher = new PoliceDispatcher(makePlayer(), police, makeCity());
+
+    dispatcher.update(0.016);
+
+    expect(chaser.role).toBe(POLICE_ROLES.CHASER);
+    expect(left.role).toBe(POLICE_ROLES.FLANK_LEFT);
+    expect(right.role).toBe(POLICE_ROLES.FLANK_RIGHT);
+    expect(cutoff.role).toBe(POLICE_ROLES.CUTOFF);
+    expect(rear.role).toBe(POLICE_ROLES.REAR_GUARD);
+  });
+
+  it("sends the cutoff unit to the next intersection ahead", () => {
+    const police = [
+      makePolice(0, -8),
+      makePolice(-10, -5),
+      makePolice(10, -5),
+      makePolice(0, -30),
+      makePolice(0, 50),
+    ];
+    const dispatcher = new PoliceDispatcher(makePlayer(), police, makeCity());
+
+    dispatcher.update(0.016);
+
+    expect(police[4].role).toBe(POLICE_ROLES.CUTOFF);
+    expect(police[4].cutoffPoint).toEqual({ x: 0, z: 200 });
+  });
+
+  it("skips the cutoff without a road network", () => {
+    const police = [0, 1, 2, 3].map((i) => makePolice(i * 3, 10 * i));
+    const dispatcher = new PoliceDispatcher(makePlayer(), police);
+
+    dispatcher.update(0.016);
+
+    const roles = police.map((unit) => unit.role);
+    expect(roles).not.toContain(POLICE_ROLES.CUTOFF);
+    expect(roles).toContain(POLICE_ROLES.REAR_GUARD);
+  });
+
+  it("never puts blockers on a flank", () => {
+    const chaser = makePolice(0, -5);
+    const van = makePolice(10, -5, POLICE_UNITS.SWAT_VAN);
+    const dispatcher = new PoliceDispatcher(makePlayer(), [chaser, van]);
+
+    dispatcher.update(0.016);
+
+    expect(van.role).toBe(POLICE_ROLES.REAR_GUARD);
+  });
+
+  it("reassigns at once when a unit joins or drops out", () => {
+    const police = [makePolice(0, -5)];
+    const dispatcher = new PoliceDispatcher(makePlayer(), police);
+    dispatcher.update(0.016);
+
+    police.push(makePolice(10, -5));
+    dispatcher.update(0.016);
+    expect(police[1].role).toBe(POLICE_ROLES.FLANK_LEFT);
+
+    police[1].parked = true;
+    dispatcher.update(0.016);
+    expect(police[1].role).toBe(null);
+  });
+
+  it("replaces a flank that falls behind", () => {
+    const chaser = makePolice(0, -5);
+    const flank = makePolice(10, -5);
+    const spare = makePolice(-10, -8);
+    const dispatcher = new PoliceDispatcher(makePlayer(), [
+      chaser,
+      flank,
+      spare,
+    ]);
+    dispatcher.update(0.016);
+    expect(flank.role).toBe(POLICE_ROLES.FLANK_LEFT);
+
+    flank.position.z = -DISPATCH_CONFIG.FALL_BEHIND_DISTANCE - 10;
+    dispatcher.update(0.016);
+
+    expect(flank.role).not.toBe(POLICE_ROLES.FLANK_LEFT);
+    expect(spare.role).toBe(POLICE_ROLES.FLANK_LEFT);
+  });
+
+  it("keeps roles steady between reviews", () => {
+    const police = [makePolice(0, -5), makePolice(10, -5)];
+    const dispatcher = new PoliceDispatcher(makePlayer(), police);
+    dispatcher.update(0.016);
+    police[0].setRole.mockClear();
+
+    dispatcher.update(DISPATCH_CONFIG.REASSIGN_INTERVAL / 2);
+    expect(police[0].setRole).not.toHaveBeenCalled();
+
+    dispatcher.update(DISPATCH_CONFIG.REASSIGN_INTERVAL / 2);
+    expect(police[0].setRole).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { ProgressionSystem } from "../../src/systems/ProgressionSystem.js";
+import { UPGRADES } from "../../src/data/upgrades.js";
+import { PROGRESSION_CONFIG } from "../../src/utils/constants.js";
+
+// Minimal Web Storage stand-in
+function createStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: (key) => items[key] ?? null,
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+}
+
+describe("ProgressionSystem", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  it("converts score into cash and persists it", () => {
+    const storage = createStorage();
+    const progression = new ProgressionSystem(storage);
+
+    const earned = progression.awardCash(
+      12345 * PROGRESSION_CONFIG.SCORE_PER_CASH
+    );
+
+    expect(earned).toBe(12345);
+    expect(new ProgressionSystem(storage).getCash()).toBe(12345);
+  });
+
+  it("sells upgrades only when affordable and not maxed", () => {
+    const progression = new ProgressionSystem();
+    const engine = UPGRADES.ENGINE;
+
+    expect(progression.purchaseUpgrade(engine.ID)).toBe(false);
+
+    progression.awardCash(1e9);
+    engine.COSTS.forEach(() => {
+      expect(progression.purchaseUpgrade(engine.ID)).toBe(true);
+    });
+
+    expect(progression.purchaseUpgrade(engine.ID)).toBe(false);
+    expect(progression.getUpgradeLevel(engine.ID)).toBe(engine.COSTS.length);
+    expect(progression.purchaseUpgrade("nitro_tank")).toBe(false);
+  });
+
+  it("starts fresh when the stored save is corrupt", () => {
+    const storage = createStorage({
+      [PROGRESSION_CONFIG.STORAGE_KEY]: "{not json",
+    });
+    const progression = new ProgressionSystem(storage);
+
+    expect(progression.getCash()).toBe(0);
+    expect(progression.getUpgradeLevel(UPGRADES.ARMOR.ID)).toBe(0);
+  });
+
+  it("exports a save that imports elsewhere", () => {
+    const progression = new ProgressionSystem();
+    progression.awardCash(50000);
+    progression.purchaseUpgrade(UPGRADES.ARMOR.ID);
+    progression.setVehicle("van");
+    progression.setRedLightHeat(false);
+
+    const other = new ProgressionSystem(createStorage());
+    other.importSave(JSON.parse(JSON.stringify(progression.exportSave())));
+
+    expect(other.getCash()).toBe(progression.getCash());
+    expect(other.getUpgradeLevels()).toEqual(progression.getUpgradeLevels());
+    expect(other.getVehicle()).toBe("van");
+    expect(other.getRedLightHeat()).toBe(false);
+  });
+});
@@ -0,0 +1,213 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { RoadblockSystem } from "../../src/systems/RoadblockSystem.js";
+import { ROADBLOCK_CONFIG } from "../../src/utils/constants.js";
+import { SeededRandom } from "../../src/utils/seededRandom.js";
+import {
+  NORTH_SOUTH_ROAD,
+  makeCity as makeRoadCity,
+  makePlayer as makeFixturePlayer,
+} from "../helpers/fixtures.js";
+
+// Shared player stand-in heading along its velocity
+function makePlayer(x, z, velocity) {
+  return makeFixturePlayer(x, z, {
+    velocity: { ...velocity },
+    rotation: 0,
+    getHeading() {
+      const length = Math.hypot(this.velocity.x, this.velocity.z);
+      return { x: this.velocity.x / length, z: this.velocity.z / length };
+    },
+  });
+}
+
+/**
+ * City stand-in: a real road graph over the given intersections that can
+ * build and clear barriers
+ */
+function makeCity(intersections) {
+  return makeRoadCity(intersections, {
+    createBarrier: vi.fn((position, length, rotation) => ({
+      position,
+      length,
+      rotation,
+    })),
+    removeCityObstacle: vi.fn(),
+  });
+}
+
+function makeSystem(player, city) {
+  const spawnPolice = vi.fn((position) => ({
+    position,
+    park: vi.fn(),
+    unpark: vi.fn(),
+  }));
+  const system = new RoadblockSystem(
+    player,
+    city,
+    spawnPolice,
+    ROADBLOCK_CONFIG,
+    new SeededRandom(3)
+  );
+  return { system, spawnPolice };
+}
+
+describe("RoadblockSystem", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  describe("predictPlacement", () => {
+    it("blocks the approach to the next intersection ahead", () => {
+      const player = makePlayer(0, -10, { x: 0, z: -20 });
+      const { system } = makeSystem(player, makeCity(NORTH_SOUTH_ROAD));
+
+      expect(system.predictPlacement()).toEqual({
+        x: 0,
+        z: -200 + ROADBLOCK_CONFIG.APPROACH_OFFSET,
+        alongX: false,
+        direction: -1,
+      });
+    });
+
+    it("skips intersections closer than the minimum distance", () => {
+      const player = makePlayer(0, -150, { x: 0, z: -20 });
+      const { system } = makeSystem(player, makeCity(NORTH_SOUTH_ROAD));
+
+      expect(system.predictPlacement().z).toBe(
+        -400 + ROADBLOCK_CONFIG.APPROACH_OFFSET
+      );
+    });
+
+    it("returns null when the road ahead is not loaded", () => {
+      const player = makePlayer(0, -150, { x: 0, z: -20 });
+      const { system } = makeSystem(
+        player,
+        makeCity([
+          [0, 0],
+          [0, -1],
+        ])
+      );
+
+      expect(system.predictPlacement()).toBe(null);
+    });
+
+    it("follows the player along east-west roads", () => {
+      const player = makePlayer(20, 2, { x: 25, z: 1 });
+      const { system } = makeSystem(
+        player,
+        makeCity([
+          [0, 0],
+          [1, 0],
+        ])
+      );
+
+      expect(system.predictPlacement()).toEqual({
+        x: 200 - ROADBLOCK_CONFIG.APPROACH_OFFSET,
+        z: 0,
+        alongX: true,
+        direction: 1,
+      });
+    });
+  });
+
+  describe("update", () => {
+    it("only sets up roadblocks from the minimum wanted level", () => {
+      const player = makePlayer(0, -10, { x: 0, z: -20 });
+      const { system } = makeSystem(player, makeCity(NORTH_SOUTH_ROAD));
+
+      system.update(ROADBLOCK_CONFIG.SPAWN_INTERVAL + 1, 2);
+      expect(system.getRoadblocks()).toHaveLength(0);
+
+      system.update(ROADBLOCK_CONFIG.SPAWN_INTERVAL / 2, 3);
+      expect(system.getRoadblocks()).toHaveLength(0);
+
+      system.update(ROADBLOCK_CONFIG.SPAWN_INTERVAL / 2, 3);
+      expect(system.getRoadblocks()).toHaveLength(1);
+    });
+
+    it("does not set up roadblocks while police are searching", () => {
+      const player = makePlayer(0, -10, { x: 0, z: -20 });
+      const { system } = makeSystem(player, makeCity(NORTH_SOUTH_ROAD));
+
+      system.update(ROADBLOCK_CONFIG.SPAWN_INTERVAL, 5, false);
+
+      expect(system.getRoadblocks()).toHaveLength(0);
+    });
+
+    it("builds barriers with a narrow gap and parked police at the edges", () => {
+      const player = makePlayer(0, -10, { x: 0, z: -20 });
+      const city = makeCity(NORTH_SOUTH_ROAD);
+      const { system, spawnPolice } = makeSystem(player, city);
+
+      system.update(ROADBLOCK_CONFIG.SPAWN_INTERVAL, 3);
+      const [roadblock] = system.getRoadblocks();
+
+      // Two barriers across the road, leaving exactly the gap between them
+      expect(city.createBarrier).toHaveBeenCalledTimes(2);
+      const [left, right] = city.createBarrier.mock.calls.map(
+        ([position, length, rotation]) => ({ position, length, rotation })
+      );
+      expect(left.rotation).toBe(0);
+      expect(left.position.z).toBe(roadblock.z);
+      const leftEdge = left.position.x + left.length / 2;
+      const rightEdge = right.position.x - right.length / 2;
+      expect(rightEdge - leftEdge).toBeCloseTo(ROADBLOCK_CONFIG.GAP_WIDTH);
+      expect(Math.abs(roadblock.gap)).toBeLessThanOrEqual(
+        ROADBLOCK_CONFIG.GAP_JITTER
+      );
+
+      expect(spawnPolice).toHaveBeenCalledTimes(2);
+      const lateral = spawnPolice.mock.calls.map(([position]) => position.x);
+      expect(lateral).toEqual([
+        -ROADBLOCK_CONFIG.POLICE_LATERAL,
+        ROADBLOCK_CONFIG.POLICE_LATERAL,
+      ]);
+      roadblock.police.forEach((police) =>
+        expect(police.park).toHaveBeenCalledOnce()
+      );
+    });
+
+    it("releases the parked police once the player passes", () => {
+      const player = makePlayer(0, -10, { x: 0, z: -20 });
+      const city = makeCity(NORTH_SOUTH_ROAD);
+      const { system } = makeSystem(player, city);
+      system.update(ROADBLOCK_CONFIG.SPAWN_INTERVAL, 3);
+      const [roadblock] = system.getRoadblocks();
+
+      player.position.z = roadblock.z + 40;
+      system.update(0.1, 3);
+      roadblock.police.forEach((police) =>
+        expect(police.unpark).not.toHaveBeenCalled()
+      );
+
+      player.position.z = roadblock.z - 1;
+      system.update(0.1, 3);
+      roadblock.police.forEach((police) =>
+        expect(police.unpark).toHaveBeenCalledOnce()
+      );
+      expect(city.removeCityObstacle).not.toHaveBeenCalled();
+
+      // Barriers are cleared once left far behind
+      player.position.z = roadblock.z - ROADBLOCK_CONFIG.DESPAWN_DISTANCE - 1;
+      system.update(0.1, 3);
+      expect(city.removeCityObstacle).toHaveBeenCalledTimes(2);
+      expect(system.getRoadblocks()).toHaveLength(0);
+    });
+
+    it("clears ignored roadblocks after their lifetime", () => {
+      const player = makePlayer(0, -10, { x: 0, z: -20 });
+      const city = makeCity(NORTH_SOUTH_ROAD);
+      const { system } = makeSystem(player, city);
+      system.update(ROADBLOCK_CONFIG.SPAWN_INTERVAL, 3);
+      const [roadblock] = system.getRoadblocks();
+
+      system.update(ROADBLOCK_CONFIG.LIFETIME, 1);
+
+      expect(system.getRoadblocks()).toHaveLength(0);
+      expect(city.removeCityObstacle).toHaveBeenCalledTimes(2);
+      roadblock.police.forEach((police) =>
+        expect(police.unpark).toHaveBeenCalledOnce()
+      );
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { ScoreSystem } from "../../src/systems/ScoreSystem.js";
+import { ENEMY_CONFIG, SCORING_CONFIG } from "../../src/utils/constants.js";
+
+describe("ScoreSystem", () => {
+  it("accumulates survival time and score", () => {
+    const player = { distanceTraveled: 0 };
+    const score = new ScoreSystem(player);
+
+    for (let i = 0; i < 4; i++) score.update(0.5);
+
+    expect(score.getSurvivalTime()).toBe(2);
+    expect(score.getSurvivalScore()).toBe(
+      Math.floor(2 * SCORING_CONFIG.SURVIVAL_BONUS)
+    );
+  });
+
+  it("scores only the distance driven since the last update", () => {
+    const player = { distanceTraveled: 0 };
+    const score = new ScoreSystem(player);
+
+    player.distanceTraveled = 3;
+    score.update(0);
+    player.distanceTraveled = 5;
+    score.update(0);
+
+    expect(score.getDistanceScore()).toBe(
+      5 * SCORING_CONFIG.DISTANCE_MULTIPLIER
+    );
+  });
+
+  it("floors distance score per update", () => {
+    const player = { distanceTraveled: 0 };
+    const score = new ScoreSystem(player);
+
+    // 0.05 units * 10 = 0.5 points per update - floored to 0 each time
+    for (let i = 1; i <= 10; i++) {
+      player.distanceTraveled = i * 0.05;
+      score.update(0);
+    }
+
+    expect(score.getDistanceScore()).toBe(0);
+  });
+
+  it("totals distance, survival and bonus score", () => {
+    const player = { distanceTraveled: 0 };
+    const score = new ScoreSystem(player);
+
+    player.distanceTraveled = 10;
+    score.update(4);
+    score.bonusScore = 50;
+
+    expect(score.getTotalScore()).toBe(
+      10 * SCORING_CONFIG.DISTANCE_MULTIPLIER +
+        4 * SCORING_CONFIG.SURVIVAL_BONUS +
+        50
+    );
+    expect(score.getStatistics()).toEqual({
+      totalScore: score.getTotalScore(),
+      survivalTime: 4,
+      distance: 10,
+      takedowns: 0,
+    });
+  });
+
+  it("awards takedown bonuses", () => {
+    const score = new ScoreSystem({ distanceTraveled: 0 });
+
+    score.addTakedownBonus();
+    score.addTakedownBonus(1200);
+
+    expect(score.getBonusScore()).toBe(ENEMY_CONFIG.TAKEDOWN_BONUS + 1200);
+    expect(score.getStatistics().takedowns).toBe(2);
+  });
+
+  it("resets all components", () => {
+    const player = { distanceTraveled: 20 };
+    const score = new ScoreSystem(player);
+    score.update(3);
+
+    score.reset();
+
+    expect(score.getTotalScore()).toBe(0);
+    expect(score.getSurvivalTime()).toBe(0);
+  });
+});
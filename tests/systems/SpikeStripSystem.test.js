@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { SpikeStripSystem } from "../../src/systems/SpikeStripSystem.js";
+import { SPIKE_STRIP_CONFIG, WORLD_CONFIG } from "../../src/utils/constants.js";
+import { NORTH_SOUTH_ROAD, makeCity, makePlayer } from "../helpers/fixtures.js";
+
+// Player heading -z with a body the strips can catch
+function makePuncturablePlayer(x, z) {
+  return makePlayer(x, z, {
+    isPunctured: false,
+    getBoundingBox() {
+      return {
+        min: { x: this.position.x - 1, y: 0, z: this.position.z - 2 },
+        max: { x: this.position.x + 1, y: 1.5, z: this.position.z + 2 },
+      };
+    },
+    puncture: vi.fn(function () {
+      this.isPunctured = true;
+    }),
+  });
+}
+
+describe("SpikeStripSystem", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("only lays strips from the minimum wanted level", () => {
+    const system = new SpikeStripSystem(
+      null,
+      makePuncturablePlayer(0, -10),
+      makeCity(NORTH_SOUTH_ROAD)
+    );
+
+    system.update(SPIKE_STRIP_CONFIG.SPAWN_INTERVAL, 3);
+    expect(system.getStrips()).toHaveLength(0);
+
+    system.update(SPIKE_STRIP_CONFIG.SPAWN_INTERVAL, 4, false);
+    expect(system.getStrips()).toHaveLength(0);
+
+    system.update(0, 4);
+    expect(system.getStrips()).toHaveLength(1);
+  });
+
+  it("lays strips across the player's keep-right carriageway", () => {
+    const system = new SpikeStripSystem(
+      null,
+      makePuncturablePlayer(0, -10),
+      makeCity(NORTH_SOUTH_ROAD)
+    );
+
+    system.update(SPIKE_STRIP_CONFIG.SPAWN_INTERVAL, 4);
+    const [strip] = system.getStrips();
+
+    // Heading -z, right-hand side is +x
+    expect(strip.x).toBe(WORLD_CONFIG.CARRIAGEWAY_OFFSET);
+    expect(strip.z).toBe(-200 + SPIKE_STRIP_CONFIG.APPROACH_OFFSET);
+    expect(strip.bounds.max.x - strip.bounds.min.x).toBeCloseTo(
+      SPIKE_STRIP_CONFIG.LENGTH
+    );
+    expect(strip.bounds.max.z - strip.bounds.min.z).toBeCloseTo(
+      SPIKE_STRIP_CONFIG.DEPTH
+    );
+  });
+
+  it("punctures the player driving over a strip", () => {
+    const player = makePuncturablePlayer(0, -10);
+    const system = new SpikeStripSystem(
+      null,
+      player,
+      makeCity(NORTH_SOUTH_ROAD)
+    );
+    system.update(SPIKE_STRIP_CONFIG.SPAWN_INTERVAL, 4);
+    const [strip] = system.getStrips();
+
+    system.update(0.1, 4);
+    expect(player.puncture).not.toHaveBeenCalled();
+
+    player.position.x = strip.x;
+    player.position.z = strip.z - 1;
+    system.update(0.1, 4);
+    expect(player.puncture).toHaveBeenCalled();
+  });
+
+  it("removes strips left behind or past their lifetime", () => {
+    const player = makePuncturablePlayer(0, -10);
+    const system = new SpikeStripSystem(
+      null,
+      player,
+      makeCity(NORTH_SOUTH_ROAD)
+    );
+    system.update(SPIKE_STRIP_CONFIG.SPAWN_INTERVAL, 4);
+
+    system.update(SPIKE_STRIP_CONFIG.LIFETIME, 1);
+    expect(system.getStrips()).toHaveLength(0);
+
+    system.update(SPIKE_STRIP_CONFIG.SPAWN_INTERVAL, 4);
+    const [strip] = system.getStrips();
+    player.position.z = strip.z - SPIKE_STRIP_CONFIG.DESPAWN_DISTANCE - 1;
+    system.update(0.1, 1);
+    expect(system.getStrips()).toHaveLength(0);
+  });
+});
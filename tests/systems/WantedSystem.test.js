@@ -0,0 +1,487 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { WantedSystem } from "../../src/systems/WantedSystem.js";
+import { POLICE_UNITS } from "../../src/data/policeUnits.js";
+import { HELICOPTER_CONFIG, WANTED_CONFIG } from "../../src/utils/constants.js";
+import { SeededRandom } from "../../src/utils/seededRandom.js";
+import { makePlayer as makeFixturePlayer } from "../helpers/fixtures.js";
+
+// Shared player stand-in driving +z
+function makePlayer(x = 0, z = 0) {
+  return makeFixturePlayer(x, z, { getHeading: () => ({ x: 0, z: 1 }) });
+}
+
+function makePolice(x, z) {
+  return {
+    position: { x, y: 0, z },
+    searching: false,
+    getPosition() {
+      return this.position;
+    },
+    startSearch: vi.fn(function () {
+      this.searching = true;
+    }),
+    stopSearch: vi.fn(function () {
+      this.searching = false;
+    }),
+    isSearching() {
+      return this.searching;
+    },
+  };
+}
+
+function makeWantedSystem(config = WANTED_CONFIG, options = {}) {
+  const { player = makePlayer(), police = [], city = null } = options;
+  return new WantedSystem(
+    null,
+    player,
+    police,
+    config,
+    city,
+    null,
+    null,
+    new SeededRandom(1)
+  );
+}
+
+/**
+ * Run the system for a number of seconds in physics-sized steps
+ */
+function run(wanted, seconds, step = 0.05) {
+  for (let t = 0; t < seconds - 1e-9; t += step) wanted.update(step);
+}
+
+describe("WantedSystem._updateWantedLevel", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("starts at one star", () => {
+    const wanted = makeWantedSystem();
+    wanted._updateWantedLevel();
+    expect(wanted.getWantedLevel()).toBe(1);
+  });
+
+  it.each([
+    [0, 1],
+    [99, 1],
+    [100, 2],
+    [199, 2],
+    [200, 3],
+    [350, 4],
+    [499, 4],
+    [500, 5],
+    [5000, 5],
+  ])("at %i heat the wanted level is %i", (heat, level) => {
+    const wanted = makeWantedSystem();
+    wanted.heat = heat;
+    wanted._updateWantedLevel();
+    expect(wanted.getWantedLevel()).toBe(level);
+  });
+
+  it("caps the level at MAX_WANTED_LEVEL", () => {
+    const wanted = makeWantedSystem({ ...WANTED_CONFIG, MAX_WANTED_LEVEL: 3 });
+    wanted.heat = 5000;
+    wanted._updateWantedLevel();
+    expect(wanted.getWantedLevel()).toBe(3);
+  });
+
+  it("never lowers the level on its own", () => {
+    const wanted = makeWantedSystem();
+    wanted.heat = 375;
+    wanted._updateWantedLevel();
+    wanted.heat = 25;
+    wanted._updateWantedLevel();
+    expect(wanted.getWantedLevel()).toBe(4);
+  });
+
+  it("uses custom thresholds from the config", () => {
+    const wanted = makeWantedSystem({
+      ...WANTED_CONFIG,
+      HEAT_THRESHOLDS: [0, 5, 10],
+    });
+    wanted.heat = 10;
+    wanted._updateWantedLevel();
+    expect(wanted.getWantedLevel()).toBe(3);
+  });
+});
+
+describe("WantedSystem heat", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("adds the configured heat for each offense", () => {
+    const wanted = makeWantedSystem();
+
+    wanted.reportOffense("RAM_TRAFFIC");
+    wanted.reportOffense("RAM_TRAFFIC");
+    wanted.reportOffense("HIT_POLICE");
+
+    expect(wanted.getHeat()).toBe(
+      2 * WANTED_CONFIG.OFFENSE_HEAT.RAM_TRAFFIC +
+        WANTED_CONFIG.OFFENSE_HEAT.HIT_POLICE
+    );
+    expect(wanted.getOffenseCounts()).toEqual({
+      RAM_TRAFFIC: 2,
+      HIT_POLICE: 1,
+    });
+  });
+
+  it("raises the wanted level as soon as an offense crosses a threshold", () => {
+    const wanted = makeWantedSystem({
+      ...WANTED_CONFIG,
+      OFFENSE_HEAT: { HIT_POLICE: 250 },
+    });
+
+    wanted.reportOffense("HIT_POLICE");
+
+    expect(wanted.getWantedLevel()).toBe(3);
+  });
+
+  it("ignores unknown offenses", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const wanted = makeWantedSystem();
+
+    expect(wanted.reportOffense("JAYWALKING")).toBe(0);
+    expect(wanted.getHeat()).toBe(0);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it("accrues survival heat while police can see the player", () => {
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      police: [makePolice(10, 0)],
+    });
+
+    run(wanted, 2);
+
+    expect(wanted.getHeat()).toBeCloseTo(
+      2 * WANTED_CONFIG.SURVIVAL_HEAT_PER_SECOND
+    );
+  });
+
+  it("earns stars from crimes only when survival heat is disabled", () => {
+    const wanted = makeWantedSystem(
+      { ...WANTED_CONFIG, SURVIVAL_HEAT_PER_SECOND: 0 },
+      { police: [makePolice(10, 0)] }
+    );
+
+    run(wanted, 60);
+    expect(wanted.getHeat()).toBe(0);
+    expect(wanted.getWantedLevel()).toBe(1);
+
+    wanted.reportOffense("HIT_POLICE");
+    wanted.reportOffense("HIT_POLICE");
+    wanted.reportOffense("HIT_POLICE");
+    expect(wanted.getWantedLevel()).toBe(2);
+  });
+
+  it("clears heat and offense counts on reset", () => {
+    const wanted = makeWantedSystem();
+    wanted.reportOffense("RUN_RED_LIGHT");
+
+    wanted.reset();
+
+    expect(wanted.getHeat()).toBe(0);
+    expect(wanted.getOffenseCounts()).toEqual({});
+  });
+});
+
+describe("WantedSystem evasion", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("keeps the pursuit going while police can see the player", () => {
+    const player = makePlayer(10, 0);
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      player,
+      police: [makePolice(0, 0)],
+    });
+
+    run(wanted, 1);
+
+    expect(wanted.getIsSearching()).toBe(false);
+    expect(wanted.lastKnownPosition).toEqual({ x: 10, z: 0 });
+    expect(wanted.getHeat()).toBeCloseTo(
+      WANTED_CONFIG.SURVIVAL_HEAT_PER_SECOND
+    );
+  });
+
+  it("starts a search when the player is out of sight range", () => {
+    const police = makePolice(WANTED_CONFIG.SIGHT_RANGE + 10, 0);
+    const wanted = makeWantedSystem(WANTED_CONFIG, { police: [police] });
+
+    run(wanted, 0.5);
+
+    expect(wanted.getIsSearching()).toBe(true);
+    expect(police.startSearch).toHaveBeenCalledWith(
+      wanted.lastKnownPosition,
+      wanted.getSearchRadius()
+    );
+  });
+
+  it("starts a search when buildings block line of sight", () => {
+    const city = { hasLineOfSight: () => false };
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      police: [makePolice(10, 0)],
+      city,
+    });
+
+    run(wanted, 0.5);
+
+    expect(wanted.getIsSearching()).toBe(true);
+  });
+
+  it("stops survival heat and spawning while searching", () => {
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      police: [makePolice(500, 0)],
+    });
+    const spawn = vi.spyOn(wanted, "_spawnPolice");
+
+    run(wanted, WANTED_CONFIG.BASE_SPAWN_INTERVAL + 1);
+
+    expect(wanted.getHeat()).toBe(0);
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  it("loses a star after staying hidden for the evade time", () => {
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      police: [makePolice(500, 0)],
+    });
+    wanted.setWantedLevel(3);
+    wanted.heat = 250;
+    const evadeTime = wanted.getEvadeTime();
+
+    run(wanted, evadeTime - 0.5);
+    expect(wanted.getWantedLevel()).toBe(3);
+
+    run(wanted, 1);
+    expect(wanted.getWantedLevel()).toBe(2);
+    // Star must be re-earned from the 2-star threshold
+    expect(wanted.getHeat()).toBe(WANTED_CONFIG.HEAT_THRESHOLDS[1]);
+  });
+
+  it("sends units beyond the lower quota back to patrol", () => {
+    const police = [];
+    for (let i = 0; i < 7; i++) {
+      const unit = makePolice(500 + i * 10, 0);
+      unit.engaged = true;
+      unit.isEngaged = function () {
+        return this.engaged;
+      };
+      unit.returnToPatrol = vi.fn(function () {
+        this.engaged = false;
+      });
+      police.push(unit);
+    }
+    const wanted = makeWantedSystem(WANTED_CONFIG, { police });
+    wanted.setWantedLevel(3);
+
+    wanted._loseStar();
+
+    // Two stars allow two fewer units - the furthest two stand down
+    const stoodDown = police.filter((unit) => !unit.isEngaged());
+    expect(stoodDown).toEqual(police.slice(5));
+    stoodDown.forEach((unit) =>
+      expect(unit.startSearch).not.toHaveBeenCalled()
+    );
+    police
+      .slice(0, 5)
+      .forEach((unit) => expect(unit.startSearch).toHaveBeenCalled());
+  });
+
+  it("never drops below one star", () => {
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      police: [makePolice(500, 0)],
+    });
+
+    run(wanted, wanted.getEvadeTime() * 3);
+
+    expect(wanted.getWantedLevel()).toBe(1);
+    expect(wanted.getEvadeProgress()).toBe(1);
+  });
+
+  it("resumes the chase when the player is spotted again", () => {
+    const police = makePolice(500, 0);
+    const player = makePlayer();
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      player,
+      police: [police],
+    });
+
+    run(wanted, 2);
+    expect(wanted.getIsSearching()).toBe(true);
+
+    police.position.x = 20;
+    run(wanted, 0.5);
+
+    expect(wanted.getIsSearching()).toBe(false);
+    expect(wanted.getEvadeProgress()).toBe(0);
+    expect(police.stopSearch).toHaveBeenCalled();
+  });
+
+  it("widens the search area and evade time with stars", () => {
+    const wanted = makeWantedSystem();
+    const radius = wanted.getSearchRadius();
+    const evadeTime = wanted.getEvadeTime();
+
+    wanted.setWantedLevel(4);
+
+    expect(wanted.getSearchRadius()).toBe(
+      radius + 3 * WANTED_CONFIG.SEARCH_RADIUS_PER_STAR
+    );
+    expect(wanted.getEvadeTime()).toBe(
+      evadeTime + 3 * WANTED_CONFIG.EVADE_TIME_PER_STAR
+    );
+  });
+});
+
+describe("WantedSystem helicopter", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("joins the chase at the top wanted level and leaves below it", () => {
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      police: [makePolice(10, 0)],
+    });
+
+    wanted.setWantedLevel(HELICOPTER_CONFIG.MIN_WANTED_LEVEL - 1);
+    run(wanted, 0.5);
+    expect(wanted.getHelicopter()).toBe(null);
+
+    wanted.setWantedLevel(HELICOPTER_CONFIG.MIN_WANTED_LEVEL);
+    run(wanted, 0.5);
+    expect(wanted.getHelicopter()).not.toBe(null);
+
+    wanted.setWantedLevel(HELICOPTER_CONFIG.MIN_WANTED_LEVEL - 1);
+    run(wanted, 0.5);
+    expect(wanted.getHelicopter()).toBe(null);
+  });
+
+  it("sees over buildings and stops the stars decaying while in contact", () => {
+    let lineOfSight = true;
+    const city = {
+      hasLineOfSight: () => lineOfSight,
+      getBuildingsNear: () => [],
+    };
+    const police = makePolice(10, 0);
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      police: [police],
+      city,
+    });
+    vi.spyOn(wanted, "_spawnPolice").mockImplementation(() => {});
+    wanted.setWantedLevel(5);
+    wanted.heat = 500;
+
+    // Police keep the player in view while the helicopter arrives
+    run(wanted, 12);
+    expect(wanted.getHelicopter().hasVisualContact()).toBe(true);
+
+    // Hidden from the ground units - but not from the air
+    lineOfSight = false;
+    run(wanted, wanted.getEvadeTime() + 2);
+    expect(wanted.getIsSearching()).toBe(false);
+    expect(wanted.getWantedLevel()).toBe(5);
+  });
+
+  it("joins the search once contact is lost", () => {
+    const player = makePlayer();
+    const wanted = makeWantedSystem(WANTED_CONFIG, {
+      player,
+      police: [makePolice(500, 0)],
+    });
+    wanted.setWantedLevel(5);
+    run(wanted, 0.5);
+
+    expect(wanted.getIsSearching()).toBe(true);
+    expect(wanted.getHelicopter().isSearching()).toBe(true);
+  });
+});
+
+describe("WantedSystem unit types", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("only sends patrol cruisers at one star", () => {
+    const wanted = makeWantedSystem();
+
+    for (let i = 0; i < 50; i++) {
+      expect(wanted._pickUnit()).toBe(POLICE_UNITS.PATROL);
+    }
+  });
+
+  it("mixes in every unit type at five stars", () => {
+    const wanted = makeWantedSystem();
+    wanted.setWantedLevel(5);
+
+    const picked = new Set();
+    for (let i = 0; i < 200; i++) picked.add(wanted._pickUnit());
+
+    expect(picked).toEqual(new Set(Object.values(POLICE_UNITS)));
+  });
+
+  it("spawns the unit picked from the spawn table", () => {
+    const police = [];
+    const wanted = makeWantedSystem(WANTED_CONFIG, { police });
+    wanted.spawnTables = [{ SWAT_VAN: 1 }];
+
+    wanted._spawnPolice();
+
+    expect(police).toHaveLength(1);
+    expect(police[0].getUnit()).toBe(POLICE_UNITS.SWAT_VAN);
+  });
+});
+
+describe("WantedSystem takedowns", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  function makeWreck(x, z) {
+    const police = makePolice(x, z);
+    police.isWrecked = () => true;
+    police.dispose = vi.fn();
+    return police;
+  }
+
+  it("counts each wreck once and reports it", () => {
+    const wreck = makeWreck(20, 0);
+    const wanted = makeWantedSystem(WANTED_CONFIG, { police: [wreck] });
+    const onTakedown = vi.fn();
+    wanted.setOnTakedown(onTakedown);
+
+    run(wanted, 1);
+
+    expect(wanted.getTakedowns()).toBe(1);
+    expect(onTakedown).toHaveBeenCalledOnce();
+    expect(onTakedown).toHaveBeenCalledWith(wreck);
+  });
+
+  it("clears wrecks left far behind", () => {
+    const wreck = makeWreck(20, 0);
+    const police = [wreck];
+    const player = makePlayer();
+    const wanted = makeWantedSystem(WANTED_CONFIG, { player, police });
+    run(wanted, 0.1);
+
+    player.position.z = WANTED_CONFIG.WRECK_DESPAWN_DISTANCE + 50;
+    run(wanted, 0.1);
+
+    expect(police).not.toContain(wreck);
+    expect(wreck.dispose).toHaveBeenCalled();
+    expect(wanted.getTakedowns()).toBe(1);
+  });
+
+  it("sends reinforcements to replace wrecks", () => {
+    const police = [];
+    for (let i = 0; i < WANTED_CONFIG.BASE_POLICE_COUNT; i++)
+      police.push(makeWreck(i, 5));
+    const wanted = makeWantedSystem(WANTED_CONFIG, { police });
+
+    wanted._spawnPolice();
+
+    expect(police.length).toBe(WANTED_CONFIG.BASE_POLICE_COUNT + 1);
+  });
+});
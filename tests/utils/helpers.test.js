@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import {
+  checkAABBCollision,
+  segmentIntersectsRect2D,
+} from "../../src/utils/helpers.js";
+
+const box = (x, y, z, size = 2) => ({
+  min: { x: x - size / 2, y: y - size / 2, z: z - size / 2 },
+  max: { x: x + size / 2, y: y + size / 2, z: z + size / 2 },
+});
+
+describe("checkAABBCollision", () => {
+  it("detects overlapping boxes", () => {
+    expect(checkAABBCollision(box(0, 0, 0), box(1, 0.5, 1))).toBe(true);
+  });
+
+  it("detects a box fully inside another", () => {
+    expect(checkAABBCollision(box(0, 0, 0, 10), box(1, 1, 1, 1))).toBe(true);
+  });
+
+  it("treats touching faces as a collision", () => {
+    expect(checkAABBCollision(box(0, 0, 0), box(2, 0, 0))).toBe(true);
+  });
+
+  it("is symmetric", () => {
+    const a = box(0, 0, 0);
+    const b = box(1.5, 0, -1.5);
+    expect(checkAABBCollision(a, b)).toBe(checkAABBCollision(b, a));
+  });
+
+  it.each([
+    ["x", box(2.01, 0, 0)],
+    ["y", box(0, 2.01, 0)],
+    ["z", box(0, 0, -2.01)],
+  ])("rejects boxes separated on the %s axis", (axis, other) => {
+    expect(checkAABBCollision(box(0, 0, 0), other)).toBe(false);
+  });
+});
+
+describe("segmentIntersectsRect2D", () => {
+  // Rectangle from (-5, -5) to (5, 5)
+  const hits = (x1, z1, x2, z2) =>
+    segmentIntersectsRect2D(x1, z1, x2, z2, -5, -5, 5, 5);
+
+  it("detects a segment passing through", () => {
+    expect(hits(-10, 0, 10, 0)).toBe(true);
+    expect(hits(-10, -10, 10, 10)).toBe(true);
+  });
+
+  it("detects a segment starting inside", () => {
+    expect(hits(0, 0, 20, 20)).toBe(true);
+  });
+
+  it("rejects a segment that stops short", () => {
+    expect(hits(-20, 0, -6, 0)).toBe(false);
+  });
+
+  it("rejects a segment passing beside", () => {
+    expect(hits(-10, 6, 10, 6)).toBe(false);
+    expect(hits(-10, 2, 2, 14)).toBe(false);
+  });
+
+  it("handles axis-parallel segments", () => {
+    expect(hits(0, -10, 0, 10)).toBe(true);
+    expect(hits(6, -10, 6, 10)).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  SAVE_VERSION,
+  createSave,
+  migrateSave,
+  parseSave,
+} from "../../src/utils/saveFormat.js";
+import { UPGRADES } from "../../src/data/upgrades.js";
+
+describe("saveFormat", () => {
+  it("runs migrations in order up to the target version", () => {
+    const migrations = {
+      1: (save) => ({ ...save, money: save.cash }),
+      2: ({ money, ...save }) => ({ ...save, wallet: { cash: money } }),
+    };
+
+    const save = migrateSave({ version: 1, cash: 70 }, migrations, 3);
+
+    expect(save).toEqual({ version: 3, cash: 70, wallet: { cash: 70 } });
+  });
+
+  it("rejects saves it can't migrate", () => {
+    expect(() => migrateSave({ version: SAVE_VERSION + 1 })).toThrow(
+      "newer version"
+    );
+    expect(() => migrateSave({ version: 1 }, {}, 2)).toThrow("No migration");
+    expect(() => parseSave({ cash: 10 })).toThrow("valid version");
+  });
+
+  it("clamps upgrade levels and drops unknown upgrades", () => {
+    const save = parseSave({
+      ...createSave(),
+      cash: 99.7,
+      upgrades: { engine: 99, armor: -2, nitro_tank: 3 },
+    });
+
+    expect(save.cash).toBe(99);
+    expect(save.upgrades.engine).toBe(UPGRADES.ENGINE.COSTS.length);
+    expect(save.upgrades.armor).toBe(0);
+    expect(save.upgrades.nitro_tank).toBeUndefined();
+  });
+
+  it("moves boost cooldown levels to boost recharge", () => {
+    const save = parseSave({
+      version: 1,
+      cash: 10,
+      totalCashEarned: 10,
+      vehicle: "hatch",
+      upgrades: { engine: 1, boost_cooldown: 3 },
+    });
+
+    expect(save.version).toBe(SAVE_VERSION);
+    expect(save.upgrades.boost_recharge).toBe(3);
+    expect(save.upgrades.boost_cooldown).toBeUndefined();
+    expect(save.upgrades.engine).toBe(1);
+    expect(save.settings.redLightHeat).toBe(true);
+  });
+
+  it("keeps the red light heat setting", () => {
+    const save = parseSave({
+      ...createSave(),
+      settings: { redLightHeat: false },
+    });
+    expect(save.settings.redLightHeat).toBe(false);
+
+    const broken = parseSave({ ...createSave(), settings: "off" });
+    expect(broken.settings.redLightHeat).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { SpatialHash } from "../../src/utils/spatialHash.js";
+
+describe("SpatialHash", () => {
+  it("finds items whose footprint overlaps the query box", () => {
+    const grid = new SpatialHash(10);
+    grid.insert("a", 0, 0, 5, 5);
+    grid.insert("b", 100, 100, 105, 105);
+
+    expect(grid.query(-1, -1, 1, 1)).toEqual(["a"]);
+    expect(grid.query(99, 99, 101, 101)).toEqual(["b"]);
+    expect(grid.query(40, 40, 50, 50)).toEqual([]);
+  });
+
+  it("returns an item spanning several cells only once", () => {
+    const grid = new SpatialHash(10);
+    grid.insertCentered("wide", 0, 0, 25, 25);
+
+    expect(grid.query(-30, -30, 30, 30)).toEqual(["wide"]);
+    expect(grid.size).toBe(1);
+  });
+
+  it("handles negative coordinates", () => {
+    const grid = new SpatialHash(10);
+    grid.insert("neg", -15, -15, -12, -12);
+
+    expect(grid.queryRadius(-13, -13, 1)).toEqual(["neg"]);
+    expect(grid.queryRadius(13, 13, 1)).toEqual([]);
+  });
+
+  it("removes items from every cell they cover", () => {
+    const grid = new SpatialHash(10);
+    grid.insertCentered("a", 0, 0, 15, 15);
+
+    expect(grid.remove("a")).toBe(true);
+    expect(grid.remove("a")).toBe(false);
+    expect(grid.query(-20, -20, 20, 20)).toEqual([]);
+    expect(grid.cells.size).toBe(0);
+  });
+
+  it("moves an item when it is inserted again", () => {
+    const grid = new SpatialHash(10);
+    grid.insert("car", 0, 0, 2, 2);
+    grid.insert("car", 50, 50, 52, 52);
+
+    expect(grid.query(0, 0, 2, 2)).toEqual([]);
+    expect(grid.query(50, 50, 52, 52)).toEqual(["car"]);
+  });
+
+  it("reuses and clears the output array", () => {
+    const grid = new SpatialHash(10);
+    grid.insert("a", 0, 0, 1, 1);
+    const out = ["stale"];
+
+    expect(grid.query(0, 0, 1, 1, out)).toBe(out);
+    expect(out).toEqual(["a"]);
+  });
+
+  it("keeps insertion order within a cell", () => {
+    const grid = new SpatialHash(10);
+    ["c", "a", "b"].forEach((id) => grid.insert(id, 1, 1, 2, 2));
+
+    expect(grid.query(0, 0, 5, 5)).toEqual(["c", "a", "b"]);
+  });
+
+  it("clears every item", () => {
+    const grid = new SpatialHash(10);
+    grid.insert("a", 0, 0, 1, 1);
+    grid.clear();
+
+    expect(grid.size).toBe(0);
+    expect(grid.has("a")).toBe(false);
+  });
+});
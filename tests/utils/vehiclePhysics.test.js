@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import {
+  applySlip,
+  getSlipAngle,
+  isDrifting,
+} from "../../src/utils/vehiclePhysics.js";
+import { DRIFT_CONFIG } from "../../src/utils/constants.js";
+
+function makeCar(rotation, speed, velocity) {
+  return { rotation, speed, velocity: { ...velocity } };
+}
+
+describe("vehiclePhysics", () => {
+  it("drives straight along the heading without a slide", () => {
+    const car = makeCar(Math.PI / 2, 10, { x: 10, z: 0 });
+
+    const lateral = applySlip(car, 0.5, 1 / 60);
+
+    expect(lateral).toBeCloseTo(0);
+    expect(car.velocity.x).toBeCloseTo(10);
+    expect(car.velocity.z).toBeCloseTo(0);
+  });
+
+  it("keeps part of the old velocity as a slide after a turn", () => {
+    // Was heading +z, now turned to face +x
+    const car = makeCar(Math.PI / 2, 10, { x: 0, z: 10 });
+
+    const lateral = applySlip(car, 0.5, 1 / 60);
+
+    // Left of +x is -z, so the old +z motion slides to the right
+    expect(lateral).toBeCloseTo(-5);
+    expect(car.velocity.x).toBeCloseTo(10);
+    expect(car.velocity.z).toBeCloseTo(5);
+  });
+
+  it("decays the slide by grip independent of frame rate", () => {
+    const fine = makeCar(0, 0, { x: 8, z: 0 });
+    const coarse = makeCar(0, 0, { x: 8, z: 0 });
+
+    for (let i = 0; i < 4; i++) applySlip(fine, 0.5, 1 / 60);
+    applySlip(coarse, 0.5, 4 / 60);
+
+    expect(fine.velocity.x).toBeCloseTo(0.5);
+    expect(coarse.velocity.x).toBeCloseTo(fine.velocity.x);
+  });
+
+  it("reports slip angle and drifting", () => {
+    expect(getSlipAngle(10, -10)).toBeCloseTo(Math.PI / 4);
+    expect(isDrifting(DRIFT_CONFIG.MIN_SLIP_SPEED)).toBe(true);
+    expect(isDrifting(-DRIFT_CONFIG.MIN_SLIP_SPEED / 2)).toBe(false);
+  });
+});
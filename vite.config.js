@@ -1,3 +1,4 @@
+import { fileURLToPath } from "node:url";
 import { defineConfig } from "vite";
 
 export default defineConfig({
@@ -9,4 +10,23 @@ export default defineConfig({
       allow: [".."],
     },
   },
+  // Unit tests run in Node with Three.js stubbed out
+  test: {
+    environment: "node",
+    include: ["tests/**/*.test.js"],
+    alias: [
+      {
+        find: /^three$/,
+        replacement: fileURLToPath(
+          new URL("./tests/stubs/three.js", import.meta.url)
+        ),
+      },
+      {
+        find: /^three\/examples\/jsm\/loaders\/GLTFLoader\.js$/,
+        replacement: fileURLToPath(
+          new URL("./tests/stubs/GLTFLoader.js", import.meta.url)
+        ),
+      },
+    ],
+  },
 });